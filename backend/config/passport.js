@@ -1,7 +1,10 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const GitHubStrategy = require('passport-github2').Strategy;
+const MicrosoftStrategy = require('passport-microsoft').Strategy;
+const FacebookStrategy = require('passport-facebook').Strategy;
 const User = require('../models/User');
+const { resolveOAuthUser } = require('../utils/identities');
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -13,6 +16,12 @@ const User = require('../models/User');
  * Supported Providers:
  * - Google OAuth 2.0
  * - GitHub OAuth 2.0
+ * - Microsoft (Entra ID / personal accounts) - optional
+ * - Facebook - optional
+ * 
+ * Optional providers are only registered when their CLIENT_ID is set.
+ * Their endpoint URLs can be overridden (*_AUTHORIZATION_URL, *_TOKEN_URL,
+ * *_PROFILE_URL) to run against a local mock OAuth server.
  * 
  * @file backend/config/passport.js
  * @phase Phase 3.5 - OAuth/SSO
@@ -54,94 +63,34 @@ passport.use(new GoogleStrategy({
     clientID: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     callbackURL: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:5000/api/auth/google/callback',
-    scope: ['profile', 'email']
+    scope: ['profile', 'email'],
+    passReqToCallback: true // Needed for link mode (req.oauthState)
   },
-  async (accessToken, refreshToken, profile, done) => {
+  async (req, accessToken, refreshToken, profile, done) => {
     /**
      * OAuth Callback Function
      * ────────────────────────────────────────────────────────────────────
      * Called after user approves permissions on Google
      * 
      * Parameters:
+     * - req: Express request
      * - accessToken: Token to call Google APIs
      * - refreshToken: Token to refresh access token
      * - profile: User profile from Google
      * - done: Callback function
      * 
-     * Flow:
-     * 1. Extract email and Google ID from profile
-     * 2. Check if user exists with this Google ID
-     * 3. If yes → Login user
-     * 4. If no → Check if email exists (account linking)
-     * 5. If email exists → Link Google to existing account
-     * 6. If no → Create new user
+     * Lookup is by linked identity (provider + Google ID),
+     * see resolveOAuthUser (utils/identities.js)
      */
     
     try {
-      const email = profile.emails[0].value;
-      const googleId = profile.id;
-      
-      // ─────────────────────────────────────────────────────────
-      // Case 1: User already logged in with Google
-      // ─────────────────────────────────────────────────────────
-      let user = await User.findOne({ 
-        provider: 'google', 
-        providerId: googleId 
-      });
-      
-      if (user) {
-        // Update profile picture if changed
-        if (profile.photos && profile.photos[0]) {
-          user.profilePicture = profile.photos[0].value;
-          await user.save();
-        }
-        
-        console.log(`✅ Google OAuth: Existing user logged in - ${email}`);
-        return done(null, user);
-      }
-      
-      // ─────────────────────────────────────────────────────────
-      // Case 2: User exists with same email (link accounts)
-      // ─────────────────────────────────────────────────────────
-      /**
-       * Account Linking:
-       * ────────────────────────────────────────────────────────
-       * User signed up with email/password
-       * Now logging in with Google (same email)
-       * → Link Google account to existing account
-       */
-      user = await User.findOne({ email });
-      
-      if (user) {
-        // Link Google account
-        user.provider = 'google';
-        user.providerId = googleId;
-        user.isVerified = true; // Email verified by Google
-        
-        if (profile.photos && profile.photos[0]) {
-          user.profilePicture = profile.photos[0].value;
-        }
-        
-        await user.save();
-        
-        console.log(`✅ Google OAuth: Linked to existing account - ${email}`);
-        return done(null, user);
-      }
-      
-      // ─────────────────────────────────────────────────────────
-      // Case 3: New user - Create account
-      // ─────────────────────────────────────────────────────────
-      user = await User.create({
+      const user = await resolveOAuthUser(req, 'google', {
+        providerId: profile.id,
+        email: profile.emails[0].value,
         name: profile.displayName,
-        email,
-        provider: 'google',
-        providerId: googleId,
-        profilePicture: profile.photos?.[0]?.value || '',
-        isVerified: true, // Email already verified by Google
-        roles: ['user']
+        picture: profile.photos?.[0]?.value
       });
-      
-      console.log(`✅ Google OAuth: New user created - ${email}`);
+
       return done(null, user);
       
     } catch (error) {
@@ -182,9 +131,10 @@ passport.use(new GitHubStrategy({
     clientID: process.env.GITHUB_CLIENT_ID,
     clientSecret: process.env.GITHUB_CLIENT_SECRET,
     callbackURL: process.env.GITHUB_CALLBACK_URL || 'http://localhost:5000/api/auth/github/callback',
-    scope: ['user:email']
+    scope: ['user:email'],
+    passReqToCallback: true // Needed for link mode (req.oauthState)
   },
-  async (accessToken, refreshToken, profile, done) => {
+  async (req, accessToken, refreshToken, profile, done) => {
     try {
       /**
        * GitHub Email Handling
@@ -198,58 +148,13 @@ passport.use(new GitHubStrategy({
         return done(new Error('No email from GitHub. Please make your email public in GitHub settings.'), null);
       }
       
-      const githubId = profile.id;
-      
-      // ─────────────────────────────────────────────────────────
-      // Case 1: User already logged in with GitHub
-      // ─────────────────────────────────────────────────────────
-      let user = await User.findOne({
-        provider: 'github',
-        providerId: githubId
-      });
-      
-      if (user) {
-        // Update profile picture if changed
-        if (profile.photos && profile.photos[0]) {
-          user.profilePicture = profile.photos[0].value;
-          await user.save();
-        }
-        
-        console.log(`✅ GitHub OAuth: Existing user logged in - ${email}`);
-        return done(null, user);
-      }
-      
-      // ─────────────────────────────────────────────────────────
-      // Case 2: User exists with same email (link accounts)
-      // ─────────────────────────────────────────────────────────
-      user = await User.findOne({ email });
-      
-      if (user) {
-        // Link GitHub account
-        user.provider = 'github';
-        user.providerId = githubId;
-        user.isVerified = true; // Email verified by GitHub
-        user.profilePicture = profile.photos?.[0]?.value || user.profilePicture;
-        await user.save();
-        
-        console.log(`✅ GitHub OAuth: Linked to existing account - ${email}`);
-        return done(null, user);
-      }
-      
-      // ─────────────────────────────────────────────────────────
-      // Case 3: New user - Create account
-      // ─────────────────────────────────────────────────────────
-      user = await User.create({
-        name: profile.displayName || profile.username,
+      const user = await resolveOAuthUser(req, 'github', {
+        providerId: profile.id,
         email,
-        provider: 'github',
-        providerId: githubId,
-        profilePicture: profile.photos?.[0]?.value || '',
-        isVerified: true, // Email verified by GitHub
-        roles: ['user']
+        name: profile.displayName || profile.username,
+        picture: profile.photos?.[0]?.value
       });
-      
-      console.log(`✅ GitHub OAuth: New user created - ${email}`);
+
       return done(null, user);
       
     } catch (error) {
@@ -259,6 +164,149 @@ passport.use(new GitHubStrategy({
   }
 ));
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MICROSOFT OAUTH STRATEGY
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Microsoft Identity Platform Setup:
+ * ────────────────────────────────────────────────────────────────────────
+ * 1. Go to: Azure Portal → Microsoft Entra ID → App registrations
+ * 2. New registration:
+ *    - Supported account types: any org directory + personal accounts
+ *    - Redirect URI (Web):
+ *      http://localhost:5000/api/auth/microsoft/callback (dev)
+ *      https://yourapp.com/api/auth/microsoft/callback (prod)
+ * 3. Certificates & secrets → New client secret
+ * 4. Copy Application (client) ID and secret to .env
+ * 
+ * Environment:
+ * - MICROSOFT_CLIENT_ID, MICROSOFT_CLIENT_SECRET, MICROSOFT_CALLBACK_URL
+ * - MICROSOFT_TENANT (default: common)
+ * - MICROSOFT_AUTHORIZATION_URL, MICROSOFT_TOKEN_URL, MICROSOFT_API_URL (mock server)
+ * 
+ * Profile Data Received (Microsoft Graph /me):
+ * ────────────────────────────────────────────────────────────────────────
+ * - id: Microsoft user object ID
+ * - displayName: User's full name
+ * - emails: [{ value: mail or userPrincipalName }]
+ * - provider: 'microsoft'
+ * 
+ * Email is NOT treated as verified: with tenant 'common' any directory
+ * admin can set `mail`, and a UPN is just a sign-in name. New accounts
+ * stay unverified until the user confirms via POST /api/auth/verify/resend
+ */
+
+if (process.env.MICROSOFT_CLIENT_ID) {
+  passport.use(new MicrosoftStrategy({
+      clientID: process.env.MICROSOFT_CLIENT_ID,
+      clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+      callbackURL: process.env.MICROSOFT_CALLBACK_URL || 'http://localhost:5000/api/auth/microsoft/callback',
+      tenant: process.env.MICROSOFT_TENANT || 'common',
+      scope: ['user.read'],
+      addUPNAsEmail: true, // Work accounts often have no `mail`
+      ...(process.env.MICROSOFT_AUTHORIZATION_URL && { authorizationURL: process.env.MICROSOFT_AUTHORIZATION_URL }),
+      ...(process.env.MICROSOFT_TOKEN_URL && { tokenURL: process.env.MICROSOFT_TOKEN_URL }),
+      ...(process.env.MICROSOFT_API_URL && { apiEntryPoint: process.env.MICROSOFT_API_URL }),
+      passReqToCallback: true // Needed for link mode (req.oauthState)
+    },
+    async (req, accessToken, refreshToken, profile, done) => {
+      try {
+        const email = profile.emails?.[0]?.value;
+
+        if (!email) {
+          return done(new Error('No email from Microsoft account.'), null);
+        }
+
+        const user = await resolveOAuthUser(req, 'microsoft', {
+          providerId: profile.id,
+          email,
+          name: profile.displayName,
+          picture: null, // Graph photo needs a separate binary request
+          emailVerified: false
+        });
+
+        return done(null, user);
+
+      } catch (error) {
+        console.error('❌ Microsoft OAuth error:', error);
+        return done(error, null);
+      }
+    }
+  ));
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FACEBOOK OAUTH STRATEGY
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Facebook Login Setup:
+ * ────────────────────────────────────────────────────────────────────────
+ * 1. Go to: https://developers.facebook.com/apps → Create App (Consumer)
+ * 2. Add product: Facebook Login → Settings
+ * 3. Valid OAuth Redirect URIs:
+ *    http://localhost:5000/api/auth/facebook/callback (dev)
+ *    https://yourapp.com/api/auth/facebook/callback (prod)
+ * 4. Copy App ID and App Secret to .env
+ * 
+ * Environment:
+ * - FACEBOOK_CLIENT_ID, FACEBOOK_CLIENT_SECRET, FACEBOOK_CALLBACK_URL
+ * - FACEBOOK_AUTHORIZATION_URL, FACEBOOK_TOKEN_URL, FACEBOOK_PROFILE_URL (mock server)
+ * 
+ * Profile Data Received:
+ * ────────────────────────────────────────────────────────────────────────
+ * - id: App-scoped Facebook user ID
+ * - displayName: User's name
+ * - emails: Only if the user has a confirmed email and granted `email`
+ * - photos: Profile picture URL
+ * - provider: 'facebook'
+ */
+
+if (process.env.FACEBOOK_CLIENT_ID) {
+  passport.use(new FacebookStrategy({
+      clientID: process.env.FACEBOOK_CLIENT_ID,
+      clientSecret: process.env.FACEBOOK_CLIENT_SECRET,
+      callbackURL: process.env.FACEBOOK_CALLBACK_URL || 'http://localhost:5000/api/auth/facebook/callback',
+      scope: ['email'],
+      profileFields: ['id', 'displayName', 'emails', 'photos'],
+      enableProof: true, // appsecret_proof on Graph API calls
+      ...(process.env.FACEBOOK_AUTHORIZATION_URL && { authorizationURL: process.env.FACEBOOK_AUTHORIZATION_URL }),
+      ...(process.env.FACEBOOK_TOKEN_URL && { tokenURL: process.env.FACEBOOK_TOKEN_URL }),
+      ...(process.env.FACEBOOK_PROFILE_URL && { profileURL: process.env.FACEBOOK_PROFILE_URL }),
+      passReqToCallback: true // Needed for link mode (req.oauthState)
+    },
+    async (req, accessToken, refreshToken, profile, done) => {
+      try {
+        /**
+         * Facebook Email Handling
+         * ──────────────────────────────────────────────────────────────────
+         * Phone-only accounts or users who decline the `email`
+         * permission come back without an email
+         */
+        const email = profile.emails?.[0]?.value;
+
+        if (!email) {
+          return done(new Error('No email from Facebook. Please allow email access.'), null);
+        }
+
+        const user = await resolveOAuthUser(req, 'facebook', {
+          providerId: profile.id,
+          email,
+          name: profile.displayName,
+          picture: profile.photos?.[0]?.value
+        });
+
+        return done(null, user);
+
+      } catch (error) {
+        console.error('❌ Facebook OAuth error:', error);
+        return done(error, null);
+      }
+    }
+  ));
+}
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * SERIALIZE/DESERIALIZE USER
@@ -0,0 +1,161 @@
+const { PERMISSIONS } = require('./roles');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ATTRIBUTE-BASED ACCESS CONTROL (ABAC) POLICIES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Declarative rules over four sets of attributes, evaluated by
+ * utils/policyEngine.js (authorize() middleware / GraphQL guard):
+ *
+ * - subject      id, email, roles, permissions, isVerified, isServicePrincipal
+ *                + User.attributes (region, teams, department, ...)
+ * - resource     type + the resource's own fields (ownerId, region, ...)
+ * - action       'read', 'update', 'delete', ...
+ * - environment  time, hour, minute, dayOfWeek (0 = Sunday), timezone, ip
+ *
+ * @file backend/config/policies.js
+ * @phase Phase 3.3 - RBAC
+ *
+ * Policy shape:
+ * {
+ *   id: 'unique-id',
+ *   description: 'Shown in explain results',
+ *   effect: 'allow' | 'deny',
+ *   actions: ['update'],          // '*' = any action
+ *   resources: ['post'],          // resource types, '*' = any
+ *   condition: { ... }            // optional, see below
+ * }
+ *
+ * Conditions:
+ * - { all: [cond, ...] }   every condition true
+ * - { any: [cond, ...] }   at least one true
+ * - { not: cond }
+ * - { attribute: 'resource.region', operator: 'equals', value: { attribute: 'subject.region' } }
+ *   value is a literal or { attribute } (compared against another attribute)
+ *
+ * Operators: equals, notEquals, in, notIn, contains, containsAny, gt, gte,
+ *            lt, lte, between ([min, max), numbers), exists, grants
+ *            (permission list grants value - wildcards + deny rules)
+ *
+ * Decision: any applicable deny → DENY; else any applicable allow → ALLOW;
+ *           nothing applicable → DENY (default)
+ */
+
+/**
+ * Attribute shortcuts used below
+ * ────────────────────────────────────────────────────────────────────────
+ */
+const isOwner = { attribute: 'resource.ownerId', operator: 'equals', value: { attribute: 'subject.id' } };
+
+const duringBusinessHours = {
+  all: [
+    { attribute: 'environment.dayOfWeek', operator: 'in', value: [1, 2, 3, 4, 5] },
+    { attribute: 'environment.hour', operator: 'between', value: [9, 17] }
+  ]
+};
+
+const POLICIES = [
+  /**
+   * OWNERS
+   * ────────────────────────────────────────────────────────────────────────
+   * Same rule as checkOwnership(): you can manage what you created
+   */
+  {
+    id: 'owner-manage-own',
+    description: 'Owners can read, update and delete their own resources',
+    effect: 'allow',
+    actions: ['read', 'update', 'delete'],
+    resources: ['*'],
+    condition: isOwner
+  },
+
+  /**
+   * USER PROFILES
+   * ────────────────────────────────────────────────────────────────────────
+   * Own profile, or anyone with read:users (moderator, admin)
+   */
+  {
+    id: 'read-user-profiles',
+    description: 'Users can read their own profile; read:users can read any',
+    effect: 'allow',
+    actions: ['read'],
+    resources: ['user'],
+    condition: {
+      any: [
+        { attribute: 'resource.id', operator: 'equals', value: { attribute: 'subject.id' } },
+        { attribute: 'subject.permissions', operator: 'grants', value: PERMISSIONS.READ_USERS }
+      ]
+    }
+  },
+
+  /**
+   * REGIONAL MODERATION
+   * ────────────────────────────────────────────────────────────────────────
+   * Moderators edit posts of their own region, Mon-Fri 9:00-17:00
+   * (POLICY_TIMEZONE). Outside those hours: admins only.
+   */
+  {
+    id: 'moderator-edit-regional-posts',
+    description: 'Moderators can edit posts in their own region during business hours',
+    effect: 'allow',
+    actions: ['update'],
+    resources: ['post'],
+    condition: {
+      all: [
+        { attribute: 'subject.roles', operator: 'contains', value: 'moderator' },
+        { attribute: 'subject.region', operator: 'exists', value: true },
+        { attribute: 'resource.region', operator: 'equals', value: { attribute: 'subject.region' } },
+        duringBusinessHours
+      ]
+    }
+  },
+
+  {
+    id: 'admin-edit-any-post',
+    description: 'Admins can edit any post at any time',
+    effect: 'allow',
+    actions: ['update'],
+    resources: ['post'],
+    condition: { attribute: 'subject.roles', operator: 'contains', value: 'admin' }
+  },
+
+  /**
+   * TEAM SHARING
+   * ────────────────────────────────────────────────────────────────────────
+   * Documents list the teams they are shared with (resource.sharedWithTeams);
+   * users list their teams in User.attributes.teams
+   */
+  {
+    id: 'team-shared-documents',
+    description: 'Users can read documents shared with one of their teams',
+    effect: 'allow',
+    actions: ['read'],
+    resources: ['document'],
+    condition: { attribute: 'resource.sharedWithTeams', operator: 'containsAny', value: { attribute: 'subject.teams' } }
+  },
+
+  /**
+   * UNVERIFIED ACCOUNTS
+   * ────────────────────────────────────────────────────────────────────────
+   * Deny wins over every allow above - even owners can't modify
+   * content until their email is verified
+   */
+  {
+    id: 'unverified-read-only',
+    description: 'Unverified accounts cannot create, update or delete anything',
+    effect: 'deny',
+    actions: ['create', 'update', 'delete'],
+    resources: ['*'],
+    condition: {
+      all: [
+        { attribute: 'subject.isServicePrincipal', operator: 'equals', value: false },
+        { attribute: 'subject.isVerified', operator: 'equals', value: false }
+      ]
+    }
+  }
+];
+
+module.exports = {
+  POLICIES
+};
@@ -194,12 +194,26 @@ const connectRedis = async () => {
         // ─────────────────────────────────────────────────────────────────
         // DEL: Delete key(s)
         // ─────────────────────────────────────────────────────────────────
-        // Usage: await redis.del('user:123')
+        // Usage: await redis.del('user:123')  or  redis.del(key1, key2)
         // Returns: Number of keys deleted
-        del: async (key) => {
-          const existed = store.has(key);
-          store.delete(key);
-          return existed ? 1 : 0;  // Redis returns count of deleted keys
+        del: async (...keys) => {
+          let deleted = 0;
+          keys.forEach((key) => {
+            if (store.delete(key)) deleted++;
+          });
+          return deleted;  // Redis returns count of deleted keys
+        },
+
+        // ─────────────────────────────────────────────────────────────────
+        // KEYS: Find keys matching a glob pattern
+        // ─────────────────────────────────────────────────────────────────
+        // Usage: await redis.keys('refresh_token:123:*')
+        // Returns: Array of matching keys
+        // Only '*' wildcard is supported (enough for our key patterns)
+        keys: async (pattern) => {
+          const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+          const regex = new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+          return Array.from(store.keys()).filter((key) => regex.test(key));
         },
 
         // ─────────────────────────────────────────────────────────────────
@@ -262,9 +276,11 @@ const connectRedis = async () => {
         store.set(key, value);
         return 'OK';
       },
-      del: async (key) => {
-        store.delete(key);
-        return 1;
+      del: async (...keys) => keys.filter((key) => store.delete(key)).length,
+      keys: async (pattern) => {
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        const regex = new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+        return Array.from(store.keys()).filter((key) => regex.test(key));
       },
       exists: async (key) => store.has(key) ? 1 : 0,
       quit: async () => {
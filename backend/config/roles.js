@@ -1,3 +1,5 @@
+const { isPermissionGranted } = require('../utils/permissions');
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * ROLE-BASED ACCESS CONTROL (RBAC) CONFIGURATION
@@ -9,8 +11,11 @@
  * @phase Phase 3.3 - RBAC
  *
  * Concepts:
- * - ROLE: Collection of permissions (user, moderator, admin)
+ * - ROLE: Collection of permissions (user, moderator, admin + custom roles
+ *         stored in MongoDB)
  * - PERMISSION: Specific action user can perform (delete:users, view:analytics)
+ *   Roles may also hold wildcards ('*:posts') and deny rules ('!ban:users'),
+ *   see utils/permissions.js
  * - HIERARCHY: admin > moderator > user
  */
 
@@ -19,10 +24,12 @@
  * ROLE DEFINITIONS
  * ═══════════════════════════════════════════════════════════════════════════
  *
- * Three-tier role system:
+ * Built-in three-tier role system:
  * - USER: Regular users (default)
  * - MODERATOR: Content moderators
  * - ADMIN: Full access
+ *
+ * Admins can add more roles at runtime (see DEFAULT ROLES below)
  */
 
 const ROLES = {
@@ -76,16 +83,21 @@ const PERMISSIONS = {
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
- * ROLE → PERMISSIONS MAPPING
+ * DEFAULT ROLES (SEED)
  * ═══════════════════════════════════════════════════════════════════════════
  *
+ * Roles live in MongoDB (models/Role.js) and can be changed at runtime
+ * through /api/admin/roles. These built-in roles are inserted on startup
+ * when missing (utils/roleStore.js) - existing ones are never overwritten,
+ * so edits made by admins survive restarts.
+ *
  * Permission inheritance:
  * - admin: All moderator permissions + admin-only permissions
  * - moderator: All user permissions + moderator permissions
  * - user: Basic permissions only
  */
 
-const ROLE_PERMISSIONS = {
+const DEFAULT_ROLES = [
   /**
    * USER ROLE
    * ────────────────────────────────────────────────────────────────────────
@@ -94,12 +106,18 @@ const ROLE_PERMISSIONS = {
    * - Create their own posts
    * - Update/delete their own posts
    */
-  [ROLES.USER]: [
-    PERMISSIONS.READ_POSTS,
-    PERMISSIONS.CREATE_POSTS,
-    PERMISSIONS.UPDATE_OWN_POSTS,
-    PERMISSIONS.DELETE_OWN_POSTS
-  ],
+  {
+    name: ROLES.USER,
+    description: 'Regular user (default)',
+    level: 1,
+    inherits: [],
+    permissions: [
+      PERMISSIONS.READ_POSTS,
+      PERMISSIONS.CREATE_POSTS,
+      PERMISSIONS.UPDATE_OWN_POSTS,
+      PERMISSIONS.DELETE_OWN_POSTS
+    ]
+  },
 
   /**
    * MODERATOR ROLE
@@ -111,17 +129,19 @@ const ROLE_PERMISSIONS = {
    * - Ban users
    * - Access admin panel
    */
-  [ROLES.MODERATOR]: [
-    // Inherit all user permissions
-    ...ROLE_PERMISSIONS[ROLES.USER],
-
-    // Moderator-specific permissions
-    PERMISSIONS.UPDATE_ANY_POST,
-    PERMISSIONS.DELETE_ANY_POST,
-    PERMISSIONS.READ_USERS,
-    PERMISSIONS.BAN_USERS,
-    PERMISSIONS.ACCESS_ADMIN
-  ],
+  {
+    name: ROLES.MODERATOR,
+    description: 'Content moderation',
+    level: 2,
+    inherits: [ROLES.USER],
+    permissions: [
+      PERMISSIONS.UPDATE_ANY_POST,
+      PERMISSIONS.DELETE_ANY_POST,
+      PERMISSIONS.READ_USERS,
+      PERMISSIONS.BAN_USERS,
+      PERMISSIONS.ACCESS_ADMIN
+    ]
+  },
 
   /**
    * ADMIN ROLE
@@ -134,40 +154,66 @@ const ROLE_PERMISSIONS = {
    * - View audit logs
    * - Manage settings
    */
-  [ROLES.ADMIN]: [
-    // Inherit all moderator permissions
-    ...ROLE_PERMISSIONS[ROLES.MODERATOR],
+  {
+    name: ROLES.ADMIN,
+    description: 'Full access',
+    level: 3,
+    inherits: [ROLES.MODERATOR],
+    permissions: [
+      PERMISSIONS.UPDATE_USERS,
+      PERMISSIONS.DELETE_USERS,
+      PERMISSIONS.VIEW_ROLES,
+      PERMISSIONS.ASSIGN_ROLES,
+      PERMISSIONS.MANAGE_ROLES,
+      PERMISSIONS.VIEW_ANALYTICS,
+      PERMISSIONS.VIEW_LOGS,
+      PERMISSIONS.MANAGE_SETTINGS
+    ]
+  }
+];
 
-    // Admin-only permissions
-    PERMISSIONS.UPDATE_USERS,
-    PERMISSIONS.DELETE_USERS,
-    PERMISSIONS.VIEW_ROLES,
-    PERMISSIONS.ASSIGN_ROLES,
-    PERMISSIONS.MANAGE_ROLES,
-    PERMISSIONS.VIEW_ANALYTICS,
-    PERMISSIONS.VIEW_LOGS,
-    PERMISSIONS.MANAGE_SETTINGS
-  ]
-};
+/**
+ * Resolved permissions of the DEFAULT roles (inheritance applied)
+ * ────────────────────────────────────────────────────────────────────────
+ * Reference only - the live mapping (including custom roles and admin
+ * edits) comes from the role store, see getRolePermissions()
+ */
+const ROLE_PERMISSIONS = DEFAULT_ROLES.reduce((mapping, role) => {
+  mapping[role.name] = [
+    ...new Set([
+      ...role.inherits.flatMap(parent => mapping[parent] || []),
+      ...role.permissions
+    ])
+  ];
+  return mapping;
+}, {});
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * HELPER FUNCTIONS
  * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Resolved from the role store (utils/roleStore.js): an in-memory copy
+ * of the roles collection, reloaded whenever a role changes. Before the
+ * store is initialized it serves DEFAULT_ROLES.
+ *
+ * Required lazily - roleStore itself requires this file
  */
 
+const getRoleStore = () => require('../utils/roleStore');
+
 /**
  * Get all permissions for a specific role
  *
- * @param {String} role - Role name (user, moderator, admin)
- * @returns {Array} - Array of permission strings
+ * @param {String} role - Role name (user, moderator, admin, custom...)
+ * @returns {Array} - Array of permission strings (inherited included)
  *
  * Example:
  * getRolePermissions('admin')
  * → ['read:posts', 'create:posts', ..., 'manage:settings']
  */
 const getRolePermissions = (role) => {
-  return ROLE_PERMISSIONS[role] || [];
+  return getRoleStore().resolvePermissions(role);
 };
 
 /**
@@ -210,8 +256,7 @@ const getPermissionsForRoles = (roles) => {
  * roleHasPermission('user', 'delete:users') → false
  */
 const roleHasPermission = (role, permission) => {
-  const permissions = getRolePermissions(role);
-  return permissions.includes(permission);
+  return isPermissionGranted(getRolePermissions(role), permission);
 };
 
 /**
@@ -226,9 +271,8 @@ const roleHasPermission = (role, permission) => {
  * (moderator has this permission)
  */
 const hasPermission = (roles, permission) => {
-  if (!Array.isArray(roles)) roles = [roles];
-
-  return roles.some(role => roleHasPermission(role, permission));
+  // Evaluated on the union so a deny rule in one role wins over a grant in another
+  return isPermissionGranted(getPermissionsForRoles(roles), permission);
 };
 
 /**
@@ -237,19 +281,14 @@ const hasPermission = (roles, permission) => {
  * @param {String} role - Role name
  * @returns {Number} - Hierarchy level (higher = more powerful)
  *
- * Levels:
+ * Levels (defaults, custom roles pick their own 1-100):
  * - user: 1
  * - moderator: 2
  * - admin: 3
+ * - unknown role: 0
  */
 const getRoleLevel = (role) => {
-  const levels = {
-    [ROLES.USER]: 1,
-    [ROLES.MODERATOR]: 2,
-    [ROLES.ADMIN]: 3
-  };
-
-  return levels[role] || 0;
+  return getRoleStore().getRole(role)?.level || 0;
 };
 
 /**
@@ -277,6 +316,7 @@ const isHigherRole = (roleA, roleB) => {
 module.exports = {
   ROLES,
   PERMISSIONS,
+  DEFAULT_ROLES,
   ROLE_PERMISSIONS,
   getRolePermissions,
   getPermissionsForRoles,
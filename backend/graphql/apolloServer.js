@@ -1,5 +1,6 @@
 const { ApolloServer } = require('apollo-server-express');
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken, isAccessTokenRevoked } = require('../utils/tokens');
+const { getAccessTokenFromRequest } = require('../utils/authCookies');
 
 const typeDefs = require('./typeDefs');
 const resolvers = require('./resolvers');
@@ -22,19 +23,24 @@ const createApolloServer = () => {
 
     // Context: Runs on every request
     // Makes authenticated user available to all resolvers
-    context: ({ req }) => {
-      // Extract JWT token from Authorization header
-      const token = req.headers.authorization || '';
+    context: async ({ req, res }) => {
+      // Extract JWT token from Authorization header (or HttpOnly cookie)
+      const token = getAccessTokenFromRequest(req);
 
       // Verify and decode token
       let user = null;
+      let accessToken = null;
       if (token) {
         try {
-          const decoded = jwt.verify(
-            token.replace('Bearer ', ''),
-            process.env.JWT_ACCESS_SECRET
-          );
-          user = decoded; // { userId, email, roles }
+          const decoded = await verifyAccessToken(token);
+
+          // Revoked tokens (denylist) are treated as anonymous
+          if (await isAccessTokenRevoked(decoded, token)) {
+            console.log('Invalid token: revoked');
+          } else {
+            user = decoded; // { userId, email, roles, jti }
+            accessToken = token;
+          }
         } catch (err) {
           // Invalid token - user remains null
           console.log('Invalid token:', err.message);
@@ -43,8 +49,10 @@ const createApolloServer = () => {
 
       // Return context object (available in all resolvers via context parameter)
       return {
-        user,  // Authenticated user or null
-        req    // Express request object
+        user,               // Authenticated user or null
+        token: accessToken, // Raw access token (for logout revocation)
+        req,                // Express request object
+        res                 // Express response object (cookies)
       };
     },
 
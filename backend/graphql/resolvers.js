@@ -1,7 +1,33 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const { AuthenticationError, UserInputError, ForbiddenError } = require('apollo-server-express');
-const { getRedisClient } = require('../config/redis');
+const {
+  assertActive,
+  generateAccessToken,
+  revokeAccessToken,
+  revokeAllAccessTokens,
+  generateRefreshToken,
+  verifyRefreshToken,
+  decodeRefreshToken,
+  rotateRefreshToken,
+  invalidateRefreshToken,
+  invalidateAllRefreshTokens,
+  getAuthContext
+} = require('../utils/tokens');
+const { generateMfaChallengeToken, getMfaMethods, verifyMfaChallenge } = require('../utils/twoFactor');
+const { clearAuthCookies } = require('../utils/authCookies');
+const { requestMagicLink, verifyMagicLink } = require('../utils/magicLink');
+const { trustDevice, isTrustedDevice, revokeAllTrustedDevices } = require('../utils/trustedDevices');
+const { PERMISSIONS } = require('../config/roles');
+const { authorizeUser, buildResource } = require('../utils/policyEngine');
+const { setUserRoles, grantUserPermission, revokeUserPermission } = require('../utils/userAccess');
+const {
+  AMR,
+  createAuthContext,
+  createMfaAuthContext,
+  checkRecentAuth,
+  createReauthGraphQLError
+} = require('../utils/reauth');
 
 /**
  * GraphQL Resolvers
@@ -9,42 +35,23 @@ const { getRedisClient } = require('../config/redis');
  * Implement the logic for each query and mutation defined in the schema
  */
 
+// Helper: Device info stored with the refresh token (active sessions list)
+const getDeviceInfo = (context) => ({
+  userAgent: context.req?.headers['user-agent'],
+  ip: context.req?.ip
+});
+
 // Helper: Generate JWT tokens
-const generateTokens = (user) => {
-  const accessToken = jwt.sign(
-    {
-      userId: user._id,
-      email: user.email,
-      roles: user.roles
-    },
-    process.env.JWT_ACCESS_SECRET,
-    { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
-  );
-
-  const refreshToken = jwt.sign(
-    {
-      userId: user._id,
-      type: 'refresh'
-    },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d' }
-  );
+// auth = { authTime, amr } of this login (createAuthContext)
+// Same tokens as the REST API: refresh tokens are stored per tokenId,
+// so logout-all, password reset and deactivation revoke them too
+const generateTokens = async (user, auth, context) => {
+  const accessToken = generateAccessToken(user, auth);
+  const refreshToken = await generateRefreshToken(user, getDeviceInfo(context), null, null, auth);
 
   return { accessToken, refreshToken };
 };
 
-// Helper: Store refresh token in Redis
-const storeRefreshToken = async (userId, refreshToken) => {
-  try {
-    const redis = getRedisClient();
-    const key = `refresh_token:${userId}`;
-    // Store for 7 days
-    await redis.set(key, refreshToken, 'EX', 7 * 24 * 60 * 60);
-  } catch (error) {
-    console.error('Error storing refresh token:', error);
-  }
-};
-
 // Helper: Check if user is authenticated
 const requireAuth = (context) => {
   if (!context.user) {
@@ -53,18 +60,82 @@ const requireAuth = (context) => {
   return context.user;
 };
 
-// Helper: Check if user has specific role
-const requireRole = (context, roles) => {
+// Helper: Check the login is recent enough for a sensitive operation
+// Stale → REAUTHENTICATION_REQUIRED (client calls POST /api/auth/reauthenticate)
+const requireRecentAuth = (context, maxAge, factors) => {
   const user = requireAuth(context);
-  const hasRole = roles.some(role => user.roles.includes(role));
+  const details = checkRecentAuth(user, maxAge, factors);
+
+  if (details) {
+    throw createReauthGraphQLError(details);
+  }
+
+  return user;
+};
 
-  if (!hasRole) {
+// Helper: Check if user has one of the permissions
+// Same evaluation as REST requirePermission (wildcards, deny rules):
+// permissions aren't in the token, so they come from the User document
+const requirePermission = async (context, permission) => {
+  const user = requireAuth(context);
+  const account = await User.findById(user.userId);
+
+  if (!account || !account.hasAnyPermission(permission)) {
     throw new ForbiddenError('Insufficient permissions');
   }
 
   return user;
 };
 
+// Helper: Check an action on a resource against the access policies
+// Same engine as the REST authorize() middleware (config/policies.js)
+const authorize = async (context, action, resource) => {
+  const user = requireAuth(context);
+  const account = await User.findById(user.userId);
+
+  if (!account) {
+    throw new AuthenticationError('You must be logged in');
+  }
+
+  const decision = authorizeUser(account, action, resource, context.req);
+
+  if (!decision.allowed) {
+    throw new ForbiddenError(`You are not allowed to ${action} this ${resource.type}`, {
+      policy: decision.policy
+    });
+  }
+
+  return decision;
+};
+
+// Helper: Change another user's roles/permissions via utils/userAccess.js
+// Same rules and audit trail as the REST admin routes
+const changeUserAccess = async (context, userId, change) => {
+  requireRecentAuth(context);
+  const user = await requirePermission(context, PERMISSIONS.ASSIGN_ROLES);
+
+  const [actor, target] = await Promise.all([
+    User.findById(user.userId),
+    mongoose.isValidObjectId(userId) ? User.findById(userId) : null
+  ]);
+
+  if (!target) {
+    throw new UserInputError('User not found');
+  }
+
+  try {
+    return await change(actor, target, { req: context.req, source: 'graphql' });
+  } catch (error) {
+    if (error.status === 403) {
+      throw new ForbiddenError(error.message);
+    }
+    if (error.status) {
+      throw new UserInputError(error.message);
+    }
+    throw error;
+  }
+};
+
 const resolvers = {
   // Custom scalar for DateTime
   DateTime: {
@@ -84,21 +155,23 @@ const resolvers = {
       return await User.findById(user.userId);
     },
 
-    // Get user by ID (admin only)
+    // Get user by ID (own profile, or read:users - policy read-user-profiles)
     user: async (parent, { id }, context) => {
-      requireRole(context, ['admin']);
+      requireAuth(context);
       const user = await User.findById(id);
 
       if (!user) {
         throw new UserInputError('User not found');
       }
 
+      await authorize(context, 'read', buildResource('user', user));
+
       return user;
     },
 
-    // Get all users (admin only)
+    // Get all users (requires read:users)
     users: async (parent, { limit = 10, offset = 0 }, context) => {
-      requireRole(context, ['admin']);
+      await requirePermission(context, PERMISSIONS.READ_USERS);
       return await User.find()
         .skip(offset)
         .limit(limit)
@@ -109,7 +182,7 @@ const resolvers = {
   // ========== MUTATIONS ==========
   Mutation: {
     // Signup
-    signup: async (parent, { name, email, password }) => {
+    signup: async (parent, { name, email, password }, context) => {
       try {
         // Check if user already exists
         const existingUser = await User.findOne({ email });
@@ -130,10 +203,7 @@ const resolvers = {
         });
 
         // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user);
-
-        // Store refresh token
-        await storeRefreshToken(user._id, refreshToken);
+        const { accessToken, refreshToken } = await generateTokens(user, createAuthContext(AMR.PASSWORD), context);
 
         return {
           success: true,
@@ -151,16 +221,102 @@ const resolvers = {
     },
 
     // Login
-    login: async (parent, { email, password }) => {
+    login: async (parent, { email, password }, context) => {
       try {
         // Find user and verify credentials
         const user = await User.findByCredentials(email, password);
 
+        // 2FA enabled - return challenge instead of tokens (unless trusted device)
+        if (user.twoFactorEnabled && !await isTrustedDevice(user, context.req)) {
+          const mfaToken = await generateMfaChallengeToken(user);
+
+          return {
+            success: true,
+            message: 'Two-factor authentication required',
+            mfaRequired: true,
+            mfaToken,
+            mfaMethods: await getMfaMethods(user)
+          };
+        }
+
+        // Generate tokens
+        const { accessToken, refreshToken } = await generateTokens(user, createAuthContext(AMR.PASSWORD), context);
+
+        return {
+          success: true,
+          message: 'Login successful!',
+          accessToken,
+          refreshToken,
+          user
+        };
+      } catch (error) {
+        throw new AuthenticationError(error.message);
+      }
+    },
+
+    // Complete login with second factor (Phase 4B)
+    verifyMfaLogin: async (parent, { mfaToken, code, rememberDevice }, context) => {
+      try {
+        const { user, method, firstFactor } = await verifyMfaChallenge(mfaToken, code);
+
+        // Skip 2FA on this browser next time
+        if (rememberDevice) {
+          await trustDevice(user, context.req, context.res);
+        }
+
         // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user);
+        const { accessToken, refreshToken } = await generateTokens(user, createMfaAuthContext(firstFactor, method), context);
+
+        return {
+          success: true,
+          message: 'Login successful!',
+          accessToken,
+          refreshToken,
+          user
+        };
+      } catch (error) {
+        throw new AuthenticationError(error.message);
+      }
+    },
+
+    // Email a passwordless login link (Phase 4)
+    requestMagicLink: async (parent, { email }, context) => {
+      try {
+        await requestMagicLink(email, context.res);
+
+        // Same answer whether or not the account exists
+        return {
+          success: true,
+          message: 'If that email belongs to an account, a login link has been sent.'
+        };
+      } catch (error) {
+        if (error.status === 429) {
+          throw new UserInputError(error.message);
+        }
+        throw new Error('Magic link request failed: ' + error.message);
+      }
+    },
 
-        // Store refresh token
-        await storeRefreshToken(user._id, refreshToken);
+    // Log in with a magic link (Phase 4)
+    verifyMagicLink: async (parent, { token, email }, context) => {
+      try {
+        const user = await verifyMagicLink(token, context.req, context.res, email);
+
+        // 2FA enabled - return challenge instead of tokens (unless trusted device)
+        if (user.twoFactorEnabled && !await isTrustedDevice(user, context.req)) {
+          const mfaToken = await generateMfaChallengeToken(user, AMR.EMAIL);
+
+          return {
+            success: true,
+            message: 'Two-factor authentication required',
+            mfaRequired: true,
+            mfaToken,
+            mfaMethods: await getMfaMethods(user)
+          };
+        }
+
+        // Generate tokens
+        const { accessToken, refreshToken } = await generateTokens(user, createAuthContext(AMR.EMAIL), context);
 
         return {
           success: true,
@@ -175,13 +331,19 @@ const resolvers = {
     },
 
     // Logout
-    logout: async (parent, args, context) => {
+    logout: async (parent, { refreshToken }, context) => {
       try {
         const user = requireAuth(context);
 
-        // Remove refresh token from Redis
-        const redis = getRedisClient();
-        await redis.del(`refresh_token:${user.userId}`);
+        // Invalidate this session's refresh token (if the client sent it)
+        const decoded = refreshToken && decodeRefreshToken(refreshToken);
+        if (decoded?.tokenId) {
+          await invalidateRefreshToken(user.userId, decoded.tokenId);
+        }
+
+        // Revoke the access token used for this request
+        await revokeAccessToken(user, context.token, 'logout');
+        clearAuthCookies(context.res);
 
         return {
           success: true,
@@ -192,22 +354,15 @@ const resolvers = {
       }
     },
 
-    // Refresh access token
-    refreshToken: async (parent, { refreshToken }) => {
+    // Refresh access token (rotation + reuse detection, same as REST /refresh)
+    refreshToken: async (parent, { refreshToken }, context) => {
       try {
-        // Verify refresh token
-        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+        // Signature, type, Redis entry, revoked family
+        const decoded = await verifyRefreshToken(refreshToken);
 
-        if (decoded.type !== 'refresh') {
-          throw new AuthenticationError('Invalid token type');
-        }
-
-        // Check if token exists in Redis
-        const redis = getRedisClient();
-        const storedToken = await redis.get(`refresh_token:${decoded.userId}`);
-
-        if (!storedToken || storedToken !== refreshToken) {
-          throw new AuthenticationError('Invalid or expired refresh token');
+        // Tokens issued to OAuth clients are refreshed via /oauth/token only
+        if (decoded.clientId) {
+          throw new AuthenticationError('Invalid refresh token');
         }
 
         // Get user
@@ -216,20 +371,18 @@ const resolvers = {
           throw new AuthenticationError('User not found');
         }
 
-        // Generate new access token
-        const accessToken = jwt.sign(
-          {
-            userId: user._id,
-            email: user.email,
-            roles: user.roles
-          },
-          process.env.JWT_ACCESS_SECRET,
-          { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
-        );
+        assertActive(user);
+
+        // Rotate first - a replayed or raced token revokes the family
+        const newRefreshToken = await rotateRefreshToken(decoded, user, getDeviceInfo(context));
+
+        // New access token keeps the login's auth_time/amr
+        const accessToken = generateAccessToken(user, getAuthContext(decoded));
 
         return {
           success: true,
-          accessToken
+          accessToken,
+          refreshToken: newRefreshToken
         };
       } catch (error) {
         throw new AuthenticationError('Token refresh failed: ' + error.message);
@@ -260,7 +413,7 @@ const resolvers = {
 
     // Change password
     changePassword: async (parent, { currentPassword, newPassword }, context) => {
-      const user = requireAuth(context);
+      const user = requireRecentAuth(context);
 
       // Get user with password
       const userDoc = await User.findById(user.userId).select('+password');
@@ -282,30 +435,50 @@ const resolvers = {
 
       // Update password (will be hashed by pre-save hook)
       userDoc.password = newPassword;
+      userDoc.lastPasswordChange = Date.now();
       await userDoc.save();
 
+      // Same as a password reset: every session (this one included)
+      // and every trusted device must sign in again
+      await invalidateAllRefreshTokens(userDoc._id);
+      await revokeAllAccessTokens(userDoc._id, 'password_changed');
+      await revokeAllTrustedDevices(userDoc._id, 'password_changed');
+
       return {
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully. Please login again.'
       };
     },
 
     // Delete account
     deleteAccount: async (parent, args, context) => {
-      const user = requireAuth(context);
+      const user = requireRecentAuth(context);
 
       // Delete user
       await User.findByIdAndDelete(user.userId);
 
-      // Remove refresh token
-      const redis = getRedisClient();
-      await redis.del(`refresh_token:${user.userId}`);
+      // Revoke refresh + live access tokens (REST + GraphQL)
+      await invalidateAllRefreshTokens(user.userId);
+      await revokeAllAccessTokens(user.userId, 'account_deleted');
 
       return {
         success: true,
         message: 'Account deleted successfully'
       };
-    }
+    },
+
+    // Access management (assign:roles)
+    assignRoles: (parent, { userId, roles }, context) =>
+      changeUserAccess(context, userId, (actor, target, options) =>
+        setUserRoles(actor, target, roles, options)),
+
+    grantPermission: (parent, { userId, permission }, context) =>
+      changeUserAccess(context, userId, (actor, target, options) =>
+        grantUserPermission(actor, target, permission, options)),
+
+    revokePermission: (parent, { userId, permission }, context) =>
+      changeUserAccess(context, userId, (actor, target, options) =>
+        revokeUserPermission(actor, target, permission, options))
   }
 };
 
@@ -19,6 +19,8 @@ const typeDefs = gql`
     name: String!
     email: String!
     roles: [String!]!
+    # Custom permissions on top of the roles (e.g. '!delete:users' denies)
+    permissions: [String!]!
     isVerified: Boolean!
     profilePicture: String
     bio: String
@@ -34,6 +36,10 @@ const typeDefs = gql`
     accessToken: String
     refreshToken: String
     user: User
+    # Two-factor challenge (Phase 4B) - set when tokens are withheld
+    mfaRequired: Boolean
+    mfaToken: String
+    mfaMethods: [String!]
   }
 
   # Generic response type
@@ -42,10 +48,11 @@ const typeDefs = gql`
     message: String!
   }
 
-  # Token refresh payload
+  # Token refresh payload (refresh tokens rotate - store the new one)
   type TokenPayload {
     success: Boolean!
     accessToken: String!
+    refreshToken: String!
   }
 
   # ========== QUERIES (Read operations) ==========
@@ -53,10 +60,10 @@ const typeDefs = gql`
     # Get current user (requires authentication)
     me: User
 
-    # Get user by ID (admin only)
+    # Get user by ID (own profile, or requires read:users permission)
     user(id: ID!): User
 
-    # Get all users (admin only)
+    # Get all users (requires read:users permission)
     users(limit: Int, offset: Int): [User!]!
 
     # Health check
@@ -77,7 +84,25 @@ const typeDefs = gql`
       password: String!
     ): AuthPayload!
 
-    logout: Response!
+    # Complete login with TOTP or recovery code (Phase 4B)
+    # rememberDevice: skip 2FA on this browser for a while
+    verifyMfaLogin(
+      mfaToken: String!
+      code: String!
+      rememberDevice: Boolean
+    ): AuthPayload!
+
+    # Passwordless login link by email (Phase 4)
+    requestMagicLink(email: String!): Response!
+
+    # Redeem a magic link; email only when opened in another browser
+    verifyMagicLink(
+      token: String!
+      email: String
+    ): AuthPayload!
+
+    # refreshToken: invalidate this session's refresh token too
+    logout(refreshToken: String): Response!
 
     refreshToken(refreshToken: String!): TokenPayload!
 
@@ -94,6 +119,14 @@ const typeDefs = gql`
     ): Response!
 
     deleteAccount: Response!
+
+    # Access management (requires assign:roles + recent login, audited)
+    # Replace all roles of a user
+    assignRoles(userId: ID!, roles: [String!]!): User!
+
+    # Add / remove a custom permission
+    grantPermission(userId: ID!, permission: String!): User!
+    revokePermission(userId: ID!, permission: String!): User!
   }
 
   # ========== SUBSCRIPTIONS (Real-time - Optional) ==========
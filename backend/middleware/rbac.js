@@ -1,6 +1,17 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const OAuthClient = require('../models/OAuthClient');
+const { verifyAccessToken, isAccessTokenRevoked } = require('../utils/tokens');
+const { verifyServiceAccessToken, parseScope } = require('../utils/oidc');
+const { getAccessTokenFromRequest } = require('../utils/authCookies');
 const { ROLES, PERMISSIONS } = require('../config/roles');
+const { checkRecentAuth, DEFAULT_REAUTH_MAX_AGE } = require('../utils/reauth');
+const {
+  isPermissionGranted,
+  hasAnyGrantedPermission,
+  hasAllGrantedPermissions
+} = require('../utils/permissions');
+const { authorizeUser, buildResource } = require('../utils/policyEngine');
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -13,13 +24,73 @@ const { ROLES, PERMISSIONS } = require('../config/roles');
  * @phase Phase 3.3 - RBAC
  * 
  * Middleware:
- * - authenticate: Verify JWT and attach user to request
+ * - authenticate: Verify JWT and attach user (or service principal) to request
+ * - requireUser: Reject service principals on routes that need a human user
  * - requireRole: Check if user has required role
  * - requirePermission: Check if user has required permission
  * - requireAdmin: Shorthand for admin-only routes
+ * - requireRecentAuth: Step-up - login/reauthentication must be recent
  * - checkOwnership: Verify user owns resource OR has override permission
  */
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SERVICE PRINCIPAL
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Stand-in for req.user when a service client (client credentials grant)
+ * calls the API - batch jobs and internal services have no User
+ * 
+ * Mirrors the User permission/role methods so existing middleware works:
+ * - Permissions = scopes granted in the token (still granted to the client)
+ * - No roles → requireRole / requireAdmin always deny
+ * 
+ * @param {Object} client - OAuthClient document
+ * @param {Array} scopes - Effective scopes
+ * @returns {Object}
+ */
+
+const createServicePrincipal = (client, scopes) => ({
+  _id: client._id,
+  isServicePrincipal: true,
+  clientId: client.clientId,
+  name: client.name,
+  roles: [],
+  scopes,
+  
+  getPermissions: () => scopes,
+  hasPermission: (permission) => isPermissionGranted(scopes, permission),
+  hasAnyPermission: (permissions) => hasAnyGrantedPermission(scopes, permissions),
+  hasAllPermissions: (permissions) => hasAllGrantedPermissions(scopes, permissions),
+  hasRole: () => false,
+  hasAnyRole: () => false,
+  isAdmin: () => false,
+  isModerator: () => false
+});
+
+/**
+ * Resolve a verified service client token to a service principal
+ * @param {Object} decoded - Verified JWT payload (type 'service')
+ * @returns {Promise<Object|null>} - Service principal, or null if client is gone/disabled
+ */
+
+const loadServicePrincipal = async (decoded) => {
+  const client = await OAuthClient.findOne({
+    clientId: decoded.client_id,
+    isActive: true,
+    grantTypes: 'client_credentials'
+  });
+  
+  if (!client) return null;
+  
+  // Scopes removed from the client since issuance stop working immediately
+  const scopes = parseScope(decoded.scope).filter(
+    scope => client.serviceScopes.includes(scope)
+  );
+  
+  return createServicePrincipal(client, scopes);
+};
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * MIDDLEWARE: AUTHENTICATE
@@ -28,11 +99,14 @@ const { ROLES, PERMISSIONS } = require('../config/roles');
  * Verifies JWT token and attaches user to request
  * 
  * Flow:
- * 1. Extract token from Authorization header
+ * 1. Extract token from Authorization header (or kta_access cookie)
  * 2. Verify JWT signature and expiration
  * 3. Get user from database
  * 4. Attach user to req.user
  * 
+ * Service client tokens (client credentials grant) attach a service
+ * principal instead - check req.user.isServicePrincipal if it matters
+ * 
  * Usage:
  * router.get('/profile', authenticate, (req, res) => {
  *   res.json(req.user); // User is available!
@@ -42,23 +116,25 @@ const { ROLES, PERMISSIONS } = require('../config/roles');
 const authenticate = async (req, res, next) => {
   try {
     // ─────────────────────────────────────────────────────────
-    // 1. Get token from header
+    // 1. Get token from header (or HttpOnly cookie in cookie mode)
     // ─────────────────────────────────────────────────────────
-    const authHeader = req.headers.authorization;
+    const token = getAccessTokenFromRequest(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!token) {
       return res.status(401).json({
         success: false,
         message: 'No token provided. Please login.'
       });
     }
     
-    const token = authHeader.replace('Bearer ', '');
-    
     // ─────────────────────────────────────────────────────────
-    // 2. Verify token
+    // 2. Verify token (asymmetric signature, looked up by kid)
     // ─────────────────────────────────────────────────────────
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    // Service clients (machine-to-machine) carry type 'service'
+    const isServiceToken = jwt.decode(token)?.type === 'service';
+    const decoded = isServiceToken
+      ? await verifyServiceAccessToken(token)
+      : await verifyAccessToken(token);
     
     /**
      * Decoded token contains:
@@ -67,11 +143,42 @@ const authenticate = async (req, res, next) => {
      *   email: "user@example.com",
      *   roles: ["user"],
      *   type: "access",
+     *   jti: "9f2c...",
      *   iat: ...,
      *   exp: ...
      * }
      */
     
+    // ─────────────────────────────────────────────────────────
+    // 2b. Reject revoked tokens (denylist)
+    // ─────────────────────────────────────────────────────────
+    if (await isAccessTokenRevoked(decoded, token)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked. Please login again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+    
+    // ─────────────────────────────────────────────────────────
+    // 2c. Service client → service principal (no user)
+    // ─────────────────────────────────────────────────────────
+    if (isServiceToken) {
+      const principal = await loadServicePrincipal(decoded);
+      
+      if (!principal) {
+        return res.status(401).json({
+          success: false,
+          message: 'Client not found or disabled',
+          code: 'INVALID_TOKEN'
+        });
+      }
+      
+      req.user = principal;
+      req.auth = { token, payload: decoded };
+      return next();
+    }
+    
     // ─────────────────────────────────────────────────────────
     // 3. Get user from database (with roles & permissions)
     // ─────────────────────────────────────────────────────────
@@ -84,6 +191,14 @@ const authenticate = async (req, res, next) => {
       });
     }
     
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Contact your administrator.',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+    
     // ─────────────────────────────────────────────────────────
     // 4. Attach user to request
     // ─────────────────────────────────────────────────────────
@@ -95,6 +210,9 @@ const authenticate = async (req, res, next) => {
      * - user.isAdmin()
      */
     req.user = user;
+    
+    // Raw token + claims (logout revokes this exact token)
+    req.auth = { token, payload: decoded };
     next();
     
   } catch (error) {
@@ -210,6 +328,14 @@ const requireRole = (roles) => {
  * - More fine-grained control
  * - Easier to understand intent
  * - Can grant specific permissions to specific users
+ * 
+ * Matching (utils/permissions.js):
+ * - Granted wildcards cover concrete permissions ('*:posts' → 'delete:posts')
+ * - Resource paths: 'org:123:*' → 'org:123:billing:read'
+ * - Deny rules ('!delete:users') override every grant
+ * 
+ * Service principals are checked against the scopes granted
+ * to the client, not User.getPermissions()
  */
 
 const requirePermission = (permission) => {
@@ -224,6 +350,20 @@ const requirePermission = (permission) => {
       });
     }
     
+    // Service client: token scopes are its permissions
+    if (req.user.isServicePrincipal) {
+      if (!req.user.hasAnyPermission(permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Required scope: ${permission.join(' or ')}`,
+          requiredPermissions: permission,
+          grantedScopes: req.user.scopes
+        });
+      }
+      
+      return next();
+    }
+    
     // Check if user has any of the required permissions
     const hasPermission = req.user.hasAnyPermission(permission);
     
@@ -390,6 +530,104 @@ const checkOwnership = (Model, overridePermission) => {
   };
 };
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MIDDLEWARE: AUTHORIZE (ATTRIBUTE-BASED POLICIES)
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Checks an action on a resource against config/policies.js
+ * (subject, resource, action and environment attributes)
+ * 
+ * @param {String} action - e.g. 'read', 'update', 'delete'
+ * @param {String|Function} resource - Model name (loaded by req.params.id,
+ *        type = lowercased name) or async (req) => ({ type, ...attributes })
+ *        returning null when not found
+ * @returns {Function} - Middleware function
+ * 
+ * Usage:
+ * // Moderators edit posts of their region during business hours
+ * router.put('/posts/:id',
+ *   authenticate,
+ *   authorize('update', 'Post'),
+ *   updatePost
+ * );
+ * 
+ * // Resource that isn't a model
+ * router.get('/documents/:id',
+ *   authenticate,
+ *   authorize('read', async (req) => ({ type: 'document', ...await loadDocument(req.params.id) })),
+ *   getDocument
+ * );
+ * 
+ * Sets req.resource (loaded document or attributes) and
+ * req.authorization (decision, see utils/policyEngine.js)
+ * Denied → 403 POLICY_DENIED
+ * 
+ * checkOwnership() is the single "owner OR override permission" rule;
+ * authorize() covers it (policy owner-manage-own) and everything else
+ */
+
+const authorize = (action, resource) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+      
+      // ─────────────────────────────────────────────────────────
+      // 1. Load resource attributes
+      // ─────────────────────────────────────────────────────────
+      let type;
+      let data;
+      
+      if (typeof resource === 'function') {
+        data = await resource(req);
+        type = data?.type;
+      } else {
+        const ResourceModel = require(`../models/${resource}`);
+        data = await ResourceModel.findById(req.params.id);
+        type = resource.toLowerCase();
+      }
+      
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Resource not found'
+        });
+      }
+      
+      // ─────────────────────────────────────────────────────────
+      // 2. Evaluate policies
+      // ─────────────────────────────────────────────────────────
+      const decision = authorizeUser(req.user, action, buildResource(type, data), req);
+      
+      if (!decision.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: `You are not allowed to ${action} this ${type}`,
+          code: 'POLICY_DENIED',
+          policy: decision.policy
+        });
+      }
+      
+      req.resource = data;
+      req.authorization = decision;
+      
+      next();
+      
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking authorization'
+      });
+    }
+  };
+};
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * OPTIONAL: MIDDLEWARE - REQUIRE EMAIL VERIFIED
@@ -432,12 +670,106 @@ const requireVerified = () => {
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MIDDLEWARE: REQUIRE USER
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Rejects service principals (client credentials tokens)
+ * 
+ * Usage:
+ * // Account/session routes only make sense for a human user
+ * router.use(authenticate, requireUser);
+ */
+
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+  
+  if (req.user.isServicePrincipal) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint requires a user account',
+      code: 'USER_REQUIRED'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MIDDLEWARE: REQUIRE RECENT AUTH
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Step-up authentication for sensitive operations: the access token's
+ * auth_time must be recent and its amr must include one of the factors
+ * (see utils/reauth.js)
+ * 
+ * @param {Number} maxAge - Seconds since login/reauthentication (default 5 min)
+ * @param {Array} factors - AMR values, any one is enough (default: any method)
+ * 
+ * Usage:
+ * router.delete('/users/:id',
+ *   authenticate,
+ *   requireRecentAuth(5 * 60),
+ *   handler
+ * );
+ * 
+ * // Only after a second factor
+ * requireRecentAuth(5 * 60, ['otp', 'hwk'])
+ * 
+ * Stale session → 401 REAUTHENTICATION_REQUIRED (+ maxAge, factors)
+ * Frontend calls POST /api/auth/reauthenticate, then retries
+ */
+
+const requireRecentAuth = (maxAge = DEFAULT_REAUTH_MAX_AGE, factors = []) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Service clients can't reauthenticate
+    if (req.user.isServicePrincipal) {
+      return res.status(403).json({
+        success: false,
+        message: 'This endpoint requires a user account',
+        code: 'USER_REQUIRED'
+      });
+    }
+    
+    const details = checkRecentAuth(req.auth?.payload, maxAge, factors);
+    
+    if (details) {
+      return res.status(401).json({
+        success: false,
+        message: details.message,
+        code: 'REAUTHENTICATION_REQUIRED',
+        maxAge: details.maxAge,
+        factors: details.factors
+      });
+    }
+    
+    next();
+  };
+};
+
 module.exports = {
   authenticate,
+  requireUser,
+  requireRecentAuth,
   requireRole,
   requirePermission,
   requireAdmin,
   checkOwnership,
+  authorize,
   requireVerified
 };
 
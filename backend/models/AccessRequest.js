@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * AccessRequest Schema
+ *
+ * Just-in-time permission: a user asks for a permission for a limited
+ * time, an admin approves or denies it (utils/accessRequests.js)
+ *
+ * Lifecycle:
+ * pending → approved → expired      (grant ends at grantExpiresAt)
+ *         → approved → revoked      (admin ends it early)
+ *         → denied
+ *         → cancelled               (requester withdrew it)
+ *
+ * Approved grants are copied to User.temporaryPermissions, which
+ * User.getPermissions() reads (ignoring anything past its expiry)
+ *
+ * @phase Phase 3.3 - RBAC
+ */
+
+const accessRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  permission: {
+    type: String,
+    required: [true, 'Permission is required']
+  },
+
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+    /**
+     * Requested length - an approver can shorten it
+     * The grant runs from approval, not from the request
+     */
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'cancelled', 'expired', 'revoked'],
+    default: 'pending'
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reviewedAt: Date,
+
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  grantExpiresAt: {
+    type: Date
+    /**
+     * Set on approval; the expiry job flips status to 'expired'
+     * and notifies the user once this passes
+     */
+  }
+}, {
+  timestamps: true
+});
+
+// Expiry job: approved grants past their end
+accessRequestSchema.index({ status: 1, grantExpiresAt: 1 });
+accessRequestSchema.index({ user: 1, createdAt: -1 });
+
+const AccessRequest = mongoose.model('AccessRequest', accessRequestSchema);
+
+module.exports = AccessRequest;
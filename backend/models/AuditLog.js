@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema
+ *
+ * Who changed whose access, when and from where
+ * (written by utils/auditLog.js, read via GET /api/admin/audit-logs)
+ *
+ * Entries are never updated or deleted by the application
+ *
+ * @phase Phase 3.3 - RBAC
+ */
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+    /**
+     * AUDIT_ACTIONS in utils/auditLog.js
+     * e.g. 'user.roles.updated', 'user.permission.granted'
+     */
+  },
+
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  actorEmail: String,
+  // Copied so the entry stays readable after the account is deleted
+
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  targetEmail: String,
+
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+    /**
+     * Action-specific, e.g. { before: ['user'], after: ['user', 'moderator'] }
+     * or { permission: 'view:analytics' }
+     */
+  },
+
+  source: {
+    type: String,
+    enum: ['rest', 'graphql'],
+    default: 'rest'
+  },
+
+  ip: String,
+
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+/**
+ * OAuth Client Schema
+ *
+ * An application registered to use KTA as its identity provider
+ * ("Sign in with KTA"), or a service client (batch job, internal
+ * service) using the client credentials grant
+ *
+ * @phase Phase 4 - OpenID Connect Provider
+ */
+
+const oauthClientSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+    /**
+     * Public identifier sent in /authorize and /token requests
+     */
+  },
+
+  clientSecret: {
+    type: String,
+    select: false
+    /**
+     * Hashed client secret (bcrypt)
+     * - Plain secret shown to the admin once on create/rotate
+     * - Empty for public clients (SPA, mobile) → PKCE only
+     */
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxlength: [100, 'Client name cannot exceed 100 characters']
+    /**
+     * Shown to users on the consent screen
+     */
+  },
+
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+
+  logoUrl: {
+    type: String,
+    default: ''
+  },
+
+  redirectUris: [{
+    type: String,
+    trim: true
+    /**
+     * Exact-match allow list for redirect_uri
+     */
+  }],
+
+  allowedScopes: {
+    type: [String],
+    default: ['openid', 'profile', 'email']
+    /**
+     * Scopes this client may request
+     * - openid, profile, email, offline_access
+     */
+  },
+
+  grantTypes: {
+    type: [String],
+    enum: ['authorization_code', 'refresh_token', 'client_credentials'],
+    default: ['authorization_code']
+  },
+
+  serviceScopes: {
+    type: [String],
+    default: []
+    /**
+     * Permissions granted to the client itself (client_credentials)
+     * - Same strings as config/roles PERMISSIONS (e.g. read:users)
+     * - requirePermission checks these instead of a user's roles
+     */
+  },
+
+  isConfidential: {
+    type: Boolean,
+    default: true
+    /**
+     * - true: Server-side app, must authenticate with client secret
+     * - false: Public client (SPA, mobile), PKCE required
+     */
+  },
+
+  skipConsent: {
+    type: Boolean,
+    default: false
+    /**
+     * First-party apps can skip the consent screen
+     */
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.clientSecret;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Generate a new client secret, store its hash
+ * @returns {String} - Plain secret (show once)
+ */
+oauthClientSchema.methods.generateSecret = async function() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  const salt = await bcrypt.genSalt(10);
+  this.clientSecret = await bcrypt.hash(secret, salt);
+
+  return secret;
+};
+
+/**
+ * Compare client secret
+ * Requires clientSecret to be selected
+ * @param {String} candidateSecret - Secret from /token request
+ * @returns {Boolean}
+ */
+oauthClientSchema.methods.verifySecret = async function(candidateSecret) {
+  if (!this.clientSecret || !candidateSecret) {
+    return false;
+  }
+
+  return bcrypt.compare(candidateSecret, this.clientSecret);
+};
+
+/**
+ * Check redirect_uri against the allow list (exact match)
+ * @param {String} redirectUri
+ * @returns {Boolean}
+ */
+oauthClientSchema.methods.isValidRedirectUri = function(redirectUri) {
+  return this.redirectUris.includes(redirectUri);
+};
+
+/**
+ * Generate a random client_id
+ * @returns {String}
+ */
+oauthClientSchema.statics.generateClientId = function() {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+const OAuthClient = mongoose.model('OAuthClient', oauthClientSchema);
+
+module.exports = OAuthClient;
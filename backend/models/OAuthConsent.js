@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuth Consent Schema
+ *
+ * Remembers which scopes a user approved for a client,
+ * so the consent screen is only shown for new scopes
+ *
+ * @phase Phase 4 - OpenID Connect Provider
+ */
+
+const oauthConsentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  clientId: {
+    type: String,
+    required: true
+  },
+
+  scopes: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+// One consent record per user per client
+oauthConsentSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+/**
+ * Check whether all requested scopes were already granted
+ * @param {Array} requestedScopes
+ * @returns {Boolean}
+ */
+oauthConsentSchema.methods.covers = function(requestedScopes) {
+  return requestedScopes.every(scope => this.scopes.includes(scope));
+};
+
+const OAuthConsent = mongoose.model('OAuthConsent', oauthConsentSchema);
+
+module.exports = OAuthConsent;
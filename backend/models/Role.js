@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Role Schema
+ *
+ * A named set of permissions assignable to users (User.roles)
+ *
+ * Managed at runtime through /api/admin/roles (manage:roles);
+ * the built-in user/moderator/admin roles are seeded from
+ * config/roles.js (DEFAULT_ROLES) on first start.
+ *
+ * Permission checks never query this collection directly:
+ * utils/roleStore.js keeps a resolved in-memory copy
+ *
+ * @phase Phase 3.3 - RBAC
+ */
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Role name must be 2-32 characters: a-z, 0-9, "-" or "_"']
+    /**
+     * Stored in User.roles and SSO role mappings - never renamed
+     */
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+
+  permissions: {
+    type: [String],
+    default: []
+    /**
+     * Granted directly by this role (see config/roles.js PERMISSIONS)
+     */
+  },
+
+  inherits: {
+    type: [String],
+    default: []
+    /**
+     * Roles whose permissions are included (e.g. moderator → user)
+     * Resolved recursively by utils/roleStore.js, cycles rejected
+     */
+  },
+
+  level: {
+    type: Number,
+    required: true,
+    min: [1, 'Level must be between 1 and 100'],
+    max: [100, 'Level must be between 1 and 100'],
+    default: 1
+    /**
+     * Hierarchy (higher = more powerful): user 1, moderator 2, admin 3
+     * Admins can't create, assign or delete roles above their own level
+     */
+  },
+
+  isSystem: {
+    type: Boolean,
+    default: false
+    /**
+     * Seeded built-in role: editable, but can't be deleted
+     */
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
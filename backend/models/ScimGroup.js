@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * SCIM Group Schema
+ *
+ * A group pushed by a customer's IdP through SCIM (/scim/v2/Groups)
+ *
+ * Membership is mapped onto users through the tenant's
+ * SsoConnection.roleMappings / permissionMappings,
+ * keyed by displayName (see utils/scim.js)
+ *
+ * @phase Phase 4 - SCIM Provisioning
+ */
+
+const scimGroupSchema = new mongoose.Schema({
+  connection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SsoConnection',
+    required: true
+    /**
+     * Tenant that owns the group (SCIM token's connection)
+     */
+  },
+
+  displayName: {
+    type: String,
+    required: [true, 'displayName is required'],
+    trim: true,
+    maxlength: [256, 'displayName cannot exceed 256 characters']
+  },
+
+  externalId: {
+    type: String
+    /**
+     * IdP's own identifier, echoed back to the IdP
+     */
+  },
+
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// Names are unique per tenant (SCIM uniqueness on displayName)
+scimGroupSchema.index({ connection: 1, displayName: 1 }, { unique: true });
+scimGroupSchema.index({ members: 1 });
+
+const ScimGroup = mongoose.model('ScimGroup', scimGroupSchema);
+
+module.exports = ScimGroup;
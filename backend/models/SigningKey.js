@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Signing Key Schema
+ *
+ * Asymmetric key pair used to sign access tokens (RS256 / ES256)
+ *
+ * Lifecycle:
+ * - active:   Signs new tokens (exactly one at a time)
+ * - retiring: No longer signs, still verifies until verifyUntil
+ *             (overlap window so already-issued tokens stay valid)
+ *
+ * Retiring keys are removed automatically by a TTL index on verifyUntil
+ *
+ * @phase Phase 4 - Asymmetric JWT Signing
+ */
+
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+    /**
+     * Key ID
+     * - Put in the JWT header
+     * - Lets verifiers pick the right key from the JWKS
+     */
+  },
+
+  alg: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true
+  },
+
+  publicKey: {
+    type: String,
+    required: true
+    /**
+     * PEM (SPKI) - published via /.well-known/jwks.json
+     */
+  },
+
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+    /**
+     * PEM (PKCS8) - never leaves the server
+     */
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'retiring'],
+    default: 'active',
+    index: true
+  },
+
+  verifyUntil: {
+    type: Date
+    /**
+     * End of overlap window (retiring keys only)
+     * - Key is dropped from JWKS and verification after this
+     * - TTL index deletes the document
+     */
+  }
+}, {
+  timestamps: true
+});
+
+// Auto-delete retired keys once their overlap window has passed
+signingKeySchema.index({ verifyUntil: 1 }, { expireAfterSeconds: 0 });
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+module.exports = SigningKey;
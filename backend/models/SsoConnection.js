@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * SSO Connection Schema
+ *
+ * An enterprise identity provider (Okta, Azure AD / Entra ID, Keycloak, ...)
+ * that users of specific email domains log in through
+ *
+ * Protocols:
+ * - oidc: endpoints come from the issuer's
+ *   /.well-known/openid-configuration (see utils/sso.js)
+ * - saml: endpoints + signing certificates come from uploaded
+ *   IdP metadata (see utils/saml.js)
+ *
+ * @phase Phase 4 - Enterprise SSO
+ */
+
+const ssoConnectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Connection name is required'],
+    trim: true,
+    maxlength: [100, 'Connection name cannot exceed 100 characters']
+    /**
+     * Shown on the login button ("Sign in with Acme Okta")
+     */
+  },
+
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]{2,50}$/, 'Slug may only contain a-z, 0-9 and dashes']
+    /**
+     * URL identifier: /api/auth/sso/:slug
+     */
+  },
+
+  protocol: {
+    type: String,
+    enum: ['oidc', 'saml'],
+    default: 'oidc'
+  },
+
+  issuer: {
+    type: String,
+    required: [function() { return this.protocol === 'oidc'; }, 'Issuer is required'],
+    trim: true
+    /**
+     * OIDC issuer URL, e.g.
+     * - https://acme.okta.com
+     * - https://login.microsoftonline.com/<tenant>/v2.0
+     * - https://keycloak.acme.com/realms/acme
+     * Must equal the `iss` claim of ID tokens
+     */
+  },
+
+  clientId: {
+    type: String,
+    required: [function() { return this.protocol === 'oidc'; }, 'Client ID is required'],
+    trim: true
+  },
+
+  clientSecret: {
+    type: String,
+    select: false
+    /**
+     * Client secret issued by the IdP
+     * - Stored as-is (needed to call the token endpoint), never returned by the API
+     * - Empty → public client, PKCE only
+     */
+  },
+
+  scopes: {
+    type: [String],
+    default: ['openid', 'profile', 'email']
+  },
+
+  claimMappings: {
+    subject: { type: String, default: 'sub' },
+    email: { type: String, default: 'email' },
+    name: { type: String, default: 'name' },
+    picture: { type: String, default: 'picture' },
+    roles: { type: String }
+    /**
+     * Which ID token / userinfo claim (or SAML attribute) holds each field
+     * - Azure AD without `email`: email → 'preferred_username' or 'upn'
+     * - SAML: `sub` is the NameID, attributes are matched by Name, e.g.
+     *   email → 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'
+     * - roles: unset → roles are managed locally, never synced
+     */
+  },
+
+  roleMappings: {
+    type: Map,
+    of: String,
+    default: {}
+    /**
+     * IdP group/role value → our role, e.g. { 'Okta Admins': 'admin' }
+     * Unmapped values are ignored; every SSO user keeps 'user'
+     */
+  },
+
+  permissionMappings: {
+    type: Map,
+    of: [String],
+    default: {}
+    /**
+     * SCIM group displayName → extra permissions,
+     * e.g. { 'Support': ['read:users'] }
+     * (roles come from roleMappings, keyed the same way)
+     */
+  },
+
+  scimTokenHash: {
+    type: String,
+    select: false
+    /**
+     * SHA-256 of the tenant's SCIM bearer token
+     * - Token shown once when generated (admin API)
+     * - Unset → SCIM disabled for this connection
+     */
+  },
+
+  scimTokenCreatedAt: {
+    type: Date
+  },
+
+  saml: {
+    entityId: { type: String, trim: true },
+    ssoUrl: { type: String, trim: true },
+    certificates: { type: [String], default: [] },
+    allowIdpInitiated: { type: Boolean, default: false }
+    /**
+     * IdP settings (protocol 'saml'), filled from uploaded metadata
+     * - entityId: expected Issuer of responses
+     * - ssoUrl: SingleSignOnService (HTTP-Redirect binding)
+     * - certificates: base64 X.509 signing certs (several during IdP rollover)
+     * - allowIdpInitiated: accept logins started from the IdP dashboard
+     */
+  },
+
+  allowedDomains: {
+    type: [String],
+    default: []
+    /**
+     * Email domains routed to (and accepted from) this connection
+     * - Lowercase, no '@' (acme.com)
+     * - Logins with emails outside these domains are rejected
+     */
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.clientSecret;
+      delete ret.scimTokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Login form looks connections up by email domain
+ssoConnectionSchema.index({ allowedDomains: 1 });
+ssoConnectionSchema.index({ scimTokenHash: 1 }, { sparse: true });
+
+const hashScimToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Does this connection accept the given email?
+ * @param {String} email
+ * @returns {Boolean}
+ */
+ssoConnectionSchema.methods.allowsEmail = function(email) {
+  const domain = String(email || '').split('@')[1]?.toLowerCase();
+  return !!domain && this.allowedDomains.includes(domain);
+};
+
+/**
+ * Find the active connection for an email address
+ * @param {String} email
+ * @returns {Object|null} - SsoConnection
+ */
+ssoConnectionSchema.statics.findByEmail = function(email) {
+  const domain = String(email || '').split('@')[1]?.toLowerCase();
+
+  if (!domain) {
+    return null;
+  }
+
+  return this.findOne({ allowedDomains: domain, isActive: true });
+};
+
+/**
+ * Issue a new SCIM bearer token (replaces the previous one)
+ * @returns {String} - Plain token, only available now
+ */
+ssoConnectionSchema.methods.generateScimToken = function() {
+  const token = `scim_${crypto.randomBytes(32).toString('hex')}`;
+
+  this.scimTokenHash = hashScimToken(token);
+  this.scimTokenCreatedAt = new Date();
+
+  return token;
+};
+
+/**
+ * Find the active tenant a SCIM bearer token belongs to
+ * @param {String} token
+ * @returns {Object|null} - SsoConnection
+ */
+ssoConnectionSchema.statics.findByScimToken = function(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  return this.findOne({ scimTokenHash: hashScimToken(token), isActive: true });
+};
+
+const SsoConnection = mongoose.model('SsoConnection', ssoConnectionSchema);
+
+module.exports = SsoConnection;
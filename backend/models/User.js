@@ -1,6 +1,51 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+/**
+ * Linked Identity Schema (Phase 4 - multiple OAuth identities)
+ *
+ * One entry per external account that can log in as this user
+ */
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['google', 'github', 'microsoft', 'facebook', 'sso'],
+    required: true
+  },
+
+  providerId: {
+    type: String,
+    required: true
+    /**
+     * User ID at the provider (Google sub, GitHub numeric ID, ...)
+     * - Unique per provider across all users (see index below)
+     */
+  },
+
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+    /**
+     * Email reported by the provider when linked (display only)
+     */
+  },
+
+  connection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SsoConnection'
+    /**
+     * Enterprise SSO connection (provider 'sso' only)
+     * - providerId is then "<connectionId>:<sub>"
+     */
+  },
+
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 /**
  * User Schema
  *
@@ -29,7 +74,8 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: function() {
       // Password only required for local auth (not OAuth)
-      return this.provider === 'local' || !this.provider;
+      return (this.provider === 'local' || !this.provider) &&
+        (!this.identities || this.identities.length === 0);
     },
     minlength: [8, 'Password must be at least 8 characters'],
     select: false // Don't include password in queries by default
@@ -41,13 +87,19 @@ const userSchema = new mongoose.Schema({
 
   roles: [{
     type: String,
-    enum: ['user', 'admin', 'moderator'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: (role) => require('../utils/roleStore').isKnownRole(role),
+      message: (props) => `Unknown role: ${props.value}`
+    }
     /**
-     * Role Hierarchy:
+     * Role Hierarchy (defaults, see models/Role.js):
      * - admin: Full access (all permissions)
      * - moderator: Content moderation (most permissions)
      * - user: Basic access (limited permissions)
+     *
+     * Any role in the roles collection is valid - admins
+     * create new ones at runtime (/api/admin/roles)
      */
   }],
 
@@ -55,14 +107,51 @@ const userSchema = new mongoose.Schema({
     type: String
     /**
      * Custom permissions for fine-grained access control
-     * Format: "action:resource" (e.g., "delete:users", "view:analytics")
+     * Format: "action:resource" (e.g., "delete:users", "view:analytics"),
+     * resource paths ("org:123:billing:read") and wildcards ("*:posts")
      *
      * Use cases:
      * - Grant special permission to specific user
-     * - Revoke specific permission from role
+     * - Revoke specific permission from role ("!delete:users" deny rule)
      */
   }],
 
+  temporaryPermissions: [{
+    permission: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AccessRequest'
+    }
+    /**
+     * Time-bound grants (approved access requests, utils/accessRequests.js)
+     * - Counted by getPermissions() only until expiresAt
+     * - Removed by the expiry job, which also emails the user
+     */
+  }],
+
+  attributes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+    /**
+     * ABAC subject attributes (config/policies.js)
+     * e.g. { region: 'eu', teams: ['billing', 'support'] }
+     *
+     * Available to policies as subject.<name>; set by admins
+     * (PUT /api/admin/users/:id/attributes)
+     */
+  },
+
   // ═══════════════════════════════════════════════════════════
   // EMAIL VERIFICATION (Phase 3.1)
   // ═══════════════════════════════════════════════════════════
@@ -151,30 +240,154 @@ const userSchema = new mongoose.Schema({
      */
   },
 
+  // ═══════════════════════════════════════════════════════════
+  // MAGIC LINK LOGIN (Phase 4)
+  // ═══════════════════════════════════════════════════════════
+
+  magicLinkAttempts: {
+    type: Number,
+    default: 0
+    /**
+     * Track magic link requests
+     * - Max 3 per hour (same rules as password reset)
+     * - The links themselves live in Redis (utils/magicLink.js)
+     */
+  },
+
+  lastMagicLinkRequest: {
+    type: Date
+    /**
+     * Timestamp of last magic link request
+     * - Reset counter after 1 hour
+     */
+  },
+
   // ═══════════════════════════════════════════════════════════
   // OAUTH / SSO (Phase 3.5)
   // ═══════════════════════════════════════════════════════════
 
   provider: {
     type: String,
-    enum: ['local', 'google', 'github', 'microsoft', 'facebook'],
+    enum: ['local', 'google', 'github', 'microsoft', 'facebook', 'sso'],
     default: 'local'
     /**
-     * Authentication provider
+     * How the account was originally created
      * - 'local': Email/password signup
      * - 'google': Google OAuth
      * - 'github': GitHub OAuth
      * - Others: Microsoft, Facebook, etc.
+     *
+     * Not changed by linking - see identities
      */
   },
 
   providerId: {
     type: String
     /**
-     * User ID from OAuth provider
-     * - Google user ID, GitHub user ID, etc.
-     * - Used to link accounts
-     * - Unique per provider
+     * DEPRECATED: single provider ID from before identities existed
+     * - Still matched by findByIdentity
+     * - Moved into identities by migrateLegacyIdentity()
+     */
+  },
+
+  identities: {
+    type: [identitySchema],
+    default: []
+    /**
+     * Linked OAuth identities (Google, GitHub, ...)
+     * - Any of them can log in as this user
+     * - At most one per provider
+     * - Managed via /api/auth/identities
+     */
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // SCIM PROVISIONING (Phase 4)
+  // ═══════════════════════════════════════════════════════════
+
+  isActive: {
+    type: Boolean,
+    default: true
+    /**
+     * Deactivated accounts can't log in or use existing tokens
+     * - Set by SCIM (active: false) or deprovisioning
+     * - Data is kept, reactivation restores access
+     */
+  },
+
+  deactivatedAt: {
+    type: Date
+  },
+
+  scim: {
+    connection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SsoConnection'
+    },
+    externalId: { type: String },
+    userName: { type: String },
+    permissions: { type: [String], default: undefined }
+    /**
+     * Set when the account is managed by a customer's IdP via SCIM
+     * - connection: tenant (SsoConnection) that provisioned it
+     * - externalId / userName: IdP's identifiers, echoed back
+     * - permissions: subset of `permissions` granted through groups
+     *   (removed again when group membership changes)
+     */
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // TWO-FACTOR AUTHENTICATION (Phase 4B)
+  // ═══════════════════════════════════════════════════════════
+
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+    /**
+     * 2FA status
+     * - false: Login issues tokens after password check
+     * - true: Login returns MFA challenge, tokens after code check
+     */
+  },
+
+  twoFactorEmailEnabled: {
+    type: Boolean,
+    default: false
+    /**
+     * Email one-time passcodes accepted as second factor
+     * - Fallback for users without an authenticator app
+     * - Can be the only factor (no twoFactorSecret) or alongside TOTP
+     * - Codes live in Redis (utils/emailOtp.js)
+     */
+  },
+
+  twoFactorSecret: {
+    type: String,
+    select: false
+    /**
+     * Active TOTP secret (base32)
+     * - Set when enrollment is confirmed
+     * - Cleared when 2FA is disabled
+     */
+  },
+
+  twoFactorTempSecret: {
+    type: String,
+    select: false
+    /**
+     * Pending TOTP secret during enrollment
+     * - Generated by /api/2fa/setup
+     * - Promoted to twoFactorSecret after first valid code
+     */
+  },
+
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+    /**
+     * Hashed recovery codes (SHA256)
+     * - Plain codes shown to user once
+     * - Removed from array when used (single-use)
      */
   },
 
@@ -240,6 +453,9 @@ const userSchema = new mongoose.Schema({
       delete ret.verificationToken;
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorTempSecret;
+      delete ret.twoFactorRecoveryCodes;
       delete ret.__v;
       return ret;
     }
@@ -250,6 +466,15 @@ const userSchema = new mongoose.Schema({
 // Note: email index is automatically created by 'unique: true' on the field
 userSchema.index({ createdAt: -1 });
 
+// An external account can only ever belong to one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerId': { $exists: true } } }
+);
+
+// SCIM lists/filters users per tenant
+userSchema.index({ 'scim.connection': 1, 'scim.externalId': 1 }, { sparse: true });
+
 // Virtual for account locked status
 userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -260,8 +485,8 @@ userSchema.virtual('isLocked').get(function() {
  * Only runs if password is modified
  */
 userSchema.pre('save', async function() {
-  // Only hash if password is modified
-  if (!this.isModified('password')) {
+  // Only hash if password is modified (and not being removed)
+  if (!this.isModified('password') || !this.password) {
     return;
   }
 
@@ -345,6 +570,11 @@ userSchema.statics.findByCredentials = async function(email, password) {
     throw new Error('Invalid email or password');
   }
 
+  // Only revealed with the right password
+  if (!user.isActive) {
+    throw new Error('Account is deactivated. Contact your administrator.');
+  }
+
   // Reset login attempts on successful login
   if (user.loginAttempts > 0) {
     await user.resetLoginAttempts();
@@ -519,46 +749,209 @@ userSchema.methods.verifyPasswordResetToken = async function(token) {
  */
 userSchema.methods.resetPassword = async function(newPassword) {
   const { getRedisClient } = require('../config/redis');
+  const { revokeAllAccessTokens } = require('../utils/tokens');
+  const { revokeAllTrustedDevices } = require('../utils/trustedDevices');
 
   /**
    * Password Reset Actions:
-   * 1. Update password (will be hashed by pre-save hook)
-   * 2. Clear reset token
-   * 3. Update lastPasswordChange
-   * 4. Reset login attempts
-   * 5. Invalidate all refresh tokens (logout everywhere)
+   * 1. Invalidate all refresh + access tokens (logout everywhere)
+   * 2. Forget trusted devices (2FA asked again everywhere)
+   * 3. Update password (will be hashed by pre-save hook)
+   * 4. Clear reset token
+   * 5. Update lastPasswordChange
+   * 6. Reset login attempts
+   *
+   * Revocation runs first and its errors propagate: if it fails the
+   * reset fails with the password and reset token unchanged, so the
+   * user can retry instead of old sessions surviving a "successful" reset
    */
 
-  // 1. Update password
+  // 1. Invalidate all refresh tokens (security - logout all devices)
+  const redis = getRedisClient();
+  const keys = await redis.keys(`refresh_token:${this._id}:*`);
+
+  if (keys.length > 0) {
+    await redis.del(...keys);
+    console.log(`🔒 Invalidated ${keys.length} tokens after password reset`);
+  }
+
+  // Access tokens already handed out stop working too
+  await revokeAllAccessTokens(this._id, 'password_reset');
+
+  // 2. Whoever reset the password must pass 2FA again
+  await revokeAllTrustedDevices(this._id, 'password_reset');
+
+  // 3. Update password
   this.password = newPassword;
 
-  // 2. Clear reset fields
+  // 4. Clear reset fields
   this.resetPasswordToken = undefined;
   this.resetPasswordExpires = undefined;
 
-  // 3. Update metadata
+  // 5. Update metadata
   this.lastPasswordChange = Date.now();
 
-  // 4. Reset login attempts (fresh start)
+  // 6. Reset login attempts (fresh start)
   this.loginAttempts = 0;
   this.lockUntil = undefined;
 
   await this.save();
+};
 
-  // 5. Invalidate all refresh tokens (security - logout all devices)
-  try {
-    const redis = getRedisClient();
-    const pattern = `refresh_token:${this._id}:*`;
-    const keys = await redis.keys(pattern);
+// ═══════════════════════════════════════════════════════════
+// TWO-FACTOR AUTHENTICATION METHODS (Phase 4B)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Consume a recovery code (single-use)
+ * Requires twoFactorRecoveryCodes to be selected
+ * @param {String} code - Plain recovery code
+ * @returns {Boolean} - True if code was valid (and is now removed)
+ */
+userSchema.methods.useRecoveryCode = async function(code) {
+  const { hashRecoveryCode } = require('../utils/twoFactor');
+
+  if (!code || !this.twoFactorRecoveryCodes || this.twoFactorRecoveryCodes.length === 0) {
+    return false;
+  }
+
+  const hashedCode = hashRecoveryCode(code);
+  const index = this.twoFactorRecoveryCodes.indexOf(hashedCode);
+
+  if (index === -1) {
+    return false;
+  }
+
+  // Remove used code so it cannot be reused
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  await this.save();
+
+  console.log(`🔑 Recovery code used by user ${this._id} (${this.twoFactorRecoveryCodes.length} left)`);
+
+  return true;
+};
+
+/**
+ * Disable 2FA and clear all secrets (+ trusted devices)
+ */
+userSchema.methods.disableTwoFactor = async function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEmailEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorTempSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  await this.save();
 
-    if (keys.length > 0) {
-      await redis.del(...keys);
-      console.log(`🔒 Invalidated ${keys.length} tokens after password reset`);
+  // Re-enabling 2FA later must not inherit old trust
+  const { revokeAllTrustedDevices } = require('../utils/trustedDevices');
+  await revokeAllTrustedDevices(this._id, '2fa_disabled');
+};
+
+// ═══════════════════════════════════════════════════════════
+// LINKED IDENTITY METHODS (Phase 4)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Find the user owning an external identity
+ * Also matches the legacy provider/providerId fields
+ * @param {String} provider - 'google', 'github', ...
+ * @param {String} providerId - User ID at the provider
+ * @returns {Object|null} - User
+ */
+userSchema.statics.findByIdentity = function(provider, providerId) {
+  return this.findOne({
+    $or: [
+      { identities: { $elemMatch: { provider, providerId: String(providerId) } } },
+      { provider, providerId: String(providerId) }
+    ]
+  });
+};
+
+/**
+ * Get the linked identity for a provider
+ * @param {String} provider
+ * @returns {Object|undefined}
+ */
+userSchema.methods.getIdentity = function(provider) {
+  return this.identities.find(identity => identity.provider === provider);
+};
+
+/**
+ * Move legacy provider/providerId into identities (does not save)
+ * @returns {Boolean} - True if the document changed
+ */
+userSchema.methods.migrateLegacyIdentity = function() {
+  if (!this.providerId || this.provider === 'local') {
+    return false;
+  }
+
+  if (!this.getIdentity(this.provider)) {
+    this.identities.push({
+      provider: this.provider,
+      providerId: this.providerId,
+      email: this.email
+    });
+  }
+
+  this.providerId = undefined;
+  return true;
+};
+
+/**
+ * Link an external identity (does not save)
+ * @param {String} provider
+ * @param {String} providerId
+ * @param {String} email - Email reported by provider
+ * @param {Object} extra - Optional fields, e.g. { connection } for SSO
+ * @throws {Error} - If a different account of this provider is already linked
+ */
+userSchema.methods.linkIdentity = function(provider, providerId, email, extra = {}) {
+  this.migrateLegacyIdentity();
+
+  const existing = this.getIdentity(provider);
+
+  if (existing) {
+    if (existing.providerId === String(providerId)) {
+      return;
     }
-  } catch (error) {
-    console.error('Error invalidating tokens:', error);
-    // Continue even if Redis fails
+    throw new Error(`A different ${provider} account is already linked. Unlink it first.`);
   }
+
+  this.identities.push({ ...extra, provider, providerId: String(providerId), email });
+};
+
+/**
+ * Count the ways this user can log in
+ * Requires password to be selected
+ * @returns {Promise<Number>}
+ */
+userSchema.methods.countLoginMethods = async function() {
+  const WebAuthnCredential = require('./WebAuthnCredential');
+
+  const passkeys = await WebAuthnCredential.countDocuments({ user: this._id });
+  const legacy = this.providerId && this.provider !== 'local' && !this.getIdentity(this.provider) ? 1 : 0;
+
+  return (this.password ? 1 : 0) + this.identities.length + legacy + passkeys;
+};
+
+/**
+ * Unlink an external identity (does not save)
+ * Requires password to be selected
+ * @param {String} provider
+ * @throws {Error} - If not linked, or it's the last way to log in
+ */
+userSchema.methods.unlinkIdentity = async function(provider) {
+  this.migrateLegacyIdentity();
+
+  if (!this.getIdentity(provider)) {
+    throw new Error(`No ${provider} account linked`);
+  }
+
+  if (await this.countLoginMethods() <= 1) {
+    throw new Error('Cannot unlink your only login method. Set a password or link another account first.');
+  }
+
+  this.identities = this.identities.filter(identity => identity.provider !== provider);
 };
 
 // ═══════════════════════════════════════════════════════════
@@ -567,6 +960,8 @@ userSchema.methods.resetPassword = async function(newPassword) {
 
 /**
  * Get all permissions for this user
+ * Role permissions come from the role store (in-memory, inheritance resolved);
+ * temporary grants count only until their expiresAt
  * @returns {Array} - Array of permission strings
  */
 userSchema.methods.getPermissions = function() {
@@ -581,6 +976,14 @@ userSchema.methods.getPermissions = function() {
       this.permissions.forEach(perm => permissions.add(perm));
     }
 
+    // Add time-bound grants that haven't expired yet
+    const now = Date.now();
+    (this.temporaryPermissions || []).forEach((grant) => {
+      if (grant.expiresAt && grant.expiresAt.getTime() > now) {
+        permissions.add(grant.permission);
+      }
+    });
+
     return Array.from(permissions);
   } catch (error) {
     // If roles.js doesn't exist yet, return empty array
@@ -590,12 +993,13 @@ userSchema.methods.getPermissions = function() {
 
 /**
  * Check if user has specific permission
+ * Wildcards + '!' deny rules: see utils/permissions.js
  * @param {String} permission - Permission to check
  * @returns {Boolean}
  */
 userSchema.methods.hasPermission = function(permission) {
-  const permissions = this.getPermissions();
-  return permissions.includes(permission);
+  const { isPermissionGranted } = require('../utils/permissions');
+  return isPermissionGranted(this.getPermissions(), permission);
 };
 
 /**
@@ -608,8 +1012,8 @@ userSchema.methods.hasAnyPermission = function(requiredPermissions) {
     requiredPermissions = [requiredPermissions];
   }
 
-  const userPermissions = this.getPermissions();
-  return requiredPermissions.some(perm => userPermissions.includes(perm));
+  const { hasAnyGrantedPermission } = require('../utils/permissions');
+  return hasAnyGrantedPermission(this.getPermissions(), requiredPermissions);
 };
 
 /**
@@ -622,8 +1026,8 @@ userSchema.methods.hasAllPermissions = function(requiredPermissions) {
     requiredPermissions = [requiredPermissions];
   }
 
-  const userPermissions = this.getPermissions();
-  return requiredPermissions.every(perm => userPermissions.includes(perm));
+  const { hasAllGrantedPermissions } = require('../utils/permissions');
+  return hasAllGrantedPermissions(this.getPermissions(), requiredPermissions);
 };
 
 /**
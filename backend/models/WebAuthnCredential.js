@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebAuthn Credential Schema
+ *
+ * A registered authenticator (passkey, security key, Touch ID, Windows Hello)
+ * linked to a User. One user can have many credentials.
+ *
+ * @phase Phase 4B - WebAuthn / Passkeys
+ */
+
+const webAuthnCredentialSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+    /**
+     * Credential ID (base64url)
+     * - Assigned by the authenticator
+     * - Sent back by the browser on every assertion
+     */
+  },
+
+  publicKey: {
+    type: Buffer,
+    required: true,
+    select: false
+    /**
+     * COSE public key
+     * - Used to verify assertion signatures
+     * - Never leaves the server
+     */
+  },
+
+  counter: {
+    type: Number,
+    default: 0
+    /**
+     * Signature counter
+     * - Increases on each use (for authenticators that support it)
+     * - A lower value than stored indicates a cloned authenticator
+     */
+  },
+
+  transports: [{
+    type: String
+    /**
+     * Transport hints: usb, nfc, ble, internal, hybrid
+     * - Passed to the browser to speed up authenticator discovery
+     */
+  }],
+
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice'],
+    default: 'singleDevice'
+    /**
+     * - singleDevice: Hardware key bound to one device
+     * - multiDevice: Synced passkey (iCloud Keychain, Google Password Manager)
+     */
+  },
+
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+    default: 'Passkey'
+    /**
+     * User-chosen label ("MacBook Touch ID", "YubiKey")
+     */
+  },
+
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.publicKey;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const WebAuthnCredential = mongoose.model('WebAuthnCredential', webAuthnCredentialSchema);
+
+module.exports = WebAuthnCredential;
@@ -0,0 +1,157 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AccessRequest = require('../models/AccessRequest');
+const { authenticate, requireUser } = require('../middleware/rbac');
+const {
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  createAccessRequest,
+  cancelAccessRequest
+} = require('../utils/accessRequests');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ACCESS REQUEST ROUTES (just-in-time permissions)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Users ask for a permission for a limited time; admins review the
+ * requests under /api/admin/access-requests
+ *
+ * All routes require authentication (users, not service clients)
+ *
+ * Endpoints:
+ * - GET    /         - List my requests and active grants
+ * - POST   /         - Request a temporary permission
+ * - DELETE /:id      - Withdraw a pending request
+ *
+ * @file backend/routes/accessRequests.js
+ * @phase Phase 3.3 - RBAC
+ */
+
+router.use(authenticate, requireUser);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/access-requests
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private
+ * @returns requests (newest first), activeGrants
+ */
+
+router.get('/', async (req, res) => {
+  try {
+    const requests = await AccessRequest.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('reviewedBy', 'name email');
+
+    const now = Date.now();
+
+    res.json({
+      success: true,
+      requests,
+      activeGrants: req.user.temporaryPermissions
+        .filter(grant => grant.expiresAt.getTime() > now)
+        .map(({ permission, expiresAt }) => ({ permission, expiresAt })),
+      defaultDurationMinutes: DEFAULT_DURATION_MINUTES,
+      maxDurationMinutes: MAX_DURATION_MINUTES
+    });
+
+  } catch (error) {
+    console.error('List access requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching access requests'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/access-requests
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private
+ * @body permission - e.g. 'view:analytics'
+ * @body durationMinutes - Default 240 (4 hours)
+ * @body reason - Shown to approvers
+ */
+
+router.post('/', async (req, res) => {
+  try {
+    const { permission, durationMinutes, reason } = req.body;
+
+    const request = await createAccessRequest(req.user, { permission, durationMinutes, reason });
+
+    res.status(201).json({
+      success: true,
+      message: 'Access requested. You will get an email once it is reviewed.',
+      request
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Create access request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting access'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/access-requests/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private (own pending requests)
+ */
+
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending request not found'
+      });
+    }
+
+    await cancelAccessRequest(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Request withdrawn'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel access request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing request'
+    });
+  }
+});
+
+module.exports = router;
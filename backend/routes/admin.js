@@ -1,8 +1,57 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
-const { authenticate, requireRole, requirePermission, requireAdmin } = require('../middleware/rbac');
-const { ROLES, PERMISSIONS } = require('../config/roles');
+const {
+  authenticate,
+  requireRole,
+  requirePermission,
+  requireAdmin,
+  requireRecentAuth
+} = require('../middleware/rbac');
+const { ROLES, PERMISSIONS, getRoleLevel } = require('../config/roles');
+const Role = require('../models/Role');
+const {
+  invalidateRoles,
+  getRoleNames,
+  isKnownRole,
+  resolvePermissions
+} = require('../utils/roleStore');
+const { isPermissionGranted } = require('../utils/permissions');
+const { getMaxRoleLevel, validateRoleInput } = require('../utils/roleValidation');
+const { POLICIES } = require('../config/policies');
+const {
+  OPERATORS,
+  POLICY_TIMEZONE,
+  buildSubject,
+  buildResource,
+  buildEnvironment,
+  evaluate
+} = require('../utils/policyEngine');
+const AccessRequest = require('../models/AccessRequest');
+const {
+  reviewAccessRequest,
+  grantTemporaryPermission,
+  revokeTemporaryPermission
+} = require('../utils/accessRequests');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_ACTIONS } = require('../utils/auditLog');
+const {
+  setUserRoles,
+  grantUserPermission,
+  revokeUserPermission,
+  setUserAttributes
+} = require('../utils/userAccess');
+const SigningKey = require('../models/SigningKey');
+const { rotateSigningKey } = require('../utils/keyManager');
+const { revokeAllAccessTokens, invalidateAllRefreshTokens } = require('../utils/tokens');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthConsent = require('../models/OAuthConsent');
+const { SUPPORTED_SCOPES } = require('../utils/oidc');
+const SsoConnection = require('../models/SsoConnection');
+const ScimGroup = require('../models/ScimGroup');
+const { discover } = require('../utils/sso');
+const { parseIdpMetadata, getSpUrls } = require('../utils/saml');
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -12,13 +61,50 @@ const { ROLES, PERMISSIONS } = require('../config/roles');
  * Admin panel routes for user management
  * 
  * All routes require authentication + admin/moderator role
+ * Destructive/privileged actions also require a recent login
+ * (requireRecentAuth → 401 REAUTHENTICATION_REQUIRED)
  * 
  * Endpoints:
  * - GET    /users                  - List all users (paginated)
  * - GET    /users/:id              - Get single user
  * - PUT    /users/:id/role         - Update user role
+ * - PUT    /users/:id/roles        - Replace user roles (several at once)
+ * - GET    /users/:id/permissions  - Roles, custom + temporary + effective permissions
+ * - POST   /users/:id/permissions  - Grant custom permission
+ * - DELETE /users/:id/permissions/:permission - Revoke custom permission
+ * - PUT    /users/:id/attributes   - Set ABAC attributes (region, teams...)
  * - DELETE /users/:id              - Delete user
  * - GET    /stats                  - Get system statistics
+ * - GET    /keys                   - List JWT signing keys
+ * - POST   /keys/rotate            - Rotate JWT signing key
+ * - GET    /clients                - List OAuth/OIDC clients
+ * - POST   /clients                - Register OAuth/OIDC client
+ * - GET    /clients/:id            - Get single client
+ * - PUT    /clients/:id            - Update client
+ * - DELETE /clients/:id            - Delete client (and its consents)
+ * - POST   /clients/:id/secret     - Rotate client secret
+ * - GET    /sso-connections        - List enterprise SSO connections
+ * - POST   /sso-connections        - Create SSO connection
+ * - GET    /sso-connections/:id    - Get single SSO connection
+ * - PUT    /sso-connections/:id    - Update SSO connection
+ * - DELETE /sso-connections/:id    - Delete SSO connection
+ * - POST   /sso-connections/:id/test - Check discovery (OIDC) / metadata (SAML)
+ * - PUT    /sso-connections/:id/metadata - Upload SAML IdP metadata XML
+ * - POST   /sso-connections/:id/scim-token - Issue SCIM provisioning token
+ * - DELETE /sso-connections/:id/scim-token - Revoke SCIM provisioning token
+ * - GET    /roles                  - List roles
+ * - POST   /roles                  - Create role
+ * - GET    /roles/:name            - Get single role
+ * - PUT    /roles/:name            - Update role
+ * - DELETE /roles/:name            - Delete custom role
+ * - GET    /policies               - List access policies
+ * - POST   /policies/explain       - Dry-run a policy decision
+ * - GET    /access-requests        - List temporary permission requests
+ * - POST   /access-requests/:id/approve - Approve request (time-bound grant)
+ * - POST   /access-requests/:id/deny    - Deny request
+ * - POST   /access-requests/:id/revoke  - End an approved grant early
+ * - POST   /users/:id/temporary-permissions - Grant temporary permission directly
+ * - GET    /audit-logs             - Access change history
  * 
  * @file backend/routes/admin.js
  * @phase Phase 3.3 - RBAC
@@ -172,12 +258,13 @@ router.get('/users/:id',
  * 
  * Update user role
  * 
- * @access Admin only
- * @body role - New role (user, moderator, admin)
+ * @access Admin only (recent authentication)
+ * @body role - New role (any role from GET /roles, not above your own level)
  */
 
 router.put('/users/:id/role',
   requireAdmin(),
+  requireRecentAuth(),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -186,10 +273,17 @@ router.put('/users/:id/role',
       // ─────────────────────────────────────────────────────────
       // 1. Validate Role
       // ─────────────────────────────────────────────────────────
-      if (!Object.values(ROLES).includes(role)) {
+      if (!isKnownRole(role)) {
         return res.status(400).json({
           success: false,
-          message: `Invalid role. Must be one of: ${Object.values(ROLES).join(', ')}`
+          message: `Invalid role. Must be one of: ${getRoleNames().join(', ')}`
+        });
+      }
+      
+      if (getRoleLevel(role) > getMaxRoleLevel(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot assign a role higher than your own'
         });
       }
       
@@ -224,8 +318,11 @@ router.put('/users/:id/role',
       // ─────────────────────────────────────────────────────────
       // 4. Update Role
       // ─────────────────────────────────────────────────────────
-      user.roles = [role];
-      await user.save();
+      /**
+       * setUserRoles also revokes live access tokens (they carry
+       * the old roles claim) and writes the audit log
+       */
+      await setUserRoles(req.user, user, [role], { req });
       
       res.json({
         success: true,
@@ -239,6 +336,13 @@ router.put('/users/:id/role',
       });
       
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
       console.error('Update role error:', error);
       res.status(500).json({
         success: false,
@@ -248,6 +352,281 @@ router.put('/users/:id/role',
   }
 );
 
+/**
+ * Error response for utils/userAccess.js and utils/accessRequests.js
+ * errors (status set) or 500
+ */
+const sendStatusError = (res, error, label, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * Load the target user of /users/:id/... routes
+ * @returns {Promise<Object|null>} - User document, null if missing/invalid ID
+ */
+const findTargetUser = (id) => (mongoose.isValidObjectId(id) ? User.findById(id) : null);
+
+/**
+ * Access summary returned by the access endpoints
+ */
+const toUserAccessResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  roles: user.roles,
+  permissions: user.permissions,
+  temporaryPermissions: user.temporaryPermissions,
+  effectivePermissions: user.getPermissions()
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/users/:id/permissions
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Roles, custom permissions, temporary grants and the effective result
+ * 
+ * @access Admin only (requires assign:roles permission)
+ */
+
+router.get('/users/:id/permissions',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req.params.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        user: toUserAccessResponse(user)
+      });
+      
+    } catch (error) {
+      console.error('Get user permissions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching user permissions'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PUT /api/admin/users/:id/roles
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Replace all roles of a user (several at once)
+ * 
+ * @access Admin only (requires assign:roles permission, recent authentication)
+ * @body roles - e.g. ['user', 'moderator'], none above your own role
+ */
+
+router.put('/users/:id/roles',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req.params.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      await setUserRoles(req.user, user, req.body.roles, { req });
+      
+      res.json({
+        success: true,
+        message: `User roles updated to ${user.roles.join(', ')}`,
+        user: toUserAccessResponse(user)
+      });
+      
+    } catch (error) {
+      sendStatusError(res, error, 'Update roles', 'Error updating user roles');
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/users/:id/permissions
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Grant a permanent custom permission (or '!' deny rule)
+ * 
+ * @access Admin only (requires assign:roles permission, recent authentication)
+ * @body permission - One of PERMISSIONS, e.g. 'view:analytics' or '!delete:users'
+ * 
+ * For a limited time use POST /users/:id/temporary-permissions
+ */
+
+router.post('/users/:id/permissions',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req.params.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      await grantUserPermission(req.user, user, req.body.permission, { req });
+      
+      res.status(201).json({
+        success: true,
+        message: `${req.body.permission} granted`,
+        user: toUserAccessResponse(user)
+      });
+      
+    } catch (error) {
+      sendStatusError(res, error, 'Grant permission', 'Error granting permission');
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/admin/users/:id/permissions/:permission
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Remove a custom permission (or deny rule) from a user
+ * 
+ * @access Admin only (requires assign:roles permission, recent authentication)
+ * @param permission - URL-encoded entry, e.g. view%3Aanalytics
+ */
+
+router.delete('/users/:id/permissions/:permission',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req.params.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      await revokeUserPermission(req.user, user, req.params.permission, { req });
+      
+      res.json({
+        success: true,
+        message: `${req.params.permission} revoked`,
+        user: toUserAccessResponse(user)
+      });
+      
+    } catch (error) {
+      sendStatusError(res, error, 'Revoke permission', 'Error revoking permission');
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PUT /api/admin/users/:id/attributes
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Replace a user's ABAC attributes (subject.* in config/policies.js)
+ * 
+ * @access Admin only (requires update:users permission, recent authentication)
+ * @body attributes - { region: 'eu', teams: ['billing'] }
+ *       Values: string, number, boolean or arrays of those
+ * 
+ * Not your own, not a higher-ranked user; audited (utils/userAccess.js)
+ */
+
+const RESERVED_SUBJECT_ATTRIBUTES = ['id', 'email', 'roles', 'permissions', 'isVerified', 'isServicePrincipal'];
+
+router.put('/users/:id/attributes',
+  requirePermission(PERMISSIONS.UPDATE_USERS),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const { attributes } = req.body;
+      
+      // ─────────────────────────────────────────────────────────
+      // 1. Validate attributes
+      // ─────────────────────────────────────────────────────────
+      if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+        return res.status(400).json({
+          success: false,
+          message: 'attributes must be an object'
+        });
+      }
+      
+      const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+      
+      const invalid = Object.entries(attributes).find(([key, value]) =>
+        !/^[a-zA-Z][a-zA-Z0-9_]{0,31}$/.test(key) ||
+        RESERVED_SUBJECT_ATTRIBUTES.includes(key) ||
+        !(isScalar(value) || (Array.isArray(value) && value.every(isScalar)))
+      );
+      
+      if (invalid || Object.keys(attributes).length > 20) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+            ? `Invalid attribute: ${invalid[0]} (reserved: ${RESERVED_SUBJECT_ATTRIBUTES.join(', ')})`
+            : 'At most 20 attributes allowed'
+        });
+      }
+      
+      // ─────────────────────────────────────────────────────────
+      // 2. Save
+      // ─────────────────────────────────────────────────────────
+      const user = await findTargetUser(req.params.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      await setUserAttributes(req.user, user, attributes, { req });
+      
+      res.json({
+        success: true,
+        message: 'User attributes updated',
+        user: {
+          id: user._id,
+          email: user.email,
+          attributes: user.attributes
+        }
+      });
+      
+    } catch (error) {
+      sendStatusError(res, error, 'Update attributes', 'Error updating user attributes');
+    }
+  }
+);
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * DELETE /api/admin/users/:id
@@ -255,11 +634,12 @@ router.put('/users/:id/role',
  * 
  * Delete user account
  * 
- * @access Admin only (requires delete:users permission)
+ * @access Admin only (requires delete:users permission, recent authentication)
  */
 
 router.delete('/users/:id',
   requirePermission(PERMISSIONS.DELETE_USERS),
+  requireRecentAuth(),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -295,11 +675,7 @@ router.delete('/users/:id',
        * Moderator cannot delete admin
        * Only admin can delete admin
        */
-      const { getRoleLevel } = require('../config/roles');
-      const targetRoleLevel = Math.max(...user.roles.map(r => getRoleLevel(r)));
-      const currentRoleLevel = Math.max(...req.user.roles.map(r => getRoleLevel(r)));
-      
-      if (targetRoleLevel > currentRoleLevel) {
+      if (getMaxRoleLevel(user) > getMaxRoleLevel(req.user)) {
         return res.status(403).json({
           success: false,
           message: 'You cannot delete a user with higher role than yours'
@@ -311,6 +687,10 @@ router.delete('/users/:id',
       // ─────────────────────────────────────────────────────────
       await user.deleteOne();
       
+      // Kill live sessions of the deleted account
+      await invalidateAllRefreshTokens(user._id);
+      await revokeAllAccessTokens(user._id, 'account_deleted');
+      
       // TODO: Also delete user's related data (posts, comments, etc.)
       
       res.json({
@@ -370,6 +750,9 @@ router.get('/stats',
       const localUsers = await User.countDocuments({ provider: 'local' });
       const googleUsers = await User.countDocuments({ provider: 'google' });
       const githubUsers = await User.countDocuments({ provider: 'github' });
+      const microsoftUsers = await User.countDocuments({ provider: 'microsoft' });
+      const facebookUsers = await User.countDocuments({ provider: 'facebook' });
+      const ssoUsers = await User.countDocuments({ provider: 'sso' });
       
       res.json({
         success: true,
@@ -388,7 +771,10 @@ router.get('/stats',
           providers: {
             local: localUsers,
             google: googleUsers,
-            github: githubUsers
+            github: githubUsers,
+            microsoft: microsoftUsers,
+            facebook: facebookUsers,
+            sso: ssoUsers
           }
         }
       });
@@ -403,5 +789,1964 @@ router.get('/stats',
   }
 );
 
-module.exports = router;
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/keys
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * List JWT signing keys (public metadata only)
+ * 
+ * @access Admin only (requires manage:settings permission)
+ */
+
+router.get('/keys',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const keys = await SigningKey.find()
+        .select('kid alg status verifyUntil createdAt')
+        .sort({ createdAt: -1 });
+      
+      res.json({
+        success: true,
+        keys
+      });
+      
+    } catch (error) {
+      console.error('Get signing keys error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching signing keys'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/keys/rotate
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Rotate JWT signing key now (e.g. suspected key compromise)
+ * 
+ * @access Admin only (requires manage:settings permission, recent authentication)
+ * 
+ * Previous key keeps verifying for JWT_KEY_OVERLAP_HOURS
+ */
+
+router.post('/keys/rotate',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const kid = await rotateSigningKey();
+      
+      res.json({
+        success: true,
+        message: 'Signing key rotated',
+        kid
+      });
+      
+    } catch (error) {
+      console.error('Rotate signing key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error rotating signing key'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * OAUTH CLIENT MANAGEMENT (OpenID Connect provider)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Validate client fields from request body
+ * @param {Object} body - { redirectUris, allowedScopes, grantTypes, serviceScopes }
+ * @param {Object} actor - req.user
+ * @returns {String|null} - Error message, or null if valid
+ */
+const validateClientInput = ({ redirectUris, allowedScopes, grantTypes, serviceScopes }, actor) => {
+  if (redirectUris !== undefined) {
+    if (!Array.isArray(redirectUris)) {
+      return 'redirectUris must be an array';
+    }
+
+    for (const uri of redirectUris) {
+      let parsed;
+      try {
+        parsed = new URL(uri);
+      } catch (error) {
+        return `Invalid redirect URI: ${uri}`;
+      }
+
+      // Fragments are not allowed (RFC 6749 §3.1.2); plain http only for localhost
+      if (parsed.hash) {
+        return `Redirect URI must not contain a fragment: ${uri}`;
+      }
+      if (parsed.protocol === 'http:' && !['localhost', '127.0.0.1'].includes(parsed.hostname)) {
+        return `Redirect URI must use https: ${uri}`;
+      }
+    }
+  }
+
+  if (allowedScopes !== undefined) {
+    if (!Array.isArray(allowedScopes) || !allowedScopes.includes('openid')) {
+      return 'allowedScopes must be an array including "openid"';
+    }
+
+    const invalid = allowedScopes.find(scope => !SUPPORTED_SCOPES.includes(scope));
+    if (invalid) {
+      return `Unsupported scope: ${invalid}`;
+    }
+  }
+
+  if (grantTypes !== undefined && !Array.isArray(grantTypes)) {
+    return 'grantTypes must be an array';
+  }
+
+  // Service clients can only be granted known permissions the caller
+  // holds - otherwise a client becomes a way around your own role
+  if (serviceScopes !== undefined) {
+    if (!Array.isArray(serviceScopes)) {
+      return 'serviceScopes must be an array';
+    }
+
+    const knownPermissions = Object.values(PERMISSIONS);
+    const invalid = serviceScopes.find(scope => !knownPermissions.includes(scope));
+    if (invalid) {
+      return `Unknown permission in serviceScopes: ${invalid}`;
+    }
 
+    const actorPermissions = actor.getPermissions();
+    const notHeld = serviceScopes.find(scope => !isPermissionGranted(actorPermissions, scope));
+    if (notHeld) {
+      return `You cannot grant a permission you don't have: ${notHeld}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/clients
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * List registered OAuth/OIDC clients
+ * 
+ * @access Admin only (requires manage:settings permission)
+ */
+
+router.get('/clients',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const clients = await OAuthClient.find()
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 });
+      
+      res.json({
+        success: true,
+        clients
+      });
+      
+    } catch (error) {
+      console.error('Get OAuth clients error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching clients'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/clients
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Register a new OAuth/OIDC client
+ * 
+ * @access Admin only (requires manage:settings permission, recent authentication)
+ * @body name, description, logoUrl, redirectUris, allowedScopes,
+ *       grantTypes, serviceScopes, isConfidential, skipConsent
+ * @returns client + clientSecret (confidential clients, shown ONCE)
+ * 
+ * Service client (machine-to-machine):
+ * grantTypes: ['client_credentials'], serviceScopes: ['read:users', ...]
+ */
+
+router.post('/clients',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const {
+        name,
+        description,
+        logoUrl,
+        redirectUris = [],
+        allowedScopes,
+        grantTypes = ['authorization_code'],
+        serviceScopes,
+        isConfidential = true,
+        skipConsent = false
+      } = req.body;
+      
+      const validationError = validateClientInput({ redirectUris, allowedScopes, grantTypes, serviceScopes }, req.user);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+      
+      if (grantTypes.includes('authorization_code') && redirectUris.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one redirect URI is required'
+        });
+      }
+      
+      if (grantTypes.includes('client_credentials') && !isConfidential) {
+        return res.status(400).json({
+          success: false,
+          message: 'Service clients (client_credentials) must be confidential'
+        });
+      }
+      
+      const client = new OAuthClient({
+        clientId: OAuthClient.generateClientId(),
+        name,
+        description,
+        logoUrl,
+        redirectUris,
+        allowedScopes,
+        grantTypes,
+        serviceScopes,
+        isConfidential,
+        skipConsent,
+        createdBy: req.user._id
+      });
+      
+      const clientSecret = isConfidential ? await client.generateSecret() : undefined;
+      
+      await client.save();
+      
+      console.log(`🧩 OAuth client registered: ${client.name} (${client.clientId}) by ${req.user.email}`);
+      
+      res.status(201).json({
+        success: true,
+        message: isConfidential
+          ? 'Client registered. Store the client secret now - it will not be shown again.'
+          : 'Public client registered',
+        client,
+        clientSecret
+      });
+      
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+      }
+      
+      console.error('Create OAuth client error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error registering client'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/clients/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Get single OAuth/OIDC client
+ * 
+ * @access Admin only (requires manage:settings permission)
+ */
+
+router.get('/clients/:id',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const client = await OAuthClient.findById(req.params.id)
+        .populate('createdBy', 'name email');
+      
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        client
+      });
+      
+    } catch (error) {
+      console.error('Get OAuth client error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching client'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PUT /api/admin/clients/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Update OAuth/OIDC client settings
+ * 
+ * @access Admin only (requires manage:settings permission)
+ * @body Any of: name, description, logoUrl, redirectUris, allowedScopes,
+ *       grantTypes, serviceScopes, skipConsent, isActive
+ * 
+ * clientId and isConfidential cannot be changed (register a new client)
+ */
+
+router.put('/clients/:id',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const validationError = validateClientInput(req.body, req.user);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+      
+      const client = await OAuthClient.findById(req.params.id);
+      
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+      
+      const updatable = [
+        'name', 'description', 'logoUrl', 'redirectUris',
+        'allowedScopes', 'grantTypes', 'serviceScopes', 'skipConsent', 'isActive'
+      ];
+      
+      updatable.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          client[field] = req.body[field];
+        }
+      });
+      
+      if (client.grantTypes.includes('client_credentials') && !client.isConfidential) {
+        return res.status(400).json({
+          success: false,
+          message: 'Service clients (client_credentials) must be confidential'
+        });
+      }
+      
+      await client.save();
+      
+      res.json({
+        success: true,
+        message: 'Client updated',
+        client
+      });
+      
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+      }
+      
+      console.error('Update OAuth client error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating client'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/admin/clients/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Delete OAuth/OIDC client and all user consents for it
+ * 
+ * @access Admin only (requires manage:settings permission)
+ * 
+ * Already-issued access tokens expire on their own (15 min);
+ * refresh tokens fail on the next /oauth/token call (client gone);
+ * service tokens stop working immediately (authenticate looks up the client)
+ */
+
+router.delete('/clients/:id',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const client = await OAuthClient.findById(req.params.id);
+      
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+      
+      await OAuthConsent.deleteMany({ clientId: client.clientId });
+      await client.deleteOne();
+      
+      console.log(`🗑️  OAuth client deleted: ${client.name} (${client.clientId}) by ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'Client deleted'
+      });
+      
+    } catch (error) {
+      console.error('Delete OAuth client error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting client'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/clients/:id/secret
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Generate a new client secret (old one stops working immediately)
+ * 
+ * @access Admin only (requires manage:settings permission, recent authentication)
+ * @returns clientSecret (shown ONCE)
+ */
+
+router.post('/clients/:id/secret',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const client = await OAuthClient.findById(req.params.id);
+      
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+      
+      if (!client.isConfidential) {
+        return res.status(400).json({
+          success: false,
+          message: 'Public clients do not have a secret'
+        });
+      }
+      
+      const clientSecret = await client.generateSecret();
+      await client.save();
+      
+      res.json({
+        success: true,
+        message: 'Client secret rotated. Store it now - it will not be shown again.',
+        clientSecret
+      });
+      
+    } catch (error) {
+      console.error('Rotate client secret error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error rotating client secret'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ENTERPRISE SSO CONNECTIONS (OpenID Connect relying party)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const SSO_CLAIM_FIELDS = ['subject', 'email', 'name', 'picture', 'roles'];
+
+/**
+ * Validate + normalize SSO connection fields from request body
+ * @param {Object} body - Request body (allowedDomains normalized in place)
+ * @param {String} excludeId - Connection being updated (for domain conflicts)
+ * @returns {Promise<String|null>} - Error message, or null if valid
+ */
+const validateSsoConnectionInput = async (body, excludeId) => {
+  const { protocol, issuer, scopes, claimMappings, roleMappings, permissionMappings, allowedDomains } = body;
+
+  if (protocol !== undefined && !['oidc', 'saml'].includes(protocol)) {
+    return 'protocol must be "oidc" or "saml"';
+  }
+
+  if (issuer !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(issuer);
+    } catch (error) {
+      return `Invalid issuer URL: ${issuer}`;
+    }
+
+    // Plain http only for a local IdP (e.g. Keycloak in docker)
+    if (parsed.protocol !== 'https:' &&
+        !(parsed.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(parsed.hostname))) {
+      return `Issuer must use https: ${issuer}`;
+    }
+  }
+
+  if (scopes !== undefined && (!Array.isArray(scopes) || !scopes.includes('openid'))) {
+    return 'scopes must be an array including "openid"';
+  }
+
+  if (claimMappings !== undefined) {
+    if (typeof claimMappings !== 'object' || claimMappings === null) {
+      return 'claimMappings must be an object';
+    }
+
+    const invalid = Object.keys(claimMappings).find(field => !SSO_CLAIM_FIELDS.includes(field));
+    if (invalid) {
+      return `Unknown claim mapping: ${invalid} (use ${SSO_CLAIM_FIELDS.join(', ')})`;
+    }
+  }
+
+  // IdP groups can only map onto roles we know
+  if (roleMappings !== undefined) {
+    if (typeof roleMappings !== 'object' || roleMappings === null || Array.isArray(roleMappings)) {
+      return 'roleMappings must be an object ({ "IdP group": "role" })';
+    }
+
+    // Stored as a Mongoose Map: keys can't contain '.' or start with '$'
+    const badKey = Object.keys(roleMappings).find(key => key.includes('.') || key.startsWith('$'));
+    if (badKey) {
+      return `roleMappings key cannot contain "." or start with "$": ${badKey}`;
+    }
+
+    const invalid = Object.values(roleMappings).find(role => !isKnownRole(role));
+    if (invalid) {
+      return `Unknown role in roleMappings: ${invalid}`;
+    }
+  }
+
+  // SCIM groups → custom permissions (same key rules as roleMappings)
+  if (permissionMappings !== undefined) {
+    if (typeof permissionMappings !== 'object' || permissionMappings === null || Array.isArray(permissionMappings)) {
+      return 'permissionMappings must be an object ({ "IdP group": ["permission", ...] })';
+    }
+
+    const badKey = Object.keys(permissionMappings).find(key => key.includes('.') || key.startsWith('$'));
+    if (badKey) {
+      return `permissionMappings key cannot contain "." or start with "$": ${badKey}`;
+    }
+
+    if (!Object.values(permissionMappings).every(Array.isArray)) {
+      return 'permissionMappings values must be arrays of permissions';
+    }
+
+    const knownPermissions = Object.values(PERMISSIONS);
+    const invalid = Object.values(permissionMappings).flat()
+      .find(permission => !knownPermissions.includes(permission));
+    if (invalid) {
+      return `Unknown permission in permissionMappings: ${invalid}`;
+    }
+  }
+
+  if (allowedDomains !== undefined) {
+    if (!Array.isArray(allowedDomains) || allowedDomains.length === 0) {
+      return 'allowedDomains must be a non-empty array';
+    }
+
+    body.allowedDomains = allowedDomains.map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''));
+
+    const invalid = body.allowedDomains.find(domain => !/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain));
+    if (invalid) {
+      return `Invalid domain: ${invalid}`;
+    }
+
+    /**
+     * One connection per domain
+     * ────────────────────────────────────────────────────────
+     * Login routing by email domain must be unambiguous
+     */
+    const query = { allowedDomains: { $in: body.allowedDomains } };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    const conflict = await SsoConnection.findOne(query);
+
+    if (conflict) {
+      return `Domain already assigned to SSO connection "${conflict.name}"`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/sso-connections
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * List enterprise SSO connections (client secrets never returned)
+ * 
+ * @access Admin only (requires manage:settings permission)
+ */
+
+router.get('/sso-connections',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const connections = await SsoConnection.find()
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 });
+      
+      res.json({
+        success: true,
+        connections
+      });
+      
+    } catch (error) {
+      console.error('Get SSO connections error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching SSO connections'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/sso-connections
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Create an enterprise SSO connection
+ * 
+ * @access Admin only (requires manage:settings permission)
+ * @body name, slug, protocol ('oidc' | 'saml'), allowedDomains,
+ *       claimMappings, roleMappings, permissionMappings, isActive
+ *       OIDC: issuer, clientId, clientSecret, scopes
+ *       SAML: metadataXml (or upload later), allowIdpInitiated
+ * @returns connection (+ sp: entity ID / ACS URL for SAML)
+ * 
+ * OIDC: register SSO_CALLBACK_URL (/api/auth/sso/callback) as the
+ * redirect URI of the app at the IdP.
+ * SAML: give the IdP /api/auth/sso/:slug/metadata.
+ */
+
+router.post('/sso-connections',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      if (!req.body.allowedDomains) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one allowed email domain is required'
+        });
+      }
+      
+      const validationError = await validateSsoConnectionInput(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+      
+      const {
+        name,
+        slug,
+        protocol = 'oidc',
+        issuer,
+        clientId,
+        clientSecret,
+        scopes,
+        claimMappings,
+        roleMappings,
+        permissionMappings,
+        allowedDomains,
+        metadataXml,
+        allowIdpInitiated = false,
+        isActive = true
+      } = req.body;
+      
+      let saml;
+      if (protocol === 'saml') {
+        try {
+          saml = {
+            ...(metadataXml ? parseIdpMetadata(metadataXml) : {}),
+            allowIdpInitiated
+          };
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid IdP metadata: ${error.message}`
+          });
+        }
+      }
+      
+      const connection = await SsoConnection.create({
+        name,
+        slug,
+        protocol,
+        issuer,
+        clientId,
+        clientSecret,
+        scopes,
+        claimMappings,
+        roleMappings,
+        permissionMappings,
+        allowedDomains,
+        saml,
+        isActive,
+        createdBy: req.user._id
+      });
+      
+      console.log(`🏢 SSO connection created: ${connection.name} (${connection.slug}, ${protocol}) by ${req.user.email}`);
+      
+      res.status(201).json({
+        success: true,
+        message: 'SSO connection created',
+        connection,
+        sp: protocol === 'saml' ? getSpUrls(connection) : undefined
+      });
+      
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+      }
+      
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Slug already in use'
+        });
+      }
+      
+      console.error('Create SSO connection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating SSO connection'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/sso-connections/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Get single SSO connection
+ * 
+ * @access Admin only (requires manage:settings permission)
+ */
+
+router.get('/sso-connections/:id',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const connection = await SsoConnection.findById(req.params.id)
+        .populate('createdBy', 'name email');
+      
+      if (!connection) {
+        return res.status(404).json({
+          success: false,
+          message: 'SSO connection not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        connection
+      });
+      
+    } catch (error) {
+      console.error('Get SSO connection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching SSO connection'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PUT /api/admin/sso-connections/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Update SSO connection settings
+ * 
+ * @access Admin only (requires manage:settings permission)
+ * @body Any of: name, issuer, clientId, clientSecret, scopes,
+ *       claimMappings, roleMappings, permissionMappings, allowedDomains,
+ *       allowIdpInitiated, isActive
+ * 
+ * slug and protocol cannot be changed (slug is in login URLs,
+ * bookmarks and SAML entity IDs); omit clientSecret to keep the current one
+ */
+
+router.put('/sso-connections/:id',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const validationError = await validateSsoConnectionInput(req.body, req.params.id);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+      
+      const connection = await SsoConnection.findById(req.params.id);
+      
+      if (!connection) {
+        return res.status(404).json({
+          success: false,
+          message: 'SSO connection not found'
+        });
+      }
+      
+      const updatable = [
+        'name', 'issuer', 'clientId', 'clientSecret',
+        'scopes', 'allowedDomains', 'isActive'
+      ];
+      
+      updatable.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          connection[field] = req.body[field];
+        }
+      });
+      
+      // Merge so a partial mapping keeps the other defaults
+      if (req.body.claimMappings) {
+        Object.entries(req.body.claimMappings).forEach(([field, claim]) => {
+          connection.claimMappings[field] = claim;
+        });
+      }
+      
+      if (req.body.roleMappings !== undefined) {
+        connection.roleMappings = req.body.roleMappings;
+      }
+      
+      if (req.body.permissionMappings !== undefined) {
+        connection.permissionMappings = req.body.permissionMappings;
+      }
+      
+      if (req.body.allowIdpInitiated !== undefined && connection.protocol === 'saml') {
+        connection.saml.allowIdpInitiated = !!req.body.allowIdpInitiated;
+      }
+      
+      await connection.save();
+      
+      console.log(`🏢 SSO connection updated: ${connection.name} (${connection.slug}) by ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'SSO connection updated',
+        connection
+      });
+      
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+      }
+      
+      console.error('Update SSO connection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating SSO connection'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/admin/sso-connections/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Delete SSO connection
+ * 
+ * @access Admin only (requires manage:settings permission)
+ * 
+ * Users keep their accounts; they can no longer log in through
+ * this IdP (password reset or another linked login still works).
+ * Its SCIM groups are removed. Set isActive: false instead to
+ * pause a connection.
+ */
+
+router.delete('/sso-connections/:id',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const connection = await SsoConnection.findByIdAndDelete(req.params.id);
+      
+      if (!connection) {
+        return res.status(404).json({
+          success: false,
+          message: 'SSO connection not found'
+        });
+      }
+      
+      await ScimGroup.deleteMany({ connection: connection._id });
+      
+      console.log(`🗑️  SSO connection deleted: ${connection.name} (${connection.slug}) by ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'SSO connection deleted'
+      });
+      
+    } catch (error) {
+      console.error('Delete SSO connection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting SSO connection'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/sso-connections/:id/test
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * OIDC: fetch the issuer's .well-known/openid-configuration
+ * SAML: report the stored IdP settings + our SP URLs
+ * 
+ * @access Admin only (requires manage:settings permission)
+ * @returns Endpoints the login flow will use
+ */
+
+router.post('/sso-connections/:id/test',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const connection = await SsoConnection.findById(req.params.id);
+      
+      if (!connection) {
+        return res.status(404).json({
+          success: false,
+          message: 'SSO connection not found'
+        });
+      }
+      
+      if (connection.protocol === 'saml') {
+        const { entityId, ssoUrl, certificates } = connection.saml;
+        
+        if (!entityId || !ssoUrl || certificates.length === 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'IdP metadata not uploaded yet'
+          });
+        }
+        
+        return res.json({
+          success: true,
+          message: 'SAML connection configured',
+          metadata: {
+            idpEntityId: entityId,
+            ssoUrl,
+            certificates: certificates.length,
+            sp: getSpUrls(connection)
+          }
+        });
+      }
+      
+      let metadata;
+      try {
+        metadata = await discover(connection.issuer);
+      } catch (error) {
+        return res.status(502).json({
+          success: false,
+          message: `Discovery failed: ${error.message}`
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Discovery succeeded',
+        metadata: {
+          issuer: metadata.issuer,
+          authorization_endpoint: metadata.authorization_endpoint,
+          token_endpoint: metadata.token_endpoint,
+          userinfo_endpoint: metadata.userinfo_endpoint,
+          jwks_uri: metadata.jwks_uri,
+          scopes_supported: metadata.scopes_supported
+        }
+      });
+      
+    } catch (error) {
+      console.error('Test SSO connection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error testing SSO connection'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PUT /api/admin/sso-connections/:id/metadata
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Upload (or replace) the IdP metadata of a SAML connection
+ * 
+ * @access Admin only (requires manage:settings permission)
+ * @body metadataXml - EntityDescriptor exported from the IdP
+ * 
+ * Replaces entity ID, SSO URL and signing certificates - upload
+ * the new metadata when the IdP rotates its certificate
+ */
+
+router.put('/sso-connections/:id/metadata',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const connection = await SsoConnection.findById(req.params.id);
+      
+      if (!connection || connection.protocol !== 'saml') {
+        return res.status(404).json({
+          success: false,
+          message: 'SAML connection not found'
+        });
+      }
+      
+      let idp;
+      try {
+        idp = parseIdpMetadata(req.body.metadataXml);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid IdP metadata: ${error.message}`
+        });
+      }
+      
+      connection.saml.entityId = idp.entityId;
+      connection.saml.ssoUrl = idp.ssoUrl;
+      connection.saml.certificates = idp.certificates;
+      await connection.save();
+      
+      console.log(`🏢 SAML metadata updated: ${connection.name} (${connection.slug}) by ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'IdP metadata updated',
+        connection
+      });
+      
+    } catch (error) {
+      console.error('Upload SAML metadata error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating IdP metadata'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/sso-connections/:id/scim-token
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Issue the SCIM bearer token for a connection (tenant)
+ * 
+ * @access Admin only (requires manage:settings permission, recent authentication)
+ * @returns token (shown once - only its hash is stored), scimBaseUrl
+ * 
+ * Replaces any previous token; configure the IdP's provisioning
+ * app with the base URL and token
+ */
+
+router.post('/sso-connections/:id/scim-token',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const connection = await SsoConnection.findById(req.params.id);
+      
+      if (!connection) {
+        return res.status(404).json({
+          success: false,
+          message: 'SSO connection not found'
+        });
+      }
+      
+      const token = connection.generateScimToken();
+      await connection.save();
+      
+      console.log(`🔑 SCIM token issued: ${connection.name} (${connection.slug}) by ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'SCIM token issued. Store it now - it cannot be shown again.',
+        token,
+        scimBaseUrl: `${req.protocol}://${req.get('host')}/scim/v2`
+      });
+      
+    } catch (error) {
+      console.error('Issue SCIM token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error issuing SCIM token'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/admin/sso-connections/:id/scim-token
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Revoke the SCIM token (provisioning stops; users are kept)
+ * 
+ * @access Admin only (requires manage:settings permission)
+ */
+
+router.delete('/sso-connections/:id/scim-token',
+  requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  async (req, res) => {
+    try {
+      const connection = await SsoConnection.findByIdAndUpdate(
+        req.params.id,
+        { $unset: { scimTokenHash: 1, scimTokenCreatedAt: 1 } }
+      );
+      
+      if (!connection) {
+        return res.status(404).json({
+          success: false,
+          message: 'SSO connection not found'
+        });
+      }
+      
+      console.log(`🔑 SCIM token revoked: ${connection.name} (${connection.slug}) by ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'SCIM token revoked'
+      });
+      
+    } catch (error) {
+      console.error('Revoke SCIM token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking SCIM token'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ROLE MANAGEMENT
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Roles are stored in MongoDB (models/Role.js) and cached by
+ * utils/roleStore.js - every change calls invalidateRoles() so
+ * permission checks pick it up immediately (other processes within
+ * a few seconds).
+ *
+ * Escalation rules (the caller can't hand out more than they have):
+ * - level must not exceed the caller's highest role level
+ * - resolved permissions (own + inherited) must all be held by the caller
+ * - roles above the caller's level can't be edited or deleted
+ * (see utils/roleValidation.js)
+ */
+
+/**
+ * Role as returned by the API (stored fields + resolved permissions)
+ * @param {Object} role - Role document
+ * @returns {Object}
+ */
+const toRoleResponse = (role) => ({
+  ...role.toObject(),
+  resolvedPermissions: resolvePermissions(role.name)
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/roles
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * List roles with resolved permissions and number of users
+ * 
+ * @access Admin only (requires view:roles or manage:roles permission)
+ * @returns roles, availablePermissions
+ */
+
+router.get('/roles',
+  requirePermission([PERMISSIONS.VIEW_ROLES, PERMISSIONS.MANAGE_ROLES]),
+  async (req, res) => {
+    try {
+      const roles = await Role.find().sort({ level: 1, name: 1 });
+      
+      const result = [];
+      for (const role of roles) {
+        result.push({
+          ...toRoleResponse(role),
+          userCount: await User.countDocuments({ roles: role.name })
+        });
+      }
+      
+      res.json({
+        success: true,
+        roles: result,
+        availablePermissions: Object.values(PERMISSIONS)
+      });
+      
+    } catch (error) {
+      console.error('List roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching roles'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/roles/:name
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Get single role
+ * 
+ * @access Admin only (requires view:roles or manage:roles permission)
+ */
+
+router.get('/roles/:name',
+  requirePermission([PERMISSIONS.VIEW_ROLES, PERMISSIONS.MANAGE_ROLES]),
+  async (req, res) => {
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+      
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        role: {
+          ...toRoleResponse(role),
+          userCount: await User.countDocuments({ roles: role.name })
+        }
+      });
+      
+    } catch (error) {
+      console.error('Get role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching role'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/roles
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Create a role
+ * 
+ * @access Admin only (requires manage:roles permission, recent authentication)
+ * @body name, description, permissions, inherits, level
+ * 
+ * Example:
+ * { name: 'support', level: 2, inherits: ['user'], permissions: ['read:users'] }
+ */
+
+router.post('/roles',
+  requirePermission(PERMISSIONS.MANAGE_ROLES),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const { description, permissions = [], inherits = [], level = 1 } = req.body;
+      const name = typeof req.body.name === 'string' ? req.body.name.trim().toLowerCase() : '';
+      
+      const validationError = validateRoleInput({ description, permissions, inherits, level }, name, req.user);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+      
+      if (await Role.exists({ name })) {
+        return res.status(409).json({
+          success: false,
+          message: `Role ${name} already exists`
+        });
+      }
+      
+      const role = await Role.create({
+        name,
+        description,
+        permissions: [...new Set(permissions)],
+        inherits: [...new Set(inherits)],
+        level
+      });
+      
+      await invalidateRoles();
+      
+      console.log(`🎭 Role created: ${role.name} (level ${role.level}) by ${req.user.email}`);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Role created',
+        role: toRoleResponse(role)
+      });
+      
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+      }
+      
+      console.error('Create role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating role'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PUT /api/admin/roles/:name
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Update a role (built-in roles included)
+ * 
+ * @access Admin only (requires manage:roles permission, recent authentication)
+ * @body Any of: description, permissions, inherits, level
+ * 
+ * The name can't be changed - it is stored on users and SSO role mappings
+ */
+
+router.put('/roles/:name',
+  requirePermission(PERMISSIONS.MANAGE_ROLES),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+      
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      
+      if (role.level > getMaxRoleLevel(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot modify a role higher than your own'
+        });
+      }
+      
+      const validationError = validateRoleInput(req.body, role.name, req.user);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+      
+      const { description, permissions, inherits, level } = req.body;
+      
+      if (description !== undefined) role.description = description;
+      if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+      if (inherits !== undefined) role.inherits = [...new Set(inherits)];
+      if (level !== undefined) role.level = level;
+      
+      // ─────────────────────────────────────────────────────────
+      // Lockout guard: admin must keep manage:roles
+      // ─────────────────────────────────────────────────────────
+      if (role.name === ROLES.ADMIN) {
+        const resolved = [
+          ...role.permissions,
+          ...role.inherits.flatMap(parent => resolvePermissions(parent))
+        ];
+        
+        if (!isPermissionGranted(resolved, PERMISSIONS.MANAGE_ROLES)) {
+          return res.status(400).json({
+            success: false,
+            message: `The ${ROLES.ADMIN} role must keep ${PERMISSIONS.MANAGE_ROLES}`
+          });
+        }
+      }
+      
+      await role.save();
+      await invalidateRoles();
+      
+      console.log(`🎭 Role updated: ${role.name} by ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'Role updated',
+        role: toRoleResponse(role)
+      });
+      
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+      }
+      
+      console.error('Update role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating role'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/admin/roles/:name
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Delete a custom role
+ * 
+ * @access Admin only (requires manage:roles permission, recent authentication)
+ * 
+ * Refused (409) while the role is still in use:
+ * - assigned to users
+ * - inherited by another role
+ * - target of an SSO connection's roleMappings
+ * Built-in roles (isSystem) can't be deleted
+ */
+
+router.delete('/roles/:name',
+  requirePermission(PERMISSIONS.MANAGE_ROLES),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+      
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Built-in roles cannot be deleted'
+        });
+      }
+      
+      if (role.level > getMaxRoleLevel(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot delete a role higher than your own'
+        });
+      }
+      
+      // ─────────────────────────────────────────────────────────
+      // Still in use?
+      // ─────────────────────────────────────────────────────────
+      const userCount = await User.countDocuments({ roles: role.name });
+      if (userCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is assigned to ${userCount} user(s). Reassign them first.`
+        });
+      }
+      
+      const children = await Role.find({ inherits: role.name }).select('name');
+      if (children.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is inherited by: ${children.map(child => child.name).join(', ')}`
+        });
+      }
+      
+      const connections = await SsoConnection.find().select('name roleMappings');
+      const mappedBy = connections.filter(connection =>
+        Array.from(connection.roleMappings.values()).includes(role.name)
+      );
+      if (mappedBy.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is used in SSO role mappings: ${mappedBy.map(connection => connection.name).join(', ')}`
+        });
+      }
+      
+      await role.deleteOne();
+      await invalidateRoles();
+      
+      console.log(`🗑️  Role deleted: ${role.name} by ${req.user.email}`);
+      
+      res.json({
+        success: true,
+        message: 'Role deleted'
+      });
+      
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting role'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ACCESS POLICIES (ABAC)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Policies are declared in config/policies.js; these endpoints let
+ * admins read them and dry-run decisions ("why was this denied?")
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/policies
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * List access policies
+ * 
+ * @access Admin only (requires view:roles or manage:roles permission)
+ */
+
+router.get('/policies',
+  requirePermission([PERMISSIONS.VIEW_ROLES, PERMISSIONS.MANAGE_ROLES]),
+  (req, res) => {
+    res.json({
+      success: true,
+      policies: POLICIES,
+      operators: Object.keys(OPERATORS),
+      timezone: POLICY_TIMEZONE
+    });
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/policies/explain
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Dry run: evaluate a decision and explain it (nothing is changed)
+ * 
+ * @access Admin only (requires view:roles or manage:roles permission)
+ * @body action - e.g. 'update'
+ * @body resource - { type: 'post', region: 'eu', userId: '...' }
+ * @body userId - Subject (default: yourself)
+ * @body subject - Attribute overrides for what-if checks ({ region: 'us' })
+ * @body at - Evaluate at this time (ISO date, default: now)
+ * @body environment - Other environment overrides ({ ip: '10.0.0.1' })
+ * @returns decision { allowed, decision, reason, policy, evaluations } + the
+ *          attributes that were evaluated
+ */
+
+router.post('/policies/explain',
+  requirePermission([PERMISSIONS.VIEW_ROLES, PERMISSIONS.MANAGE_ROLES]),
+  async (req, res) => {
+    try {
+      const { action, resource, userId, subject: subjectOverrides, at, environment: environmentOverrides } = req.body;
+      
+      // ─────────────────────────────────────────────────────────
+      // 1. Validate input
+      // ─────────────────────────────────────────────────────────
+      if (typeof action !== 'string' || !action) {
+        return res.status(400).json({
+          success: false,
+          message: 'action is required'
+        });
+      }
+      
+      if (!resource || typeof resource !== 'object' || typeof resource.type !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'resource must be an object with a type ({ type: "post", ... })'
+        });
+      }
+      
+      const now = at ? new Date(at) : new Date();
+      if (Number.isNaN(now.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'at must be a valid date'
+        });
+      }
+      
+      // ─────────────────────────────────────────────────────────
+      // 2. Build attributes
+      // ─────────────────────────────────────────────────────────
+      const user = userId ? await User.findById(userId) : req.user;
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      const context = {
+        subject: { ...buildSubject(user), ...(subjectOverrides || {}) },
+        resource: buildResource(resource.type, resource),
+        action,
+        environment: { ...buildEnvironment(req, now), ...(environmentOverrides || {}) }
+      };
+      
+      // ─────────────────────────────────────────────────────────
+      // 3. Evaluate
+      // ─────────────────────────────────────────────────────────
+      res.json({
+        success: true,
+        decision: evaluate(context),
+        context
+      });
+      
+    } catch (error) {
+      console.error('Explain policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error evaluating policies'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ACCESS REQUESTS (just-in-time permissions)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Review temporary permission requests (POST /api/access-requests) and
+ * grant/revoke temporary permissions directly - see utils/accessRequests.js
+ *
+ * Reviewers need assign:roles and must hold the permission themselves
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/access-requests
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * List access requests
+ * 
+ * @access Admin only (requires assign:roles permission)
+ * @query status - pending (default), approved, denied, cancelled, expired, revoked, all
+ */
+
+router.get('/access-requests',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  async (req, res) => {
+    try {
+      const status = req.query.status || 'pending';
+      const statuses = ['pending', 'approved', 'denied', 'cancelled', 'expired', 'revoked'];
+      
+      if (status !== 'all' && !statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${statuses.join(', ')}, all`
+        });
+      }
+      
+      const filter = status === 'all' ? {} : { status };
+      
+      const requests = await AccessRequest.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate('user', 'name email roles')
+        .populate('reviewedBy', 'name email');
+      
+      res.json({
+        success: true,
+        requests
+      });
+      
+    } catch (error) {
+      console.error('List access requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching access requests'
+      });
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/access-requests/:id/approve
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Approve a pending request - the grant starts now
+ * 
+ * @access Admin only (requires assign:roles permission, recent authentication)
+ * @body durationMinutes - Optional, can only shorten the requested duration
+ * @body note - Optional, emailed to the requester
+ */
+
+router.post('/access-requests/:id/approve',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access request not found'
+        });
+      }
+      
+      const { durationMinutes, note } = req.body;
+      
+      const request = await reviewAccessRequest(req.params.id, req.user, {
+        approve: true,
+        durationMinutes,
+        note
+      });
+      
+      res.json({
+        success: true,
+        message: `Access approved until ${request.grantExpiresAt.toISOString()}`,
+        request
+      });
+      
+    } catch (error) {
+      sendStatusError(res, error, 'Approve access request', 'Error approving request');
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/access-requests/:id/deny
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Deny a pending request
+ * 
+ * @access Admin only (requires assign:roles permission)
+ * @body note - Optional, emailed to the requester
+ */
+
+router.post('/access-requests/:id/deny',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access request not found'
+        });
+      }
+      
+      const request = await reviewAccessRequest(req.params.id, req.user, {
+        approve: false,
+        note: req.body.note
+      });
+      
+      res.json({
+        success: true,
+        message: 'Access denied',
+        request
+      });
+      
+    } catch (error) {
+      sendStatusError(res, error, 'Deny access request', 'Error denying request');
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/access-requests/:id/revoke
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * End an approved grant before it expires
+ * 
+ * @access Admin only (requires assign:roles permission)
+ */
+
+router.post('/access-requests/:id/revoke',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Active grant not found'
+        });
+      }
+      
+      const request = await revokeTemporaryPermission(req.params.id, req.user);
+      
+      res.json({
+        success: true,
+        message: 'Temporary access revoked',
+        request
+      });
+      
+    } catch (error) {
+      sendStatusError(res, error, 'Revoke temporary permission', 'Error revoking access');
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/admin/users/:id/temporary-permissions
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Grant a temporary permission without a request from the user
+ * 
+ * @access Admin only (requires assign:roles permission, recent authentication)
+ * @body permission - e.g. 'view:analytics'
+ * @body durationMinutes - Default 240 (4 hours)
+ * @body reason - Optional
+ */
+
+router.post('/users/:id/temporary-permissions',
+  requirePermission(PERMISSIONS.ASSIGN_ROLES),
+  requireRecentAuth(),
+  async (req, res) => {
+    try {
+      const user = mongoose.isValidObjectId(req.params.id)
+        ? await User.findById(req.params.id)
+        : null;
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      const { permission, durationMinutes, reason } = req.body;
+      
+      const request = await grantTemporaryPermission(user, req.user, { permission, durationMinutes, reason });
+      
+      res.status(201).json({
+        success: true,
+        message: `${permission} granted until ${request.grantExpiresAt.toISOString()}`,
+        request
+      });
+      
+    } catch (error) {
+      sendStatusError(res, error, 'Grant temporary permission', 'Error granting access');
+    }
+  }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/admin/audit-logs
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Access changes made by admins (roles, custom permissions, attributes)
+ * 
+ * @access Admin only (requires view:logs permission)
+ * @query page - Page number (default: 1)
+ * @query limit - Items per page (default: 50, max 100)
+ * @query target - User ID whose access changed
+ * @query actor - User ID who made the change
+ * @query action - e.g. user.permission.granted
+ */
+
+router.get('/audit-logs',
+  requirePermission(PERMISSIONS.VIEW_LOGS),
+  async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+      
+      const filter = {};
+      
+      for (const field of ['target', 'actor']) {
+        if (req.query[field]) {
+          if (!mongoose.isValidObjectId(req.query[field])) {
+            return res.status(400).json({
+              success: false,
+              message: `Invalid ${field} user ID`
+            });
+          }
+          filter[field] = req.query[field];
+        }
+      }
+      
+      if (req.query.action) {
+        filter.action = String(req.query.action);
+      }
+      
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(filter)
+      ]);
+      
+      res.json({
+        success: true,
+        logs,
+        actions: Object.values(AUDIT_ACTIONS),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+      
+    } catch (error) {
+      console.error('List audit logs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching audit logs'
+      });
+    }
+  }
+);
+
+module.exports = router;
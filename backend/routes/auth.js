@@ -7,11 +7,31 @@ const {
   generateAccessToken, 
   generateRefreshToken, 
   verifyRefreshToken,
+  rotateRefreshToken,
   invalidateRefreshToken,
   invalidateAllRefreshTokens,
-  getActiveSessions
+  revokeAccessToken,
+  revokeAllAccessTokens,
+  getActiveSessions,
+  getAuthContext
 } = require('../utils/tokens');
-const { authenticate } = require('../middleware/rbac');
+const { authenticate, requireUser } = require('../middleware/rbac');
+const { sendAuthTokens, clearAuthCookies, getRefreshTokenFromRequest } = require('../utils/authCookies');
+const {
+  generateMfaChallengeToken,
+  getMfaMethods,
+  sendMfaEmailOtp,
+  verifyMfaChallenge
+} = require('../utils/twoFactor');
+const { requestMagicLink, verifyMagicLink } = require('../utils/magicLink');
+const { trustDevice, isTrustedDevice } = require('../utils/trustedDevices');
+const {
+  AMR,
+  createAuthContext,
+  createMfaAuthContext,
+  reauthenticate,
+  sendReauthEmailOtp
+} = require('../utils/reauth');
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -23,12 +43,18 @@ const { authenticate } = require('../middleware/rbac');
  * Endpoints:
  * - POST   /signup                    - Register new user
  * - POST   /login                     - Login user
+ * - POST   /login/mfa                 - Complete login with 2FA code (Phase 4B)
+ * - POST   /login/mfa/email           - Email a one-time code for 2FA (Phase 4B)
  * - GET    /verify/:token             - Verify email (Phase 3.1)
  * - POST   /verify/resend             - Resend verification (Phase 3.1)
  * - POST   /forgot-password           - Request password reset (Phase 3.2)
  * - GET    /reset-password/:token     - Verify reset token (Phase 3.2)
  * - POST   /reset-password/:token     - Reset password (Phase 3.2)
+ * - POST   /magic-link                - Email a passwordless login link (Phase 4)
+ * - POST   /magic-link/verify         - Log in with a magic link (Phase 4)
  * - POST   /refresh                   - Refresh access token (Phase 3.4)
+ * - POST   /reauthenticate            - Confirm identity for sensitive operations (Phase 4B)
+ * - POST   /reauthenticate/email      - Email a code for reauthentication (Phase 4B)
  * - POST   /logout                    - Logout current device (Phase 3.4)
  * - POST   /logout-all                - Logout all devices (Phase 3.4)
  * - GET    /sessions                  - Get active sessions (Phase 3.4)
@@ -102,16 +128,17 @@ router.post('/signup', async (req, res) => {
     // ─────────────────────────────────────────────────────────
     // 6. Generate Tokens (Phase 3.4)
     // ─────────────────────────────────────────────────────────
-    const accessToken = generateAccessToken(user);
+    const auth = createAuthContext(AMR.PASSWORD);
+    const accessToken = generateAccessToken(user, auth);
     const refreshToken = await generateRefreshToken(user, {
       userAgent: req.headers['user-agent'],
       ip: req.ip
-    });
+    }, null, null, auth);
 
     // ─────────────────────────────────────────────────────────
     // 7. Return Success Response
     // ─────────────────────────────────────────────────────────
-    res.status(201).json({
+    res.status(201).json(sendAuthTokens(res, {
       success: true,
       message: 'Account created! Please check your email to verify your account.',
       accessToken,
@@ -123,7 +150,7 @@ router.post('/signup', async (req, res) => {
         roles: user.roles,
         isVerified: user.isVerified
       }
-    });
+    }));
   } catch (error) {
     console.error('Signup error:', error);
     res.status(500).json({
@@ -172,18 +199,42 @@ router.post('/login', async (req, res) => {
     const user = await User.findByCredentials(email, password);
 
     // ─────────────────────────────────────────────────────────
-    // 3. Generate Tokens (Phase 3.4)
+    // 3. Two-Factor Challenge (Phase 4B)
+    // ─────────────────────────────────────────────────────────
+    /**
+     * 2FA enabled → no tokens yet
+     * ────────────────────────────────────────────────────────
+     * Return short-lived challenge token instead
+     * Client completes login via POST /login/mfa
+     * 
+     * Skipped on a device trusted with rememberDevice
+     */
+    if (user.twoFactorEnabled && !await isTrustedDevice(user, req)) {
+      const mfaToken = await generateMfaChallengeToken(user);
+
+      return res.status(200).json({
+        success: true,
+        mfaRequired: true,
+        message: 'Two-factor authentication required',
+        mfaToken,
+        methods: await getMfaMethods(user)
+      });
+    }
+
     // ─────────────────────────────────────────────────────────
-    const accessToken = generateAccessToken(user);
+    // 4. Generate Tokens (Phase 3.4)
+    // ─────────────────────────────────────────────────────────
+    const auth = createAuthContext(AMR.PASSWORD);
+    const accessToken = generateAccessToken(user, auth);
     const refreshToken = await generateRefreshToken(user, {
       userAgent: req.headers['user-agent'],
       ip: req.ip
-    });
+    }, null, null, auth);
 
     // ─────────────────────────────────────────────────────────
-    // 4. Return Success Response
+    // 5. Return Success Response
     // ─────────────────────────────────────────────────────────
-    res.status(200).json({
+    res.status(200).json(sendAuthTokens(res, {
       success: true,
       message: 'Login successful!',
       accessToken,
@@ -195,7 +246,7 @@ router.post('/login', async (req, res) => {
         roles: user.roles,
         isVerified: user.isVerified
       }
-    });
+    }));
   } catch (error) {
     console.error('Login error:', error);
     res.status(401).json({
@@ -205,6 +256,124 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/auth/login/mfa
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Complete login with second factor (TOTP, recovery code or passkey)
+ * 
+ * @access Public (requires MFA challenge token from /login)
+ * @phase Phase 4B
+ * @body mfaToken - Challenge token returned by /login
+ * @body code - 6-digit TOTP code, emailed code or recovery code
+ * @body webauthnResponse - Passkey assertion (instead of code),
+ *       options from POST /api/webauthn/mfa/options
+ * @body rememberDevice - Skip 2FA on this browser for TRUSTED_DEVICE_DAYS
+ *       (sets the kta_trusted_device cookie)
+ */
+
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code, webauthnResponse, rememberDevice } = req.body;
+
+    if (!mfaToken || (!code && !webauthnResponse)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide mfaToken and code'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 1. Verify Challenge + Second Factor
+    // ─────────────────────────────────────────────────────────
+    const { user, method, firstFactor } = await verifyMfaChallenge(mfaToken, code, webauthnResponse);
+
+    // "Remember this device" - next logins here skip the second factor
+    if (rememberDevice) {
+      await trustDevice(user, req, res);
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 2. Generate Tokens (Phase 3.4)
+    // ─────────────────────────────────────────────────────────
+    const auth = createMfaAuthContext(firstFactor, method);
+    const accessToken = generateAccessToken(user, auth);
+    const refreshToken = await generateRefreshToken(user, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    }, null, null, auth);
+
+    res.status(200).json(sendAuthTokens(res, {
+      success: true,
+      message: 'Login successful!',
+      accessToken,
+      refreshToken,
+      mfaMethod: method,
+      recoveryCodesRemaining: method === 'recovery_code'
+        ? user.twoFactorRecoveryCodes.length
+        : undefined,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        roles: user.roles,
+        isVerified: user.isVerified
+      }
+    }));
+  } catch (error) {
+    console.error('MFA login error:', error);
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/auth/login/mfa/email
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Email a one-time code for the pending MFA challenge
+ * (users with the email factor - methods include 'email_otp')
+ * 
+ * @access Public (requires MFA challenge token from /login)
+ * @phase Phase 4B
+ * @body mfaToken - Challenge token returned by /login
+ * @returns expiresIn, resendIn (seconds)
+ * 
+ * The code is then submitted to POST /login/mfa like a TOTP code
+ */
+
+router.post('/login/mfa/email', async (req, res) => {
+  try {
+    const { mfaToken } = req.body;
+
+    if (!mfaToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide mfaToken'
+      });
+    }
+
+    const { expiresIn, resendIn } = await sendMfaEmailOtp(mfaToken);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent to your email',
+      expiresIn,
+      resendIn
+    });
+  } catch (error) {
+    console.error('MFA email code error:', error);
+    res.status(error.status || 401).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * GET /api/auth/verify/:token
@@ -604,6 +773,142 @@ router.post('/reset-password/:token', async (req, res) => {
   }
 });
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/auth/magic-link
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Email a single-use passwordless login link (valid 15 minutes)
+ * 
+ * @access Public
+ * @phase Phase 4
+ * @body email
+ * 
+ * Also sets an HttpOnly cookie binding the link to this browser
+ * (see utils/magicLink.js)
+ */
+
+router.post('/magic-link', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address'
+      });
+    }
+    
+    await requestMagicLink(email, res);
+    
+    /**
+     * Security: Same answer whether or not the account exists
+     * ────────────────────────────────────────────────────────
+     * (prevent email enumeration)
+     */
+    res.json({
+      success: true,
+      message: 'If that email belongs to an account, a login link has been sent.'
+    });
+    
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Magic link request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Something went wrong. Please try again.'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/auth/magic-link/verify
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Log in with a magic link
+ * 
+ * @access Public (requires token from the emailed link)
+ * @phase Phase 4
+ * @body token - From /magic-link/verify?token=...
+ * @body email - Only when opened in another browser
+ *               (409 MAGIC_LINK_CONFIRM_EMAIL asks for it)
+ * 
+ * 2FA still applies: returns an MFA challenge instead of tokens,
+ * completed through POST /login/mfa
+ */
+
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const { token, email } = req.body;
+    
+    // ─────────────────────────────────────────────────────────
+    // 1. Redeem Link (single use, browser-bound)
+    // ─────────────────────────────────────────────────────────
+    const user = await verifyMagicLink(token, req, res, email);
+    
+    // ─────────────────────────────────────────────────────────
+    // 2. Two-Factor Challenge (Phase 4B, skipped on trusted devices)
+    // ─────────────────────────────────────────────────────────
+    if (user.twoFactorEnabled && !await isTrustedDevice(user, req)) {
+      const mfaToken = await generateMfaChallengeToken(user, AMR.EMAIL);
+      
+      return res.status(200).json({
+        success: true,
+        mfaRequired: true,
+        message: 'Two-factor authentication required',
+        mfaToken,
+        methods: await getMfaMethods(user)
+      });
+    }
+    
+    // ─────────────────────────────────────────────────────────
+    // 3. Generate Tokens (Phase 3.4)
+    // ─────────────────────────────────────────────────────────
+    const auth = createAuthContext(AMR.EMAIL);
+    const accessToken = generateAccessToken(user, auth);
+    const refreshToken = await generateRefreshToken(user, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    }, null, null, auth);
+    
+    res.status(200).json(sendAuthTokens(res, {
+      success: true,
+      message: 'Login successful!',
+      accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        roles: user.roles,
+        isVerified: user.isVerified
+      }
+    }));
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('Magic link login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+});
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * POST /api/auth/refresh
@@ -617,7 +922,8 @@ router.post('/reset-password/:token', async (req, res) => {
 
 router.post('/refresh', async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    // Body (bearer mode) or HttpOnly cookie (cookie mode)
+    const refreshToken = getRefreshTokenFromRequest(req);
     
     if (!refreshToken) {
       return res.status(400).json({
@@ -630,7 +936,15 @@ router.post('/refresh', async (req, res) => {
     // 1. Verify Refresh Token
     // ─────────────────────────────────────────────────────────
     const decoded = await verifyRefreshToken(refreshToken);
-    
+
+    // Tokens issued to OAuth clients are refreshed via /oauth/token only
+    if (decoded.clientId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
     // ─────────────────────────────────────────────────────────
     // 2. Get User
     // ─────────────────────────────────────────────────────────
@@ -644,33 +958,32 @@ router.post('/refresh', async (req, res) => {
     }
     
     // ─────────────────────────────────────────────────────────
-    // 3. Generate NEW Tokens (ROTATION)
+    // 3. Generate NEW Tokens + Invalidate OLD (ROTATION)
     // ─────────────────────────────────────────────────────────
-    const newAccessToken = generateAccessToken(user);
-    const newRefreshToken = await generateRefreshToken(user, {
+    /**
+     * Token Rotation (same family):
+     * - Old token becomes invalid and is remembered as rotated
+     * - If anyone replays the old token (or races this request
+     *   with it), the entire family is revoked (attacker AND victim
+     *   logged out) - rotate first, so no access token is minted then
+     * 
+     * auth_time/amr carry over: refreshing is not reauthenticating
+     */
+    const newRefreshToken = await rotateRefreshToken(decoded, user, {
       userAgent: req.headers['user-agent'],
       ip: req.ip
     });
+    const newAccessToken = generateAccessToken(user, getAuthContext(decoded));
     
-    // ─────────────────────────────────────────────────────────
-    // 4. Invalidate OLD Refresh Token (Security)
-    // ─────────────────────────────────────────────────────────
-    /**
-     * Token Rotation:
-     * - Old token becomes invalid
-     * - If attacker uses stolen token, legitimate user's next refresh fails
-     * - Both detect theft
-     */
-    await invalidateRefreshToken(decoded.userId, decoded.tokenId);
-    
-    res.json({
+    res.json(sendAuthTokens(res, {
       success: true,
       accessToken: newAccessToken,
       refreshToken: newRefreshToken
-    });
+    }));
     
   } catch (error) {
     console.error('Refresh error:', error);
+    clearAuthCookies(res);
     res.status(401).json({
       success: false,
       message: error.message || 'Invalid refresh token'
@@ -678,6 +991,130 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/auth/reauthenticate
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Confirm identity again before a sensitive operation (step-up)
+ * 
+ * @access Private (requires authentication)
+ * @phase Phase 4B
+ * @body password - Current password (accounts that have one)
+ * @body code - Authenticator code, or emailed code (POST /reauthenticate/email,
+ *              accounts without password and authenticator only)
+ * @body webauthnResponse - Passkey assertion (options: POST /api/webauthn/reauth/options)
+ * @returns New access token with a fresh auth_time (+ rotated refresh token)
+ * 
+ * Called after a 401 REAUTHENTICATION_REQUIRED (requireRecentAuth);
+ * the client then retries the original request with the new token
+ * 
+ * The refresh token (body or cookie) is rotated too, so tokens
+ * refreshed in the next minutes keep the new auth_time
+ */
+
+router.post('/reauthenticate', authenticate, requireUser, async (req, res) => {
+  try {
+    const { password, code, webauthnResponse } = req.body;
+    
+    // ─────────────────────────────────────────────────────────
+    // 1. Verify Password, Code and/or Passkey
+    // ─────────────────────────────────────────────────────────
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+    const auth = await reauthenticate(user, { password, code, webauthnResponse });
+    
+    // ─────────────────────────────────────────────────────────
+    // 2. Upgrade Session
+    // ─────────────────────────────────────────────────────────
+    const accessToken = generateAccessToken(user, auth);
+    let refreshToken;
+    
+    const presentedRefreshToken = getRefreshTokenFromRequest(req);
+    
+    if (presentedRefreshToken) {
+      try {
+        const decoded = await verifyRefreshToken(presentedRefreshToken);
+        
+        // Only this user's own first-party session
+        if (decoded.userId.toString() === user._id.toString() && !decoded.clientId) {
+          refreshToken = await rotateRefreshToken(decoded, user, {
+            userAgent: req.headers['user-agent'],
+            ip: req.ip
+          }, auth);
+        }
+      } catch (error) {
+        // Access token is upgraded anyway - refresh keeps the old auth_time
+        console.warn(`⚠️  Reauthentication: refresh token not rotated (${error.message})`);
+      }
+    }
+    
+    res.json(sendAuthTokens(res, {
+      success: true,
+      message: 'Identity confirmed',
+      accessToken,
+      refreshToken,
+      authTime: auth.authTime,
+      amr: auth.amr
+    }));
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('Reauthentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Reauthentication failed'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/auth/reauthenticate/email
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Email a one-time code for POST /reauthenticate
+ * (only for accounts without a password or authenticator - 400 otherwise)
+ * 
+ * @access Private (requires authentication)
+ * @phase Phase 4B
+ * @returns expiresIn, resendIn (seconds)
+ */
+
+router.post('/reauthenticate/email', authenticate, requireUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+    const { expiresIn, resendIn } = await sendReauthEmailOtp(user);
+    
+    res.json({
+      success: true,
+      message: `Verification code sent to ${req.user.email}`,
+      expiresIn,
+      resendIn
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Reauthentication email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * POST /api/auth/logout
@@ -689,9 +1126,9 @@ router.post('/refresh', async (req, res) => {
  * @phase Phase 3.4
  */
 
-router.post('/logout', authenticate, async (req, res) => {
+router.post('/logout', authenticate, requireUser, async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const refreshToken = getRefreshTokenFromRequest(req);
     
     if (refreshToken) {
       // Decode to get tokenId
@@ -701,6 +1138,10 @@ router.post('/logout', authenticate, async (req, res) => {
       }
     }
     
+    // Access token used for this request stops working now, not in 15 min
+    await revokeAccessToken(req.auth.payload, req.auth.token, 'logout');
+    clearAuthCookies(res);
+    
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -725,9 +1166,11 @@ router.post('/logout', authenticate, async (req, res) => {
  * @phase Phase 3.4
  */
 
-router.post('/logout-all', authenticate, async (req, res) => {
+router.post('/logout-all', authenticate, requireUser, async (req, res) => {
   try {
     const count = await invalidateAllRefreshTokens(req.user._id);
+    await revokeAllAccessTokens(req.user._id, 'logout_all');
+    clearAuthCookies(res);
     
     res.json({
       success: true,
@@ -753,7 +1196,7 @@ router.post('/logout-all', authenticate, async (req, res) => {
  * @phase Phase 3.4
  */
 
-router.get('/sessions', authenticate, async (req, res) => {
+router.get('/sessions', authenticate, requireUser, async (req, res) => {
   try {
     const sessions = await getActiveSessions(req.user._id);
     
@@ -1,7 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const passport = require('../config/passport');
-const { generateAccessToken, generateRefreshToken } = require('../utils/tokens');
+const User = require('../models/User');
+const SsoConnection = require('../models/SsoConnection');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const { authenticate, requireUser } = require('../middleware/rbac');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  invalidateAllRefreshTokens,
+  revokeAllAccessTokens
+} = require('../utils/tokens');
+const { sendAuthTokens } = require('../utils/authCookies');
+const { revokeAllTrustedDevices } = require('../utils/trustedDevices');
+const {
+  isValidState,
+  beginOAuthState,
+  verifyOAuthState,
+  createExchangeCode,
+  consumeExchangeCode,
+  createLinkIntent,
+  getPendingLink,
+  consumePendingLink,
+  consumePendingLinkByEmail
+} = require('../utils/oauthExchange');
+const { resolveOAuthUser, applyConnectionRoles } = require('../utils/identities');
+const { startSsoLogin, completeSsoLogin } = require('../utils/sso');
+const { AMR, createAuthContext } = require('../utils/reauth');
+const {
+  generateSpMetadata,
+  startSamlLogin,
+  validateSamlResponse,
+  storeSamlResult,
+  consumeSamlResult
+} = require('../utils/saml');
+
+// Providers with a configured Passport strategy
+// (Microsoft/Facebook are optional - see config/passport.js)
+const LINKABLE_PROVIDERS = ['google', 'github', 'microsoft', 'facebook']
+  .filter(provider => passport._strategy(provider));
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -13,23 +50,159 @@ const { generateAccessToken, generateRefreshToken } = require('../utils/tokens')
  * Supported Providers:
  * - Google OAuth 2.0
  * - GitHub OAuth 2.0
+ * - Microsoft (when MICROSOFT_CLIENT_ID is set)
+ * - Facebook (when FACEBOOK_CLIENT_ID is set)
+ * - Enterprise SSO connections, OIDC or SAML 2.0 (configured at runtime by admins)
  * 
  * Flow:
  * 1. User clicks "Login with Google/GitHub" on frontend
- * 2. Frontend redirects to /api/auth/google or /api/auth/github
- * 3. Backend redirects to provider (Google/GitHub)
+ * 2. Frontend stores a random `state`, redirects to /api/auth/google?state=...
+ * 3. Backend binds state to the browser (cookie), redirects to provider
  * 4. User approves on provider's page
- * 5. Provider redirects to /callback with authorization code
- * 6. Backend exchanges code for user profile
- * 7. Backend creates/finds user
- * 8. Backend generates JWT tokens
- * 9. Backend redirects to frontend with tokens
- * 10. Frontend stores tokens and redirects to dashboard
+ * 5. Provider redirects to /callback with authorization code + state
+ * 6. Backend checks state against the cookie (login CSRF)
+ * 7. Backend exchanges code for user profile, creates/finds user
+ * 8. Backend redirects to frontend with a one-time code (NOT tokens)
+ * 9. Frontend POSTs code + state to /api/auth/oauth/exchange
+ * 10. Backend returns JWT tokens (or sets cookies), frontend goes to dashboard
+ * 
+ * GET /providers lists the providers enabled on this server
+ * 
+ * Enterprise SSO (Public):
+ * - POST   /sso/discover               - Find the connection for an email domain
+ * - GET    /sso/:slug                  - Start login at the IdP (?state=&login_hint=)
+ * - GET    /sso/callback               - OIDC redirect target (same code exchange)
+ * - GET    /sso/:slug/metadata         - SAML SP metadata (XML)
+ * - POST   /sso/:slug/acs              - SAML assertion consumer service
+ * - GET    /sso/:slug/complete         - SAML login finish (state cookie check)
+ * 
+ * Linked Identities (Private):
+ * - GET    /identities                 - List linked accounts
+ * - POST   /identities/:provider/link  - Register state, then start OAuth flow
+ * - DELETE /identities/:provider       - Unlink (not the last login method)
+ * - GET    /identities/pending         - Details of a pending link
+ * - POST   /identities/pending/confirm - Owner confirms pending link
+ * - POST   /identities/pending/confirm-email - Confirm via emailed link (Public)
  * 
  * @file backend/routes/oauth.js
  * @phase Phase 3.5 - OAuth/SSO
  */
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SHARED HANDLERS
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Start provider redirect with the frontend's state
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {String} provider - Passport strategy name
+ * @param {Array} scope - Provider scopes
+ */
+const startOAuth = (provider, scope) => (req, res, next) => {
+  if (!LINKABLE_PROVIDERS.includes(provider)) {
+    return res.redirect(`${process.env.FRONTEND_URL}/login?error=provider_unavailable`);
+  }
+
+  const state = beginOAuthState(req, res);
+
+  if (!state) {
+    return res.redirect(`${process.env.FRONTEND_URL}/login?error=invalid_state`);
+  }
+
+  passport.authenticate(provider, {
+    scope,
+    state,
+    session: false // We're using JWT, not sessions
+  })(req, res, next);
+};
+
+/**
+ * Reject callbacks whose state doesn't match this browser
+ * ────────────────────────────────────────────────────────────────────────
+ * Runs BEFORE Passport so a forged callback never reaches the provider
+ */
+const checkOAuthState = (req, res, next) => {
+  const state = verifyOAuthState(req, res);
+
+  if (!state) {
+    console.warn('⚠️  OAuth callback with invalid state rejected');
+    return res.redirect(`${process.env.FRONTEND_URL}/login?error=invalid_state`);
+  }
+
+  req.oauthState = state;
+  next();
+};
+
+/**
+ * Finish login: hand the frontend a one-time code
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {String} label - Provider name for logs
+ */
+const completeOAuth = (label) => async (req, res) => {
+  try {
+    /**
+     * req.user is populated by Passport strategy
+     * ────────────────────────────────────────────────────────
+     * Contains user document from database
+     * (created/found in the strategy callback)
+     */
+    const user = req.user;
+
+    // Link mode: user is already logged in, just report back
+    if (req.oauthLink) {
+      const { provider, error } = req.oauthLink;
+      const query = error
+        ? `link_error=${encodeURIComponent(error)}`
+        : `linked=${provider}`;
+
+      return res.redirect(`${process.env.FRONTEND_URL}/dashboard?${query}`);
+    }
+
+    // Email belongs to an existing account: owner must confirm first
+    if (req.oauthPendingLink) {
+      const { token, provider } = req.oauthPendingLink;
+      return res.redirect(
+        `${process.env.FRONTEND_URL}/link-account?token=${encodeURIComponent(token)}&provider=${provider}`
+      );
+    }
+
+    /**
+     * Redirect with a code, not tokens
+     * ────────────────────────────────────────────────────────
+     * Tokens in URLs end up in browser history, proxy logs
+     * and Referer headers. The code is single-use and expires
+     * in 60s, and only redeems together with the state
+     * the frontend kept in sessionStorage.
+     */
+    const code = await createExchangeCode(user, req.oauthState);
+
+    console.log(`✅ ${label} OAuth successful: Redirecting ${user.email} to frontend`);
+    res.redirect(`${process.env.FRONTEND_URL}/auth/callback?code=${encodeURIComponent(code)}`);
+
+  } catch (error) {
+    console.error('❌ OAuth callback error:', error);
+    res.redirect(`${process.env.FRONTEND_URL}/login?error=auth_failed`);
+  }
+};
+
+/**
+ * GET /api/auth/providers
+ * ────────────────────────────────────────────────────────────────────────
+ * Social login providers configured on this server
+ * 
+ * @access Public
+ * @returns { providers: ['google', 'github', ...] } - For rendering buttons
+ */
+
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: LINKABLE_PROVIDERS
+  });
+});
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * GOOGLE OAUTH ROUTES
@@ -42,19 +215,15 @@ const { generateAccessToken, generateRefreshToken } = require('../utils/tokens')
  * Initiate Google OAuth flow
  * 
  * @access Public
+ * @query state - Random value generated and kept by the frontend
  * 
  * When user clicks "Login with Google":
- * 1. Frontend: window.location.href = '/api/auth/google'
+ * 1. Frontend: window.location.href = '/api/auth/google?state=...'
  * 2. Backend: Redirect to Google OAuth page
  * 3. User: Sees Google permission screen
  */
 
-router.get('/google', 
-  passport.authenticate('google', {
-    scope: ['profile', 'email'],
-    session: false // We're using JWT, not sessions
-  })
-);
+router.get('/google', startOAuth('google', ['profile', 'email']));
 
 /**
  * GET /api/auth/google/callback
@@ -64,67 +233,21 @@ router.get('/google',
  * @access Public
  * 
  * Google redirects here after user approves:
- * 1. Google: Redirects with authorization code
- * 2. Passport: Exchanges code for access token
- * 3. Passport: Gets user profile from Google
+ * 1. Google: Redirects with authorization code + state
+ * 2. checkOAuthState: State must match the browser's cookie
+ * 3. Passport: Exchanges code for access token, gets profile
  * 4. Strategy: Creates/finds user in database
- * 5. This handler: Generates JWT tokens
- * 6. Backend: Redirects to frontend with tokens
+ * 5. This handler: Issues one-time exchange code
+ * 6. Backend: Redirects to frontend with the code
  */
 
 router.get('/google/callback',
+  checkOAuthState,
   passport.authenticate('google', {
     session: false,
     failureRedirect: `${process.env.FRONTEND_URL}/login?error=oauth_failed`
   }),
-  async (req, res) => {
-    try {
-      /**
-       * req.user is populated by Passport strategy
-       * ────────────────────────────────────────────────────────
-       * Contains user document from database
-       * (created/found in Google strategy callback)
-       */
-      const user = req.user;
-      
-      // ─────────────────────────────────────────────────────────
-      // Generate JWT Tokens
-      // ─────────────────────────────────────────────────────────
-      const accessToken = generateAccessToken(user);
-      const refreshToken = await generateRefreshToken(user, {
-        userAgent: req.headers['user-agent'],
-        ip: req.ip
-      });
-      
-      // ─────────────────────────────────────────────────────────
-      // Redirect to Frontend with Tokens
-      // ─────────────────────────────────────────────────────────
-      /**
-       * Pass tokens via URL query parameters
-       * ────────────────────────────────────────────────────────
-       * Frontend extracts tokens and stores them
-       * 
-       * Security Note:
-       * - Tokens in URL are visible in browser history
-       * - Alternative: Use POST message or httpOnly cookies
-       * - For production, consider more secure method
-       * 
-       * Better Alternative (Phase 4):
-       * - Store refreshToken in httpOnly cookie
-       * - Only pass accessToken in URL
-       */
-      const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?` +
-        `accessToken=${accessToken}&` +
-        `refreshToken=${refreshToken}`;
-      
-      console.log(`✅ Google OAuth successful: Redirecting ${user.email} to frontend`);
-      res.redirect(redirectUrl);
-      
-    } catch (error) {
-      console.error('❌ OAuth callback error:', error);
-      res.redirect(`${process.env.FRONTEND_URL}/login?error=auth_failed`);
-    }
-  }
+  completeOAuth('Google')
 );
 
 /**
@@ -139,14 +262,10 @@ router.get('/google/callback',
  * Initiate GitHub OAuth flow
  * 
  * @access Public
+ * @query state - Random value generated and kept by the frontend
  */
 
-router.get('/github',
-  passport.authenticate('github', {
-    scope: ['user:email'],
-    session: false
-  })
-);
+router.get('/github', startOAuth('github', ['user:email']));
 
 /**
  * GET /api/auth/github/callback
@@ -157,57 +276,788 @@ router.get('/github',
  */
 
 router.get('/github/callback',
+  checkOAuthState,
   passport.authenticate('github', {
     session: false,
     failureRedirect: `${process.env.FRONTEND_URL}/login?error=oauth_failed`
   }),
-  async (req, res) => {
+  completeOAuth('GitHub')
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MICROSOFT OAUTH ROUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * GET /api/auth/microsoft
+ * ────────────────────────────────────────────────────────────────────────
+ * Initiate Microsoft OAuth flow
+ * 
+ * @access Public
+ * @query state - Random value generated and kept by the frontend
+ */
+
+router.get('/microsoft', startOAuth('microsoft', ['user.read']));
+
+/**
+ * GET /api/auth/microsoft/callback
+ * ────────────────────────────────────────────────────────────────────────
+ * Microsoft OAuth callback
+ * 
+ * @access Public
+ */
+
+router.get('/microsoft/callback',
+  checkOAuthState,
+  passport.authenticate('microsoft', {
+    session: false,
+    failureRedirect: `${process.env.FRONTEND_URL}/login?error=oauth_failed`
+  }),
+  completeOAuth('Microsoft')
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FACEBOOK OAUTH ROUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * GET /api/auth/facebook
+ * ────────────────────────────────────────────────────────────────────────
+ * Initiate Facebook OAuth flow
+ * 
+ * @access Public
+ * @query state - Random value generated and kept by the frontend
+ */
+
+router.get('/facebook', startOAuth('facebook', ['email']));
+
+/**
+ * GET /api/auth/facebook/callback
+ * ────────────────────────────────────────────────────────────────────────
+ * Facebook OAuth callback
+ * 
+ * @access Public
+ */
+
+router.get('/facebook/callback',
+  checkOAuthState,
+  passport.authenticate('facebook', {
+    session: false,
+    failureRedirect: `${process.env.FRONTEND_URL}/login?error=oauth_failed`
+  }),
+  completeOAuth('Facebook')
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ENTERPRISE SSO ROUTES (OIDC + SAML)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Connections live in the database (admin: /api/admin/sso-connections),
+ * so they can't be Passport strategies registered at startup.
+ * Protocol handling is in utils/sso.js (OIDC) and utils/saml.js (SAML);
+ * state cookie, linking and the one-time code exchange are shared
+ * with social login.
+ */
+
+/**
+ * Log the SSO user in (or link) and hand over to completeOAuth
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {Object} req - Express request (req.oauthState verified)
+ * @param {Object} connection - SsoConnection
+ * @param {Object} profile - From mapClaims
+ */
+const resolveSsoUser = async (req, connection, profile) => {
+  req.user = await resolveOAuthUser(req, 'sso', {
+    ...profile,
+    connection: connection._id,
+    label: connection.name
+  });
+
+  // Roles only follow the IdP on an actual login through this identity
+  if (!req.oauthLink && !req.oauthPendingLink) {
+    await applyConnectionRoles(req.user, profile.roles);
+  }
+};
+
+/**
+ * POST /api/auth/sso/discover
+ * ────────────────────────────────────────────────────────────────────────
+ * Route an email to its company's SSO connection
+ * 
+ * @access Public
+ * @body email - Address typed into the login form
+ * @returns { connection: { slug, name } } or 404 if the domain has no SSO
+ */
+
+router.post('/sso/discover', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email'
+      });
+    }
+
+    const connection = await SsoConnection.findByEmail(email);
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'No SSO connection for this email domain'
+      });
+    }
+
+    res.json({
+      success: true,
+      connection: {
+        slug: connection.slug,
+        name: connection.name
+      }
+    });
+
+  } catch (error) {
+    console.error('SSO discover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up SSO connection'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sso/callback
+ * ────────────────────────────────────────────────────────────────────────
+ * IdP redirects here with authorization code + state
+ * 
+ * @access Public
+ * 
+ * Registered before /sso/:slug so "callback" isn't read as a slug.
+ * Identity is stored as provider 'sso' with providerId
+ * `<connectionId>:<sub>` (sub is only unique per IdP)
+ */
+
+router.get('/sso/callback',
+  checkOAuthState,
+  async (req, res, next) => {
     try {
-      const user = req.user;
-      
-      // Generate tokens
-      const accessToken = generateAccessToken(user);
-      const refreshToken = await generateRefreshToken(user, {
-        userAgent: req.headers['user-agent'],
-        ip: req.ip
-      });
-      
-      // Redirect to frontend with tokens
-      const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?` +
-        `accessToken=${accessToken}&` +
-        `refreshToken=${refreshToken}`;
-      
-      console.log(`✅ GitHub OAuth successful: Redirecting ${user.email} to frontend`);
-      res.redirect(redirectUrl);
-      
+      if (req.query.error) {
+        throw new Error(`IdP returned ${req.query.error}`);
+      }
+
+      const { connection, profile } = await completeSsoLogin(req.oauthState, req.query.code);
+
+      await resolveSsoUser(req, connection, profile);
+
+      next();
+
     } catch (error) {
-      console.error('❌ OAuth callback error:', error);
-      res.redirect(`${process.env.FRONTEND_URL}/login?error=auth_failed`);
+      console.error('❌ SSO callback error:', error.message);
+      res.redirect(`${process.env.FRONTEND_URL}/login?error=sso_failed`);
+    }
+  },
+  completeOAuth('SSO')
+);
+
+/**
+ * GET /api/auth/sso/:slug
+ * ────────────────────────────────────────────────────────────────────────
+ * Initiate login through an SSO connection
+ * 
+ * @access Public
+ * @query state - Random value generated and kept by the frontend
+ * @query login_hint - Optional email, prefilled at the IdP (OIDC only)
+ */
+
+router.get('/sso/:slug', async (req, res) => {
+  try {
+    const connection = await SsoConnection.findOne({ slug: req.params.slug, isActive: true });
+
+    if (!connection) {
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=provider_unavailable`);
+    }
+
+    const state = beginOAuthState(req, res);
+
+    if (!state) {
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=invalid_state`);
+    }
+
+    if (connection.protocol === 'saml') {
+      return res.redirect(await startSamlLogin(connection, state));
+    }
+
+    const loginHint = typeof req.query.login_hint === 'string' ? req.query.login_hint : undefined;
+
+    res.redirect(await startSsoLogin(connection, state, loginHint));
+
+  } catch (error) {
+    console.error('❌ SSO start error:', error.message);
+    res.redirect(`${process.env.FRONTEND_URL}/login?error=sso_failed`);
+  }
+});
+
+/**
+ * Load an active SAML connection by slug
+ * @param {String} slug
+ * @returns {Promise<Object|null>} - SsoConnection
+ */
+const findSamlConnection = (slug) =>
+  SsoConnection.findOne({ slug, protocol: 'saml', isActive: true });
+
+/**
+ * GET /api/auth/sso/:slug/metadata
+ * ────────────────────────────────────────────────────────────────────────
+ * SAML service provider metadata for the customer's IdP admin
+ * 
+ * @access Public
+ * @returns XML EntityDescriptor (entity ID, ACS URL, NameID formats)
+ */
+
+router.get('/sso/:slug/metadata', async (req, res) => {
+  try {
+    const connection = await SsoConnection.findOne({ slug: req.params.slug, protocol: 'saml' });
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'SAML connection not found'
+      });
+    }
+
+    res.type('application/samlmetadata+xml').send(generateSpMetadata(connection));
+
+  } catch (error) {
+    console.error('SAML metadata error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate SAML metadata'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/sso/:slug/acs
+ * ────────────────────────────────────────────────────────────────────────
+ * SAML assertion consumer service (HTTP-POST binding)
+ * 
+ * @access Public (authenticated by the IdP's signature)
+ * @body SAMLResponse - Base64 response from the IdP
+ * @body RelayState - Our state (SP-initiated), anything/empty (IdP-initiated)
+ * 
+ * This is a cross-site POST, so the SameSite=Lax state cookie is NOT
+ * sent here. The profile is parked under RelayState and the browser
+ * bounced to /complete, where the cookie is checked.
+ */
+
+router.post('/sso/:slug/acs', async (req, res) => {
+  try {
+    const connection = await findSamlConnection(req.params.slug);
+
+    if (!connection) {
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=provider_unavailable`);
     }
+
+    const { profile, idpInitiated } = await validateSamlResponse(connection, req.body);
+
+    /**
+     * IdP-initiated: restart as SP-initiated
+     * ────────────────────────────────────────────────────────
+     * The frontend creates a state and calls /sso/:slug;
+     * the IdP session answers without prompting again
+     */
+    if (idpInitiated) {
+      console.log(`🏢 SAML IdP-initiated login for ${profile.email} - restarting as SP-initiated`);
+      return res.redirect(303, `${process.env.FRONTEND_URL}/login?sso=${encodeURIComponent(connection.slug)}`);
+    }
+
+    const state = req.body.RelayState;
+
+    if (!isValidState(state)) {
+      throw new Error('Invalid RelayState');
+    }
+
+    await storeSamlResult(state, connection, profile);
+
+    // 303: follow with GET (top-level navigation → Lax cookies sent)
+    res.redirect(303, `/api/auth/sso/${encodeURIComponent(connection.slug)}/complete?state=${encodeURIComponent(state)}`);
+
+  } catch (error) {
+    console.error('❌ SAML ACS error:', error.message);
+    res.redirect(303, `${process.env.FRONTEND_URL}/login?error=sso_failed`);
   }
+});
+
+/**
+ * GET /api/auth/sso/:slug/complete
+ * ────────────────────────────────────────────────────────────────────────
+ * Finish a SAML login in the browser that started it
+ * 
+ * @access Public
+ * @query state - RelayState echoed by the ACS redirect
+ */
+
+router.get('/sso/:slug/complete',
+  checkOAuthState,
+  async (req, res, next) => {
+    try {
+      const result = await consumeSamlResult(req.oauthState);
+
+      if (!result) {
+        throw new Error('SAML login expired');
+      }
+
+      const connection = await findSamlConnection(req.params.slug);
+
+      if (!connection || connection._id.toString() !== result.connectionId) {
+        throw new Error('SAML connection mismatch');
+      }
+
+      await resolveSsoUser(req, connection, result.profile);
+
+      next();
+
+    } catch (error) {
+      console.error('❌ SAML complete error:', error.message);
+      res.redirect(`${process.env.FRONTEND_URL}/login?error=sso_failed`);
+    }
+  },
+  completeOAuth('SAML')
 );
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
- * FUTURE: Additional OAuth Providers
+ * POST /api/auth/oauth/exchange
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Trade the one-time code from /auth/callback for tokens
+ *
+ * @access Public
+ * @body code - From the callback URL
+ * @body state - Value the frontend stored before starting the login
+ * @returns Same shape as /api/auth/login (tokens or cookies per AUTH_TRANSPORT)
+ */
+
+router.post('/oauth/exchange', async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code and state'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 1. Redeem Code (single use, state must match)
+    // ─────────────────────────────────────────────────────────
+    const userId = await consumeExchangeCode(code, state);
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired login code',
+        code: 'OAUTH_CODE_INVALID'
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated. Contact your administrator.',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 2. Generate Tokens (Phase 3.4)
+    // ─────────────────────────────────────────────────────────
+    const auth = createAuthContext(AMR.FEDERATED);
+    const accessToken = generateAccessToken(user, auth);
+    const refreshToken = await generateRefreshToken(user, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    }, null, null, auth);
+
+    res.json(sendAuthTokens(res, {
+      success: true,
+      message: 'Login successful!',
+      accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        roles: user.roles,
+        isVerified: user.isVerified
+      }
+    }));
+
+  } catch (error) {
+    console.error('OAuth exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete login'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LINKED IDENTITIES
  * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Serialize identities + login method summary for the frontend
+ * @param {Object} user - User with password selected
+ */
+const describeIdentities = async (user) => {
+  const loginMethods = await user.countLoginMethods();
+
+  return {
+    identities: user.identities.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+    hasPassword: !!user.password,
+    canUnlink: loginMethods > 1
+  };
+};
+
+/**
+ * GET /api/auth/identities
+ * ────────────────────────────────────────────────────────────────────────
+ * List linked OAuth accounts
  * 
- * To add more providers:
+ * @access Private
+ */
+
+router.get('/identities', authenticate, requireUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.migrateLegacyIdentity()) {
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      ...(await describeIdentities(user))
+    });
+
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get linked accounts'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/identities/:provider/link
+ * ────────────────────────────────────────────────────────────────────────
+ * Prepare linking a provider to the logged-in account
  * 
- * 1. Install strategy:
- *    bun add passport-facebook
- *    bun add passport-microsoft
+ * @access Private
+ * @body state - Same value the frontend then passes to /api/auth/:provider
  * 
- * 2. Configure in passport.js:
- *    passport.use(new FacebookStrategy({ ... }))
+ * The OAuth redirect is a plain browser navigation (no Authorization
+ * header), so the user is remembered against the state beforehand.
+ * Callback redirects to /dashboard?linked=<provider> or ?link_error=...
+ */
+
+router.post('/identities/:provider/link', authenticate, requireUser, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { state } = req.body;
+
+    if (!LINKABLE_PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported provider. Use one of: ${LINKABLE_PROVIDERS.join(', ')}`
+      });
+    }
+
+    if (!isValidState(state)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid state'
+      });
+    }
+
+    await createLinkIntent(req.user._id, state);
+
+    res.json({
+      success: true,
+      redirectTo: `/api/auth/${provider}?state=${encodeURIComponent(state)}`
+    });
+
+  } catch (error) {
+    console.error('Link identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start account linking'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/identities/:provider
+ * ────────────────────────────────────────────────────────────────────────
+ * Unlink a provider from the logged-in account
+ * 
+ * @access Private
+ * 
+ * Refused if it's the last way to log in
+ * (no password, no passkey, no other linked provider)
+ */
+
+router.delete('/identities/:provider', authenticate, requireUser, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    try {
+      await user.unlinkIdentity(req.params.provider);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await user.save();
+
+    console.log(`🔓 ${req.params.provider} unlinked from ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlinked',
+      ...(await describeIdentities(user))
+    });
+
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink account'
+    });
+  }
+});
+
+/**
+ * Attach a confirmed pending identity to its user
+ * @param {Object} user - Account owner
+ * @param {Object} pending - { provider, providerId, email, connection? }
+ * @returns {String|null} - Error message, null on success
+ */
+const applyPendingLink = async (user, { provider, providerId, email, connection }) => {
+  const owner = await User.findByIdentity(provider, providerId);
+
+  if (owner && !owner._id.equals(user._id)) {
+    return `This ${provider} account is already linked to another user`;
+  }
+
+  try {
+    user.linkIdentity(provider, providerId, email, { connection });
+  } catch (error) {
+    return error.message;
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/auth/identities/pending
+ * ────────────────────────────────────────────────────────────────────────
+ * Show what would be linked, so the owner can make an informed choice
+ * 
+ * @access Private (owner of the matching account only)
+ * @query token - From the /link-account redirect
+ */
+
+router.get('/identities/pending', authenticate, requireUser, async (req, res) => {
+  try {
+    const pending = await getPendingLink(req.query.token);
+
+    if (!pending || pending.userId !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link request not found or expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      provider: pending.provider,
+      email: pending.email
+    });
+
+  } catch (error) {
+    console.error('Get pending link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get link request'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/identities/pending/confirm
+ * ────────────────────────────────────────────────────────────────────────
+ * Owner logged in with existing credentials → link the parked identity
  * 
- * 3. Add routes here:
- *    router.get('/facebook', passport.authenticate('facebook'))
- *    router.get('/facebook/callback', ...)
+ * @access Private
+ * @body token - From the /link-account redirect
+ * @body state - OAuth state stored by the browser that started the flow
  * 
- * 4. Update User model:
- *    provider enum: ['local', 'google', 'github', 'facebook', 'microsoft']
+ * state stops a crafted /link-account URL from linking someone
+ * else's provider account to a logged-in victim
  */
 
+router.post('/identities/pending/confirm', authenticate, requireUser, async (req, res) => {
+  try {
+    const { token, state } = req.body;
+
+    const pending = await consumePendingLink(token, state, req.user._id);
+
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link request not found or expired'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const error = await applyPendingLink(user, pending);
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await user.save();
+
+    console.log(`🔗 ${pending.provider} linked to ${user.email} (confirmed by login)`);
+
+    res.json({
+      success: true,
+      message: 'Account linked',
+      ...(await describeIdentities(user))
+    });
+
+  } catch (error) {
+    console.error('Confirm pending link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link account'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/identities/pending/confirm-email
+ * ────────────────────────────────────────────────────────────────────────
+ * Owner clicked the emailed confirmation link
+ * 
+ * @access Public (token proves control of the mailbox)
+ * @body token - From the confirmation email
+ * 
+ * Unverified account: whoever set it up never proved the email was
+ * theirs (pre-hijacking). Everything they could have added - password,
+ * other linked identities, passkeys, 2FA secret + recovery codes,
+ * trusted devices, sessions - is removed; the mailbox owner logs in
+ * with the provider.
+ */
+
+router.post('/identities/pending/confirm-email', async (req, res) => {
+  try {
+    const pending = await consumePendingLinkByEmail(req.body.token);
+
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link confirmation invalid or expired'
+      });
+    }
+
+    const user = await User.findById(pending.userId).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasUnverified = !user.isVerified;
+
+    // Only the identity being confirmed survives the claim
+    if (wasUnverified) {
+      user.identities = [];
+      user.providerId = undefined;
+    }
+
+    const error = await applyPendingLink(user, pending);
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (wasUnverified) {
+      user.password = undefined;
+      user.isVerified = true;
+      user.twoFactorEnabled = false;
+      user.twoFactorEmailEnabled = false;
+      user.twoFactorSecret = undefined;
+      user.twoFactorTempSecret = undefined;
+      user.twoFactorRecoveryCodes = [];
+    }
+
+    await user.save();
+
+    if (wasUnverified) {
+      await WebAuthnCredential.deleteMany({ user: user._id });
+      await revokeAllTrustedDevices(user._id, 'unverified_account_claimed');
+      await invalidateAllRefreshTokens(user._id);
+      await revokeAllAccessTokens(user._id, 'unverified_account_claimed');
+    }
+
+    console.log(`🔗 ${pending.provider} linked to ${user.email} (confirmed by email)`);
+
+    res.json({
+      success: true,
+      message: `Account linked. You can now sign in with ${pending.provider}.`,
+      provider: pending.provider
+    });
+
+  } catch (error) {
+    console.error('Confirm pending link by email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link account'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,693 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const OAuthConsent = require('../models/OAuthConsent');
+const { authenticate, requireUser } = require('../middleware/rbac');
+const {
+  generateRefreshToken,
+  verifyRefreshToken,
+  rotateRefreshToken,
+  isAccessTokenRevoked,
+  getAuthContext
+} = require('../utils/tokens');
+const {
+  SUPPORTED_SCOPES,
+  SCOPE_DESCRIPTIONS,
+  OAuthError,
+  parseScope,
+  findClient,
+  authenticateClient,
+  createAuthorizationCode,
+  consumeAuthorizationCode,
+  verifyPkce,
+  getUserClaims,
+  generateClientAccessToken,
+  getExpiresIn,
+  verifyClientAccessToken,
+  generateServiceAccessToken,
+  generateIdToken,
+  introspectToken,
+  revokeToken
+} = require('../utils/oidc');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * OPENID CONNECT PROVIDER ROUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * "Sign in with KTA" for registered client apps (mounted at /oauth)
+ *
+ * Endpoints:
+ * - GET    /authorize               - Start authorization code flow (browser)
+ * - GET    /authorize/details       - Client + scopes for the consent screen
+ * - POST   /authorize/decision      - Approve/deny, returns redirect with code
+ * - POST   /token                   - Exchange code / refresh token / client credentials
+ * - GET    /userinfo                - Claims for the access token's user
+ * - POST   /userinfo                - Same as GET
+ * - POST   /introspect              - Is this token active? (RFC 7662)
+ * - POST   /revoke                  - Revoke access/refresh token (RFC 7009)
+ *
+ * Flow:
+ * 1. Client redirects browser to /oauth/authorize?client_id&redirect_uri&...
+ * 2. We validate and redirect to the frontend consent page
+ * 3. Frontend (logged in) loads details, user approves → POST /authorize/decision
+ * 4. Browser is sent to redirect_uri?code&state
+ * 5. Client exchanges code (+ code_verifier) at /oauth/token
+ *
+ * @file backend/routes/oidc.js
+ * @phase Phase 4 - OpenID Connect Provider
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * HELPERS
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Build redirect_uri with query params appended
+ */
+const buildRedirect = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+};
+
+/**
+ * Validate an authorization request
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {Object} params - Query/body parameters of the authorization request
+ * @returns {Promise<Object>} - { client, scopes }
+ * @throws {OAuthError} - `redirectable` false when client/redirect_uri can't be trusted
+ */
+const validateAuthorizeRequest = async (params) => {
+  const {
+    response_type: responseType,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod = 'plain'
+  } = params;
+
+  // Never redirect to an unverified redirect_uri (open redirect)
+  const client = await findClient(clientId);
+  if (!client || !redirectUri || !client.isValidRedirectUri(redirectUri)) {
+    const error = new OAuthError('invalid_request', 'Unknown client or redirect_uri');
+    error.redirectable = false;
+    throw error;
+  }
+
+  if (responseType !== 'code') {
+    throw new OAuthError('unsupported_response_type', 'Only response_type=code is supported');
+  }
+
+  if (!client.grantTypes.includes('authorization_code')) {
+    throw new OAuthError('unauthorized_client', 'Client may not use the authorization code flow');
+  }
+
+  const scopes = parseScope(scope);
+
+  if (!scopes.includes('openid')) {
+    throw new OAuthError('invalid_scope', 'The openid scope is required');
+  }
+
+  const invalidScope = scopes.find(
+    s => !SUPPORTED_SCOPES.includes(s) || !client.allowedScopes.includes(s)
+  );
+  if (invalidScope) {
+    throw new OAuthError('invalid_scope', `Scope not allowed: ${invalidScope}`);
+  }
+
+  /**
+   * PKCE is required for every client
+   * - Public clients: it's the only proof the code wasn't intercepted
+   * - Confidential clients: defence in depth (OAuth 2.1)
+   */
+  if (!codeChallenge) {
+    throw new OAuthError('invalid_request', 'code_challenge is required (PKCE)');
+  }
+
+  if (!['S256', 'plain'].includes(codeChallengeMethod)) {
+    throw new OAuthError('invalid_request', 'Unsupported code_challenge_method');
+  }
+
+  if (!client.isConfidential && codeChallengeMethod !== 'S256') {
+    throw new OAuthError('invalid_request', 'Public clients must use code_challenge_method=S256');
+  }
+
+  return { client, scopes };
+};
+
+/**
+ * Send an RFC 6749 token endpoint error
+ */
+const sendTokenError = (res, error) => {
+  if (error instanceof OAuthError) {
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+    return res.status(error.status).json({
+      error: error.error,
+      error_description: error.message
+    });
+  }
+
+  console.error('OAuth token error:', error);
+  res.status(500).json({
+    error: 'server_error',
+    error_description: 'Token request failed'
+  });
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /oauth/authorize
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Entry point of the authorization code flow
+ *
+ * @access Public (browser redirect from client app)
+ * @query response_type - Must be "code"
+ * @query client_id - Registered client ID
+ * @query redirect_uri - Must exactly match a registered URI
+ * @query scope - Space-delimited, must include "openid"
+ * @query state - Opaque value echoed back (CSRF protection for the client)
+ * @query nonce - Echoed in the ID token (replay protection)
+ * @query code_challenge - PKCE challenge
+ * @query code_challenge_method - "S256" (recommended) or "plain"
+ *
+ * Valid request → redirect to frontend consent page with the same query
+ */
+
+router.get('/authorize', async (req, res) => {
+  try {
+    await validateAuthorizeRequest(req.query);
+
+    const query = new URLSearchParams(req.query).toString();
+    res.redirect(`${process.env.FRONTEND_URL}/oauth/consent?${query}`);
+
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      if (error.redirectable === false) {
+        return res.status(400).json({
+          error: error.error,
+          error_description: error.message
+        });
+      }
+
+      return res.redirect(buildRedirect(req.query.redirect_uri, {
+        error: error.error,
+        error_description: error.message,
+        state: req.query.state
+      }));
+    }
+
+    console.error('OAuth authorize error:', error);
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Authorization request failed'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /oauth/authorize/details
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * What the consent screen needs to show
+ *
+ * @access Private (logged-in user, called by our frontend)
+ * @query Same parameters as /oauth/authorize
+ *
+ * consentRequired is false when the client is first-party (skipConsent)
+ * or the user already approved all requested scopes
+ */
+
+router.get('/authorize/details', authenticate, requireUser, async (req, res) => {
+  try {
+    const { client, scopes } = await validateAuthorizeRequest(req.query);
+
+    const consent = await OAuthConsent.findOne({
+      user: req.user._id,
+      clientId: client.clientId
+    });
+
+    res.json({
+      success: true,
+      client: {
+        clientId: client.clientId,
+        name: client.name,
+        description: client.description,
+        logoUrl: client.logoUrl
+      },
+      scopes: scopes.map(scope => ({
+        scope,
+        description: SCOPE_DESCRIPTIONS[scope]
+      })),
+      consentRequired: !client.skipConsent && !(consent && consent.covers(scopes))
+    });
+
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: error.error
+      });
+    }
+
+    console.error('OAuth details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading authorization request'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /oauth/authorize/decision
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * User approves or denies the client
+ *
+ * @access Private (logged-in user, called by our frontend)
+ * @body Same parameters as /oauth/authorize + approve (Boolean)
+ * @returns { redirectTo } - Frontend navigates the browser there
+ *
+ * Approve → code issued, consent remembered
+ * Deny    → error=access_denied
+ */
+
+router.post('/authorize/decision', authenticate, requireUser, async (req, res) => {
+  try {
+    const { client, scopes } = await validateAuthorizeRequest(req.body);
+    const { redirect_uri: redirectUri, state, nonce } = req.body;
+
+    if (!req.body.approve) {
+      return res.json({
+        success: true,
+        redirectTo: buildRedirect(redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state
+        })
+      });
+    }
+
+    // Remember consent (only ever widens)
+    await OAuthConsent.findOneAndUpdate(
+      { user: req.user._id, clientId: client.clientId },
+      { $addToSet: { scopes: { $each: scopes } } },
+      { upsert: true }
+    );
+
+    // When this session authenticated (not User.lastLogin - a later login
+    // elsewhere must not move it); tokens from before auth_time claims
+    // existed fall back to lastLogin
+    const auth = getAuthContext(req.auth.payload) || {
+      authTime: Math.floor((req.user.lastLogin || new Date()).getTime() / 1000),
+      amr: []
+    };
+
+    const code = await createAuthorizationCode({
+      clientId: client.clientId,
+      userId: req.user._id.toString(),
+      redirectUri,
+      scope: scopes.join(' '),
+      codeChallenge: req.body.code_challenge,
+      codeChallengeMethod: req.body.code_challenge_method || 'plain',
+      nonce,
+      authTime: auth.authTime,
+      amr: auth.amr
+    });
+
+    console.log(`🔓 Authorization code issued to client ${client.clientId} for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      redirectTo: buildRedirect(redirectUri, { code, state })
+    });
+
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: error.error
+      });
+    }
+
+    console.error('OAuth decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing authorization'
+    });
+  }
+});
+
+/**
+ * User behind an authorization code / refresh token
+ * Deactivated accounts get no new tokens (same as /oauth/exchange)
+ * @throws {OAuthError} - invalid_grant if deleted or deactivated
+ */
+const findGrantUser = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new OAuthError('invalid_grant', 'User no longer exists');
+  }
+
+  if (!user.isActive) {
+    throw new OAuthError('invalid_grant', 'Account is deactivated');
+  }
+
+  return user;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /oauth/token
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Token endpoint (application/x-www-form-urlencoded or JSON)
+ *
+ * @access Client (client_secret_basic / client_secret_post / PKCE only for public clients)
+ *
+ * grant_type=authorization_code
+ * @body code, redirect_uri, code_verifier
+ *
+ * grant_type=refresh_token
+ * @body refresh_token
+ *
+ * grant_type=client_credentials (service clients, no user)
+ * @body scope - Optional, space-delimited subset of the client's serviceScopes
+ *               (default: all of them)
+ *
+ * @returns { access_token, token_type, expires_in, id_token, refresh_token?, scope }
+ *
+ * refresh_token is only issued when offline_access was granted
+ * and the client is allowed the refresh_token grant
+ */
+
+router.post('/token', async (req, res) => {
+  // Tokens must never be cached (RFC 6749 §5.1)
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  try {
+    const client = await authenticateClient(req);
+    const { grant_type: grantType } = req.body;
+
+    if (!grantType) {
+      throw new OAuthError('invalid_request', 'grant_type is required');
+    }
+
+    if (!client.grantTypes.includes(grantType)) {
+      throw new OAuthError('unauthorized_client', `Client may not use grant_type=${grantType}`);
+    }
+
+    const deviceInfo = {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    };
+
+    // ─────────────────────────────────────────────────────────
+    // Authorization code
+    // ─────────────────────────────────────────────────────────
+    if (grantType === 'authorization_code') {
+      const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+
+      const grant = await consumeAuthorizationCode(code);
+
+      if (!grant || grant.clientId !== client.clientId) {
+        throw new OAuthError('invalid_grant', 'Authorization code invalid or expired');
+      }
+
+      if (grant.redirectUri !== redirectUri) {
+        throw new OAuthError('invalid_grant', 'redirect_uri does not match');
+      }
+
+      if (!verifyPkce(codeVerifier, grant.codeChallenge, grant.codeChallengeMethod)) {
+        throw new OAuthError('invalid_grant', 'PKCE verification failed');
+      }
+
+      const user = await findGrantUser(grant.userId);
+
+      const scopes = parseScope(grant.scope);
+      const accessToken = generateClientAccessToken(user, client.clientId, grant.scope);
+
+      const response = {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: getExpiresIn(accessToken),
+        scope: grant.scope,
+        id_token: generateIdToken(user, {
+          clientId: client.clientId,
+          scopes,
+          nonce: grant.nonce,
+          authTime: grant.authTime,
+          accessToken
+        })
+      };
+
+      if (scopes.includes('offline_access') && client.grantTypes.includes('refresh_token')) {
+        // Carries auth_time, so refreshed id_tokens keep the original one
+        response.refresh_token = await generateRefreshToken(user, deviceInfo, null, {
+          clientId: client.clientId,
+          scope: grant.scope
+        }, { authTime: grant.authTime, amr: grant.amr || [] });
+      }
+
+      return res.json(response);
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // Refresh token (rotation, same family as first-party tokens)
+    // ─────────────────────────────────────────────────────────
+    if (grantType === 'refresh_token') {
+      let decoded;
+      try {
+        decoded = await verifyRefreshToken(req.body.refresh_token);
+      } catch (error) {
+        throw new OAuthError('invalid_grant', error.message);
+      }
+
+      if (decoded.clientId !== client.clientId) {
+        throw new OAuthError('invalid_grant', 'Refresh token was not issued to this client');
+      }
+
+      const user = await findGrantUser(decoded.userId);
+
+      // Rotate first - a replayed or raced token revokes the family
+      let refreshToken;
+      try {
+        refreshToken = await rotateRefreshToken(decoded, user, deviceInfo);
+      } catch (error) {
+        throw new OAuthError('invalid_grant', error.message);
+      }
+
+      const accessToken = generateClientAccessToken(user, client.clientId, decoded.scope);
+
+      return res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: getExpiresIn(accessToken),
+        scope: decoded.scope,
+        refresh_token: refreshToken,
+        id_token: generateIdToken(user, {
+          clientId: client.clientId,
+          scopes: parseScope(decoded.scope),
+          authTime: getAuthContext(decoded)?.authTime,
+          accessToken
+        })
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // Client credentials (machine-to-machine)
+    // ─────────────────────────────────────────────────────────
+    if (grantType === 'client_credentials') {
+      // Only clients that can keep a secret may act as themselves
+      if (!client.isConfidential) {
+        throw new OAuthError('unauthorized_client', 'Public clients may not use client_credentials');
+      }
+
+      const requested = parseScope(req.body.scope);
+      const scopes = requested.length > 0 ? requested : client.serviceScopes;
+
+      const invalidScope = scopes.find(scope => !client.serviceScopes.includes(scope));
+      if (invalidScope) {
+        throw new OAuthError('invalid_scope', `Scope not granted to client: ${invalidScope}`);
+      }
+
+      const scope = scopes.join(' ');
+
+      console.log(`🤖 Service token issued to client ${client.clientId} (scope: ${scope || 'none'})`);
+
+      const accessToken = generateServiceAccessToken(client, scope);
+
+      // No refresh token - the client can always re-authenticate (RFC 6749 §4.4.3)
+      return res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: getExpiresIn(accessToken),
+        scope
+      });
+    }
+
+    throw new OAuthError('unsupported_grant_type', `Unsupported grant_type: ${grantType}`);
+
+  } catch (error) {
+    sendTokenError(res, error);
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET|POST /oauth/userinfo
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Claims about the user the access token was issued for
+ *
+ * @access Client access token (Authorization: Bearer, openid scope)
+ * @returns { sub, name?, picture?, email?, email_verified? }
+ */
+
+const userinfo = async (req, res) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'invalid_token',
+      error_description: 'Access token required'
+    });
+  }
+
+  try {
+    const token = authHeader.replace('Bearer ', '');
+    const decoded = await verifyClientAccessToken(token);
+
+    if (await isAccessTokenRevoked(decoded, token)) {
+      throw new OAuthError('invalid_token', 'Token has been revoked', 401);
+    }
+
+    const scopes = parseScope(decoded.scope);
+
+    if (!scopes.includes('openid')) {
+      res.set('WWW-Authenticate', 'Bearer error="insufficient_scope"');
+      return res.status(403).json({
+        error: 'insufficient_scope',
+        error_description: 'The openid scope is required'
+      });
+    }
+
+    const user = await User.findById(decoded.sub);
+    if (!user) {
+      throw new OAuthError('invalid_token', 'User no longer exists', 401);
+    }
+
+    // Deactivated (e.g. via SCIM) - outstanding tokens get no claims
+    if (!user.isActive) {
+      throw new OAuthError('invalid_token', 'Account is deactivated', 401);
+    }
+
+    res.json(getUserClaims(user, scopes));
+
+  } catch (error) {
+    if (
+      error instanceof OAuthError ||
+      error.name === 'JsonWebTokenError' ||
+      error.name === 'TokenExpiredError'
+    ) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        error: 'invalid_token',
+        error_description: error.message
+      });
+    }
+
+    console.error('OAuth userinfo error:', error);
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Userinfo request failed'
+    });
+  }
+};
+
+router.get('/userinfo', userinfo);
+router.post('/userinfo', userinfo);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /oauth/introspect
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Token introspection (RFC 7662) for resource servers
+ *
+ * @access Confidential client (client_secret_basic / client_secret_post)
+ * @body token - Access or refresh token
+ * @body token_type_hint - Optional: access_token | refresh_token
+ * @returns { active: false } or { active: true, sub, client_id, scope, exp, ... }
+ *
+ * Resource servers don't need to know our signing keys, Redis key
+ * scheme or denylist - one call answers "is it active and whose is it?"
+ */
+
+router.post('/introspect', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const client = await authenticateClient(req);
+
+    // Public clients can't prove who is asking
+    if (!client.isConfidential) {
+      throw new OAuthError('invalid_client', 'Client authentication required', 401);
+    }
+
+    const result = await introspectToken(req.body.token, req.body.token_type_hint, client);
+
+    res.json(result);
+
+  } catch (error) {
+    sendTokenError(res, error);
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /oauth/revoke
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Token revocation (RFC 7009) - e.g. client app logout
+ *
+ * @access Client (same authentication as /oauth/token)
+ * @body token - Access or refresh token issued to this client
+ * @body token_type_hint - Optional: access_token | refresh_token
+ * @returns 200 with empty body (also for invalid/unknown tokens)
+ *
+ * - Access token  → denylisted, rejected everywhere until it expires
+ * - Refresh token → whole token family revoked
+ */
+
+router.post('/revoke', async (req, res) => {
+  try {
+    const client = await authenticateClient(req);
+
+    await revokeToken(req.body.token, client);
+
+    res.status(200).end();
+
+  } catch (error) {
+    sendTokenError(res, error);
+  }
+});
+
+module.exports = router;
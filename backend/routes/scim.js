@@ -0,0 +1,669 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const ScimGroup = require('../models/ScimGroup');
+const SsoConnection = require('../models/SsoConnection');
+const { invalidateAllRefreshTokens, revokeAllAccessTokens } = require('../utils/tokens');
+const {
+  SCHEMAS,
+  USER_FILTER_ATTRIBUTES,
+  GROUP_FILTER_ATTRIBUTES,
+  scimError,
+  sendScimError,
+  parseFilter,
+  parsePagination,
+  listResponse,
+  toScimUser,
+  toScimGroup,
+  readUserResource,
+  readPatchOperations,
+  patchUserResource,
+  readGroupPatch,
+  syncGroupAccess
+} = require('../utils/scim');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SCIM 2.0 PROVISIONING ROUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Lets a customer's IdP (Okta, Azure AD, OneLogin, ...) create, update
+ * and deactivate accounts instead of admins using /api/admin/users
+ *
+ * Auth: Authorization: Bearer <SCIM token of an SSO connection>
+ * (POST /api/admin/sso-connections/:id/scim-token). The connection is
+ * the tenant - only its users/groups are visible, and only emails in
+ * its allowedDomains can be provisioned.
+ *
+ * Endpoints (mounted at /scim/v2):
+ * - GET    /ServiceProviderConfig  - Supported features
+ * - GET    /ResourceTypes          - User + Group
+ * - GET    /Users                  - List/filter users (?filter=&startIndex=&count=)
+ * - POST   /Users                  - Provision user
+ * - GET    /Users/:id              - Get user
+ * - PUT    /Users/:id              - Replace user
+ * - PATCH  /Users/:id              - Update user (e.g. active: false)
+ * - DELETE /Users/:id              - Delete user
+ * - GET    /Groups                 - List/filter groups
+ * - POST   /Groups                 - Create group
+ * - GET    /Groups/:id             - Get group
+ * - PUT    /Groups/:id             - Replace group
+ * - PATCH  /Groups/:id             - Add/remove members, rename
+ * - DELETE /Groups/:id             - Delete group
+ *
+ * Groups map onto roles/permissions through the connection's
+ * roleMappings / permissionMappings (by displayName)
+ *
+ * @file backend/routes/scim.js
+ * @phase Phase 4 - SCIM Provisioning
+ */
+
+// IdPs send application/scim+json, which express.json() in server.js skips
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MIDDLEWARE: SCIM TENANT AUTH
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Bearer token → req.scimConnection (tenant)
+ * Sets req.scimBaseUrl for resource locations
+ */
+
+const authenticateScim = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+
+    const connection = await SsoConnection.findByScimToken(token);
+
+    if (!connection) {
+      return sendScimError(res, scimError(401, 'Invalid or missing SCIM bearer token'));
+    }
+
+    req.scimConnection = connection;
+    req.scimBaseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    next();
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+};
+
+router.use(authenticateScim);
+
+// All responses use the SCIM media type
+router.use((req, res, next) => {
+  res.type('application/scim+json');
+  next();
+});
+
+/**
+ * Tenant-scoped lookups
+ * ────────────────────────────────────────────────────────────────────────
+ * Invalid ids and other tenants' resources are both plain 404s
+ */
+const findTenantUser = async (req) => {
+  const user = mongoose.isValidObjectId(req.params.id) &&
+    await User.findOne({ _id: req.params.id, 'scim.connection': req.scimConnection._id });
+
+  if (!user) {
+    throw scimError(404, `User ${req.params.id} not found`);
+  }
+
+  return user;
+};
+
+const findTenantGroup = async (req) => {
+  const group = mongoose.isValidObjectId(req.params.id) &&
+    await ScimGroup.findOne({ _id: req.params.id, connection: req.scimConnection._id });
+
+  if (!group) {
+    throw scimError(404, `Group ${req.params.id} not found`);
+  }
+
+  return group;
+};
+
+const userGroups = (req, user) =>
+  ScimGroup.find({ connection: req.scimConnection._id, members: user._id }).select('displayName');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DISCOVERY
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * GET /scim/v2/ServiceProviderConfig
+ * ────────────────────────────────────────────────────────────────────────
+ * @access SCIM token
+ */
+
+router.get('/ServiceProviderConfig', (req, res) => {
+  res.json({
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: 200 },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'Bearer Token',
+      description: 'Per-tenant SCIM token issued by an administrator',
+      primary: true
+    }]
+  });
+});
+
+/**
+ * GET /scim/v2/ResourceTypes
+ * ────────────────────────────────────────────────────────────────────────
+ * @access SCIM token
+ */
+
+router.get('/ResourceTypes', (req, res) => {
+  const resources = [
+    { id: 'User', name: 'User', endpoint: '/Users', schema: SCHEMAS.USER },
+    { id: 'Group', name: 'Group', endpoint: '/Groups', schema: SCHEMAS.GROUP }
+  ].map(type => ({
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+    ...type,
+    meta: { resourceType: 'ResourceType', location: `${req.scimBaseUrl}/ResourceTypes/${type.id}` }
+  }));
+
+  res.json(listResponse(resources, resources.length, 1));
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * USERS
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Write SCIM attributes onto a user
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {Object} user - User document (new or existing)
+ * @param {Object} attrs - From readUserResource
+ * @param {Object} connection - Tenant
+ * @returns {Boolean} - true if the account was just deactivated
+ */
+const applyUserAttributes = (user, attrs, connection) => {
+  if (!attrs.userName) {
+    throw scimError(400, 'userName is required', 'invalidValue');
+  }
+
+  const email = String(attrs.email || '').toLowerCase();
+
+  if (!/^\S+@\S+\.\S+$/.test(email)) {
+    throw scimError(400, 'A work email (emails or an email userName) is required', 'invalidValue');
+  }
+
+  // Same trust boundary as SSO login: only the tenant's own domains
+  if (!connection.allowsEmail(email)) {
+    throw scimError(400, `Email domain not allowed for this tenant: ${email}`, 'invalidValue');
+  }
+
+  user.email = email;
+  user.name = attrs.name || user.name || email.split('@')[0];
+  user.scim.userName = String(attrs.userName).toLowerCase();
+  user.scim.externalId = attrs.externalId;
+
+  if (attrs.active === false && user.isActive) {
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    return true;
+  }
+
+  if (attrs.active === true && !user.isActive) {
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+  }
+
+  return false;
+};
+
+/**
+ * Save + end sessions when an account was deactivated
+ */
+const saveUser = async (user, deactivated) => {
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw scimError(409, 'A user with this email already exists', 'uniqueness');
+    }
+    if (error.name === 'ValidationError') {
+      throw scimError(400, Object.values(error.errors).map(e => e.message).join(', '), 'invalidValue');
+    }
+    throw error;
+  }
+
+  if (deactivated) {
+    await invalidateAllRefreshTokens(user._id);
+    await revokeAllAccessTokens(user._id, 'account_deactivated');
+    console.log(`⛔ SCIM: ${user.email} deactivated`);
+  }
+};
+
+/**
+ * GET /scim/v2/Users
+ * ────────────────────────────────────────────────────────────────────────
+ * @access SCIM token
+ * @query filter - e.g. userName eq "jane@acme.com"
+ * @query startIndex - 1-based (default 1)
+ * @query count - Page size (default 100, max 200)
+ */
+
+router.get('/Users', async (req, res) => {
+  try {
+    const query = {
+      ...parseFilter(req.query.filter, USER_FILTER_ATTRIBUTES),
+      'scim.connection': req.scimConnection._id
+    };
+    const { startIndex, count } = parsePagination(req.query);
+
+    const [users, totalResults] = await Promise.all([
+      User.find(query).sort({ createdAt: 1 }).skip(startIndex - 1).limit(count),
+      User.countDocuments(query)
+    ]);
+
+    const resources = await Promise.all(
+      users.map(async user => toScimUser(user, req.scimBaseUrl, await userGroups(req, user)))
+    );
+
+    res.json(listResponse(resources, totalResults, startIndex));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * POST /scim/v2/Users
+ * ────────────────────────────────────────────────────────────────────────
+ * Provision a user (no password - logs in through the tenant's SSO)
+ *
+ * @access SCIM token
+ * @body SCIM User (userName, name, emails, externalId, active)
+ *
+ * An existing account with the same email is only taken over if it
+ * already belongs to this tenant (logged in through its SSO before);
+ * anything else is a 409 for an admin to resolve
+ */
+
+router.post('/Users', async (req, res) => {
+  try {
+    const connection = req.scimConnection;
+    const attrs = readUserResource(req.body);
+    const email = String(attrs.email || '').toLowerCase();
+
+    let user = email ? await User.findOne({ email }) : null;
+
+    if (user) {
+      const ownedByTenant = !user.scim?.connection &&
+        user.identities.some(identity => identity.connection?.equals(connection._id));
+
+      if (!ownedByTenant) {
+        throw scimError(409, 'A user with this email already exists', 'uniqueness');
+      }
+
+      console.log(`🏢 SCIM: adopting existing SSO user ${email}`);
+    } else {
+      user = new User({
+        provider: 'sso',
+        isVerified: true, // Tenant vouches for its own domain
+        roles: ['user']
+      });
+    }
+
+    user.scim = { connection: connection._id };
+    const deactivated = applyUserAttributes(user, attrs, connection);
+    await saveUser(user, deactivated);
+
+    console.log(`✅ SCIM: ${user.email} provisioned by ${connection.name}`);
+
+    res.status(201)
+      .location(`${req.scimBaseUrl}/Users/${user._id}`)
+      .json(toScimUser(user, req.scimBaseUrl));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * GET /scim/v2/Users/:id
+ * ────────────────────────────────────────────────────────────────────────
+ * @access SCIM token
+ */
+
+router.get('/Users/:id', async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    res.json(toScimUser(user, req.scimBaseUrl, await userGroups(req, user)));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * PUT /scim/v2/Users/:id
+ * ────────────────────────────────────────────────────────────────────────
+ * Replace user attributes
+ *
+ * @access SCIM token
+ */
+
+router.put('/Users/:id', async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    const deactivated = applyUserAttributes(user, readUserResource(req.body), req.scimConnection);
+    await saveUser(user, deactivated);
+
+    res.json(toScimUser(user, req.scimBaseUrl, await userGroups(req, user)));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * PATCH /scim/v2/Users/:id
+ * ────────────────────────────────────────────────────────────────────────
+ * Partial update - most often { op: 'replace', value: { active: false } }
+ *
+ * @access SCIM token
+ * @body PatchOp { Operations: [{ op, path?, value }] }
+ */
+
+router.patch('/Users/:id', async (req, res) => {
+  try {
+    const operations = readPatchOperations(req.body);
+    const user = await findTenantUser(req);
+
+    const patched = patchUserResource(toScimUser(user, req.scimBaseUrl), operations);
+    const deactivated = applyUserAttributes(user, readUserResource(patched), req.scimConnection);
+    await saveUser(user, deactivated);
+
+    res.json(toScimUser(user, req.scimBaseUrl, await userGroups(req, user)));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * DELETE /scim/v2/Users/:id
+ * ────────────────────────────────────────────────────────────────────────
+ * Delete the account (use PATCH active: false to only deactivate)
+ *
+ * @access SCIM token
+ */
+
+router.delete('/Users/:id', async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+
+    await ScimGroup.updateMany({ connection: req.scimConnection._id }, { $pull: { members: user._id } });
+    await user.deleteOne();
+
+    // Kill live sessions of the deleted account
+    await invalidateAllRefreshTokens(user._id);
+    await revokeAllAccessTokens(user._id, 'account_deleted');
+
+    console.log(`🗑️  SCIM: ${user.email} deleted by ${req.scimConnection.name}`);
+
+    res.status(204).end();
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GROUPS
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Resolve member ids to this tenant's users
+ * @throws {Error} - 400 if any id isn't a tenant user
+ */
+const loadMembers = async (req, ids) => {
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length === 0) return [];
+
+  const users = await User.find({
+    _id: { $in: unique.filter(id => mongoose.isValidObjectId(id)) },
+    'scim.connection': req.scimConnection._id
+  });
+
+  if (users.length !== unique.length) {
+    throw scimError(400, 'Group members must be users provisioned by this tenant', 'invalidValue');
+  }
+
+  return users;
+};
+
+const populateMembers = (group) => group.populate('members', 'email');
+
+/**
+ * Save a group, then re-sync access of everyone whose membership changed
+ * @param {Object} req
+ * @param {Object} group - ScimGroup
+ * @param {Array} affectedIds - Members before + after
+ */
+const saveGroup = async (req, group, affectedIds) => {
+  try {
+    await group.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw scimError(409, `Group "${group.displayName}" already exists`, 'uniqueness');
+    }
+    if (error.name === 'ValidationError') {
+      throw scimError(400, Object.values(error.errors).map(e => e.message).join(', '), 'invalidValue');
+    }
+    throw error;
+  }
+
+  const affected = await User.find({
+    _id: { $in: [...new Set(affectedIds.map(String))] },
+    'scim.connection': req.scimConnection._id
+  });
+
+  await syncGroupAccess(affected, req.scimConnection);
+};
+
+/**
+ * GET /scim/v2/Groups
+ * ────────────────────────────────────────────────────────────────────────
+ * @access SCIM token
+ * @query filter - e.g. displayName eq "Engineering"
+ * @query excludedAttributes - "members" skips member lists (Azure AD)
+ */
+
+router.get('/Groups', async (req, res) => {
+  try {
+    const query = {
+      ...parseFilter(req.query.filter, GROUP_FILTER_ATTRIBUTES),
+      connection: req.scimConnection._id
+    };
+    const { startIndex, count } = parsePagination(req.query);
+    const withMembers = !/members/i.test(req.query.excludedAttributes || '');
+
+    const [groups, totalResults] = await Promise.all([
+      ScimGroup.find(query).sort({ createdAt: 1 }).skip(startIndex - 1).limit(count)
+        .populate(withMembers ? { path: 'members', select: 'email' } : []),
+      ScimGroup.countDocuments(query)
+    ]);
+
+    const resources = groups.map((group) => {
+      const resource = toScimGroup(group, req.scimBaseUrl);
+      if (!withMembers) delete resource.members;
+      return resource;
+    });
+
+    res.json(listResponse(resources, totalResults, startIndex));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * POST /scim/v2/Groups
+ * ────────────────────────────────────────────────────────────────────────
+ * @access SCIM token
+ * @body SCIM Group (displayName, externalId, members)
+ */
+
+router.post('/Groups', async (req, res) => {
+  try {
+    const { displayName, externalId, members = [] } = req.body;
+    const users = await loadMembers(req, members.map(member => member.value));
+
+    const group = new ScimGroup({
+      connection: req.scimConnection._id,
+      displayName,
+      externalId,
+      members: users.map(user => user._id)
+    });
+
+    await saveGroup(req, group, group.members);
+    await populateMembers(group);
+
+    console.log(`👥 SCIM: group "${group.displayName}" created by ${req.scimConnection.name}`);
+
+    res.status(201)
+      .location(`${req.scimBaseUrl}/Groups/${group._id}`)
+      .json(toScimGroup(group, req.scimBaseUrl));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * GET /scim/v2/Groups/:id
+ * ────────────────────────────────────────────────────────────────────────
+ * @access SCIM token
+ */
+
+router.get('/Groups/:id', async (req, res) => {
+  try {
+    const group = await findTenantGroup(req);
+    await populateMembers(group);
+
+    res.json(toScimGroup(group, req.scimBaseUrl));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * PUT /scim/v2/Groups/:id
+ * ────────────────────────────────────────────────────────────────────────
+ * Replace name + full member list
+ *
+ * @access SCIM token
+ */
+
+router.put('/Groups/:id', async (req, res) => {
+  try {
+    const group = await findTenantGroup(req);
+    const { displayName, externalId, members = [] } = req.body;
+    const users = await loadMembers(req, members.map(member => member.value));
+
+    const before = [...group.members];
+    group.displayName = displayName;
+    group.externalId = externalId;
+    group.members = users.map(user => user._id);
+
+    await saveGroup(req, group, [...before, ...group.members]);
+    await populateMembers(group);
+
+    res.json(toScimGroup(group, req.scimBaseUrl));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * PATCH /scim/v2/Groups/:id
+ * ────────────────────────────────────────────────────────────────────────
+ * Add/remove members, rename
+ *
+ * @access SCIM token
+ * @body PatchOp, e.g.
+ *       { op: 'add', path: 'members', value: [{ value: '<userId>' }] }
+ *       { op: 'remove', path: 'members[value eq "<userId>"]' }
+ */
+
+router.patch('/Groups/:id', async (req, res) => {
+  try {
+    const operations = readPatchOperations(req.body);
+    const group = await findTenantGroup(req);
+    const changes = readGroupPatch(operations);
+
+    const before = group.members.map(String);
+    let members = changes.replace !== null ? [] : [...before];
+
+    if (changes.replace !== null) {
+      members = (await loadMembers(req, changes.replace)).map(user => user._id.toString());
+    }
+
+    const added = (await loadMembers(req, changes.add)).map(user => user._id.toString());
+    members = [...new Set([...members, ...added])].filter(id => !changes.remove.includes(id));
+
+    if (changes.displayName !== undefined) group.displayName = changes.displayName;
+    if ('externalId' in changes) group.externalId = changes.externalId;
+    group.members = members;
+
+    // Membership in the response is optional; IdPs only check the status
+    await saveGroup(req, group, [...before, ...members]);
+    await populateMembers(group);
+
+    res.json(toScimGroup(group, req.scimBaseUrl));
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+/**
+ * DELETE /scim/v2/Groups/:id
+ * ────────────────────────────────────────────────────────────────────────
+ * Members lose whatever the group granted
+ *
+ * @access SCIM token
+ */
+
+router.delete('/Groups/:id', async (req, res) => {
+  try {
+    const group = await findTenantGroup(req);
+    const members = [...group.members];
+
+    await group.deleteOne();
+
+    const affected = await User.find({ _id: { $in: members } });
+    await syncGroupAccess(affected, req.scimConnection);
+
+    console.log(`🗑️  SCIM: group "${group.displayName}" deleted by ${req.scimConnection.name}`);
+
+    res.status(204).end();
+
+  } catch (error) {
+    sendScimError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,647 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate, requireUser } = require('../middleware/rbac');
+const {
+  generateTotpSecret,
+  useTotpCode,
+  generateRecoveryCodes
+} = require('../utils/twoFactor');
+const { sendEmailOtp, verifyEmailOtp } = require('../utils/emailOtp');
+const {
+  listTrustedDevices,
+  revokeTrustedDevice,
+  revokeAllTrustedDevices,
+  clearTrustedDeviceCookie
+} = require('../utils/trustedDevices');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TWO-FACTOR AUTHENTICATION ROUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * TOTP / email code enrollment and management for the logged-in user
+ *
+ * All routes require authentication
+ *
+ * Endpoints:
+ * - GET    /status                  - Get 2FA status
+ * - POST   /setup                   - Generate secret & QR code
+ * - POST   /verify-setup            - Verify first code and enable 2FA
+ * - POST   /email/setup             - Email a code to enable email 2FA
+ * - POST   /email/verify-setup      - Verify emailed code and enable email 2FA
+ * - POST   /email/send              - Email a code for /disable or /recovery-codes
+ * - POST   /disable                 - Disable 2FA
+ * - POST   /recovery-codes          - Regenerate recovery codes
+ * - GET    /trusted-devices         - List devices that skip 2FA
+ * - DELETE /trusted-devices/:id     - Stop trusting one device
+ * - DELETE /trusted-devices         - Stop trusting all devices
+ *
+ * Login verification lives in routes/auth.js (POST /api/auth/login/mfa)
+ *
+ * @file backend/routes/twoFactor.js
+ * @phase Phase 4B - Two-Factor Authentication
+ */
+
+router.use(authenticate, requireUser);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/2fa/status
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private
+ */
+
+router.get('/status', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes');
+
+    res.json({
+      success: true,
+      twoFactorEnabled: user.twoFactorEnabled,
+      totpEnabled: !!user.twoFactorSecret,
+      emailOtpEnabled: user.twoFactorEmailEnabled,
+      recoveryCodesRemaining: user.twoFactorEnabled
+        ? (user.twoFactorRecoveryCodes || []).length
+        : 0
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get 2FA status'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/2fa/setup
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Start enrollment: generate TOTP secret + QR code
+ *
+ * @access Private
+ *
+ * Secret is stored as pending (twoFactorTempSecret) until
+ * the user proves they scanned it via /verify-setup
+ */
+
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret');
+
+    // Email-only 2FA users can still add an authenticator app
+    if (user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authenticator app is already set up'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 1. Generate Secret + QR Code
+    // ─────────────────────────────────────────────────────────
+    const { secret, otpauthUrl, qrCode } = await generateTotpSecret(user);
+
+    // ─────────────────────────────────────────────────────────
+    // 2. Store as Pending Secret
+    // ─────────────────────────────────────────────────────────
+    user.twoFactorTempSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then verify a code.',
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start 2FA setup'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/2fa/verify-setup
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Finish enrollment: verify first code, enable 2FA, issue recovery codes
+ * (recovery codes only if 2FA wasn't already on through email codes)
+ *
+ * @access Private
+ * @body code - 6-digit code from authenticator app
+ */
+
+router.post('/verify-setup', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code required'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 1. Get Pending Secret
+    // ─────────────────────────────────────────────────────────
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorTempSecret');
+
+    if (user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authenticator app is already set up'
+      });
+    }
+
+    if (!user.twoFactorTempSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No 2FA setup in progress. Call /api/2fa/setup first.'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 2. Verify Code
+    // ─────────────────────────────────────────────────────────
+    if (!await useTotpCode(user, user.twoFactorTempSecret, code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 3. Enable 2FA + Generate Recovery Codes
+    // ─────────────────────────────────────────────────────────
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    const firstFactor = !user.twoFactorEnabled;
+
+    user.twoFactorSecret = user.twoFactorTempSecret;
+    user.twoFactorTempSecret = undefined;
+    if (firstFactor) {
+      user.twoFactorRecoveryCodes = hashedCodes;
+    }
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    console.log(`🔐 2FA enabled for user ${user._id} (totp)`);
+
+    if (!firstFactor) {
+      return res.json({
+        success: true,
+        message: 'Authenticator app added. Your recovery codes are unchanged.'
+      });
+    }
+
+    /**
+     * Recovery codes are returned ONCE
+     * ────────────────────────────────────────────────────────
+     * Only hashes are stored - user must save these now
+     */
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Save your recovery codes!',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('2FA verify setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable 2FA'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/2fa/email/setup
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Start email-code enrollment: send a code to the account's address
+ *
+ * @access Private
+ * @returns expiresIn, resendIn (seconds)
+ *
+ * Only for verified addresses - codes must reach the account owner
+ */
+
+router.post('/email/setup', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEmailEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email codes are already enabled'
+      });
+    }
+
+    if (!user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please verify your email address first'
+      });
+    }
+
+    const { expiresIn, resendIn } = await sendEmailOtp(user, 'setup');
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${user.email}`,
+      expiresIn,
+      resendIn
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Email 2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start email 2FA setup'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/2fa/email/verify-setup
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Finish email-code enrollment
+ *
+ * @access Private
+ * @body code - 6-digit code from the email
+ * @returns recoveryCodes - Only if this is the first second factor
+ */
+
+router.post('/email/verify-setup', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code required'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEmailEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email codes are already enabled'
+      });
+    }
+
+    if (!await verifyEmailOtp(user, 'setup', code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // Enable (+ recovery codes if 2FA was off)
+    // ─────────────────────────────────────────────────────────
+    const firstFactor = !user.twoFactorEnabled;
+    const { codes, hashedCodes } = generateRecoveryCodes();
+
+    user.twoFactorEmailEnabled = true;
+    user.twoFactorEnabled = true;
+    if (firstFactor) {
+      user.twoFactorRecoveryCodes = hashedCodes;
+    }
+    await user.save();
+
+    console.log(`🔐 2FA enabled for user ${user._id} (email)`);
+
+    res.json({
+      success: true,
+      message: firstFactor
+        ? 'Two-factor authentication enabled. Save your recovery codes!'
+        : 'Email codes added. Your recovery codes are unchanged.',
+      recoveryCodes: firstFactor ? codes : undefined
+    });
+
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Email 2FA verify setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable email 2FA'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/2fa/email/send
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Email a code to confirm /disable or /recovery-codes
+ * (the "authenticator code" for email-only 2FA users)
+ *
+ * @access Private
+ * @returns expiresIn, resendIn (seconds)
+ */
+
+router.post('/email/send', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactorEmailEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email codes are not enabled'
+      });
+    }
+
+    const { expiresIn, resendIn } = await sendEmailOtp(user, 'manage');
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${user.email}`,
+      expiresIn,
+      resendIn
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Email 2FA send error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/2fa/disable
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Disable 2FA
+ *
+ * @access Private
+ * @body password - Current password (local accounts)
+ * @body code - TOTP code, emailed code (POST /email/send) or recovery code
+ */
+
+router.post('/disable', async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 1. Verify Password (accounts that have one)
+    // ─────────────────────────────────────────────────────────
+    if (user.password) {
+      const isMatch = password && await user.comparePassword(password);
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 2. Verify Second Factor
+    // ─────────────────────────────────────────────────────────
+    const isValidCode = await useTotpCode(user, user.twoFactorSecret, code) ||
+      (user.twoFactorEmailEnabled && await verifyEmailOtp(user, 'manage', code)) ||
+      await user.useRecoveryCode(code);
+
+    if (!isValidCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 3. Disable
+    // ─────────────────────────────────────────────────────────
+    await user.disableTwoFactor();
+
+    console.log(`🔓 2FA disabled for user ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable 2FA'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/2fa/recovery-codes
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Regenerate recovery codes (old codes stop working)
+ *
+ * @access Private
+ * @body code - TOTP code or emailed code (POST /email/send)
+ */
+
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isValidCode = await useTotpCode(user, user.twoFactorSecret, code) ||
+      (user.twoFactorEmailEnabled && await verifyEmailOtp(user, 'manage', code));
+
+    if (!isValidCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashedCodes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/2fa/trusted-devices
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Browsers trusted with "remember this device" (skip 2FA)
+ *
+ * @access Private
+ * @returns devices - { deviceId, deviceInfo, createdAt, lastUsed, expiresAt, isCurrentDevice }
+ */
+
+router.get('/trusted-devices', async (req, res) => {
+  try {
+    const devices = await listTrustedDevices(req.user._id, req);
+
+    res.json({
+      success: true,
+      devices
+    });
+
+  } catch (error) {
+    console.error('List trusted devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get trusted devices'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/2fa/trusted-devices/:deviceId
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Stop trusting one device (next login there asks for 2FA again)
+ *
+ * @access Private
+ */
+
+router.delete('/trusted-devices/:deviceId', async (req, res) => {
+  try {
+    const revoked = await revokeTrustedDevice(req.user._id, req.params.deviceId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trusted device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device is no longer trusted'
+    });
+
+  } catch (error) {
+    console.error('Revoke trusted device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke trusted device'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/2fa/trusted-devices
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Stop trusting every device (e.g. lost laptop)
+ *
+ * @access Private
+ */
+
+router.delete('/trusted-devices', async (req, res) => {
+  try {
+    const count = await revokeAllTrustedDevices(req.user._id, 'user_request');
+    clearTrustedDeviceCookie(res);
+
+    res.json({
+      success: true,
+      message: `${count} trusted device(s) revoked`,
+      revokedCount: count
+    });
+
+  } catch (error) {
+    console.error('Revoke all trusted devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke trusted devices'
+    });
+  }
+});
+
+module.exports = router;
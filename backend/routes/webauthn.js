@@ -0,0 +1,411 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const User = require('../models/User');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const { authenticate, requireUser } = require('../middleware/rbac');
+const { generateAccessToken, generateRefreshToken } = require('../utils/tokens');
+const { sendAuthTokens } = require('../utils/authCookies');
+const {
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+} = require('../utils/webauthn');
+const { createMfaWebAuthnOptions } = require('../utils/twoFactor');
+const { AMR, createAuthContext, createReauthPasskeyOptions } = require('../utils/reauth');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * WEBAUTHN / PASSKEY ROUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Passkey registration, passwordless login and authenticator management
+ *
+ * Endpoints:
+ * - POST   /register/options        - Start registration (Private)
+ * - POST   /register/verify         - Finish registration (Private)
+ * - POST   /login/options           - Start passwordless login (Public)
+ * - POST   /login/verify            - Finish passwordless login (Public)
+ * - POST   /mfa/options             - Passkey options for MFA challenge (Public)
+ * - POST   /reauth/options          - Passkey options for reauthentication (Private)
+ * - GET    /credentials             - List my authenticators (Private)
+ * - PATCH  /credentials/:id         - Rename authenticator (Private)
+ * - DELETE /credentials/:id         - Remove authenticator (Private)
+ *
+ * Second factor: send the assertion as `webauthnResponse`
+ * to POST /api/auth/login/mfa
+ *
+ * Reauthentication: send the assertion as `webauthnResponse`
+ * to POST /api/auth/reauthenticate
+ *
+ * @file backend/routes/webauthn.js
+ * @phase Phase 4B - WebAuthn / Passkeys
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/webauthn/register/options
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private
+ * @returns PublicKeyCredentialCreationOptions for navigator.credentials.create()
+ */
+
+router.post('/register/options', authenticate, requireUser, async (req, res) => {
+  try {
+    const options = await createRegistrationOptions(req.user);
+
+    res.json({
+      success: true,
+      options
+    });
+
+  } catch (error) {
+    console.error('WebAuthn register options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start passkey registration'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/webauthn/register/verify
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private
+ * @body response - RegistrationResponseJSON from the browser
+ * @body name - Optional label ("MacBook Touch ID")
+ */
+
+router.post('/register/verify', authenticate, requireUser, async (req, res) => {
+  try {
+    const { response, name } = req.body;
+
+    if (!response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration response required'
+      });
+    }
+
+    const credential = await verifyRegistration(req.user, response, name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      credential
+    });
+
+  } catch (error) {
+    console.error('WebAuthn register verify error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Passkey registration failed'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/webauthn/login/options
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Start passwordless login
+ *
+ * @access Public
+ * @returns { challengeId, options } - challengeId must be sent to /login/verify
+ *
+ * Discoverable passkeys only - the browser offers the passkeys it holds
+ * for this site. Security: no email lookup, so the response is the same
+ * for every caller (an account's allowCredentials would reveal that it
+ * exists and leak its credential IDs)
+ */
+
+router.post('/login/options', async (req, res) => {
+  try {
+    const challengeId = crypto.randomBytes(16).toString('hex');
+    const options = await createAuthenticationOptions(`login:${challengeId}`);
+
+    res.json({
+      success: true,
+      challengeId,
+      options
+    });
+
+  } catch (error) {
+    console.error('WebAuthn login options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start passkey login'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/webauthn/login/verify
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Finish passwordless login → access + refresh tokens
+ *
+ * @access Public
+ * @body challengeId - From /login/options
+ * @body response - AuthenticationResponseJSON from the browser
+ *
+ * A passkey is possession + biometric/PIN (user verification is
+ * required by utils/webauthn.js), so no extra 2FA challenge
+ */
+
+router.post('/login/verify', async (req, res) => {
+  try {
+    const { challengeId, response } = req.body;
+
+    if (!challengeId || !response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challengeId and response'
+      });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // 1. Verify Assertion
+    // ─────────────────────────────────────────────────────────
+    const credential = await verifyAuthentication(`login:${challengeId}`, response);
+
+    // ─────────────────────────────────────────────────────────
+    // 2. Get User
+    // ─────────────────────────────────────────────────────────
+    const user = await User.findById(credential.user);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.lastLogin = Date.now();
+    await user.save();
+
+    // ─────────────────────────────────────────────────────────
+    // 3. Generate Tokens (Phase 3.4)
+    // ─────────────────────────────────────────────────────────
+    const auth = createAuthContext(AMR.PASSKEY);
+    const accessToken = generateAccessToken(user, auth);
+    const refreshToken = await generateRefreshToken(user, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    }, null, null, auth);
+
+    console.log(`✅ Passkey login: ${user.email}`);
+
+    res.json(sendAuthTokens(res, {
+      success: true,
+      message: 'Login successful!',
+      accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        roles: user.roles,
+        isVerified: user.isVerified
+      }
+    }));
+
+  } catch (error) {
+    console.error('WebAuthn login verify error:', error);
+    res.status(401).json({
+      success: false,
+      message: error.message || 'Passkey login failed'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/webauthn/mfa/options
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Passkey options for completing a 2FA login challenge
+ *
+ * @access Public (requires MFA challenge token from /api/auth/login)
+ * @body mfaToken - Challenge token
+ */
+
+router.post('/mfa/options', async (req, res) => {
+  try {
+    const { mfaToken } = req.body;
+
+    if (!mfaToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'mfaToken required'
+      });
+    }
+
+    const options = await createMfaWebAuthnOptions(mfaToken);
+
+    res.json({
+      success: true,
+      options
+    });
+
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POST /api/webauthn/reauth/options
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Passkey options for confirming identity before a sensitive operation
+ * (limited to the logged-in user's passkeys)
+ *
+ * @access Private
+ */
+
+router.post('/reauth/options', authenticate, requireUser, async (req, res) => {
+  try {
+    const options = await createReauthPasskeyOptions(req.user);
+
+    res.json({
+      success: true,
+      options
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('WebAuthn reauth options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start passkey verification'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /api/webauthn/credentials
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private
+ */
+
+router.get('/credentials', authenticate, requireUser, async (req, res) => {
+  try {
+    const credentials = await WebAuthnCredential.find({ user: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      credentials
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get passkeys'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PATCH /api/webauthn/credentials/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private (own credentials only)
+ * @body name - New label
+ */
+
+router.patch('/credentials/:id', authenticate, requireUser, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name required'
+      });
+    }
+
+    const credential = await WebAuthnCredential.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { name },
+      { new: true, runValidators: true }
+    );
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Passkey renamed',
+      credential
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to rename passkey'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DELETE /api/webauthn/credentials/:id
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @access Private (own credentials only)
+ */
+
+router.delete('/credentials/:id', authenticate, requireUser, async (req, res) => {
+  try {
+    const credential = await WebAuthnCredential.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+
+    console.log(`🗑️  WebAuthn credential removed for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Passkey removed'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove passkey'
+    });
+  }
+});
+
+module.exports = router;
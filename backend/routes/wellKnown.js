@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../utils/keyManager');
+const { getDiscoveryDocument } = require('../utils/oidc');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * WELL-KNOWN ROUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Public discovery documents (mounted at /.well-known)
+ *
+ * Endpoints:
+ * - GET    /jwks.json               - Public signing keys (JWKS)
+ * - GET    /openid-configuration    - OpenID Provider metadata
+ *
+ * @file backend/routes/wellKnown.js
+ * @phase Phase 4 - Asymmetric JWT Signing
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /.well-known/jwks.json
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Public keys for verifying our access tokens
+ *
+ * @access Public
+ *
+ * Downstream services:
+ * 1. Read `kid` from the JWT header
+ * 2. Find matching key here (cache this document)
+ * 3. Unknown kid → re-fetch (key was rotated)
+ */
+
+router.get('/jwks.json', (req, res) => {
+  try {
+    // Short cache - rotated keys must show up well within the overlap window
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json(getJwks());
+
+  } catch (error) {
+    console.error('JWKS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load signing keys'
+    });
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GET /.well-known/openid-configuration
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * OpenID Connect Discovery 1.0 - endpoints, scopes and algorithms
+ * client libraries need to "Sign in with KTA"
+ *
+ * @access Public
+ */
+
+router.get('/openid-configuration', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(getDiscoveryDocument());
+});
+
+module.exports = router;
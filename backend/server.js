@@ -26,6 +26,7 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -35,7 +36,11 @@ const connectDB = require('./config/database');
 const { connectRedis } = require('./config/redis');
 const { startApolloServer } = require('./graphql/apolloServer');
 const { setupErrorHandlers } = require('./config/errorHandlers');
+const { initKeyManager } = require('./utils/keyManager'); // Phase 4 - JWT signing keys
+const { initRoleStore } = require('./utils/roleStore'); // Phase 3.3 - Roles from MongoDB
+const { initAccessRequests } = require('./utils/accessRequests'); // Phase 3.3 - Grant expiry
 const passport = require('./config/passport'); // Phase 3.5 - OAuth
+const { csrfProtection } = require('./utils/authCookies'); // Phase 4 - Cookie sessions
 
 // ═══════════════════════════════════════════════════════════════════════════
 // 📍 IMPORT ROUTES
@@ -43,6 +48,12 @@ const passport = require('./config/passport'); // Phase 3.5 - OAuth
 const apiRoutes = require('./routes/index');
 const adminRoutes = require('./routes/admin'); // Phase 3.3 - Admin panel
 const oauthRoutes = require('./routes/oauth'); // Phase 3.5 - OAuth/SSO
+const twoFactorRoutes = require('./routes/twoFactor'); // Phase 4B - 2FA
+const webauthnRoutes = require('./routes/webauthn'); // Phase 4B - Passkeys
+const wellKnownRoutes = require('./routes/wellKnown'); // Phase 4 - JWKS
+const oidcRoutes = require('./routes/oidc'); // Phase 4 - OpenID Connect provider
+const scimRoutes = require('./routes/scim'); // Phase 4 - SCIM provisioning
+const accessRequestRoutes = require('./routes/accessRequests'); // Phase 3.3 - Just-in-time permissions
 
 // ═══════════════════════════════════════════════════════════════════════════
 // 🚀 EXPRESS APP INITIALIZATION
@@ -70,6 +81,11 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Cookie Parser + CSRF (Phase 4 - HttpOnly cookie session mode)
+// CSRF check only applies when AUTH_TRANSPORT=cookie
+app.use(cookieParser());
+app.use(csrfProtection);
+
 // Passport.js Initialization (Phase 3.5 - OAuth)
 app.use(passport.initialize());
 
@@ -97,6 +113,15 @@ app.get('/', (req, res) => {
   });
 });
 
+// Public discovery documents (JWKS, OpenID configuration)
+app.use('/.well-known', wellKnownRoutes);
+
+// OpenID Connect provider (Phase 4 - "Sign in with KTA")
+app.use('/oauth', oidcRoutes);
+
+// SCIM 2.0 provisioning (Phase 4 - tenant bearer tokens)
+app.use('/scim/v2', scimRoutes);
+
 // Mount API routes under /api prefix
 // Routes defined in /routes/index.js
 app.use('/api', apiRoutes);
@@ -104,9 +129,18 @@ app.use('/api', apiRoutes);
 // Mount Admin routes (Phase 3.3 - RBAC)
 app.use('/api/admin', adminRoutes);
 
+// Mount access request routes (Phase 3.3 - Just-in-time permissions)
+app.use('/api/access-requests', accessRequestRoutes);
+
 // Mount OAuth routes (Phase 3.5 - OAuth/SSO)
 app.use('/api/auth', oauthRoutes);
 
+// Mount 2FA routes (Phase 4B - Two-Factor Authentication)
+app.use('/api/2fa', twoFactorRoutes);
+
+// Mount WebAuthn routes (Phase 4B - Passkeys)
+app.use('/api/webauthn', webauthnRoutes);
+
 // ═══════════════════════════════════════════════════════════════════════════
 // 🚀 SERVER INITIALIZATION
 // ═══════════════════════════════════════════════════════════════════════════
@@ -121,6 +155,15 @@ const startServer = async () => {
     // Step 2: Connect to Redis (or use in-memory fallback)
     await connectRedis();
 
+    // Step 2b: Load JWT signing keys (creates/rotates as needed)
+    await initKeyManager();
+
+    // Step 2c: Seed + cache roles (permission checks read from memory)
+    await initRoleStore();
+
+    // Step 2d: Expire temporary permission grants (runs every minute)
+    await initAccessRequests();
+
     // Step 3: Start Apollo GraphQL Server
     await startApolloServer(app, PORT);
 
@@ -0,0 +1,81 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REDIS STUB
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * In-memory stand-in for config/redis.js with the same command subset
+ * as the development fallback (get, set ... 'EX', del, keys, exists,
+ * expire). Expiry is checked on read instead of with timers, so tests
+ * can move time with jest fake timers / Date.now mocks.
+ *
+ * @file backend/tests/helpers/mockRedis.js
+ *
+ * Usage:
+ * jest.mock('../../config/redis', () => require('../helpers/mockRedis'));
+ * const { store, getTtl } = require('../../config/redis');
+ * beforeEach(() => store.clear());
+ */
+
+const store = new Map();
+
+const read = (key) => {
+  const entry = store.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    store.delete(key);
+    return null;
+  }
+
+  return entry;
+};
+
+const client = {
+  get: async (key) => {
+    const entry = read(key);
+    return entry ? entry.value : null;
+  },
+
+  set: async (key, value, option, seconds) => {
+    store.set(key, {
+      value: String(value),
+      expiresAt: option === 'EX' ? Date.now() + seconds * 1000 : null
+    });
+    return 'OK';
+  },
+
+  del: async (...keys) => keys.filter(key => read(key) && store.delete(key)).length,
+
+  keys: async (pattern) => {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+    return Array.from(store.keys()).filter(key => read(key) && regex.test(key));
+  },
+
+  exists: async (key) => (read(key) ? 1 : 0),
+
+  expire: async (key, seconds) => {
+    const entry = read(key);
+    if (!entry) return 0;
+
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+};
+
+/**
+ * Remaining TTL of a key in seconds (-1 no expiry, -2 missing)
+ */
+const getTtl = (key) => {
+  const entry = read(key);
+  if (!entry) return -2;
+  if (entry.expiresAt === null) return -1;
+  return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+};
+
+module.exports = {
+  store,
+  getTtl,
+  connectRedis: async () => client,
+  getRedisClient: () => client
+};
@@ -0,0 +1,24 @@
+const { DEFAULT_ROLES, ROLE_PERMISSIONS } = jest.requireActual('../../config/roles');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ROLE STORE STUB
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * In-memory stand-in for utils/roleStore.js serving DEFAULT_ROLES
+ * (user < moderator < admin), so unit tests don't need MongoDB
+ *
+ * @file backend/tests/helpers/mockRoleStore.js
+ *
+ * Usage:
+ * jest.mock('../../utils/roleStore', () => require('../helpers/mockRoleStore'));
+ */
+
+const getRole = (name) => DEFAULT_ROLES.find(role => role.name === name) || null;
+
+module.exports = {
+  getRole,
+  isKnownRole: (name) => Boolean(getRole(name)),
+  resolvePermissions: (name) => ROLE_PERMISSIONS[name] || [],
+  wouldCreateCycle: jest.fn(() => false)
+};
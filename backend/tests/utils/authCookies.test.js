@@ -0,0 +1,149 @@
+const {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  sendAuthTokens,
+  getAccessTokenFromRequest,
+  getRefreshTokenFromRequest,
+  csrfProtection
+} = require('../../utils/authCookies');
+
+/**
+ * Express response double recording cookies and JSON replies
+ */
+const buildRes = () => {
+  const res = { cookies: {}, statusCode: 200, body: null };
+  res.cookie = jest.fn((name, value, options) => { res.cookies[name] = { value, options }; });
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+};
+
+/**
+ * Cookie-authenticated state-changing request
+ */
+const buildReq = (overrides = {}) => ({
+  method: 'POST',
+  path: '/api/auth/logout',
+  headers: {},
+  cookies: { [ACCESS_COOKIE]: 'access', [CSRF_COOKIE]: 'csrf-token' },
+  ...overrides
+});
+
+/**
+ * Run csrfProtection, returning { passed, res }
+ */
+const runCsrf = (req) => {
+  const res = buildRes();
+  const next = jest.fn();
+  csrfProtection(req, res, next);
+  return { passed: next.mock.calls.length === 1, res };
+};
+
+beforeEach(() => {
+  process.env.AUTH_TRANSPORT = 'cookie';
+});
+
+afterEach(() => {
+  delete process.env.AUTH_TRANSPORT;
+});
+
+describe('csrfProtection', () => {
+  it('accepts a header matching the CSRF cookie', () => {
+    const { passed } = runCsrf(buildReq({ headers: { 'x-csrf-token': 'csrf-token' } }));
+
+    expect(passed).toBe(true);
+  });
+
+  it('rejects a missing or wrong header with 403', () => {
+    const missing = runCsrf(buildReq());
+    const wrong = runCsrf(buildReq({ headers: { 'x-csrf-token': 'csrf-tokem' } }));
+
+    expect(missing.passed).toBe(false);
+    expect(missing.res.statusCode).toBe(403);
+    expect(missing.res.body).toMatchObject({ success: false, code: 'CSRF_INVALID' });
+    expect(wrong.passed).toBe(false);
+  });
+
+  it('rejects a header when the CSRF cookie is missing', () => {
+    const req = buildReq({
+      headers: { 'x-csrf-token': '' },
+      cookies: { [REFRESH_COOKIE]: 'refresh' }
+    });
+
+    expect(runCsrf(req).passed).toBe(false);
+  });
+
+  it('skips safe methods', () => {
+    ['GET', 'HEAD', 'OPTIONS'].forEach(method => {
+      expect(runCsrf(buildReq({ method })).passed).toBe(true);
+    });
+  });
+
+  it('skips requests without auth cookies or with an Authorization header', () => {
+    expect(runCsrf(buildReq({ cookies: {} })).passed).toBe(true);
+    expect(runCsrf(buildReq({ headers: { authorization: 'Bearer token' } })).passed).toBe(true);
+  });
+
+  it('exempts only the SAML ACS endpoint', () => {
+    expect(runCsrf(buildReq({ path: '/api/auth/sso/acme-corp/acs' })).passed).toBe(true);
+    expect(runCsrf(buildReq({ path: '/api/auth/sso/acme-corp/acs/extra' })).passed).toBe(false);
+    expect(runCsrf(buildReq({ path: '/api/auth/sso/acme-corp/login' })).passed).toBe(false);
+  });
+
+  it('does nothing in bearer mode', () => {
+    delete process.env.AUTH_TRANSPORT;
+
+    expect(runCsrf(buildReq()).passed).toBe(true);
+  });
+});
+
+describe('sendAuthTokens', () => {
+  it('returns the body unchanged in bearer mode', () => {
+    delete process.env.AUTH_TRANSPORT;
+    const res = buildRes();
+    const body = { success: true, accessToken: 'access', refreshToken: 'refresh' };
+
+    expect(sendAuthTokens(res, body)).toBe(body);
+    expect(res.cookie).not.toHaveBeenCalled();
+  });
+
+  it('moves tokens into HttpOnly cookies and returns the CSRF token', () => {
+    const res = buildRes();
+
+    const body = sendAuthTokens(res, { success: true, accessToken: 'access', refreshToken: 'refresh' });
+
+    expect(body).toEqual({ success: true, csrfToken: res.cookies[CSRF_COOKIE].value });
+    expect(res.cookies[ACCESS_COOKIE]).toMatchObject({ value: 'access', options: { httpOnly: true } });
+    expect(res.cookies[REFRESH_COOKIE]).toMatchObject({
+      value: 'refresh',
+      options: { httpOnly: true, path: '/api/auth' }
+    });
+    expect(res.cookies[CSRF_COOKIE].options.httpOnly).toBe(false);
+  });
+});
+
+describe('reading tokens', () => {
+  it('prefers the Authorization header and body over cookies', () => {
+    const req = {
+      headers: { authorization: 'Bearer header-token' },
+      body: { refreshToken: 'body-token' },
+      cookies: { [ACCESS_COOKIE]: 'cookie-access', [REFRESH_COOKIE]: 'cookie-refresh' }
+    };
+
+    expect(getAccessTokenFromRequest(req)).toBe('header-token');
+    expect(getRefreshTokenFromRequest(req)).toBe('body-token');
+  });
+
+  it('reads cookies in cookie mode only', () => {
+    const req = { headers: {}, cookies: { [ACCESS_COOKIE]: 'cookie-access', [REFRESH_COOKIE]: 'cookie-refresh' } };
+
+    expect(getAccessTokenFromRequest(req)).toBe('cookie-access');
+    expect(getRefreshTokenFromRequest(req)).toBe('cookie-refresh');
+
+    delete process.env.AUTH_TRANSPORT;
+
+    expect(getAccessTokenFromRequest(req)).toBeNull();
+    expect(getRefreshTokenFromRequest(req)).toBeNull();
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock('../../config/redis', () => require('../helpers/mockRedis'));
+jest.mock('../../utils/email', () => ({ sendEmailOtpEmail: jest.fn().mockResolvedValue(true) }));
+
+const { store, getTtl } = require('../../config/redis');
+const { sendEmailOtpEmail } = require('../../utils/email');
+const { sendEmailOtp, verifyEmailOtp } = require('../../utils/emailOtp');
+
+const user = { _id: { toString: () => 'user-1' }, email: 'user@example.com' };
+
+let now;
+
+/**
+ * Move the clock forward
+ */
+const advance = (seconds) => {
+  now += seconds * 1000;
+};
+
+/**
+ * Send a code and return it as emailed
+ */
+const sendCode = async (purpose = 'setup') => {
+  await sendEmailOtp(user, purpose);
+  return sendEmailOtpEmail.mock.calls.at(-1)[1];
+};
+
+/**
+ * 6-digit code other than the emailed one
+ */
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+beforeEach(() => {
+  process.env.JWT_MFA_SECRET = 'test-mfa-secret';
+  store.clear();
+  jest.clearAllMocks();
+  now = Date.now();
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sendEmailOtp', () => {
+  it('emails a 6-digit code and stores only its hash', async () => {
+    await expect(sendEmailOtp(user, 'setup')).resolves.toEqual({ expiresIn: 600, resendIn: 60 });
+
+    const code = sendEmailOtpEmail.mock.calls[0][1];
+    expect(code).toMatch(/^\d{6}$/);
+    expect(store.get('email_otp:user-1:setup').value).not.toContain(code);
+    expect(getTtl('email_otp:user-1:setup')).toBe(600);
+  });
+
+  it('waits 60 seconds between emails and allows five per hour', async () => {
+    await sendEmailOtp(user, 'setup');
+    await expect(sendEmailOtp(user, 'setup')).rejects.toMatchObject({ status: 429 });
+
+    for (let i = 1; i < 5; i++) {
+      advance(60);
+      await sendEmailOtp(user, 'setup');
+    }
+
+    advance(60);
+    await expect(sendEmailOtp(user, 'setup')).rejects.toThrow(/Too many codes requested/);
+
+    advance(60 * 60);
+    await expect(sendEmailOtp(user, 'setup')).resolves.toBeDefined();
+  });
+
+  it('discards the code when the email fails', async () => {
+    sendEmailOtpEmail.mockResolvedValueOnce(false);
+
+    await expect(sendEmailOtp(user, 'setup')).rejects.toMatchObject({ status: 502 });
+    expect(store.has('email_otp:user-1:setup')).toBe(false);
+  });
+});
+
+describe('verifyEmailOtp', () => {
+  it('accepts the code once', async () => {
+    const code = await sendCode();
+
+    await expect(verifyEmailOtp(user, 'setup', code)).resolves.toBe(true);
+    await expect(verifyEmailOtp(user, 'setup', code)).resolves.toBe(false);
+  });
+
+  it('binds the code to its purpose', async () => {
+    const code = await sendCode('mfa:challenge-1');
+
+    await expect(verifyEmailOtp(user, 'reauth', code)).resolves.toBe(false);
+    await expect(verifyEmailOtp(user, 'mfa:challenge-2', code)).resolves.toBe(false);
+    await expect(verifyEmailOtp(user, 'mfa:challenge-1', code)).resolves.toBe(true);
+  });
+
+  it('binds the code to its user', async () => {
+    const code = await sendCode();
+    const other = { _id: { toString: () => 'user-2' } };
+
+    await expect(verifyEmailOtp(other, 'setup', code)).resolves.toBe(false);
+  });
+
+  it('replaces the previous code of the same purpose', async () => {
+    const first = await sendCode();
+    advance(60);
+    const second = await sendCode();
+
+    if (first !== second) {
+      await expect(verifyEmailOtp(user, 'setup', first)).resolves.toBe(false);
+    }
+    await expect(verifyEmailOtp(user, 'setup', second)).resolves.toBe(true);
+  });
+
+  it('burns the code after five wrong guesses', async () => {
+    const code = await sendCode();
+
+    for (let i = 0; i < 5; i++) {
+      await expect(verifyEmailOtp(user, 'setup', wrongCode(code))).resolves.toBe(false);
+    }
+
+    await expect(verifyEmailOtp(user, 'setup', code)).resolves.toBe(false);
+  });
+
+  it('keeps the original expiry after a wrong guess', async () => {
+    const code = await sendCode();
+    advance(5 * 60);
+
+    await verifyEmailOtp(user, 'setup', wrongCode(code));
+
+    expect(getTtl('email_otp:user-1:setup')).toBe(5 * 60);
+    advance(5 * 60);
+    await expect(verifyEmailOtp(user, 'setup', code)).resolves.toBe(false);
+  });
+
+  it('locks email codes for 15 minutes after ten wrong guesses', async () => {
+    const first = await sendCode();
+    for (let i = 0; i < 5; i++) {
+      await verifyEmailOtp(user, 'setup', wrongCode(first));
+    }
+
+    advance(60);
+    const second = await sendCode();
+    for (let i = 0; i < 5; i++) {
+      await verifyEmailOtp(user, 'setup', wrongCode(second));
+    }
+
+    await expect(sendEmailOtp(user, 'setup')).rejects.toThrow(/locked for 15 minutes/);
+
+    advance(15 * 60);
+    const code = await sendCode();
+    await expect(verifyEmailOtp(user, 'setup', code)).resolves.toBe(true);
+  });
+
+  it('does not count a guess when no code is pending', async () => {
+    await expect(verifyEmailOtp(user, 'setup', '123456')).resolves.toBe(false);
+
+    expect(store.has('email_otp_failures:user-1')).toBe(false);
+  });
+
+  it('ignores spaces and rejects non-numeric input', async () => {
+    const code = await sendCode();
+
+    await expect(verifyEmailOtp(user, 'setup', 'abcdef')).resolves.toBe(false);
+    await expect(verifyEmailOtp(user, 'setup', `${code.slice(0, 3)} ${code.slice(3)}`)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,165 @@
+jest.mock('../../config/redis', () => require('../helpers/mockRedis'));
+jest.mock('../../models/User', () => ({ findOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../utils/email', () => ({ sendMagicLinkEmail: jest.fn() }));
+
+const User = require('../../models/User');
+const { store } = require('../../config/redis');
+const { sendMagicLinkEmail } = require('../../utils/email');
+const { MAGIC_LINK_COOKIE, requestMagicLink, verifyMagicLink } = require('../../utils/magicLink');
+
+/**
+ * Verified, active user document (save casts dates like Mongoose)
+ */
+const buildUser = (overrides = {}) => ({
+  _id: { toString: () => 'user-1' },
+  email: 'user@example.com',
+  isVerified: true,
+  isActive: true,
+  magicLinkAttempts: 0,
+  save: jest.fn(async function () {
+    if (typeof this.lastMagicLinkRequest === 'number') {
+      this.lastMagicLinkRequest = new Date(this.lastMagicLinkRequest);
+    }
+  }),
+  ...overrides
+});
+
+const buildRes = () => ({ cookie: jest.fn(), clearCookie: jest.fn() });
+
+/**
+ * Request a link for user → { token, binding } as emailed / set in the cookie
+ */
+const requestLink = async (user) => {
+  User.findOne.mockResolvedValue(user);
+  User.findById.mockResolvedValue(user);
+  const res = buildRes();
+
+  await requestMagicLink(user.email, res);
+
+  const token = sendMagicLinkEmail.mock.calls.at(-1)[1];
+  const binding = res.cookie.mock.calls.at(-1)[1];
+  return { token, binding };
+};
+
+const sameBrowser = (binding) => ({ cookies: { [MAGIC_LINK_COOKIE]: binding } });
+const otherBrowser = { cookies: {} };
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requestMagicLink', () => {
+  it('emails a link and sets the binding cookie', async () => {
+    const user = buildUser();
+    const { token, binding } = await requestLink(user);
+
+    expect(token).toBeDefined();
+    expect(binding).toBeDefined();
+    expect(user.magicLinkAttempts).toBe(1);
+    // Only hashes are stored
+    expect(JSON.stringify([...store.entries()])).not.toContain(token);
+  });
+
+  it('silently ignores unknown, unverified and deactivated accounts', async () => {
+    for (const user of [null, buildUser({ isVerified: false }), buildUser({ isActive: false })]) {
+      User.findOne.mockResolvedValue(user);
+      const res = buildRes();
+
+      await expect(requestMagicLink('user@example.com', res)).resolves.toBeUndefined();
+      expect(res.cookie).not.toHaveBeenCalled();
+    }
+
+    expect(sendMagicLinkEmail).not.toHaveBeenCalled();
+  });
+
+  it('allows three requests per hour', async () => {
+    const user = buildUser({ magicLinkAttempts: 3, lastMagicLinkRequest: new Date() });
+    User.findOne.mockResolvedValue(user);
+
+    await expect(requestMagicLink(user.email, buildRes())).rejects.toMatchObject({ status: 429 });
+    expect(sendMagicLinkEmail).not.toHaveBeenCalled();
+  });
+
+  it('invalidates the previous link', async () => {
+    const user = buildUser();
+    const first = await requestLink(user);
+    await requestLink(user);
+
+    await expect(verifyMagicLink(first.token, sameBrowser(first.binding), buildRes()))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('verifyMagicLink', () => {
+  it('logs in once from the requesting browser', async () => {
+    const user = buildUser();
+    const { token, binding } = await requestLink(user);
+    const res = buildRes();
+
+    await expect(verifyMagicLink(token, sameBrowser(binding), res)).resolves.toBe(user);
+    expect(res.clearCookie).toHaveBeenCalledWith(MAGIC_LINK_COOKIE, expect.any(Object));
+
+    await expect(verifyMagicLink(token, sameBrowser(binding), buildRes())).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('asks for the email address in another browser', async () => {
+    const { token } = await requestLink(buildUser());
+
+    await expect(verifyMagicLink(token, otherBrowser, buildRes()))
+      .rejects.toMatchObject({ status: 409, code: 'MAGIC_LINK_CONFIRM_EMAIL' });
+
+    // Asking doesn't use up the link
+    await expect(verifyMagicLink(token, otherBrowser, buildRes(), ' User@Example.com '))
+      .resolves.toMatchObject({ email: 'user@example.com' });
+  });
+
+  it('burns the link on a wrong email address', async () => {
+    const { token } = await requestLink(buildUser());
+
+    await expect(verifyMagicLink(token, otherBrowser, buildRes(), 'attacker@example.com'))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(verifyMagicLink(token, otherBrowser, buildRes(), 'user@example.com'))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('rejects a forged binding cookie like another browser', async () => {
+    const { token } = await requestLink(buildUser());
+
+    await expect(verifyMagicLink(token, sameBrowser('forged'), buildRes()))
+      .rejects.toMatchObject({ code: 'MAGIC_LINK_CONFIRM_EMAIL' });
+  });
+
+  it('lets only one of two concurrent verifications log in', async () => {
+    const { token, binding } = await requestLink(buildUser());
+
+    const results = await Promise.allSettled([
+      verifyMagicLink(token, sameBrowser(binding), buildRes()),
+      verifyMagicLink(token, sameBrowser(binding), buildRes())
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  it('refuses accounts deactivated after the link was sent', async () => {
+    const user = buildUser();
+    const { token, binding } = await requestLink(user);
+    user.isActive = false;
+
+    await expect(verifyMagicLink(token, sameBrowser(binding), buildRes()))
+      .rejects.toMatchObject({ status: 403, code: 'ACCOUNT_DEACTIVATED' });
+  });
+
+  it('expires after 15 minutes', async () => {
+    const { token, binding } = await requestLink(buildUser());
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 15 * 60 * 1000);
+
+    await expect(verifyMagicLink(token, sameBrowser(binding), buildRes())).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../../config/redis', () => require('../helpers/mockRedis'));
+
+const { store, getTtl } = require('../../config/redis');
+const {
+  OAUTH_STATE_COOKIE,
+  verifyOAuthState,
+  createExchangeCode,
+  consumeExchangeCode,
+  createPendingLink,
+  getPendingLink,
+  consumePendingLink,
+  consumePendingLinkByEmail
+} = require('../../utils/oauthExchange');
+
+const STATE = 'state-of-the-owners-browser';
+const OTHER_STATE = 'state-of-another-browser-x';
+
+const owner = { _id: { toString: () => 'user-1' } };
+const identity = { provider: 'google', providerId: 12345, email: 'user@example.com' };
+
+beforeEach(() => {
+  store.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyOAuthState', () => {
+  const callback = (state, cookieState) => {
+    const res = { clearCookie: jest.fn() };
+    const result = verifyOAuthState({ query: { state }, cookies: { [OAUTH_STATE_COOKIE]: cookieState } }, res);
+    return { result, res };
+  };
+
+  it('returns the state when it matches the browser cookie', () => {
+    const { result, res } = callback(STATE, STATE);
+
+    expect(result).toBe(STATE);
+    expect(res.clearCookie).toHaveBeenCalledWith(OAUTH_STATE_COOKIE, expect.any(Object));
+  });
+
+  it('rejects a mismatched or missing cookie', () => {
+    expect(callback(STATE, OTHER_STATE).result).toBeNull();
+    expect(callback(STATE, undefined).result).toBeNull();
+  });
+});
+
+describe('exchange code', () => {
+  it('is single use and bound to the state', async () => {
+    const code = await createExchangeCode(owner, STATE);
+
+    await expect(consumeExchangeCode(code, OTHER_STATE)).resolves.toBeNull();
+    // Burnt by the failed attempt
+    await expect(consumeExchangeCode(code, STATE)).resolves.toBeNull();
+
+    const next = await createExchangeCode(owner, STATE);
+    await expect(consumeExchangeCode(next, STATE)).resolves.toBe('user-1');
+    await expect(consumeExchangeCode(next, STATE)).resolves.toBeNull();
+  });
+});
+
+describe('pending link', () => {
+  it('parks the identity without touching the account', async () => {
+    const { token, emailToken } = await createPendingLink(owner, identity, STATE);
+
+    expect(token).not.toBe(emailToken);
+    await expect(getPendingLink(token)).resolves.toEqual({
+      userId: 'user-1',
+      provider: 'google',
+      providerId: '12345',
+      email: 'user@example.com',
+      state: STATE
+    });
+    expect(getTtl(`oauth_pending_link:${token}`)).toBe(15 * 60);
+  });
+
+  it('confirms only for the owner in the browser that started the flow', async () => {
+    const { token } = await createPendingLink(owner, identity, STATE);
+
+    await expect(consumePendingLink(token, STATE, 'user-2')).resolves.toBeNull();
+    await expect(consumePendingLink(token, OTHER_STATE, 'user-1')).resolves.toBeNull();
+    await expect(consumePendingLink(token, undefined, 'user-1')).resolves.toBeNull();
+
+    await expect(consumePendingLink(token, STATE, 'user-1')).resolves.toMatchObject({ provider: 'google' });
+    await expect(consumePendingLink(token, STATE, 'user-1')).resolves.toBeNull();
+  });
+
+  it('confirms once via the emailed token', async () => {
+    const { token, emailToken } = await createPendingLink(owner, identity, STATE);
+
+    await expect(consumePendingLinkByEmail(token)).resolves.toBeNull();
+    await expect(consumePendingLinkByEmail(emailToken)).resolves.toMatchObject({ userId: 'user-1' });
+
+    await expect(consumePendingLinkByEmail(emailToken)).resolves.toBeNull();
+    await expect(consumePendingLink(token, STATE, 'user-1')).resolves.toBeNull();
+  });
+
+  it('cannot be confirmed by email after the owner confirmed it', async () => {
+    const { token, emailToken } = await createPendingLink(owner, identity, STATE);
+
+    await consumePendingLink(token, STATE, 'user-1');
+
+    await expect(consumePendingLinkByEmail(emailToken)).resolves.toBeNull();
+  });
+
+  it('expires', async () => {
+    const { token, emailToken } = await createPendingLink(owner, identity, STATE);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 15 * 60 * 1000);
+
+    await expect(consumePendingLink(token, STATE, 'user-1')).resolves.toBeNull();
+    await expect(consumePendingLinkByEmail(emailToken)).resolves.toBeNull();
+  });
+});
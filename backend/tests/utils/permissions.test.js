@@ -0,0 +1,116 @@
+const {
+  isValidPermission,
+  matchesPermission,
+  isPermissionGranted,
+  hasAnyGrantedPermission,
+  hasAllGrantedPermissions
+} = require('../../utils/permissions');
+
+describe('matchesPermission', () => {
+  it('matches exact permissions', () => {
+    expect(matchesPermission('read:posts', 'read:posts')).toBe(true);
+    expect(matchesPermission('read:posts', 'read:users')).toBe(false);
+  });
+
+  it('matches everything with a bare wildcard', () => {
+    expect(matchesPermission('*', 'delete:users')).toBe(true);
+    expect(matchesPermission('*', 'org:123:billing:read')).toBe(true);
+  });
+
+  it('matches exactly one segment with an inner wildcard', () => {
+    expect(matchesPermission('*:posts', 'delete:posts')).toBe(true);
+    expect(matchesPermission('org:*:read', 'org:123:read')).toBe(true);
+    expect(matchesPermission('org:*:read', 'org:123:billing:read')).toBe(false);
+  });
+
+  it('matches the rest of the path with a trailing wildcard', () => {
+    expect(matchesPermission('read:*', 'read:posts')).toBe(true);
+    expect(matchesPermission('org:123:*', 'org:123:billing')).toBe(true);
+    expect(matchesPermission('org:123:*', 'org:123:billing:read')).toBe(true);
+  });
+
+  it('compares segments by position (action first)', () => {
+    expect(matchesPermission('posts:*', 'read:posts')).toBe(false);
+    expect(matchesPermission('*:posts', 'posts:read')).toBe(false);
+  });
+
+  it('requires at least one segment for a trailing wildcard', () => {
+    expect(matchesPermission('org:123:*', 'org:123')).toBe(false);
+    expect(matchesPermission('read:*', 'read')).toBe(false);
+  });
+
+  it('does not match on a prefix alone', () => {
+    expect(matchesPermission('org:123', 'org:123:billing')).toBe(false);
+    expect(matchesPermission('org:123:billing', 'org:123')).toBe(false);
+    expect(matchesPermission('org:12', 'org:123')).toBe(false);
+  });
+
+  it('takes the required permission literally', () => {
+    expect(matchesPermission('read:posts', '*:posts')).toBe(false);
+    expect(matchesPermission('read:posts', '*')).toBe(false);
+  });
+});
+
+describe('isPermissionGranted', () => {
+  it('grants a permission covered by any entry', () => {
+    expect(isPermissionGranted(['read:posts', '*:users'], 'ban:users')).toBe(true);
+  });
+
+  it('denies when nothing covers the permission', () => {
+    expect(isPermissionGranted(['read:posts'], 'delete:posts')).toBe(false);
+    expect(isPermissionGranted([], 'read:posts')).toBe(false);
+  });
+
+  it('lets deny rules win over grants', () => {
+    const granted = ['org:123:*', '!org:123:billing:*'];
+
+    expect(isPermissionGranted(granted, 'org:123:members:read')).toBe(true);
+    expect(isPermissionGranted(granted, 'org:123:billing:read')).toBe(false);
+  });
+
+  it('lets deny rules win regardless of order', () => {
+    expect(isPermissionGranted(['!delete:users', '*'], 'delete:users')).toBe(false);
+    expect(isPermissionGranted(['*', '!delete:users'], 'delete:users')).toBe(false);
+    expect(isPermissionGranted(['*', '!delete:users'], 'read:users')).toBe(true);
+  });
+
+  it('never treats a deny rule as a grant', () => {
+    expect(isPermissionGranted(['!delete:users'], 'delete:users')).toBe(false);
+    expect(isPermissionGranted(['!delete:users'], 'read:users')).toBe(false);
+  });
+});
+
+describe('hasAnyGrantedPermission / hasAllGrantedPermissions', () => {
+  const granted = ['read:posts', 'create:posts', '!delete:posts'];
+
+  it('accepts a single permission or a list', () => {
+    expect(hasAnyGrantedPermission(granted, 'read:posts')).toBe(true);
+    expect(hasAllGrantedPermissions(granted, 'read:posts')).toBe(true);
+  });
+
+  it('needs one permission for any, every permission for all', () => {
+    expect(hasAnyGrantedPermission(granted, ['delete:posts', 'create:posts'])).toBe(true);
+    expect(hasAllGrantedPermissions(granted, ['delete:posts', 'create:posts'])).toBe(false);
+    expect(hasAllGrantedPermissions(granted, ['read:posts', 'create:posts'])).toBe(true);
+  });
+});
+
+describe('isValidPermission', () => {
+  it.each(['read:posts', '*:posts', 'org:123:*', '*', '!org:1:billing:*', 'update:own-posts'])(
+    'accepts %s',
+    (permission) => {
+      expect(isValidPermission(permission)).toBe(true);
+    }
+  );
+
+  it.each(['', 'read::posts', 'read:posts:', '!', '!!read:posts', 'read:po sts', 'read:*posts', 42, null])(
+    'rejects %p',
+    (permission) => {
+      expect(isValidPermission(permission)).toBe(false);
+    }
+  );
+
+  it('rejects overly long permissions', () => {
+    expect(isValidPermission(`org:${'a'.repeat(200)}`)).toBe(false);
+  });
+});
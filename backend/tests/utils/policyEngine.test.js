@@ -0,0 +1,184 @@
+const { evaluate, validatePolicy, OPERATORS } = require('../../utils/policyEngine');
+
+/**
+ * Evaluation context with sensible defaults
+ * (verified user, Wednesday 10:00)
+ */
+const buildContext = ({ subject = {}, resource = {}, action = 'read', environment = {} } = {}) => ({
+  subject: {
+    id: 'user-1',
+    roles: ['user'],
+    permissions: ['read:posts'],
+    isVerified: true,
+    isServicePrincipal: false,
+    ...subject
+  },
+  resource: { type: 'post', ...resource },
+  action,
+  environment: { hour: 10, dayOfWeek: 3, ...environment }
+});
+
+describe('evaluate (custom policies)', () => {
+  const allowOwners = {
+    id: 'allow-owners',
+    effect: 'allow',
+    actions: ['read', 'update'],
+    resources: ['post'],
+    condition: { attribute: 'resource.ownerId', operator: 'equals', value: { attribute: 'subject.id' } }
+  };
+
+  const denyArchived = {
+    id: 'deny-archived',
+    effect: 'deny',
+    actions: ['*'],
+    resources: ['*'],
+    condition: { attribute: 'resource.archived', operator: 'equals', value: true }
+  };
+
+  it('denies by default when no policy applies', () => {
+    const decision = evaluate(buildContext(), [allowOwners]);
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.decision).toBe('deny');
+    expect(decision.policy).toBeNull();
+  });
+
+  it('allows when an allow policy applies', () => {
+    const decision = evaluate(buildContext({ resource: { ownerId: 'user-1' } }), [allowOwners]);
+
+    expect(decision.allowed).toBe(true);
+    expect(decision.policy).toBe('allow-owners');
+  });
+
+  it('lets deny policies override allow policies', () => {
+    const context = buildContext({ resource: { ownerId: 'user-1', archived: true } });
+    const decision = evaluate(context, [allowOwners, denyArchived]);
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.policy).toBe('deny-archived');
+  });
+
+  it('ignores policies whose action or resource does not match', () => {
+    const context = buildContext({ action: 'delete', resource: { ownerId: 'user-1' } });
+    const decision = evaluate(context, [allowOwners]);
+
+    expect(decision.allowed).toBe(false);
+    expect(decision.evaluations[0]).toMatchObject({ matches: false, applies: false, condition: null });
+  });
+
+  it('applies a matching policy without a condition', () => {
+    const policy = { id: 'open', effect: 'allow', actions: ['read'], resources: ['post'] };
+
+    expect(evaluate(buildContext(), [policy]).allowed).toBe(true);
+  });
+
+  it('combines all / any / not', () => {
+    const policy = {
+      id: 'combined',
+      effect: 'allow',
+      actions: ['read'],
+      resources: ['post'],
+      condition: {
+        all: [
+          { any: [
+            { attribute: 'subject.roles', operator: 'contains', value: 'editor' },
+            { attribute: 'subject.roles', operator: 'contains', value: 'user' }
+          ] },
+          { not: { attribute: 'resource.draft', operator: 'equals', value: true } }
+        ]
+      }
+    };
+
+    expect(evaluate(buildContext(), [policy]).allowed).toBe(true);
+    expect(evaluate(buildContext({ resource: { draft: true } }), [policy]).allowed).toBe(false);
+    expect(evaluate(buildContext({ subject: { roles: [] } }), [policy]).allowed).toBe(false);
+  });
+
+  it('treats missing attributes as a non-match', () => {
+    const policy = {
+      id: 'same-region',
+      effect: 'allow',
+      actions: ['read'],
+      resources: ['post'],
+      condition: { attribute: 'resource.region', operator: 'equals', value: { attribute: 'subject.region' } }
+    };
+
+    expect(evaluate(buildContext(), [policy]).allowed).toBe(false);
+    expect(evaluate(buildContext({ subject: { region: 'eu' }, resource: { region: 'eu' } }), [policy]).allowed).toBe(true);
+  });
+});
+
+describe('evaluate (config/policies.js)', () => {
+  it('lets owners update their own posts', () => {
+    const context = buildContext({ action: 'update', resource: { ownerId: 'user-1' } });
+
+    expect(evaluate(context)).toMatchObject({ allowed: true, policy: 'owner-manage-own' });
+  });
+
+  it('keeps unverified owners read-only', () => {
+    const context = buildContext({ action: 'update', subject: { isVerified: false }, resource: { ownerId: 'user-1' } });
+
+    expect(evaluate(context)).toMatchObject({ allowed: false, policy: 'unverified-read-only' });
+  });
+
+  it('lets moderators edit posts of their region only during business hours', () => {
+    const moderator = { id: 'mod-1', roles: ['moderator'], region: 'eu' };
+    const post = { ownerId: 'user-1', region: 'eu' };
+
+    expect(evaluate(buildContext({ action: 'update', subject: moderator, resource: post })).allowed).toBe(true);
+    expect(evaluate(buildContext({
+      action: 'update',
+      subject: moderator,
+      resource: post,
+      environment: { hour: 18 }
+    })).allowed).toBe(false);
+    expect(evaluate(buildContext({
+      action: 'update',
+      subject: moderator,
+      resource: { ...post, region: 'us' }
+    })).allowed).toBe(false);
+  });
+
+  it('lets read:users holders read any profile', () => {
+    const context = buildContext({ resource: { type: 'user', id: 'user-2' } });
+
+    expect(evaluate(context).allowed).toBe(false);
+    expect(evaluate({ ...context, subject: { ...context.subject, permissions: ['*:users'] } }).allowed).toBe(true);
+  });
+});
+
+describe('OPERATORS', () => {
+  it('never matches undefined for negative comparisons', () => {
+    expect(OPERATORS.notEquals(undefined, 'eu')).toBe(false);
+    expect(OPERATORS.notIn(undefined, ['eu'])).toBe(false);
+  });
+
+  it('treats between as a half-open range', () => {
+    expect(OPERATORS.between(9, [9, 17])).toBe(true);
+    expect(OPERATORS.between(17, [9, 17])).toBe(false);
+    expect(OPERATORS.between('10', [9, 17])).toBe(false);
+  });
+
+  it('evaluates grants with wildcards and deny rules', () => {
+    expect(OPERATORS.grants(['*:users', '!delete:users'], 'read:users')).toBe(true);
+    expect(OPERATORS.grants(['*:users', '!delete:users'], 'delete:users')).toBe(false);
+    expect(OPERATORS.grants(undefined, 'read:users')).toBe(false);
+  });
+});
+
+describe('validatePolicy', () => {
+  const valid = { id: 'p', effect: 'allow', actions: ['read'], resources: ['post'] };
+
+  it('accepts a valid policy', () => {
+    expect(validatePolicy(valid)).toBeNull();
+  });
+
+  it('rejects invalid policies', () => {
+    expect(validatePolicy({ ...valid, id: '' })).toMatch(/id is required/);
+    expect(validatePolicy({ ...valid, effect: 'maybe' })).toMatch(/effect/);
+    expect(validatePolicy({ ...valid, actions: [] })).toMatch(/actions/);
+    expect(validatePolicy({ ...valid, condition: { attribute: 'user.id', operator: 'equals' } })).toMatch(/Invalid attribute/);
+    expect(validatePolicy({ ...valid, condition: { attribute: 'subject.id', operator: 'like' } })).toMatch(/Unknown operator/);
+    expect(validatePolicy({ ...valid, condition: { all: [] } })).toMatch(/non-empty/);
+  });
+});
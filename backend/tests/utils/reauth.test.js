@@ -0,0 +1,176 @@
+jest.mock('apollo-server-express', () => ({ ApolloError: class ApolloError extends Error {} }), { virtual: true });
+jest.mock('../../config/redis', () => require('../helpers/mockRedis'));
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../models/WebAuthnCredential', () => ({ exists: jest.fn() }));
+jest.mock('../../utils/webauthn', () => ({
+  createAuthenticationOptions: jest.fn(async () => ({ challenge: 'reauth-challenge' })),
+  verifyAuthentication: jest.fn()
+}));
+jest.mock('../../utils/emailOtp', () => ({
+  sendEmailOtp: jest.fn(async () => ({ expiresIn: 600, resendIn: 60 })),
+  verifyEmailOtp: jest.fn()
+}));
+
+const speakeasy = require('speakeasy');
+const WebAuthnCredential = require('../../models/WebAuthnCredential');
+const { store } = require('../../config/redis');
+const { createAuthenticationOptions, verifyAuthentication } = require('../../utils/webauthn');
+const { sendEmailOtp, verifyEmailOtp } = require('../../utils/emailOtp');
+const {
+  AMR,
+  checkRecentAuth,
+  reauthenticate,
+  sendReauthEmailOtp,
+  createReauthPasskeyOptions
+} = require('../../utils/reauth');
+
+const SECRET = speakeasy.generateSecret({ length: 20 }).base32;
+const totp = () => speakeasy.totp({ secret: SECRET, encoding: 'base32' });
+
+/**
+ * User document (+password +twoFactorSecret); defaults to a password account
+ */
+const buildUser = (overrides = {}) => ({
+  _id: { toString: () => 'user-1' },
+  password: 'hashed',
+  loginAttempts: 0,
+  comparePassword: jest.fn(async (candidate) => candidate === 'correct-password'),
+  incLoginAttempts: jest.fn(),
+  resetLoginAttempts: jest.fn(),
+  ...overrides
+});
+
+const passwordless = (overrides = {}) => buildUser({ password: undefined, ...overrides });
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+  verifyEmailOtp.mockResolvedValue(true);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkRecentAuth', () => {
+  const now = () => Math.floor(Date.now() / 1000);
+
+  it('accepts a recent authentication with a required factor', () => {
+    expect(checkRecentAuth({ auth_time: now() - 60, amr: ['pwd'] }, 300)).toBeNull();
+    expect(checkRecentAuth({ auth_time: now(), amr: ['pwd', 'otp', 'mfa'] }, 300, ['otp', 'hwk'])).toBeNull();
+  });
+
+  it('rejects old, missing or too weak authentication', () => {
+    expect(checkRecentAuth({ auth_time: now() - 301, amr: ['pwd'] }, 300)).toMatchObject({ maxAge: 300 });
+    expect(checkRecentAuth({}, 300)).not.toBeNull();
+    expect(checkRecentAuth({ auth_time: now(), amr: ['email'] }, 300, ['otp']).message).toMatch(/stronger method/);
+  });
+});
+
+describe('reauthenticate', () => {
+  it('accepts the password', async () => {
+    await expect(reauthenticate(buildUser(), { password: 'correct-password' }))
+      .resolves.toMatchObject({ amr: [AMR.PASSWORD] });
+  });
+
+  it('counts a wrong password towards the lockout', async () => {
+    const user = buildUser();
+
+    await expect(reauthenticate(user, { password: 'wrong' }))
+      .rejects.toMatchObject({ status: 401, code: 'REAUTHENTICATION_FAILED' });
+    expect(user.incLoginAttempts).toHaveBeenCalled();
+  });
+
+  it('refuses locked accounts and empty requests', async () => {
+    await expect(reauthenticate(buildUser({ isLocked: true }), { password: 'correct-password' }))
+      .rejects.toMatchObject({ status: 423 });
+    await expect(reauthenticate(buildUser(), {})).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('accepts an authenticator code once and adds mfa with the password', async () => {
+    const user = buildUser({ twoFactorSecret: SECRET });
+    const code = totp();
+
+    await expect(reauthenticate(user, { password: 'correct-password', code }))
+      .resolves.toMatchObject({ amr: [AMR.PASSWORD, AMR.TOTP, AMR.MFA] });
+    await expect(reauthenticate(user, { code })).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('accepts an emailed code from accounts without password and authenticator', async () => {
+    await expect(reauthenticate(passwordless(), { code: '123456' }))
+      .resolves.toMatchObject({ amr: [AMR.EMAIL] });
+    expect(verifyEmailOtp).toHaveBeenCalledWith(expect.anything(), 'reauth', '123456');
+  });
+
+  it('does not accept an emailed code in place of a password or authenticator', async () => {
+    const withPassword = buildUser();
+    const withTotp = passwordless({ twoFactorSecret: SECRET });
+
+    await expect(reauthenticate(withPassword, { code: '123456' })).rejects.toMatchObject({ status: 401 });
+    await expect(reauthenticate(withTotp, { code: '123456' })).rejects.toMatchObject({ status: 401 });
+
+    expect(verifyEmailOtp).not.toHaveBeenCalled();
+    expect(withPassword.incLoginAttempts).toHaveBeenCalled();
+  });
+
+  it('accepts one of the user\'s passkeys', async () => {
+    const user = passwordless();
+    verifyAuthentication.mockResolvedValue({ credentialId: 'cred-1' });
+
+    await expect(reauthenticate(user, { webauthnResponse: { id: 'cred-1' } }))
+      .resolves.toMatchObject({ amr: [AMR.PASSKEY] });
+    expect(verifyAuthentication).toHaveBeenCalledWith('reauth:user-1', { id: 'cred-1' }, user);
+  });
+
+  it('counts a failed passkey towards the lockout', async () => {
+    const user = buildUser();
+    verifyAuthentication.mockRejectedValue(new Error('Passkey does not belong to this account'));
+
+    await expect(reauthenticate(user, { webauthnResponse: { id: 'cred-2' } }))
+      .rejects.toMatchObject({ status: 401, code: 'REAUTHENTICATION_FAILED' });
+    expect(user.incLoginAttempts).toHaveBeenCalled();
+  });
+
+  it('resets failed attempts after success', async () => {
+    const user = buildUser({ loginAttempts: 2 });
+
+    await reauthenticate(user, { password: 'correct-password' });
+
+    expect(user.resetLoginAttempts).toHaveBeenCalled();
+  });
+});
+
+describe('sendReauthEmailOtp', () => {
+  it('emails a code to accounts without password and authenticator', async () => {
+    const user = passwordless();
+
+    await expect(sendReauthEmailOtp(user)).resolves.toEqual({ expiresIn: 600, resendIn: 60 });
+    expect(sendEmailOtp).toHaveBeenCalledWith(user, 'reauth');
+  });
+
+  it('refuses accounts with a password or authenticator', async () => {
+    await expect(sendReauthEmailOtp(buildUser())).rejects.toMatchObject({ status: 400 });
+    await expect(sendReauthEmailOtp(passwordless({ twoFactorSecret: SECRET }))).rejects.toMatchObject({ status: 400 });
+
+    expect(sendEmailOtp).not.toHaveBeenCalled();
+  });
+});
+
+describe('createReauthPasskeyOptions', () => {
+  it('offers the user\'s own passkeys', async () => {
+    const user = buildUser();
+    WebAuthnCredential.exists.mockResolvedValue({ _id: 'cred' });
+
+    await expect(createReauthPasskeyOptions(user)).resolves.toEqual({ challenge: 'reauth-challenge' });
+    expect(createAuthenticationOptions).toHaveBeenCalledWith('reauth:user-1', user);
+  });
+
+  it('refuses accounts without a passkey', async () => {
+    WebAuthnCredential.exists.mockResolvedValue(null);
+
+    await expect(createReauthPasskeyOptions(buildUser())).rejects.toMatchObject({ status: 400 });
+    expect(createAuthenticationOptions).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../utils/roleStore', () => require('../helpers/mockRoleStore'));
+
+const { ROLE_PERMISSIONS } = require('../../config/roles');
+const { wouldCreateCycle } = require('../../utils/roleStore');
+const {
+  getMaxRoleLevel,
+  isAllowedRolePermission,
+  validateRoleInput
+} = require('../../utils/roleValidation');
+
+/**
+ * Minimal req.user
+ */
+const buildActor = (roles, permissions = []) => ({
+  roles,
+  getPermissions: () => [...roles.flatMap(role => ROLE_PERMISSIONS[role] || []), ...permissions]
+});
+
+beforeEach(() => {
+  wouldCreateCycle.mockReset().mockReturnValue(false);
+});
+
+describe('getMaxRoleLevel', () => {
+  it('returns the highest level among the roles', () => {
+    expect(getMaxRoleLevel(buildActor(['user', 'admin']))).toBe(3);
+    expect(getMaxRoleLevel(buildActor(['moderator']))).toBe(2);
+  });
+
+  it('returns 0 without known roles', () => {
+    expect(getMaxRoleLevel(buildActor([]))).toBe(0);
+    expect(getMaxRoleLevel(buildActor(['superuser']))).toBe(0);
+  });
+});
+
+describe('isAllowedRolePermission', () => {
+  it('accepts known permissions, patterns, deny rules and resource paths', () => {
+    expect(isAllowedRolePermission('read:posts')).toBe(true);
+    expect(isAllowedRolePermission('*:posts')).toBe(true);
+    expect(isAllowedRolePermission('!delete:users')).toBe(true);
+    expect(isAllowedRolePermission('org:123:billing:read')).toBe(true);
+  });
+
+  it('rejects unknown action:resource pairs and malformed entries', () => {
+    expect(isAllowedRolePermission('raed:posts')).toBe(false);
+    expect(isAllowedRolePermission('read::posts')).toBe(false);
+    expect(isAllowedRolePermission(42)).toBe(false);
+  });
+});
+
+describe('validateRoleInput', () => {
+  const admin = buildActor(['admin']);
+  const moderator = buildActor(['moderator']);
+
+  it('accepts a role within the actor\'s own access', () => {
+    expect(validateRoleInput({
+      description: 'Support staff',
+      permissions: ['read:users', 'org:123:tickets:*'],
+      inherits: ['user'],
+      level: 2
+    }, 'support', moderator)).toBeNull();
+  });
+
+  it('validates field types', () => {
+    expect(validateRoleInput({ description: 1 }, 'support', admin)).toMatch(/description/);
+    expect(validateRoleInput({ permissions: 'read:posts' }, 'support', admin)).toMatch(/permissions must be an array/);
+    expect(validateRoleInput({ permissions: ['raed:posts'] }, 'support', admin)).toMatch(/Unknown or malformed/);
+    expect(validateRoleInput({ inherits: 'user' }, 'support', admin)).toMatch(/inherits must be an array/);
+    expect(validateRoleInput({ inherits: ['superuser'] }, 'support', admin)).toMatch(/Unknown role/);
+    expect(validateRoleInput({ level: 1.5 }, 'support', admin)).toMatch(/level must be an integer/);
+    expect(validateRoleInput({ level: 0 }, 'support', admin)).toMatch(/level must be an integer/);
+  });
+
+  it('rejects inheritance cycles', () => {
+    expect(validateRoleInput({ inherits: ['moderator'] }, 'moderator', admin)).toMatch(/cannot inherit from itself/);
+
+    wouldCreateCycle.mockReturnValue(true);
+    expect(validateRoleInput({ inherits: ['user'] }, 'support', admin)).toMatch(/cannot inherit from itself/);
+  });
+
+  it('rejects a level above the actor\'s highest role', () => {
+    expect(validateRoleInput({ level: 3 }, 'support', moderator)).toMatch(/higher than your own role/);
+    expect(validateRoleInput({ level: 3 }, 'support', admin)).toBeNull();
+  });
+
+  it('rejects permissions the actor does not hold', () => {
+    expect(validateRoleInput({ permissions: ['delete:users'] }, 'support', moderator))
+      .toMatch(/don't have: delete:users/);
+  });
+
+  it('expands wildcards before checking what the actor holds', () => {
+    expect(validateRoleInput({ permissions: ['*:users'] }, 'support', moderator))
+      .toMatch(/don't have: update:users/);
+    expect(validateRoleInput({ permissions: ['*'] }, 'support', moderator)).toMatch(/don't have/);
+    expect(validateRoleInput({ permissions: ['*'] }, 'support', admin)).toBeNull();
+  });
+
+  it('includes inherited permissions', () => {
+    expect(validateRoleInput({ inherits: ['admin'] }, 'support', moderator)).toMatch(/don't have/);
+  });
+
+  it('respects deny rules on the actor', () => {
+    const restricted = buildActor(['admin'], ['!delete:users']);
+
+    expect(validateRoleInput({ permissions: ['delete:users'] }, 'support', restricted))
+      .toMatch(/don't have: delete:users/);
+  });
+
+  it('lets deny rules through without holding the permission', () => {
+    expect(validateRoleInput({ permissions: ['!delete:users'] }, 'support', moderator)).toBeNull();
+  });
+});
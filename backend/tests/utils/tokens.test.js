@@ -0,0 +1,188 @@
+jest.mock('../../config/redis', () => require('../helpers/mockRedis'));
+jest.mock('../../utils/keyManager', () => {
+  const jwt = require('jsonwebtoken');
+  return {
+    signToken: (payload, options) => jwt.sign(payload, 'test-signing-key', options),
+    verifyToken: async (token) => jwt.verify(token, 'test-signing-key')
+  };
+});
+
+const { store, getTtl } = require('../../config/redis');
+const { signToken } = require('../../utils/keyManager');
+const { securityEvents, SECURITY_EVENTS } = require('../../utils/securityEvents');
+const {
+  generateAccessToken,
+  verifyAccessToken,
+  revokeAllAccessTokens,
+  isAccessTokenRevoked,
+  generateRefreshToken,
+  verifyRefreshToken,
+  rotateRefreshToken,
+  invalidateRefreshToken,
+  invalidateAllRefreshTokens,
+  getActiveSessions
+} = require('../../utils/tokens');
+
+const user = { _id: 'user-1', email: 'user@example.com', roles: ['user'] };
+
+/**
+ * Login, then rotate once: returns [first, second] refresh tokens
+ */
+const loginAndRotate = async () => {
+  const first = await generateRefreshToken(user);
+  const second = await rotateRefreshToken(await verifyRefreshToken(first), user);
+  return [first, second];
+};
+
+let events;
+
+beforeEach(() => {
+  process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+  store.clear();
+  events = [];
+  securityEvents.removeAllListeners();
+  securityEvents.on('*', event => events.push(event.type));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.JWT_ACCESS_EXPIRY;
+  delete process.env.OIDC_ACCESS_TOKEN_EXPIRY;
+});
+
+describe('access tokens', () => {
+  it('round-trips and rejects other token types', async () => {
+    const decoded = await verifyAccessToken(generateAccessToken(user));
+
+    expect(decoded).toMatchObject({ userId: 'user-1', roles: ['user'], type: 'access' });
+    expect(decoded.jti).toBeDefined();
+
+    await expect(verifyAccessToken(signToken({ userId: 'user-1', type: 'mfa_challenge' })))
+      .rejects.toThrow('invalid token type');
+  });
+
+  it('refuses deactivated accounts', () => {
+    expect(() => generateAccessToken({ ...user, isActive: false })).toThrow(/deactivated/);
+  });
+});
+
+describe('revokeAllAccessTokens', () => {
+  const token = async () => {
+    const raw = generateAccessToken(user);
+    return [await verifyAccessToken(raw), raw];
+  };
+
+  it('revokes tokens issued before the cutoff only', async () => {
+    const [decoded, raw] = await token();
+    jest.spyOn(Date, 'now').mockReturnValue((decoded.iat + 5) * 1000);
+
+    await revokeAllAccessTokens('user-1', 'logout_all');
+
+    await expect(isAccessTokenRevoked(decoded, raw)).resolves.toBe(true);
+    await expect(isAccessTokenRevoked({ ...decoded, iat: decoded.iat + 5, jti: 'new' }, raw)).resolves.toBe(false);
+  });
+
+  it('keeps the cutoff as long as the longest access token lives', async () => {
+    process.env.JWT_ACCESS_EXPIRY = '2d';
+    await revokeAllAccessTokens('user-1');
+    expect(getTtl('access_tokens_revoked_before:user-1')).toBe(2 * 24 * 60 * 60);
+
+    process.env.JWT_ACCESS_EXPIRY = '5m';
+    process.env.OIDC_ACCESS_TOKEN_EXPIRY = '1h';
+    await revokeAllAccessTokens('user-1');
+    expect(getTtl('access_tokens_revoked_before:user-1')).toBe(60 * 60);
+  });
+});
+
+describe('refresh token rotation', () => {
+  it('issues a new token in the same family and retires the old one', async () => {
+    const [first, second] = await loginAndRotate();
+
+    const firstDecoded = JSON.parse(Buffer.from(first.split('.')[1], 'base64url'));
+    const secondDecoded = await verifyRefreshToken(second);
+
+    expect(secondDecoded.familyId).toBe(firstDecoded.familyId);
+    expect(secondDecoded.tokenId).not.toBe(firstDecoded.tokenId);
+    expect(await getActiveSessions('user-1')).toHaveLength(1);
+  });
+
+  it('revokes the whole family when a rotated token is replayed', async () => {
+    const [first, second] = await loginAndRotate();
+
+    await expect(verifyRefreshToken(first)).rejects.toThrow(/reuse detected/);
+
+    await expect(verifyRefreshToken(second)).rejects.toThrow(/invalid or expired/);
+    expect(events).toEqual(expect.arrayContaining([
+      SECURITY_EVENTS.REFRESH_TOKEN_REUSE,
+      SECURITY_EVENTS.TOKEN_FAMILY_REVOKED
+    ]));
+  });
+
+  it('lets only one of two concurrent refreshes succeed and revokes the family', async () => {
+    const token = await generateRefreshToken(user);
+
+    // Both requests pass verification before either rotates
+    const [a, b] = await Promise.all([verifyRefreshToken(token), verifyRefreshToken(token)]);
+    const results = await Promise.allSettled([rotateRefreshToken(a, user), rotateRefreshToken(b, user)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toMatch(/reuse detected/);
+
+    // The winner's token belongs to the revoked family
+    const winner = results.find(result => result.status === 'fulfilled').value;
+    await expect(verifyRefreshToken(winner)).rejects.toThrow();
+    expect(events).toContain(SECURITY_EVENTS.REFRESH_TOKEN_REUSE);
+  });
+
+  it('keeps other families (devices) of the user', async () => {
+    const other = await generateRefreshToken(user);
+    const [first] = await loginAndRotate();
+
+    await expect(verifyRefreshToken(first)).rejects.toThrow(/reuse detected/);
+
+    await expect(verifyRefreshToken(other)).resolves.toMatchObject({ userId: 'user-1' });
+  });
+
+  it('keeps the OAuth client binding and auth context', async () => {
+    const token = await generateRefreshToken(user, {}, null, { clientId: 'client-1', scope: 'openid' }, {
+      authTime: 1700000000,
+      amr: ['pwd']
+    });
+
+    const rotated = await verifyRefreshToken(await rotateRefreshToken(await verifyRefreshToken(token), user));
+
+    expect(rotated).toMatchObject({ clientId: 'client-1', scope: 'openid', auth_time: 1700000000, amr: ['pwd'] });
+  });
+});
+
+describe('verifyRefreshToken', () => {
+  it('rejects tokens signed with another secret', async () => {
+    const token = await generateRefreshToken(user);
+    process.env.JWT_REFRESH_SECRET = 'other-secret';
+
+    await expect(verifyRefreshToken(token)).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('rejects logged out tokens without revoking anything', async () => {
+    const token = await generateRefreshToken(user);
+    const { tokenId } = await verifyRefreshToken(token);
+
+    await expect(invalidateRefreshToken('user-1', tokenId)).resolves.toBe(true);
+    await expect(invalidateRefreshToken('user-1', tokenId)).resolves.toBe(false);
+
+    await expect(verifyRefreshToken(token)).rejects.toThrow(/invalid or expired/);
+    expect(events).toEqual([]);
+  });
+
+  it('rejects every token after logout from all devices', async () => {
+    const first = await generateRefreshToken(user);
+    const second = await generateRefreshToken(user);
+
+    await expect(invalidateAllRefreshTokens('user-1')).resolves.toBe(2);
+
+    await expect(verifyRefreshToken(first)).rejects.toThrow();
+    await expect(verifyRefreshToken(second)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,260 @@
+jest.mock('../../config/redis', () => require('../helpers/mockRedis'));
+jest.mock('../../models/User', () => ({ findById: jest.fn(), exists: jest.fn() }));
+jest.mock('../../models/WebAuthnCredential', () => ({ exists: jest.fn() }));
+jest.mock('../../utils/webauthn', () => ({
+  createAuthenticationOptions: jest.fn(),
+  verifyAuthentication: jest.fn()
+}));
+jest.mock('../../utils/emailOtp', () => ({
+  sendEmailOtp: jest.fn(),
+  verifyEmailOtp: jest.fn().mockResolvedValue(false)
+}));
+
+const jwt = require('jsonwebtoken');
+const speakeasy = require('speakeasy');
+const User = require('../../models/User');
+const { store, getTtl } = require('../../config/redis');
+const { verifyAuthentication } = require('../../utils/webauthn');
+const {
+  generateTotpSecret,
+  verifyTotpCode,
+  useTotpCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  generateMfaChallengeToken,
+  verifyMfaChallenge
+} = require('../../utils/twoFactor');
+
+const SECRET = speakeasy.generateSecret({ length: 20 }).base32;
+
+const totp = (offset = 0) => speakeasy.totp({
+  secret: SECRET,
+  encoding: 'base32',
+  time: Math.floor(Date.now() / 1000) + offset
+});
+
+/**
+ * 6-digit code that isn't valid in the current window
+ */
+const wrongCode = () => {
+  const valid = [totp(-30), totp(), totp(30)];
+  let code = 0;
+  while (valid.includes(String(code).padStart(6, '0'))) code++;
+  return String(code).padStart(6, '0');
+};
+
+/**
+ * User document with 2FA enabled
+ */
+const buildUser = (overrides = {}) => ({
+  _id: { toString: () => 'user-1' },
+  email: 'user@example.com',
+  twoFactorEnabled: true,
+  twoFactorSecret: SECRET,
+  useRecoveryCode: jest.fn().mockResolvedValue(false),
+  ...overrides
+});
+
+/**
+ * User.findById(...).select(...) resolving to user
+ */
+const findsUser = (user) => {
+  User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+beforeEach(() => {
+  process.env.JWT_MFA_SECRET = 'test-mfa-secret';
+  store.clear();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateTotpSecret', () => {
+  it('returns a base32 secret, otpauth URI and QR code', async () => {
+    const { secret, otpauthUrl, qrCode } = await generateTotpSecret({ email: 'user@example.com' });
+
+    expect(secret).toMatch(/^[A-Z2-7]+$/);
+    expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+    expect(otpauthUrl).toContain(encodeURIComponent('user@example.com'));
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+  });
+});
+
+describe('verifyTotpCode', () => {
+  it('accepts the current code', () => {
+    expect(verifyTotpCode(SECRET, totp())).toBe(true);
+  });
+
+  it('tolerates one step of clock drift and spaces', () => {
+    const code = totp(-30);
+
+    expect(verifyTotpCode(SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(true);
+  });
+
+  it('rejects wrong, stale and missing codes', () => {
+    expect(verifyTotpCode(SECRET, wrongCode())).toBe(false);
+    expect(verifyTotpCode(SECRET, totp(-120))).toBe(false);
+    expect(verifyTotpCode(SECRET, '')).toBe(false);
+    expect(verifyTotpCode(undefined, totp())).toBe(false);
+  });
+});
+
+describe('useTotpCode', () => {
+  it('accepts a code once', async () => {
+    const user = buildUser();
+    const code = totp();
+
+    await expect(useTotpCode(user, SECRET, code)).resolves.toBe(true);
+    await expect(useTotpCode(user, SECRET, code)).resolves.toBe(false);
+  });
+
+  it('rejects codes older than the last accepted one', async () => {
+    const user = buildUser();
+
+    await expect(useTotpCode(user, SECRET, totp())).resolves.toBe(true);
+    await expect(useTotpCode(user, SECRET, totp(-30))).resolves.toBe(false);
+  });
+
+  it('tracks used codes per user', async () => {
+    const code = totp();
+
+    await expect(useTotpCode(buildUser(), SECRET, code)).resolves.toBe(true);
+    await expect(useTotpCode(buildUser({ _id: { toString: () => 'user-2' } }), SECRET, code)).resolves.toBe(true);
+  });
+
+  it('does not mark invalid codes as used', async () => {
+    const user = buildUser();
+
+    await expect(useTotpCode(user, SECRET, wrongCode())).resolves.toBe(false);
+    expect(store.has('totp_last_step:user-1')).toBe(false);
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates ten distinct codes with matching hashes', () => {
+    const { codes, hashedCodes } = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(hashedCodes).toEqual(codes.map(hashRecoveryCode));
+    expect(hashedCodes).not.toContain(codes[0]);
+  });
+
+  it('normalizes case, spaces and dashes before hashing', () => {
+    expect(hashRecoveryCode('AB12C-DE34F')).toBe(hashRecoveryCode('ab12cde34f'));
+    expect(hashRecoveryCode(' ab12c de34f ')).toBe(hashRecoveryCode('ab12c-de34f'));
+  });
+});
+
+describe('MFA challenge', () => {
+  it('requires JWT_MFA_SECRET', async () => {
+    delete process.env.JWT_MFA_SECRET;
+
+    await expect(generateMfaChallengeToken(buildUser())).rejects.toThrow('JWT_MFA_SECRET is not set');
+  });
+
+  it('completes with a TOTP code and records the first factor', async () => {
+    const user = buildUser();
+    findsUser(user);
+
+    const mfaToken = await generateMfaChallengeToken(user, 'email');
+    const result = await verifyMfaChallenge(mfaToken, totp());
+
+    expect(result).toEqual({ user, method: 'totp', firstFactor: 'email' });
+  });
+
+  it('is single use', async () => {
+    const user = buildUser();
+    findsUser(user);
+
+    const mfaToken = await generateMfaChallengeToken(user);
+    await verifyMfaChallenge(mfaToken, totp());
+
+    await expect(verifyMfaChallenge(mfaToken, totp())).rejects.toThrow(/expired/);
+  });
+
+  it('rejects a TOTP code that was already used', async () => {
+    const user = buildUser();
+    findsUser(user);
+    const code = totp();
+
+    await verifyMfaChallenge(await generateMfaChallengeToken(user), code);
+
+    await expect(verifyMfaChallenge(await generateMfaChallengeToken(user), code))
+      .rejects.toThrow('Invalid verification code');
+  });
+
+  it('keeps the original expiry after a wrong code', async () => {
+    const user = buildUser();
+    findsUser(user);
+
+    const mfaToken = await generateMfaChallengeToken(user);
+    const [key] = [...store.keys()];
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 120 * 1000);
+
+    await expect(verifyMfaChallenge(mfaToken, wrongCode())).rejects.toThrow('Invalid verification code');
+
+    expect(getTtl(key)).toBe(180);
+  });
+
+  it('accepts a recovery code', async () => {
+    const user = buildUser({ useRecoveryCode: jest.fn().mockResolvedValue(true) });
+    findsUser(user);
+
+    const mfaToken = await generateMfaChallengeToken(user);
+
+    await expect(verifyMfaChallenge(mfaToken, 'ab12c-de34f')).resolves.toMatchObject({ method: 'recovery_code' });
+    expect(user.useRecoveryCode).toHaveBeenCalledWith('ab12c-de34f');
+  });
+
+  it('accepts a passkey assertion and rejects a failed one', async () => {
+    const user = buildUser();
+    findsUser(user);
+
+    const mfaToken = await generateMfaChallengeToken(user);
+    verifyAuthentication.mockRejectedValueOnce(new Error('Signature mismatch'));
+
+    await expect(verifyMfaChallenge(mfaToken, null, { id: 'cred' })).rejects.toThrow('Invalid verification code');
+    await expect(verifyMfaChallenge(mfaToken, null, { id: 'cred' })).resolves.toMatchObject({ method: 'webauthn' });
+  });
+
+  it('ends the challenge after five wrong codes', async () => {
+    const user = buildUser();
+    findsUser(user);
+
+    const mfaToken = await generateMfaChallengeToken(user);
+
+    for (let i = 0; i < 5; i++) {
+      await expect(verifyMfaChallenge(mfaToken, wrongCode())).rejects.toThrow('Invalid verification code');
+    }
+
+    await expect(verifyMfaChallenge(mfaToken, totp())).rejects.toThrow(/Too many invalid codes/);
+    await expect(verifyMfaChallenge(mfaToken, totp())).rejects.toThrow(/expired/);
+  });
+
+  it('rejects tokens signed with another secret or of another type', async () => {
+    findsUser(buildUser());
+
+    const forged = jwt.sign({ userId: 'user-1', challengeId: 'x', type: 'mfa_challenge' }, 'other-secret');
+    const access = jwt.sign({ userId: 'user-1', challengeId: 'x', type: 'access' }, process.env.JWT_MFA_SECRET);
+
+    await expect(verifyMfaChallenge(forged, totp())).rejects.toThrow('Invalid verification session');
+    await expect(verifyMfaChallenge(access, totp())).rejects.toThrow('Invalid token type');
+  });
+
+  it('refuses users without 2FA', async () => {
+    const user = buildUser({ twoFactorEnabled: false });
+    findsUser(user);
+
+    const mfaToken = await generateMfaChallengeToken(user);
+
+    await expect(verifyMfaChallenge(mfaToken, totp())).rejects.toThrow('Two-factor authentication is not enabled');
+  });
+});
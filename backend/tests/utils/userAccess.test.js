@@ -0,0 +1,226 @@
+jest.mock('../../utils/roleStore', () => require('../helpers/mockRoleStore'));
+jest.mock('../../utils/tokens', () => ({ revokeAllAccessTokens: jest.fn() }));
+jest.mock('../../utils/auditLog', () => ({
+  AUDIT_ACTIONS: {
+    ROLES_UPDATED: 'user.roles.updated',
+    PERMISSION_GRANTED: 'user.permission.granted',
+    PERMISSION_REVOKED: 'user.permission.revoked',
+    ATTRIBUTES_UPDATED: 'user.attributes.updated'
+  },
+  recordAudit: jest.fn()
+}));
+
+const { ROLE_PERMISSIONS } = require('../../config/roles');
+const { revokeAllAccessTokens } = require('../../utils/tokens');
+const { recordAudit } = require('../../utils/auditLog');
+const {
+  setUserRoles,
+  grantUserPermission,
+  revokeUserPermission,
+  setUserAttributes
+} = require('../../utils/userAccess');
+
+/**
+ * Minimal User document
+ */
+const buildUser = (id, roles, permissions = []) => ({
+  _id: { toString: () => id },
+  email: `${id}@example.com`,
+  roles,
+  permissions,
+  attributes: {},
+  getPermissions() {
+    return [...roles.flatMap(role => ROLE_PERMISSIONS[role] || []), ...this.permissions];
+  },
+  save: jest.fn(),
+  markModified: jest.fn()
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('setUserRoles', () => {
+  it('replaces roles, revokes access tokens and audits', async () => {
+    const admin = buildUser('admin', ['admin']);
+    const target = buildUser('target', ['user']);
+
+    await setUserRoles(admin, target, ['moderator', 'moderator'], { source: 'rest' });
+
+    expect(target.roles).toEqual(['moderator']);
+    expect(target.save).toHaveBeenCalled();
+    expect(revokeAllAccessTokens).toHaveBeenCalledWith(target._id, 'role_changed');
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.roles.updated',
+      details: { before: ['user'], after: ['moderator'] }
+    }));
+  });
+
+  it('does nothing when the roles are unchanged', async () => {
+    const target = buildUser('target', ['user']);
+
+    await setUserRoles(buildUser('admin', ['admin']), target, ['user']);
+
+    expect(target.save).not.toHaveBeenCalled();
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+
+  it('rejects malformed input and unknown roles with 400', async () => {
+    const admin = buildUser('admin', ['admin']);
+    const target = buildUser('target', ['user']);
+
+    await expect(setUserRoles(admin, target, [])).rejects.toMatchObject({ status: 400 });
+    await expect(setUserRoles(admin, target, 'admin')).rejects.toMatchObject({ status: 400 });
+    await expect(setUserRoles(admin, target, ['superuser'])).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('refuses to change your own roles', async () => {
+    const admin = buildUser('admin', ['admin']);
+
+    await expect(setUserRoles(admin, admin, ['user'])).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('refuses to change a higher-ranked user', async () => {
+    const moderator = buildUser('mod', ['moderator']);
+    const admin = buildUser('admin', ['admin']);
+
+    await expect(setUserRoles(moderator, admin, ['user'])).rejects.toMatchObject({ status: 403 });
+    expect(admin.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to assign a role above the actor', async () => {
+    const moderator = buildUser('mod', ['moderator']);
+    const target = buildUser('target', ['user']);
+
+    await expect(setUserRoles(moderator, target, ['admin'])).rejects.toMatchObject({ status: 403 });
+    expect(target.roles).toEqual(['user']);
+  });
+
+  it('ranks the actor by their highest role', async () => {
+    const actor = buildUser('actor', ['user', 'admin']);
+    const target = buildUser('target', ['moderator']);
+
+    await setUserRoles(actor, target, ['admin']);
+
+    expect(target.roles).toEqual(['admin']);
+  });
+});
+
+describe('grantUserPermission', () => {
+  it('grants a permission the actor holds', async () => {
+    const target = buildUser('target', ['user']);
+
+    await grantUserPermission(buildUser('admin', ['admin']), target, 'view:analytics');
+
+    expect(target.permissions).toEqual(['view:analytics']);
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'user.permission.granted' }));
+  });
+
+  it('rejects unknown permissions and patterns with 400', async () => {
+    const admin = buildUser('admin', ['admin']);
+    const target = buildUser('target', ['user']);
+
+    await expect(grantUserPermission(admin, target, 'launch:rockets')).rejects.toMatchObject({ status: 400 });
+    await expect(grantUserPermission(admin, target, '*:users')).rejects.toMatchObject({ status: 400 });
+    await expect(grantUserPermission(admin, target, '*')).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('refuses to grant a permission the actor does not hold', async () => {
+    const moderator = buildUser('mod', ['moderator']);
+    const target = buildUser('target', ['user']);
+
+    await expect(grantUserPermission(moderator, target, 'delete:users')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('refuses a permission the actor holds but is denied', async () => {
+    const admin = buildUser('admin', ['admin'], ['!delete:users']);
+    const target = buildUser('target', ['user']);
+
+    await expect(grantUserPermission(admin, target, 'delete:users')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('allows deny rules for permissions the actor does not hold', async () => {
+    const moderator = buildUser('mod', ['moderator']);
+    const target = buildUser('target', ['user']);
+
+    await grantUserPermission(moderator, target, '!delete:users');
+
+    expect(target.permissions).toEqual(['!delete:users']);
+  });
+
+  it('rejects duplicates with 409', async () => {
+    const target = buildUser('target', ['user'], ['view:analytics']);
+
+    await expect(grantUserPermission(buildUser('admin', ['admin']), target, 'view:analytics'))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('refuses to change your own permissions', async () => {
+    const admin = buildUser('admin', ['admin']);
+
+    await expect(grantUserPermission(admin, admin, 'view:logs')).rejects.toMatchObject({ status: 403 });
+  });
+});
+
+describe('revokeUserPermission', () => {
+  it('removes a custom permission', async () => {
+    const target = buildUser('target', ['user'], ['view:analytics']);
+
+    await revokeUserPermission(buildUser('admin', ['admin']), target, 'view:analytics');
+
+    expect(target.permissions).toEqual([]);
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'user.permission.revoked' }));
+  });
+
+  it('returns 404 for a permission the user does not have', async () => {
+    const target = buildUser('target', ['user']);
+
+    await expect(revokeUserPermission(buildUser('admin', ['admin']), target, 'view:analytics'))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  it('treats lifting a deny rule as granting the permission', async () => {
+    const moderator = buildUser('mod', ['moderator']);
+    const target = buildUser('target', ['user'], ['!delete:users', '!ban:users']);
+
+    await expect(revokeUserPermission(moderator, target, '!delete:users')).rejects.toMatchObject({ status: 403 });
+
+    await revokeUserPermission(moderator, target, '!ban:users');
+    expect(target.permissions).toEqual(['!delete:users']);
+  });
+});
+
+describe('setUserAttributes', () => {
+  it('replaces attributes and audits before / after', async () => {
+    const target = buildUser('target', ['user']);
+    target.attributes = { region: 'us' };
+
+    await setUserAttributes(buildUser('admin', ['admin']), target, { region: 'eu' });
+
+    expect(target.attributes).toEqual({ region: 'eu' });
+    expect(target.markModified).toHaveBeenCalledWith('attributes');
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.attributes.updated',
+      details: { before: { region: 'us' }, after: { region: 'eu' } }
+    }));
+  });
+
+  it('refuses to change your own attributes', async () => {
+    const admin = buildUser('admin', ['admin']);
+
+    await expect(setUserAttributes(admin, admin, { region: 'eu' })).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('refuses to change a higher-ranked user', async () => {
+    const admin = buildUser('admin', ['admin']);
+
+    await expect(setUserAttributes(buildUser('mod', ['moderator']), admin, { region: 'eu' }))
+      .rejects.toMatchObject({ status: 403 });
+    expect(admin.save).not.toHaveBeenCalled();
+  });
+});
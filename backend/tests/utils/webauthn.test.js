@@ -0,0 +1,180 @@
+jest.mock('../../config/redis', () => require('../helpers/mockRedis'));
+jest.mock('../../models/WebAuthnCredential', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('@simplewebauthn/server', () => ({
+  generateRegistrationOptions: jest.fn(async () => ({ challenge: 'registration-challenge' })),
+  verifyRegistrationResponse: jest.fn(),
+  generateAuthenticationOptions: jest.fn(async () => ({ challenge: 'authentication-challenge' })),
+  verifyAuthenticationResponse: jest.fn()
+}));
+
+const simpleWebAuthn = require('@simplewebauthn/server');
+const WebAuthnCredential = require('../../models/WebAuthnCredential');
+const { store } = require('../../config/redis');
+const {
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+} = require('../../utils/webauthn');
+
+const user = { _id: { toString: () => 'user-1' }, email: 'user@example.com', name: 'User' };
+
+/**
+ * Stored credential of user-1
+ */
+const buildCredential = (overrides = {}) => ({
+  user: { toString: () => 'user-1' },
+  credentialId: 'cred-1',
+  publicKey: Buffer.from('public-key'),
+  counter: 1,
+  transports: ['internal'],
+  save: jest.fn(),
+  ...overrides
+});
+
+const findsCredential = (credential) => {
+  WebAuthnCredential.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(credential) });
+};
+
+const assertion = (authenticationInfo = {}) => ({
+  verified: true,
+  authenticationInfo: { newCounter: 2, userVerified: true, ...authenticationInfo }
+});
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+  WebAuthnCredential.find.mockResolvedValue([buildCredential()]);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createRegistrationOptions', () => {
+  it('requires user verification and excludes registered authenticators', async () => {
+    await createRegistrationOptions(user);
+
+    expect(simpleWebAuthn.generateRegistrationOptions).toHaveBeenCalledWith(expect.objectContaining({
+      authenticatorSelection: expect.objectContaining({ userVerification: 'required' }),
+      excludeCredentials: [{ id: 'cred-1', transports: ['internal'] }]
+    }));
+    expect(store.has('webauthn_challenge:register:user-1')).toBe(true);
+  });
+});
+
+describe('verifyRegistration', () => {
+  it('fails without a pending registration', async () => {
+    await expect(verifyRegistration(user, {})).rejects.toThrow(/expired/);
+  });
+
+  it('requires user verification and saves the credential', async () => {
+    simpleWebAuthn.verifyRegistrationResponse.mockResolvedValue({
+      verified: true,
+      registrationInfo: {
+        credential: { id: 'cred-2', publicKey: new Uint8Array([1, 2]), counter: 0, transports: ['usb'] },
+        credentialDeviceType: 'multiDevice',
+        credentialBackedUp: true
+      }
+    });
+
+    await createRegistrationOptions(user);
+    await verifyRegistration(user, { id: 'cred-2' }, 'Laptop');
+
+    expect(simpleWebAuthn.verifyRegistrationResponse).toHaveBeenCalledWith(expect.objectContaining({
+      expectedChallenge: 'registration-challenge',
+      requireUserVerification: true
+    }));
+    expect(WebAuthnCredential.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: user._id,
+      credentialId: 'cred-2',
+      name: 'Laptop'
+    }));
+  });
+});
+
+describe('createAuthenticationOptions', () => {
+  it('offers discoverable passkeys without a user', async () => {
+    await createAuthenticationOptions('login:abc');
+
+    expect(WebAuthnCredential.find).not.toHaveBeenCalled();
+    expect(simpleWebAuthn.generateAuthenticationOptions).toHaveBeenCalledWith(expect.objectContaining({
+      allowCredentials: undefined,
+      userVerification: 'required'
+    }));
+    expect(store.has('webauthn_challenge:login:abc')).toBe(true);
+  });
+
+  it('limits to the user\'s credentials when given one', async () => {
+    await createAuthenticationOptions('mfa:abc', user);
+
+    expect(simpleWebAuthn.generateAuthenticationOptions).toHaveBeenCalledWith(expect.objectContaining({
+      allowCredentials: [{ id: 'cred-1', transports: ['internal'] }]
+    }));
+  });
+});
+
+describe('verifyAuthentication', () => {
+  it('verifies the assertion and updates the counter', async () => {
+    const credential = buildCredential();
+    findsCredential(credential);
+    simpleWebAuthn.verifyAuthenticationResponse.mockResolvedValue(assertion());
+
+    await createAuthenticationOptions('login:abc');
+    await expect(verifyAuthentication('login:abc', { id: 'cred-1' })).resolves.toBe(credential);
+
+    expect(simpleWebAuthn.verifyAuthenticationResponse).toHaveBeenCalledWith(expect.objectContaining({
+      expectedChallenge: 'authentication-challenge',
+      requireUserVerification: true
+    }));
+    expect(credential.counter).toBe(2);
+    expect(credential.save).toHaveBeenCalled();
+  });
+
+  it('uses each challenge once', async () => {
+    findsCredential(buildCredential());
+    simpleWebAuthn.verifyAuthenticationResponse.mockResolvedValue(assertion());
+
+    await createAuthenticationOptions('login:abc');
+    await verifyAuthentication('login:abc', { id: 'cred-1' });
+
+    await expect(verifyAuthentication('login:abc', { id: 'cred-1' })).rejects.toThrow(/expired/);
+  });
+
+  it('rejects assertions without user verification', async () => {
+    const credential = buildCredential();
+    findsCredential(credential);
+    simpleWebAuthn.verifyAuthenticationResponse.mockResolvedValue(assertion({ userVerified: false }));
+
+    await createAuthenticationOptions('login:abc');
+
+    await expect(verifyAuthentication('login:abc', { id: 'cred-1' })).rejects.toThrow(/did not verify the user/);
+    expect(credential.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects failed signatures', async () => {
+    findsCredential(buildCredential());
+    simpleWebAuthn.verifyAuthenticationResponse.mockResolvedValue({ verified: false });
+
+    await createAuthenticationOptions('login:abc');
+
+    await expect(verifyAuthentication('login:abc', { id: 'cred-1' })).rejects.toThrow('Passkey could not be verified');
+  });
+
+  it('rejects unknown passkeys and passkeys of another account', async () => {
+    findsCredential(null);
+    await createAuthenticationOptions('login:abc');
+    await expect(verifyAuthentication('login:abc', { id: 'cred-x' })).rejects.toThrow('Unknown passkey');
+
+    findsCredential(buildCredential({ user: { toString: () => 'user-2' } }));
+    await createAuthenticationOptions('mfa:abc', user);
+    await expect(verifyAuthentication('mfa:abc', { id: 'cred-1' }, user))
+      .rejects.toThrow('Passkey does not belong to this account');
+    expect(simpleWebAuthn.verifyAuthenticationResponse).not.toHaveBeenCalled();
+  });
+});
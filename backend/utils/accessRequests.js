@@ -0,0 +1,405 @@
+const User = require('../models/User');
+const AccessRequest = require('../models/AccessRequest');
+const { PERMISSIONS } = require('../config/roles');
+const { getRoleNames, resolvePermissions } = require('./roleStore');
+const { isPermissionGranted } = require('./permissions');
+const {
+  sendAccessRequestEmail,
+  sendAccessDecisionEmail,
+  sendAccessExpiredEmail
+} = require('./email');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * JUST-IN-TIME PERMISSIONS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Temporary permission grants instead of permanent User.permissions
+ *
+ * Flow:
+ * 1. POST /api/access-requests { permission: 'view:analytics', durationMinutes: 240 }
+ *    → pending AccessRequest, approvers emailed
+ * 2. POST /api/admin/access-requests/:id/approve
+ *    → User.temporaryPermissions gets { permission, expiresAt }, user emailed
+ * 3. expiresAt passes → getPermissions() stops counting it at once;
+ *    the expiry job removes it and emails the user
+ *
+ * Approvers: users whose roles grant assign:roles AND who hold the
+ * requested permission themselves (no approving what you don't have)
+ *
+ * @file backend/utils/accessRequests.js
+ * @phase Phase 3.3 - RBAC
+ *
+ * Environment:
+ * - ACCESS_REQUEST_MAX_MINUTES   Longest grant (default 4320 = 3 days)
+ */
+
+const DEFAULT_DURATION_MINUTES = 4 * 60;
+const MAX_DURATION_MINUTES = parseInt(process.env.ACCESS_REQUEST_MAX_MINUTES, 10) || 3 * 24 * 60;
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 1000;
+
+let expiryTimer = null;
+
+/**
+ * Error with HTTP status
+ */
+const accessError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Validate a requested duration
+ * @param {*} durationMinutes - From request body
+ * @returns {Number} - Minutes
+ * @throws {Error} - 400 if not an integer between 1 and MAX_DURATION_MINUTES
+ */
+const parseDuration = (durationMinutes = DEFAULT_DURATION_MINUTES) => {
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+    throw accessError(`durationMinutes must be an integer between 1 and ${MAX_DURATION_MINUTES}`, 400);
+  }
+  return durationMinutes;
+};
+
+/**
+ * Can this user approve a request for this permission?
+ * @param {Object} user - User document
+ * @param {String} permission - Requested permission
+ * @returns {Boolean}
+ */
+const canApprove = (user, permission) =>
+  user.hasPermission(PERMISSIONS.ASSIGN_ROLES) && user.hasPermission(permission);
+
+/**
+ * Active users who can approve a request
+ * @param {String} permission - Requested permission
+ * @param {String} excludeUserId - The requester
+ * @returns {Promise<Array>} - User documents
+ */
+const findApprovers = async (permission, excludeUserId) => {
+  const approverRoles = getRoleNames()
+    .filter(role => isPermissionGranted(resolvePermissions(role), PERMISSIONS.ASSIGN_ROLES));
+
+  const candidates = await User.find({
+    _id: { $ne: excludeUserId },
+    isActive: true,
+    $or: [
+      { roles: { $in: approverRoles } },
+      { permissions: PERMISSIONS.ASSIGN_ROLES }
+    ]
+  });
+
+  return candidates.filter(candidate => canApprove(candidate, permission));
+};
+
+/**
+ * Copy an approved request onto the user
+ * @param {Object} request - Approved AccessRequest
+ */
+const addGrant = (request) => User.updateOne(
+  { _id: request.user },
+  {
+    $push: {
+      temporaryPermissions: {
+        permission: request.permission,
+        expiresAt: request.grantExpiresAt,
+        grantedBy: request.reviewedBy,
+        request: request._id
+      }
+    }
+  }
+);
+
+/**
+ * Remove a request's grant from the user
+ * @param {Object} request - AccessRequest
+ */
+const removeGrant = (request) => User.updateOne(
+  { _id: request.user },
+  { $pull: { temporaryPermissions: { request: request._id } } }
+);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REQUEST
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} user - Requester (User document)
+ * @param {Object} input - { permission, durationMinutes, reason }
+ * @returns {Promise<Object>} - Pending AccessRequest
+ * @throws {Error} - 400 invalid input / already granted, 409 already pending
+ */
+
+const createAccessRequest = async (user, { permission, durationMinutes, reason } = {}) => {
+  if (!Object.values(PERMISSIONS).includes(permission)) {
+    throw accessError(`Unknown permission: ${permission}`, 400);
+  }
+
+  const minutes = parseDuration(durationMinutes);
+
+  if (user.hasPermission(permission)) {
+    throw accessError(`You already have ${permission}`, 400);
+  }
+
+  const pending = await AccessRequest.exists({ user: user._id, permission, status: 'pending' });
+  if (pending) {
+    throw accessError(`You already have a pending request for ${permission}`, 409);
+  }
+
+  const request = await AccessRequest.create({
+    user: user._id,
+    permission,
+    durationMinutes: minutes,
+    reason
+  });
+
+  console.log(`🔑 Access request: ${user.email} → ${permission} for ${minutes} min`);
+
+  const approvers = await findApprovers(permission, user._id);
+  for (const approver of approvers) {
+    await sendAccessRequestEmail(approver, user, request);
+  }
+
+  if (approvers.length === 0) {
+    console.warn(`⚠️  No approver can grant ${permission} (request ${request._id})`);
+  }
+
+  return request;
+};
+
+/**
+ * Withdraw an own pending request
+ * @param {Object} user - Requester
+ * @param {String} requestId - AccessRequest ID
+ * @returns {Promise<Object>} - Cancelled request
+ * @throws {Error} - 404 not found / not pending
+ */
+const cancelAccessRequest = async (user, requestId) => {
+  const request = await AccessRequest.findOneAndUpdate(
+    { _id: requestId, user: user._id, status: 'pending' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+
+  if (!request) {
+    throw accessError('Pending request not found', 404);
+  }
+
+  return request;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REVIEW
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {String} requestId - AccessRequest ID
+ * @param {Object} reviewer - Admin (User document)
+ * @param {Object} decision - { approve: Boolean, durationMinutes (approve only,
+ *                            can shorten the request), note }
+ * @returns {Promise<Object>} - Updated AccessRequest
+ * @throws {Error} - 404 not found, 409 already reviewed,
+ *                   403 own request / reviewer lacks the permission
+ */
+
+const reviewAccessRequest = async (requestId, reviewer, { approve, durationMinutes, note } = {}) => {
+  const request = await AccessRequest.findById(requestId);
+
+  if (!request) {
+    throw accessError('Access request not found', 404);
+  }
+
+  if (request.status !== 'pending') {
+    throw accessError(`Request is already ${request.status}`, 409);
+  }
+
+  if (request.user.toString() === reviewer._id.toString()) {
+    throw accessError('You cannot review your own request', 403);
+  }
+
+  if (approve && !canApprove(reviewer, request.permission)) {
+    throw accessError(`You cannot approve ${request.permission} - you don't have it`, 403);
+  }
+
+  const minutes = approve && durationMinutes !== undefined
+    ? Math.min(parseDuration(durationMinutes), request.durationMinutes)
+    : request.durationMinutes;
+
+  // Only one reviewer wins (status condition)
+  const reviewed = await AccessRequest.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    {
+      status: approve ? 'approved' : 'denied',
+      reviewedBy: reviewer._id,
+      reviewedAt: new Date(),
+      durationMinutes: minutes,
+      ...(note && { reviewNote: note }),
+      ...(approve && { grantExpiresAt: new Date(Date.now() + minutes * 60 * 1000) })
+    },
+    { new: true }
+  );
+
+  if (!reviewed) {
+    throw accessError('Request was already reviewed', 409);
+  }
+
+  if (approve) {
+    await addGrant(reviewed);
+  }
+
+  console.log(`🔑 Access request ${reviewed.status}: ${reviewed.permission} (${reviewed._id}) by ${reviewer.email}`);
+
+  const requester = await User.findById(reviewed.user);
+  if (requester) {
+    await sendAccessDecisionEmail(requester, reviewed);
+  }
+
+  return reviewed;
+};
+
+/**
+ * Grant a temporary permission directly (no request from the user)
+ * ────────────────────────────────────────────────────────────────────────
+ * Recorded as an approved AccessRequest so it shows up, expires and
+ * can be revoked like any other grant
+ * @param {Object} user - Recipient (User document)
+ * @param {Object} grantor - Admin (User document)
+ * @param {Object} input - { permission, durationMinutes, reason }
+ * @returns {Promise<Object>} - Approved AccessRequest
+ */
+const grantTemporaryPermission = async (user, grantor, { permission, durationMinutes, reason } = {}) => {
+  if (!Object.values(PERMISSIONS).includes(permission)) {
+    throw accessError(`Unknown permission: ${permission}`, 400);
+  }
+
+  if (!canApprove(grantor, permission)) {
+    throw accessError(`You cannot grant ${permission} - you don't have it`, 403);
+  }
+
+  const minutes = parseDuration(durationMinutes);
+
+  const request = await AccessRequest.create({
+    user: user._id,
+    permission,
+    durationMinutes: minutes,
+    reason,
+    status: 'approved',
+    reviewedBy: grantor._id,
+    reviewedAt: new Date(),
+    grantExpiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  await addGrant(request);
+
+  console.log(`🔑 Temporary grant: ${user.email} → ${permission} for ${minutes} min by ${grantor.email}`);
+
+  await sendAccessDecisionEmail(user, request);
+
+  return request;
+};
+
+/**
+ * End an approved grant early
+ * @param {String} requestId - AccessRequest ID
+ * @param {Object} reviewer - Admin (User document)
+ * @returns {Promise<Object>} - Revoked AccessRequest
+ * @throws {Error} - 404 no active grant
+ */
+const revokeTemporaryPermission = async (requestId, reviewer) => {
+  const request = await AccessRequest.findOneAndUpdate(
+    { _id: requestId, status: 'approved' },
+    { status: 'revoked', reviewedBy: reviewer._id, reviewedAt: new Date() },
+    { new: true }
+  );
+
+  if (!request) {
+    throw accessError('Active grant not found', 404);
+  }
+
+  await removeGrant(request);
+
+  console.log(`🔑 Temporary grant revoked: ${request.permission} (${request._id}) by ${reviewer.email}`);
+
+  const user = await User.findById(request.user);
+  if (user) {
+    await sendAccessExpiredEmail(user, request);
+  }
+
+  return request;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EXPIRY
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * getPermissions() already ignores expired grants - this job only
+ * tidies up (status, User.temporaryPermissions) and notifies users.
+ * Claiming each request with a status condition means only one server
+ * process sends the email.
+ *
+ * @returns {Promise<Number>} - Grants expired in this run
+ */
+
+const expireGrants = async () => {
+  const now = new Date();
+  const due = await AccessRequest.find({ status: 'approved', grantExpiresAt: { $lte: now } })
+    .limit(100);
+
+  let expired = 0;
+
+  for (const candidate of due) {
+    const request = await AccessRequest.findOneAndUpdate(
+      { _id: candidate._id, status: 'approved' },
+      { status: 'expired' },
+      { new: true }
+    );
+
+    if (!request) continue;
+
+    await removeGrant(request);
+    expired++;
+
+    const user = await User.findById(request.user);
+    if (user) {
+      await sendAccessExpiredEmail(user, request);
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`⏰ Expired ${expired} temporary permission grant(s)`);
+  }
+
+  return expired;
+};
+
+/**
+ * Start the expiry job (call once at startup, after MongoDB is connected)
+ */
+const initAccessRequests = async () => {
+  await expireGrants();
+
+  if (!expiryTimer) {
+    expiryTimer = setInterval(() => {
+      expireGrants().catch((error) => {
+        console.error('❌ Grant expiry failed:', error.message);
+      });
+    }, EXPIRY_CHECK_INTERVAL_MS);
+
+    // Don't keep the process alive just for this
+    expiryTimer.unref();
+  }
+};
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  createAccessRequest,
+  cancelAccessRequest,
+  reviewAccessRequest,
+  grantTemporaryPermission,
+  revokeTemporaryPermission,
+  expireGrants,
+  initAccessRequests
+};
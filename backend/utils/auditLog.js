@@ -0,0 +1,61 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AUDIT LOG
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Persistent record of access changes made by admins (models/AuditLog.js)
+ *
+ * @file backend/utils/auditLog.js
+ * @phase Phase 3.3 - RBAC
+ *
+ * Usage:
+ * await recordAudit({
+ *   action: AUDIT_ACTIONS.PERMISSION_GRANTED,
+ *   actor: req.user,
+ *   target: user,
+ *   details: { permission: 'view:analytics' },
+ *   req
+ * });
+ */
+
+const AUDIT_ACTIONS = {
+  ROLES_UPDATED: 'user.roles.updated',
+  PERMISSION_GRANTED: 'user.permission.granted',
+  PERMISSION_REVOKED: 'user.permission.revoked',
+  ATTRIBUTES_UPDATED: 'user.attributes.updated'
+};
+
+/**
+ * Write an audit entry
+ * @param {Object} entry - { action, actor, target, details, req, source }
+ *        actor/target: User documents; req: Express request (ip, user agent)
+ * @returns {Promise<Object|null>} - AuditLog document, null if writing failed
+ *
+ * Never throws - the change itself already happened; a failed
+ * write is logged loudly instead
+ */
+const recordAudit = async ({ action, actor, target, details = {}, req, source = 'rest' }) => {
+  try {
+    return await AuditLog.create({
+      action,
+      actor: actor?._id,
+      actorEmail: actor?.email,
+      target: target?._id,
+      targetEmail: target?.email,
+      details,
+      source,
+      ip: req?.ip,
+      userAgent: req?.headers?.['user-agent']
+    });
+  } catch (error) {
+    console.error(`❌ Audit log write failed (${action}):`, error.message, JSON.stringify(details));
+    return null;
+  }
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit
+};
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AUTH COOKIES (HttpOnly session mode)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Alternative to handing tokens to JavaScript (localStorage)
+ *
+ * Modes (AUTH_TRANSPORT):
+ * - bearer (default): Tokens in JSON responses, sent back as Authorization header
+ * - cookie:           Tokens in HttpOnly cookies, never readable by JavaScript
+ *                     → XSS can't steal them
+ *
+ * CSRF (cookie mode only):
+ * Browsers attach cookies to cross-site requests, so state-changing
+ * requests must prove they come from our frontend (double-submit cookie):
+ * 1. Server sets a random, NON-HttpOnly `kta_csrf` cookie with the session
+ * 2. Frontend reads it and echoes it in the X-CSRF-Token header
+ * 3. csrfProtection compares header and cookie - other sites can't read our cookie
+ *
+ * @file backend/utils/authCookies.js
+ * @phase Phase 4 - Cookie Session Mode
+ *
+ * Environment:
+ * - AUTH_TRANSPORT          bearer (default) | cookie
+ * - AUTH_COOKIE_SAMESITE    lax (default) | strict | none (none requires https)
+ * - AUTH_COOKIE_DOMAIN      Optional cookie domain (e.g. .example.com)
+ */
+
+const ACCESS_COOKIE = 'kta_access';
+const REFRESH_COOKIE = 'kta_refresh';
+const CSRF_COOKIE = 'kta_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+
+const ACCESS_COOKIE_MAX_AGE = 15 * 60 * 1000;            // 15 minutes (matches access token)
+const REFRESH_COOKIE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;  // 7 days (matches refresh token)
+
+// Refresh token is only needed by /refresh, /logout and /reauthenticate
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// POST /api/auth/sso/:slug/acs
+const SAML_ACS_PATH = /^\/api\/auth\/sso\/[a-z0-9-]+\/acs$/;
+
+/**
+ * Is the server running in cookie mode?
+ * @returns {Boolean}
+ */
+const isCookieMode = () => process.env.AUTH_TRANSPORT === 'cookie';
+
+/**
+ * Shared cookie options
+ */
+const baseCookieOptions = () => {
+  const sameSite = process.env.AUTH_COOKIE_SAMESITE || 'lax';
+
+  return {
+    // SameSite=None is only accepted by browsers on Secure cookies
+    secure: process.env.NODE_ENV === 'production' || sameSite === 'none',
+    sameSite,
+    ...(process.env.AUTH_COOKIE_DOMAIN && { domain: process.env.AUTH_COOKIE_DOMAIN })
+  };
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SET / CLEAR COOKIES
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Set session cookies (access, refresh, CSRF)
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @returns {String} - CSRF token
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const options = baseCookieOptions();
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(ACCESS_COOKIE, accessToken, {
+    ...options,
+    httpOnly: true,
+    path: '/',
+    maxAge: ACCESS_COOKIE_MAX_AGE
+  });
+
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      ...options,
+      httpOnly: true,
+      path: REFRESH_COOKIE_PATH,
+      maxAge: REFRESH_COOKIE_MAX_AGE
+    });
+  }
+
+  // Readable by our frontend on purpose (double-submit)
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    maxAge: REFRESH_COOKIE_MAX_AGE
+  });
+
+  return csrfToken;
+};
+
+/**
+ * Remove session cookies (logout)
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  const options = baseCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+/**
+ * Deliver freshly issued tokens the way the server is configured
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {Object} res - Express response
+ * @param {Object} body - JSON response body containing accessToken/refreshToken
+ * @returns {Object} - Body to send
+ *
+ * - bearer mode: body unchanged
+ * - cookie mode: tokens moved to cookies, removed from body, csrfToken added
+ *
+ * Usage:
+ * res.json(sendAuthTokens(res, { success: true, accessToken, refreshToken, user }));
+ */
+const sendAuthTokens = (res, body) => {
+  if (!isCookieMode()) {
+    return body;
+  }
+
+  const { accessToken, refreshToken, ...rest } = body;
+  const csrfToken = setAuthCookies(res, { accessToken, refreshToken });
+
+  return { ...rest, csrfToken };
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READ TOKENS FROM REQUEST
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Access token: Authorization header first, then cookie (cookie mode)
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+const getAccessTokenFromRequest = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.replace('Bearer ', '');
+  }
+
+  if (isCookieMode() && req.cookies?.[ACCESS_COOKIE]) {
+    return req.cookies[ACCESS_COOKIE];
+  }
+
+  return null;
+};
+
+/**
+ * Refresh token: request body first, then cookie (cookie mode)
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+const getRefreshTokenFromRequest = (req) => {
+  if (req.body?.refreshToken) {
+    return req.body.refreshToken;
+  }
+
+  if (isCookieMode() && req.cookies?.[REFRESH_COOKIE]) {
+    return req.cookies[REFRESH_COOKIE];
+  }
+
+  return null;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MIDDLEWARE: CSRF PROTECTION
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Double-submit check for state-changing requests that rely on cookies
+ *
+ * Skipped when:
+ * - Bearer mode (no ambient credentials to abuse)
+ * - Safe methods (GET, HEAD, OPTIONS)
+ * - Request carries an Authorization header (not cookie-authenticated)
+ * - No auth cookies present (nothing to forge with)
+ * - SAML ACS (cross-site POST by design, authenticated by the IdP's
+ *   signature; only reached with SameSite=None cookies)
+ *
+ * Usage (server.js, before routes):
+ * app.use(csrfProtection);
+ */
+
+const csrfProtection = (req, res, next) => {
+  if (!isCookieMode() || SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (req.headers.authorization || SAML_ACS_PATH.test(req.path)) {
+    return next();
+  }
+
+  const cookies = req.cookies || {};
+  if (!cookies[ACCESS_COOKIE] && !cookies[REFRESH_COOKIE]) {
+    return next();
+  }
+
+  const headerToken = req.headers[CSRF_HEADER];
+  const cookieToken = cookies[CSRF_COOKIE];
+
+  const headerBuffer = Buffer.from(typeof headerToken === 'string' ? headerToken : '');
+  const cookieBuffer = Buffer.from(typeof cookieToken === 'string' ? cookieToken : '');
+
+  const valid = cookieBuffer.length > 0 &&
+    headerBuffer.length === cookieBuffer.length &&
+    crypto.timingSafeEqual(headerBuffer, cookieBuffer);
+
+  if (!valid) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token',
+      code: 'CSRF_INVALID'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  isCookieMode,
+  setAuthCookies,
+  clearAuthCookies,
+  sendAuthTokens,
+  getAccessTokenFromRequest,
+  getRefreshTokenFromRequest,
+  csrfProtection
+};
@@ -11,6 +11,9 @@ const nodemailer = require('nodemailer');
  * - Verification emails
  * - Password reset emails
  * - Password change confirmation
+ * - Account link confirmation
+ * - Magic login links
+ * - Email one-time passcodes (2FA)
  * - HTML + text templates
  * - Configurable SMTP
  *
@@ -469,9 +472,429 @@ The ${process.env.APP_NAME || 'Our'} Team
   }
 };
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SEND ACCOUNT LINK CONFIRMATION EMAIL
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Sent when someone signs in with a provider whose email matches
+ * an existing account. The identity is only linked after this link
+ * is clicked (or the owner logs in and confirms).
+ *
+ * @param {Object} user - User object { name, email }
+ * @param {String} provider - 'google', 'github', ...
+ * @param {String} token - Email confirmation token
+ * @returns {Promise<Boolean>} - Success status
+ */
+
+const sendAccountLinkEmail = async (user, provider, token) => {
+  const confirmUrl = `${process.env.FRONTEND_URL}/link-account/confirm?token=${token}`;
+  const label = provider.charAt(0).toUpperCase() + provider.slice(1);
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: #f0f0f0; padding: 30px; border-radius: 8px;">
+        <h1 style="color: #667eea;">🔗 Link your ${label} account?</h1>
+
+        <p>Hi ${user.name},</p>
+
+        <p>Someone just signed in with a ${label} account using your email address.
+        To let that ${label} account log in to your existing account, confirm below:</p>
+
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${confirmUrl}"
+             style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px;">
+            Link ${label} Account
+          </a>
+        </p>
+
+        <p style="color: #666; font-size: 14px;">This link expires in 15 minutes.</p>
+
+        <div style="background: #ffe6e6; border-left: 4px solid #ff4444; padding: 15px; margin: 20px 0;">
+          <strong>⚠️ Wasn't you?</strong><br>
+          Ignore this email - nothing is linked unless you click the button.
+        </div>
+
+        <p>
+          Best regards,<br>
+          The ${process.env.APP_NAME || 'Our'} Team
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textContent = `
+Hi ${user.name},
+
+Someone just signed in with a ${label} account using your email address.
+To link it to your existing account, open this link (expires in 15 minutes):
+
+${confirmUrl}
+
+⚠️ Wasn't you? Ignore this email - nothing is linked unless you click the link.
+
+Best regards,
+The ${process.env.APP_NAME || 'Our'} Team
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: `"${process.env.APP_NAME}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: user.email,
+      subject: `Link your ${label} account - ${process.env.APP_NAME}`,
+      text: textContent,
+      html: htmlContent
+    });
+
+    console.log(`📧 Account link confirmation sent to ${user.email}`);
+    return true;
+
+  } catch (error) {
+    console.error('❌ Email sending failed:', error);
+    return false;
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SEND MAGIC LINK EMAIL
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Passwordless login link (single use, see utils/magicLink.js)
+ *
+ * @param {Object} user - User object { name, email }
+ * @param {String} token - Magic link token
+ * @returns {Promise<Boolean>} - Success status
+ */
+
+const sendMagicLinkEmail = async (user, token) => {
+  const loginUrl = `${process.env.FRONTEND_URL}/magic-link/verify?token=${token}`;
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: #f0f0f0; padding: 30px; border-radius: 8px;">
+        <h1 style="color: #667eea;">✨ Your login link</h1>
+
+        <p>Hi ${user.name},</p>
+
+        <p>Click below to sign in to ${process.env.APP_NAME || 'your account'} - no password needed:</p>
+
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${loginUrl}"
+             style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px;">
+            Sign In
+          </a>
+        </p>
+
+        <p style="color: #666; font-size: 14px;">
+          This link expires in 15 minutes and can only be used once.
+          Open it in the same browser you requested it from.
+        </p>
+
+        <div style="background: #ffe6e6; border-left: 4px solid #ff4444; padding: 15px; margin: 20px 0;">
+          <strong>⚠️ Didn't request this?</strong><br>
+          Ignore this email - nobody can sign in without clicking the link.
+        </div>
+
+        <p>
+          Best regards,<br>
+          The ${process.env.APP_NAME || 'Our'} Team
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textContent = `
+Hi ${user.name},
+
+Open this link to sign in (expires in 15 minutes, single use):
+
+${loginUrl}
+
+⚠️ Didn't request this? Ignore this email - nobody can sign in without the link.
+
+Best regards,
+The ${process.env.APP_NAME || 'Our'} Team
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: `"${process.env.APP_NAME}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: user.email,
+      subject: `Your login link - ${process.env.APP_NAME}`,
+      text: textContent,
+      html: htmlContent
+    });
+
+    console.log(`📧 Magic link sent to ${user.email}`);
+    return true;
+
+  } catch (error) {
+    console.error('❌ Email sending failed:', error);
+    return false;
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SEND EMAIL ONE-TIME PASSCODE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 6-digit second-factor code (see utils/emailOtp.js)
+ *
+ * @param {Object} user - User object { name, email }
+ * @param {String} code - Plain 6-digit code
+ * @returns {Promise<Boolean>} - Success status
+ */
+
+const sendEmailOtpEmail = async (user, code) => {
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: #f0f0f0; padding: 30px; border-radius: 8px;">
+        <h1 style="color: #667eea;">🔐 Your verification code</h1>
+
+        <p>Hi ${user.name},</p>
+
+        <p>Use this code to finish signing in to ${process.env.APP_NAME || 'your account'}:</p>
+
+        <p style="text-align: center; margin: 30px 0; font-size: 32px; font-weight: bold; letter-spacing: 8px;">
+          ${code}
+        </p>
+
+        <p style="color: #666; font-size: 14px;">This code expires in 10 minutes.</p>
+
+        <div style="background: #ffe6e6; border-left: 4px solid #ff4444; padding: 15px; margin: 20px 0;">
+          <strong>⚠️ Didn't try to sign in?</strong><br>
+          Someone may know your password. Change it now and never share this code.
+        </div>
+
+        <p>
+          Best regards,<br>
+          The ${process.env.APP_NAME || 'Our'} Team
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textContent = `
+Hi ${user.name},
+
+Your verification code is: ${code}
+
+It expires in 10 minutes.
+
+⚠️ Didn't try to sign in? Someone may know your password. Change it now and never share this code.
+
+Best regards,
+The ${process.env.APP_NAME || 'Our'} Team
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: `"${process.env.APP_NAME}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: user.email,
+      subject: `${code} is your verification code - ${process.env.APP_NAME}`,
+      text: textContent,
+      html: htmlContent
+    });
+
+    console.log(`📧 Verification code sent to ${user.email}`);
+    return true;
+
+  } catch (error) {
+    console.error('❌ Email sending failed:', error);
+    return false;
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ACCESS REQUEST EMAILS (just-in-time permissions)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Sent by utils/accessRequests.js:
+ * - sendAccessRequestEmail    new request → each approver
+ * - sendAccessDecisionEmail   approved / denied → requester
+ * - sendAccessExpiredEmail    grant ended → requester
+ *
+ * Reasons and notes are free text from users → escaped
+ */
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Human-readable duration ("4 hours", "30 minutes")
+ */
+const formatDuration = (minutes) => (minutes % 60 === 0
+  ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+  : `${minutes} minute${minutes === 1 ? '' : 's'}`);
+
+/**
+ * Send one access request email (shared layout)
+ * @returns {Promise<Boolean>} - Success status
+ */
+const sendAccessEmail = async (to, subject, heading, paragraphs, logMessage) => {
+  const adminUrl = `${process.env.FRONTEND_URL}/dashboard`;
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: #f0f0f0; padding: 30px; border-radius: 8px;">
+        <h1 style="color: #667eea;">${heading}</h1>
+
+        ${paragraphs.map(paragraph => `<p>${paragraph.html}</p>`).join('\n        ')}
+
+        <p><a href="${adminUrl}" style="color: #667eea;">${adminUrl}</a></p>
+
+        <p>
+          Best regards,<br>
+          The ${process.env.APP_NAME || 'Our'} Team
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textContent = `
+${paragraphs.map(paragraph => paragraph.text).join('\n\n')}
+
+${adminUrl}
+
+Best regards,
+The ${process.env.APP_NAME || 'Our'} Team
+  `;
+
+  try {
+    await transporter.sendMail({
+      from: `"${process.env.APP_NAME}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to,
+      subject: `${subject} - ${process.env.APP_NAME}`,
+      text: textContent,
+      html: htmlContent
+    });
+
+    console.log(`📧 ${logMessage} sent to ${to}`);
+    return true;
+
+  } catch (error) {
+    console.error('❌ Email sending failed:', error);
+    // Don't throw - the request/grant itself already succeeded
+    return false;
+  }
+};
+
+/**
+ * New access request → approver
+ * @param {Object} approver - User who can approve { name, email }
+ * @param {Object} requester - User who asked { name, email }
+ * @param {Object} request - AccessRequest { permission, durationMinutes, reason }
+ * @returns {Promise<Boolean>} - Success status
+ */
+const sendAccessRequestEmail = (approver, requester, request) => sendAccessEmail(
+  approver.email,
+  `Access request: ${request.permission}`,
+  '🔑 New access request',
+  [
+    { html: `Hi ${escapeHtml(approver.name)},`, text: `Hi ${approver.name},` },
+    {
+      html: `<strong>${escapeHtml(requester.name)}</strong> (${escapeHtml(requester.email)}) requests ` +
+        `<strong>${escapeHtml(request.permission)}</strong> for ${formatDuration(request.durationMinutes)}.`,
+      text: `${requester.name} (${requester.email}) requests ${request.permission} for ${formatDuration(request.durationMinutes)}.`
+    },
+    {
+      html: `Reason: ${escapeHtml(request.reason || '(none given)')}`,
+      text: `Reason: ${request.reason || '(none given)'}`
+    },
+    { html: 'Approve or deny it in the admin panel:', text: 'Approve or deny it in the admin panel:' }
+  ],
+  'Access request notification'
+);
+
+/**
+ * Request approved or denied → requester
+ * @param {Object} user - Requester { name, email }
+ * @param {Object} request - AccessRequest { permission, status, grantExpiresAt, reviewNote }
+ * @returns {Promise<Boolean>} - Success status
+ */
+const sendAccessDecisionEmail = (user, request) => {
+  const approved = request.status === 'approved';
+
+  const paragraphs = [
+    { html: `Hi ${escapeHtml(user.name)},`, text: `Hi ${user.name},` },
+    approved
+      ? {
+        html: `Your request for <strong>${escapeHtml(request.permission)}</strong> was approved. ` +
+          `Access ends on <strong>${request.grantExpiresAt.toLocaleString()}</strong>.`,
+        text: `Your request for ${request.permission} was approved. Access ends on ${request.grantExpiresAt.toLocaleString()}.`
+      }
+      : {
+        html: `Your request for <strong>${escapeHtml(request.permission)}</strong> was denied.`,
+        text: `Your request for ${request.permission} was denied.`
+      }
+  ];
+
+  if (request.reviewNote) {
+    paragraphs.push({
+      html: `Note from the reviewer: ${escapeHtml(request.reviewNote)}`,
+      text: `Note from the reviewer: ${request.reviewNote}`
+    });
+  }
+
+  return sendAccessEmail(
+    user.email,
+    `Access ${approved ? 'approved' : 'denied'}: ${request.permission}`,
+    approved ? '✅ Access approved' : '❌ Access denied',
+    paragraphs,
+    `Access ${approved ? 'approval' : 'denial'}`
+  );
+};
+
+/**
+ * Temporary grant ended → requester
+ * @param {Object} user - { name, email }
+ * @param {Object} request - AccessRequest { permission, status }
+ * @returns {Promise<Boolean>} - Success status
+ */
+const sendAccessExpiredEmail = (user, request) => sendAccessEmail(
+  user.email,
+  `Access ended: ${request.permission}`,
+  '⏰ Temporary access ended',
+  [
+    { html: `Hi ${escapeHtml(user.name)},`, text: `Hi ${user.name},` },
+    {
+      html: `Your temporary <strong>${escapeHtml(request.permission)}</strong> access has ` +
+        `${request.status === 'revoked' ? 'been revoked by an administrator' : 'expired'}.`,
+      text: `Your temporary ${request.permission} access has ` +
+        `${request.status === 'revoked' ? 'been revoked by an administrator' : 'expired'}.`
+    },
+    { html: 'Need it again? Submit a new request:', text: 'Need it again? Submit a new request:' }
+  ],
+  'Access expiry notice'
+);
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendPasswordChangedEmail
+  sendPasswordChangedEmail,
+  sendAccountLinkEmail,
+  sendMagicLinkEmail,
+  sendEmailOtpEmail,
+  sendAccessRequestEmail,
+  sendAccessDecisionEmail,
+  sendAccessExpiredEmail
 };
 
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { sendEmailOtpEmail } = require('./email');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EMAIL ONE-TIME PASSCODES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 6-digit codes sent by email - second factor for users without
+ * an authenticator app (User.twoFactorEmailEnabled)
+ *
+ * Each code is tied to a purpose, so a code sent for one thing can't
+ * be used for another:
+ * - 'setup'              enabling the email factor (/api/2fa/email/setup)
+ * - 'manage'             disabling 2FA / new recovery codes
+ * - 'mfa:<challengeId>'  one login MFA challenge
+ * - 'reauth'             step-up before a sensitive operation (utils/reauth.js)
+ *
+ * Security:
+ * - Stored as HMAC (never the plain code), 10 minute TTL, single use
+ * - 5 wrong guesses burn the code
+ * - 10 wrong guesses per user (any code) → email codes locked 15 minutes
+ * - Resend throttling: 60s between emails, max 5 per hour
+ *
+ * Redis Keys:
+ * email_otp:<userId>:<purpose>  = { hash, attempts, expiresAt }     (TTL: 10 min)
+ * email_otp_sends:<userId>      = [send timestamps]                 (TTL: 1 hour)
+ * email_otp_failures:<userId>   = { failures, lockedUntil }         (TTL: 15 min)
+ *
+ * @file backend/utils/emailOtp.js
+ * @phase Phase 4B - Two-Factor Authentication
+ */
+
+const EMAIL_OTP_TTL = 10 * 60;          // 10 minutes (matches email text)
+const EMAIL_OTP_MAX_ATTEMPTS = 5;       // Wrong guesses per code
+const RESEND_INTERVAL = 60;             // Seconds between emails
+const MAX_SENDS_PER_HOUR = 5;
+const LOCKOUT_THRESHOLD = 10;           // Wrong guesses per user
+const LOCKOUT_DURATION = 15 * 60;       // 15 minutes
+
+/**
+ * Error with HTTP status
+ */
+const otpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Keyed hash: a leaked Redis dump doesn't reveal 6-digit codes
+ * (a plain SHA256 of 10^6 possibilities is trivially reversed)
+ */
+const hashCode = (userId, purpose, code) => crypto
+  .createHmac('sha256', process.env.JWT_MFA_SECRET || process.env.JWT_ACCESS_SECRET)
+  .update(`${userId}:${purpose}:${code}`)
+  .digest('hex');
+
+/**
+ * Throw while the user's email codes are locked
+ */
+const assertNotLocked = async (redis, userId) => {
+  const stored = await redis.get(`email_otp_failures:${userId}`);
+  const lock = stored ? JSON.parse(stored) : null;
+
+  if (lock?.lockedUntil && lock.lockedUntil > Date.now()) {
+    const minutesLeft = Math.ceil((lock.lockedUntil - Date.now()) / (60 * 1000));
+    throw otpError(`Too many invalid codes. Email codes are locked for ${minutesLeft} minutes.`, 429);
+  }
+};
+
+/**
+ * Count a wrong guess towards the per-user lockout
+ */
+const recordFailure = async (redis, userId) => {
+  const key = `email_otp_failures:${userId}`;
+  const stored = await redis.get(key);
+  const record = stored ? JSON.parse(stored) : { failures: 0 };
+
+  record.failures += 1;
+
+  if (record.failures >= LOCKOUT_THRESHOLD) {
+    record.lockedUntil = Date.now() + LOCKOUT_DURATION * 1000;
+    console.warn(`⚠️  Email OTP locked for user ${userId} after ${record.failures} invalid codes`);
+  }
+
+  await redis.set(key, JSON.stringify(record), 'EX', LOCKOUT_DURATION);
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SEND CODE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} user - User document
+ * @param {String} purpose - 'setup' | 'manage' | 'mfa:<challengeId>' | 'reauth'
+ * @returns {Promise<Object>} - { expiresIn, resendIn } (seconds)
+ * @throws {Error} - status 429 when throttled or locked, 502 if the email fails
+ *
+ * A new code replaces the previous one for the same purpose
+ */
+
+const sendEmailOtp = async (user, purpose) => {
+  const redis = getRedisClient();
+  const userId = user._id.toString();
+
+  await assertNotLocked(redis, userId);
+
+  // ─────────────────────────────────────────────────────────
+  // Resend Throttling
+  // ─────────────────────────────────────────────────────────
+  const sendsKey = `email_otp_sends:${userId}`;
+  const oneHourAgo = Date.now() - 60 * 60 * 1000;
+  const sends = JSON.parse(await redis.get(sendsKey) || '[]').filter(sentAt => sentAt > oneHourAgo);
+  const lastSent = sends[sends.length - 1];
+
+  if (lastSent && Date.now() - lastSent < RESEND_INTERVAL * 1000) {
+    const secondsLeft = Math.ceil((lastSent + RESEND_INTERVAL * 1000 - Date.now()) / 1000);
+    throw otpError(`Please wait ${secondsLeft} seconds before requesting another code`, 429);
+  }
+
+  if (sends.length >= MAX_SENDS_PER_HOUR) {
+    const minutesLeft = Math.ceil((sends[0] - oneHourAgo) / (60 * 1000));
+    throw otpError(`Too many codes requested. Please try again in ${minutesLeft} minutes.`, 429);
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Generate + Store (hashed)
+  // ─────────────────────────────────────────────────────────
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await redis.set(
+    `email_otp:${userId}:${purpose}`,
+    JSON.stringify({
+      hash: hashCode(userId, purpose, code),
+      attempts: 0,
+      expiresAt: Date.now() + EMAIL_OTP_TTL * 1000
+    }),
+    'EX',
+    EMAIL_OTP_TTL
+  );
+
+  sends.push(Date.now());
+  await redis.set(sendsKey, JSON.stringify(sends), 'EX', 60 * 60);
+
+  // ─────────────────────────────────────────────────────────
+  // Send Email
+  // ─────────────────────────────────────────────────────────
+  const sent = await sendEmailOtpEmail(user, code);
+
+  if (!sent) {
+    await redis.del(`email_otp:${userId}:${purpose}`);
+    throw otpError('Failed to send verification email. Please try again later.', 502);
+  }
+
+  console.log(`📧 Email OTP sent to user ${userId} (${purpose.split(':')[0]})`);
+
+  return { expiresIn: EMAIL_OTP_TTL, resendIn: RESEND_INTERVAL };
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VERIFY CODE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} user - User document
+ * @param {String} purpose - Same purpose the code was sent for
+ * @param {String} code - 6-digit code from the email
+ * @returns {Promise<Boolean>} - True if valid (code is consumed)
+ * @throws {Error} - status 429 while locked out
+ *
+ * No pending code → false without counting a failure, so a wrong
+ * TOTP code tried first doesn't burn email attempts
+ */
+
+const verifyEmailOtp = async (user, purpose, code) => {
+  const redis = getRedisClient();
+  const userId = user._id.toString();
+  const key = `email_otp:${userId}:${purpose}`;
+
+  const stored = await redis.get(key);
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!stored || !/^\d{6}$/.test(normalized)) {
+    return false;
+  }
+
+  await assertNotLocked(redis, userId);
+
+  const record = JSON.parse(stored);
+  const expected = Buffer.from(record.hash);
+  const actual = Buffer.from(hashCode(userId, purpose, normalized));
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    record.attempts += 1;
+
+    // Keep the original expiry - wrong guesses don't extend the code
+    const secondsLeft = Math.ceil((record.expiresAt - Date.now()) / 1000);
+
+    if (record.attempts >= EMAIL_OTP_MAX_ATTEMPTS || secondsLeft <= 0) {
+      await redis.del(key);
+    } else {
+      await redis.set(key, JSON.stringify(record), 'EX', secondsLeft);
+    }
+
+    await recordFailure(redis, userId);
+    return false;
+  }
+
+  // Single use - only the request that deletes the key wins
+  if (await redis.del(key) === 0) {
+    return false;
+  }
+
+  await redis.del(`email_otp_failures:${userId}`);
+  return true;
+};
+
+module.exports = {
+  sendEmailOtp,
+  verifyEmailOtp
+};
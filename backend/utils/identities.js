@@ -0,0 +1,187 @@
+const User = require('../models/User');
+const { ROLES } = require('../config/roles');
+const { isKnownRole } = require('./roleStore');
+const { consumeLinkIntent, createPendingLink } = require('./oauthExchange');
+const { sendAccountLinkEmail } = require('./email');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LINKED IDENTITIES: RESOLVE EXTERNAL LOGIN → USER
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Shared by every external login:
+ * - Passport strategies (config/passport.js)
+ * - Enterprise OIDC SSO connections (routes/oauth.js)
+ *
+ * @file backend/utils/identities.js
+ * @phase Phase 4 - Linked Identities
+ */
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * RESOLVE PROFILE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Link mode (logged-in user clicked "Link Google" - see oauthExchange):
+ * - Attach identity to that user, never log in as someone else
+ * - Result reported on req.oauthLink = { provider, error? }
+ *
+ * Login mode:
+ * 1. Identity already linked → that user
+ * 2. User with same email → pending link, NOT logged in
+ *    (req.oauthPendingLink = { token, provider }) - unless the
+ *    account was SCIM-provisioned by the same SSO connection
+ * 3. Otherwise → create user
+ *
+ * @param {Object} req - Express request (req.oauthState set by checkOAuthState)
+ * @param {String} provider - 'google', 'github', ..., 'sso'
+ * @param {Object} info - { providerId, email, name, picture, connection?, label?, emailVerified? }
+ *                        connection: SsoConnection _id (provider 'sso' only)
+ *                        emailVerified: false if the provider doesn't vouch
+ *                        for the email (new account stays unverified)
+ * @returns {Promise<Object>} - User
+ */
+const resolveOAuthUser = async (req, provider, { providerId, email, name, picture, connection, label, emailVerified = true }) => {
+  label = label || provider.charAt(0).toUpperCase() + provider.slice(1);
+  email = email.toLowerCase(); // Same normalization as User.email
+  const linkUserId = await consumeLinkIntent(req.oauthState);
+  const owner = await User.findByIdentity(provider, providerId);
+
+  // ─────────────────────────────────────────────────────────
+  // Link Mode
+  // ─────────────────────────────────────────────────────────
+  if (linkUserId) {
+    const user = await User.findById(linkUserId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    req.oauthLink = { provider };
+
+    if (owner && !owner._id.equals(user._id)) {
+      req.oauthLink.error = `This ${label} account is already linked to another user`;
+      return user;
+    }
+
+    try {
+      user.linkIdentity(provider, providerId, email, { connection });
+      await user.save();
+      console.log(`🔗 ${label} linked to ${user.email}`);
+    } catch (error) {
+      req.oauthLink.error = error.message;
+    }
+
+    return user;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Case 1: Identity already linked
+  // ─────────────────────────────────────────────────────────
+  if (owner) {
+    owner.migrateLegacyIdentity();
+
+    // Update profile picture if changed
+    if (picture) {
+      owner.profilePicture = picture;
+    }
+
+    await owner.save();
+
+    console.log(`✅ ${label} OAuth: Existing user logged in - ${owner.email}`);
+    return owner;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Case 2: User exists with same email (pending link)
+  // ─────────────────────────────────────────────────────────
+  /**
+   * Account Linking:
+   * ────────────────────────────────────────────────────────
+   * Matching email alone is NOT proof of owning the account:
+   * an unverified local signup (or a provider that doesn't
+   * verify emails) would otherwise allow account takeover.
+   * 
+   * → Park the identity in Redis, owner must confirm by
+   *   logging in with existing credentials or via email link
+   */
+  let user = await User.findOne({ email });
+
+  // Provisioned by this connection's SCIM → its first SSO login
+  if (user && connection && user.scim?.connection?.equals(connection)) {
+    user.linkIdentity(provider, providerId, email, { connection });
+    if (picture) {
+      user.profilePicture = picture;
+    }
+    await user.save();
+
+    console.log(`✅ ${label}: First login of SCIM-provisioned user - ${email}`);
+    return user;
+  }
+
+  if (user) {
+    const { token, emailToken } = await createPendingLink(
+      user,
+      { provider, providerId, email, connection },
+      req.oauthState
+    );
+
+    await sendAccountLinkEmail(user, provider, emailToken);
+
+    req.oauthPendingLink = { token, provider };
+
+    console.log(`⏳ ${label} OAuth: Pending link to existing account - ${email}`);
+    return user;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Case 3: New user - Create account
+  // ─────────────────────────────────────────────────────────
+  user = await User.create({
+    name,
+    email,
+    provider,
+    identities: [{ provider, providerId: String(providerId), email, connection }],
+    profilePicture: picture || '',
+    isVerified: emailVerified, // Verified by the provider (unless it says otherwise)
+    roles: ['user']
+  });
+
+  console.log(`✅ ${label} OAuth: New user created - ${email}`);
+  return user;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SSO ROLE SYNC
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Connections with a `roles` claim mapping own their users' roles:
+ * every login replaces them with what the IdP asserted
+ * (mapped through connection.roleMappings, always including 'user')
+ *
+ * @param {Object} user - User who just logged in through the connection
+ * @param {Array|null} roles - From mapClaims; null → roles managed locally
+ * @returns {Promise<Boolean>} - true if roles changed
+ */
+const applyConnectionRoles = async (user, roles) => {
+  if (!roles) return false;
+
+  const next = [...new Set([ROLES.USER, ...roles.filter(role => isKnownRole(role))])];
+
+  const unchanged = next.length === user.roles.length &&
+    next.every(role => user.roles.includes(role));
+
+  if (unchanged) return false;
+
+  console.log(`🏢 SSO roles synced for ${user.email}: ${user.roles.join(', ')} → ${next.join(', ')}`);
+
+  user.roles = next;
+  await user.save();
+  return true;
+};
+
+module.exports = {
+  resolveOAuthUser,
+  applyConnectionRoles
+};
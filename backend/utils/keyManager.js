@@ -0,0 +1,332 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const SigningKey = require('../models/SigningKey');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SIGNING KEY MANAGER
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Asymmetric JWT signing (RS256 / ES256) with key rotation
+ *
+ * Features:
+ * - Sign with the active private key, `kid` in the JWT header
+ * - Verify with any published key (active + retiring)
+ * - JWKS export for downstream services (/.well-known/jwks.json)
+ * - Scheduled rotation with an overlap window
+ *
+ * Why asymmetric?
+ * - Downstream services only need the PUBLIC keys (from JWKS)
+ * - Nobody but this server can mint tokens
+ *
+ * @file backend/utils/keyManager.js
+ * @phase Phase 4 - Asymmetric JWT Signing
+ *
+ * Environment:
+ * - JWT_SIGNING_ALG                   RS256 (default) or ES256
+ * - JWT_KEY_ROTATION_INTERVAL_DAYS    Rotate active key after N days (default 30)
+ * - JWT_KEY_OVERLAP_HOURS             Old key keeps verifying for N hours (default 24)
+ *                                     Must exceed access token lifetime + JWKS cache time
+ */
+
+const ALGORITHM = process.env.JWT_SIGNING_ALG || 'RS256';
+const ROTATION_INTERVAL_MS = (parseFloat(process.env.JWT_KEY_ROTATION_INTERVAL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const OVERLAP_MS = (parseFloat(process.env.JWT_KEY_OVERLAP_HOURS) || 24) * 60 * 60 * 1000;
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000; // Reload keys / check rotation every 10 min
+const MISS_RELOAD_INTERVAL_MS = 30 * 1000;  // At most one reload per 30 s for unknown kids
+
+/**
+ * In-memory key cache
+ * ────────────────────────────────────────────────────────────────────────
+ * Signing must be synchronous (generateAccessToken is sync),
+ * so keys are loaded from MongoDB at startup and refreshed periodically
+ */
+let activeKey = null;          // { kid, alg, privateKey, publicKey }
+let verificationKeys = new Map(); // kid → { kid, alg, publicKey, verifyUntil }
+let refreshTimer = null;
+let lastMissReload = 0;
+let missReload = null;             // In-flight reload shared by concurrent misses
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * KEY GENERATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Generate a new key pair for the configured algorithm
+ * @returns {Object} - { kid, alg, publicKey, privateKey } (PEM strings)
+ */
+const generateKeyPair = (alg = ALGORITHM) => {
+  const options = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+
+  const { publicKey, privateKey } = alg === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...options })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...options });
+
+  return {
+    kid: crypto.randomBytes(16).toString('hex'),
+    alg,
+    publicKey,
+    privateKey
+  };
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LOAD KEYS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Reload the key cache from MongoDB
+ * (picks up rotations done by other server instances)
+ */
+
+const loadKeys = async () => {
+  const now = Date.now();
+  const keys = await SigningKey.find({
+    $or: [
+      { status: 'active' },
+      { status: 'retiring', verifyUntil: { $gt: now } }
+    ]
+  }).select('+privateKey').sort({ createdAt: -1 });
+
+  const nextVerificationKeys = new Map();
+  let nextActive = null;
+
+  keys.forEach((key) => {
+    nextVerificationKeys.set(key.kid, {
+      kid: key.kid,
+      alg: key.alg,
+      publicKey: key.publicKey,
+      verifyUntil: key.verifyUntil ? key.verifyUntil.getTime() : null
+    });
+
+    // Newest active key wins (sorted by createdAt desc)
+    if (key.status === 'active' && !nextActive) {
+      nextActive = {
+        kid: key.kid,
+        alg: key.alg,
+        publicKey: key.publicKey,
+        privateKey: key.privateKey,
+        createdAt: key.createdAt.getTime()
+      };
+    }
+  });
+
+  activeKey = nextActive;
+  verificationKeys = nextVerificationKeys;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ROTATE SIGNING KEY
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Creates a new active key; the previous one keeps verifying
+ * for the overlap window
+ *
+ * @returns {Promise<String>} - kid of the new active key
+ *
+ * Flow:
+ * 1. Mark ALL active keys as retiring (verifyUntil = now + overlap)
+ * 2. Create new active key
+ * 3. Reload cache
+ *
+ * Multiple servers: the conditional update means only one instance
+ * retires a given key; others pick up the result on their next reload.
+ * Retiring every active key (not just the newest) lets a concurrent
+ * first boot that created two active keys converge on one
+ */
+
+const rotateSigningKey = async () => {
+  const current = await SigningKey.find({ status: 'active' }).select('_id');
+
+  if (current.length > 0) {
+    const { modifiedCount } = await SigningKey.updateMany(
+      { _id: { $in: current.map(key => key._id) }, status: 'active' },
+      { status: 'retiring', verifyUntil: new Date(Date.now() + OVERLAP_MS) }
+    );
+
+    // Another instance already rotated these keys
+    if (modifiedCount === 0) {
+      await loadKeys();
+      return activeKey?.kid;
+    }
+  }
+
+  const keyPair = generateKeyPair();
+  await SigningKey.create({ ...keyPair, status: 'active' });
+
+  await loadKeys();
+
+  console.log(`🔐 Signing key rotated (new kid: ${keyPair.kid.substring(0, 8)}..., alg: ${keyPair.alg})`);
+
+  return keyPair.kid;
+};
+
+/**
+ * Rotate if the active key is missing, too old, or uses another algorithm
+ */
+const rotateIfDue = async () => {
+  await loadKeys();
+
+  if (
+    !activeKey ||
+    activeKey.alg !== ALGORITHM ||
+    Date.now() - activeKey.createdAt >= ROTATION_INTERVAL_MS
+  ) {
+    await rotateSigningKey();
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INITIALIZE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Called once on server startup (after MongoDB connects)
+ * - Ensures an active key exists
+ * - Schedules periodic reload + rotation check
+ */
+
+const initKeyManager = async () => {
+  await rotateIfDue();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      rotateIfDue().catch((error) => {
+        console.error('❌ Signing key refresh failed:', error.message);
+      });
+    }, REFRESH_INTERVAL_MS);
+
+    // Don't keep the process alive just for this timer
+    refreshTimer.unref();
+  }
+
+  console.log(`🔐 Key manager ready (${verificationKeys.size} key(s), active kid: ${activeKey.kid.substring(0, 8)}...)`);
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SIGN / VERIFY
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Sign a JWT with the active private key
+ * @param {Object} payload - JWT claims
+ * @param {Object} options - jsonwebtoken sign options (expiresIn, ...)
+ * @returns {String} - Signed JWT with kid header
+ */
+const signToken = (payload, options = {}) => {
+  if (!activeKey) {
+    throw new Error('Key manager not initialized. Call initKeyManager() first in server.js');
+  }
+
+  return jwt.sign(payload, activeKey.privateKey, {
+    ...options,
+    algorithm: activeKey.alg,
+    keyid: activeKey.kid
+  });
+};
+
+/**
+ * Reload keys after a cache miss (unknown kid)
+ * ────────────────────────────────────────────────────────────────────────
+ * Another instance may have just rotated - don't reject its tokens
+ * until the next scheduled reload. Rate-limited so tokens with made-up
+ * kids can't hammer MongoDB; concurrent misses share one reload
+ */
+const reloadOnMiss = async () => {
+  if (!missReload) {
+    if (Date.now() - lastMissReload < MISS_RELOAD_INTERVAL_MS) return;
+
+    lastMissReload = Date.now();
+    missReload = loadKeys()
+      .catch((error) => {
+        console.error('❌ Signing key reload failed:', error.message);
+      })
+      .finally(() => {
+        missReload = null;
+      });
+  }
+
+  await missReload;
+};
+
+/**
+ * Published, unexpired key for a kid (undefined if none)
+ */
+const getVerificationKey = (kid) => {
+  const key = verificationKeys.get(kid);
+  return key && !(key.verifyUntil && key.verifyUntil <= Date.now()) ? key : undefined;
+};
+
+/**
+ * Verify a JWT against the published keys
+ * @param {String} token - JWT
+ * @returns {Promise<Object>} - Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError} - Same errors as jwt.verify
+ */
+const verifyToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded || !decoded.header.kid) {
+    throw new jwt.JsonWebTokenError('invalid token');
+  }
+
+  let key = getVerificationKey(decoded.header.kid);
+
+  if (!key) {
+    await reloadOnMiss();
+    key = getVerificationKey(decoded.header.kid);
+  }
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  // Pin algorithm to the key's - never trust the token's alg header
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * JWKS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Public keys in JSON Web Key Set format (RFC 7517)
+ *
+ * @returns {Object} - { keys: [{ kty, kid, alg, use, n, e | crv, x, y }] }
+ */
+
+const getJwks = () => {
+  const now = Date.now();
+  const keys = [];
+
+  verificationKeys.forEach((key) => {
+    if (key.verifyUntil && key.verifyUntil <= now) return;
+
+    const jwk = crypto.createPublicKey(key.publicKey).export({ format: 'jwk' });
+
+    keys.push({
+      ...jwk,
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    });
+  });
+
+  return { keys };
+};
+
+module.exports = {
+  initKeyManager,
+  rotateSigningKey,
+  signToken,
+  verifyToken,
+  getJwks
+};
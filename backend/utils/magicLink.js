@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { getRedisClient } = require('../config/redis');
+const { sendMagicLinkEmail } = require('./email');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PASSWORDLESS LOGIN: MAGIC LINKS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Flow:
+ * 1. POST /api/auth/magic-link { email } (or requestMagicLink mutation)
+ *    → single-use link emailed, browser gets an HttpOnly binding cookie
+ * 2. User opens /magic-link/verify?token=... (frontend page)
+ * 3. POST /api/auth/magic-link/verify { token }
+ *    → same browser (cookie matches) → logged in (or 2FA challenge)
+ *
+ * Browser binding:
+ * A link opened somewhere else (phone, other browser) has no cookie.
+ * It is then only accepted together with the email address it was
+ * sent to - an attacker can't mail a victim their OWN link and get
+ * the victim logged into the attacker's account (login CSRF).
+ * A wrong email burns the link.
+ *
+ * Only verified, active accounts get links; everyone else gets the
+ * same response so the endpoint can't be used to probe for accounts.
+ *
+ * Redis Keys:
+ * magic_link:<sha256(token)>  = { userId, email, binding }  (TTL: 15 min)
+ * magic_link_user:<userId>    = sha256(token) of latest link (TTL: 15 min)
+ *
+ * @file backend/utils/magicLink.js
+ * @phase Phase 4 - Passwordless Login
+ */
+
+const MAGIC_LINK_COOKIE = 'kta_magic_link';
+const MAGIC_LINK_TTL = 15 * 60;        // 15 minutes (matches email text)
+const MAX_REQUESTS_PER_HOUR = 3;       // Same limit as /forgot-password
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Binding cookie options
+ * ────────────────────────────────────────────────────────────────────────
+ * Path '/' so both /api/auth/magic-link/verify and /graphql see it
+ */
+const bindingCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/',
+  maxAge: MAGIC_LINK_TTL * 1000
+});
+
+/**
+ * Error with HTTP status (+ machine-readable code)
+ */
+const magicLinkError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REQUEST LINK
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Email a magic link (silently does nothing for unknown accounts)
+ * @param {String} email - Address entered on the login page
+ * @param {Object} res - Express response (binding cookie)
+ * @throws {Error} - status 429 when rate limited
+ */
+const requestMagicLink = async (email, res) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+  // Unverified addresses aren't proven to belong to the account holder
+  if (!user || !user.isVerified || !user.isActive) {
+    return;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Rate Limiting (max 3 per hour)
+  // ─────────────────────────────────────────────────────────
+  const oneHour = 60 * 60 * 1000;
+
+  if (user.lastMagicLinkRequest) {
+    const timeSinceLastRequest = Date.now() - user.lastMagicLinkRequest.getTime();
+
+    if (timeSinceLastRequest < oneHour && user.magicLinkAttempts >= MAX_REQUESTS_PER_HOUR) {
+      const minutesLeft = Math.ceil((oneHour - timeSinceLastRequest) / (60 * 1000));
+      throw magicLinkError(`Too many login link requests. Please try again in ${minutesLeft} minutes.`, 429);
+    }
+
+    // Reset counter if more than 1 hour passed
+    if (timeSinceLastRequest >= oneHour) {
+      user.magicLinkAttempts = 0;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Store Link (newest link replaces older ones)
+  // ─────────────────────────────────────────────────────────
+  const token = crypto.randomBytes(32).toString('base64url');
+  const binding = crypto.randomBytes(32).toString('base64url');
+  const tokenHash = hashToken(token);
+
+  const redis = getRedisClient();
+  const userKey = `magic_link_user:${user._id}`;
+  const previous = await redis.get(userKey);
+
+  if (previous) {
+    await redis.del(`magic_link:${previous}`);
+  }
+
+  await redis.set(
+    `magic_link:${tokenHash}`,
+    JSON.stringify({ userId: user._id.toString(), email: user.email, binding: hashToken(binding) }),
+    'EX',
+    MAGIC_LINK_TTL
+  );
+  await redis.set(userKey, tokenHash, 'EX', MAGIC_LINK_TTL);
+
+  user.magicLinkAttempts += 1;
+  user.lastMagicLinkRequest = Date.now();
+  await user.save();
+
+  res.cookie(MAGIC_LINK_COOKIE, binding, bindingCookieOptions());
+
+  await sendMagicLinkEmail(user, token);
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VERIFY LINK
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Redeem a magic link (single use)
+ * @param {String} token - From the emailed URL
+ * @param {Object} req - Express request (binding cookie)
+ * @param {Object} res - Express response (cookie cleared)
+ * @param {String} email - Confirmation when opened in another browser
+ * @returns {Promise<Object>} - User
+ * @throws {Error} - status 400 invalid/expired, 409 MAGIC_LINK_CONFIRM_EMAIL,
+ *                   403 account deactivated
+ */
+const verifyMagicLink = async (token, req, res, email) => {
+  if (!token || typeof token !== 'string') {
+    throw magicLinkError('Login link is invalid or has expired', 400);
+  }
+
+  const redis = getRedisClient();
+  const key = `magic_link:${hashToken(token)}`;
+  const stored = await redis.get(key);
+
+  if (!stored) {
+    throw magicLinkError('Login link is invalid or has expired', 400);
+  }
+
+  const link = JSON.parse(stored);
+  const cookie = req.cookies?.[MAGIC_LINK_COOKIE];
+  const sameBrowser = typeof cookie === 'string' && crypto.timingSafeEqual(
+    Buffer.from(hashToken(cookie)),
+    Buffer.from(link.binding)
+  );
+
+  // ─────────────────────────────────────────────────────────
+  // Other Browser: Require the Address the Link Was Sent To
+  // ─────────────────────────────────────────────────────────
+  if (!sameBrowser) {
+    if (!email) {
+      throw magicLinkError(
+        'This link was requested in another browser. Enter your email address to continue.',
+        409,
+        'MAGIC_LINK_CONFIRM_EMAIL'
+      );
+    }
+
+    if (String(email).toLowerCase().trim() !== link.email) {
+      await redis.del(key);
+      throw magicLinkError('Login link is invalid or has expired', 400);
+    }
+  }
+
+  // Single use - only the request that deletes the key wins
+  if (await redis.del(key) === 0) {
+    throw magicLinkError('Login link is invalid or has expired', 400);
+  }
+
+  await redis.del(`magic_link_user:${link.userId}`);
+  res.clearCookie(MAGIC_LINK_COOKIE, { ...bindingCookieOptions(), maxAge: undefined });
+
+  const user = await User.findById(link.userId);
+
+  if (!user) {
+    throw magicLinkError('Login link is invalid or has expired', 400);
+  }
+
+  if (!user.isActive) {
+    throw magicLinkError('Account is deactivated. Contact your administrator.', 403, 'ACCOUNT_DEACTIVATED');
+  }
+
+  user.lastLogin = Date.now();
+  await user.save();
+
+  console.log(`✨ Magic link login: ${user.email}${sameBrowser ? '' : ' (other browser, email confirmed)'}`);
+  return user;
+};
+
+module.exports = {
+  MAGIC_LINK_COOKIE,
+  requestMagicLink,
+  verifyMagicLink
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SOCIAL LOGIN: STATE + ONE-TIME CODE EXCHANGE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Keeps tokens out of the OAuth redirect URL
+ *
+ * Flow:
+ * 1. Frontend generates `state`, keeps it in sessionStorage,
+ *    navigates to /api/auth/google?state=...
+ * 2. Backend binds state to the browser (HttpOnly cookie) and
+ *    passes it to the provider
+ * 3. Callback: state from provider must match the cookie
+ *    → attacker can't complete THEIR login in the victim's browser
+ * 4. Backend stores a 60s single-use code in Redis, redirects to
+ *    /auth/callback?code=... (no tokens in history/referrers/logs)
+ * 5. Frontend POSTs { code, state } to /api/auth/oauth/exchange
+ *    → state must match what was stored with the code
+ *
+ * Linking (logged-in user adds Google/GitHub to their account):
+ * Frontend registers its state via POST /api/auth/identities/:provider/link
+ * before step 1; the callback then links instead of logging in.
+ *
+ * Pending links (provider email matches an existing account):
+ * Nothing is merged automatically - the identity is parked in Redis
+ * until the account owner proves ownership by either
+ * - logging in and confirming (token + the same browser's state), or
+ * - clicking the emailed confirmation link
+ *
+ * Redis Keys:
+ * oauth_exchange:<code>             = { userId, state }  (TTL: 60s)
+ * oauth_link:<state>                = userId             (TTL: 10 min)
+ * oauth_pending_link:<token>        = { userId, provider, providerId, email, state }  (TTL: 15 min)
+ * oauth_pending_link_email:<token>  = pending link token (TTL: 15 min)
+ *
+ * @file backend/utils/oauthExchange.js
+ * @phase Phase 4 - OAuth Code Exchange
+ */
+
+const OAUTH_STATE_COOKIE = 'kta_oauth_state';
+const OAUTH_STATE_MAX_AGE = 10 * 60 * 1000; // 10 minutes to finish at the provider
+const EXCHANGE_CODE_TTL = 60;               // 60 seconds
+const LINK_INTENT_TTL = 10 * 60;            // 10 minutes (same as state cookie)
+const PENDING_LINK_TTL = 15 * 60;           // 15 minutes (matches email text)
+
+// URL-safe, enough entropy to be unguessable
+const STATE_PATTERN = /^[A-Za-z0-9\-._~]{16,128}$/;
+
+/**
+ * State cookie options
+ * ────────────────────────────────────────────────────────────────────────
+ * Always SameSite=Lax: the provider's redirect back is a cross-site
+ * top-level navigation, which Strict cookies would not survive
+ */
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth',
+  maxAge: OAUTH_STATE_MAX_AGE
+});
+
+/**
+ * Constant-time string comparison
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(typeof a === 'string' ? a : '');
+  const bufB = Buffer.from(typeof b === 'string' ? b : '');
+
+  return bufA.length > 0 &&
+    bufA.length === bufB.length &&
+    crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * STATE
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Is this a well-formed state value?
+ * @param {String} state
+ * @returns {Boolean}
+ */
+const isValidState = (state) => typeof state === 'string' && STATE_PATTERN.test(state);
+
+/**
+ * Start of a social login: bind the frontend's state to this browser
+ * @param {Object} req - Express request (?state=...)
+ * @param {Object} res - Express response
+ * @returns {String|null} - State to send to the provider, null if invalid
+ */
+const beginOAuthState = (req, res) => {
+  const { state } = req.query;
+
+  if (!isValidState(state)) {
+    return null;
+  }
+
+  res.cookie(OAUTH_STATE_COOKIE, state, stateCookieOptions());
+  return state;
+};
+
+/**
+ * Provider callback: state must match the browser's cookie
+ * @param {Object} req - Express request (?state=... from provider)
+ * @param {Object} res - Express response
+ * @returns {String|null} - Verified state, null on mismatch
+ *
+ * Cookie is cleared either way (single use)
+ */
+const verifyOAuthState = (req, res) => {
+  const cookieState = req.cookies?.[OAUTH_STATE_COOKIE];
+  const { state } = req.query;
+
+  const { maxAge, ...clearOptions } = stateCookieOptions();
+  res.clearCookie(OAUTH_STATE_COOKIE, clearOptions);
+
+  return safeEqual(state, cookieState) ? state : null;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EXCHANGE CODE
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Issue a one-time code for a completed social login
+ * @param {Object} user - Authenticated user
+ * @param {String} state - Verified state
+ * @returns {Promise<String>} - Code for the frontend redirect
+ */
+const createExchangeCode = async (user, state) => {
+  const redis = getRedisClient();
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  await redis.set(
+    `oauth_exchange:${code}`,
+    JSON.stringify({ userId: user._id.toString(), state }),
+    'EX',
+    EXCHANGE_CODE_TTL
+  );
+
+  return code;
+};
+
+/**
+ * Redeem a one-time code (deleted on first use, even if state mismatches)
+ * @param {String} code - From the redirect URL
+ * @param {String} state - Frontend's stored state
+ * @returns {Promise<String|null>} - User ID, or null if invalid
+ */
+const consumeExchangeCode = async (code, state) => {
+  if (!code || typeof code !== 'string') return null;
+
+  const redis = getRedisClient();
+  const key = `oauth_exchange:${code}`;
+  const stored = await redis.get(key);
+
+  if (!stored) return null;
+
+  await redis.del(key);
+
+  const { userId, state: expectedState } = JSON.parse(stored);
+  return safeEqual(state, expectedState) ? userId : null;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LINK INTENT
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Mark a pending OAuth flow as "link to this user" rather than login
+ * @param {String} userId - Logged-in user
+ * @param {String} state - State the frontend will start the flow with
+ */
+const createLinkIntent = async (userId, state) => {
+  const redis = getRedisClient();
+  await redis.set(`oauth_link:${state}`, userId.toString(), 'EX', LINK_INTENT_TTL);
+};
+
+/**
+ * Take the link intent for a verified state (single use)
+ * @param {String} state - Verified state from the callback
+ * @returns {Promise<String|null>} - User ID to link to, null for a normal login
+ */
+const consumeLinkIntent = async (state) => {
+  if (!state) return null;
+
+  const redis = getRedisClient();
+  const key = `oauth_link:${state}`;
+  const userId = await redis.get(key);
+
+  if (userId) {
+    await redis.del(key);
+  }
+
+  return userId || null;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PENDING LINK
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Park an OAuth identity that collides with an existing account's email
+ * @param {Object} user - Existing account
+ * @param {Object} identity - { provider, providerId, email, connection? }
+ * @param {String} state - Verified state of the OAuth flow (binds to browser)
+ * @returns {Promise<Object>} - { token, emailToken }
+ */
+const createPendingLink = async (user, { provider, providerId, email, connection }, state) => {
+  const redis = getRedisClient();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const emailToken = crypto.randomBytes(32).toString('base64url');
+
+  await redis.set(
+    `oauth_pending_link:${token}`,
+    JSON.stringify({ userId: user._id.toString(), provider, providerId: String(providerId), email, connection, state }),
+    'EX',
+    PENDING_LINK_TTL
+  );
+  await redis.set(`oauth_pending_link_email:${emailToken}`, token, 'EX', PENDING_LINK_TTL);
+
+  return { token, emailToken };
+};
+
+/**
+ * Look up a pending link without consuming it
+ * @param {String} token
+ * @returns {Promise<Object|null>}
+ */
+const getPendingLink = async (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const redis = getRedisClient();
+  const stored = await redis.get(`oauth_pending_link:${token}`);
+
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Confirm a pending link from the logged-in owner's browser (single use)
+ * @param {String} token - From the /link-account redirect
+ * @param {String} state - Frontend's stored OAuth state
+ * @param {String} userId - Logged-in user
+ * @returns {Promise<Object|null>} - Pending link, or null if invalid
+ */
+const consumePendingLink = async (token, state, userId) => {
+  const pending = await getPendingLink(token);
+
+  if (!pending || pending.userId !== userId.toString() || !safeEqual(state, pending.state)) {
+    return null;
+  }
+
+  const redis = getRedisClient();
+  await redis.del(`oauth_pending_link:${token}`);
+
+  return pending;
+};
+
+/**
+ * Confirm a pending link via the emailed token (single use)
+ * @param {String} emailToken - From the confirmation email
+ * @returns {Promise<Object|null>} - Pending link, or null if invalid/expired
+ */
+const consumePendingLinkByEmail = async (emailToken) => {
+  if (!emailToken || typeof emailToken !== 'string') return null;
+
+  const redis = getRedisClient();
+  const emailKey = `oauth_pending_link_email:${emailToken}`;
+  const token = await redis.get(emailKey);
+
+  if (!token) return null;
+
+  await redis.del(emailKey);
+
+  const pending = await getPendingLink(token);
+  if (!pending) return null;
+
+  await redis.del(`oauth_pending_link:${token}`);
+  return pending;
+};
+
+module.exports = {
+  OAUTH_STATE_COOKIE,
+  isValidState,
+  beginOAuthState,
+  verifyOAuthState,
+  createExchangeCode,
+  consumeExchangeCode,
+  createLinkIntent,
+  consumeLinkIntent,
+  createPendingLink,
+  getPendingLink,
+  consumePendingLink,
+  consumePendingLinkByEmail
+};
@@ -0,0 +1,538 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuthClient = require('../models/OAuthClient');
+const { getRedisClient } = require('../config/redis');
+const { signToken, verifyToken } = require('./keyManager');
+const {
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  decodeRefreshToken,
+  inspectRefreshToken,
+  revokeTokenFamily
+} = require('./tokens');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * OPENID CONNECT PROVIDER UTILITY
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Authorization codes, PKCE, client authentication and token minting
+ * for "Sign in with KTA" and machine-to-machine service clients
+ *
+ * @file backend/utils/oidc.js
+ * @phase Phase 4 - OpenID Connect Provider
+ *
+ * Redis keys:
+ * - oidc_code:code   → pending authorization code (single-use, 60s)
+ *
+ * Environment:
+ * - OIDC_ISSUER              Public base URL of this server (default http://localhost:5000)
+ * - OIDC_ACCESS_TOKEN_EXPIRY Client access token lifetime (default 15m)
+ * - OIDC_ID_TOKEN_EXPIRY     ID token lifetime (default 1h)
+ * - SERVICE_TOKEN_EXPIRY     Client credentials token lifetime (default 15m)
+ */
+
+const ISSUER = process.env.OIDC_ISSUER || 'http://localhost:5000';
+const AUTH_CODE_TTL = 60; // 1 minute (RFC 6749 recommends ≤ 10 min)
+
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+/**
+ * Human-readable scope descriptions (consent screen)
+ */
+const SCOPE_DESCRIPTIONS = {
+  openid: 'Sign you in with your account',
+  profile: 'Read your name and profile picture',
+  email: 'Read your email address',
+  offline_access: 'Stay signed in when you are not using the app'
+};
+
+/**
+ * OAuth protocol error
+ * ────────────────────────────────────────────────────────────────────────
+ * `error` is the RFC 6749 error code returned to the client
+ * (invalid_request, invalid_client, invalid_grant, ...)
+ */
+class OAuthError extends Error {
+  constructor(error, description, status = 400) {
+    super(description);
+    this.name = 'OAuthError';
+    this.error = error;
+    this.status = status;
+  }
+}
+
+/**
+ * Split a space-delimited scope string (deduplicated, order kept)
+ * @param {String} scope - e.g. "openid profile email"
+ * @returns {Array}
+ */
+const parseScope = (scope) => {
+  if (!scope || typeof scope !== 'string') return [];
+  return [...new Set(scope.split(' ').filter(Boolean))];
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CLIENT LOOKUP / AUTHENTICATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Find an active client by client_id
+ * @param {String} clientId
+ * @param {Boolean} withSecret - Also select the secret hash
+ * @returns {Promise<Object|null>}
+ */
+const findClient = async (clientId, withSecret = false) => {
+  if (!clientId || typeof clientId !== 'string') return null;
+
+  const query = OAuthClient.findOne({ clientId, isActive: true });
+  return withSecret ? query.select('+clientSecret') : query;
+};
+
+/**
+ * Authenticate the client on the token endpoint
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - OAuthClient document
+ * @throws {OAuthError} - invalid_client
+ *
+ * Supported methods:
+ * - client_secret_basic: Authorization: Basic base64(client_id:client_secret)
+ * - client_secret_post:  client_id + client_secret in the form body
+ * - none:                public clients (client_id only, PKCE enforced later)
+ */
+const authenticateClient = async (req) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+
+    if (separator === -1) {
+      throw new OAuthError('invalid_client', 'Malformed client credentials', 401);
+    }
+
+    clientId = decodeURIComponent(decoded.slice(0, separator));
+    clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+  }
+
+  const client = await findClient(clientId, true);
+
+  if (!client) {
+    throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+  }
+
+  if (client.isConfidential && !(await client.verifySecret(clientSecret))) {
+    throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+  }
+
+  return client;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AUTHORIZATION CODES
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Issue an authorization code (after user consent)
+ * @param {Object} data - { clientId, userId, redirectUri, scope, codeChallenge,
+ *                          codeChallengeMethod, nonce, authTime, amr }
+ *        authTime/amr: the consenting session's authentication (id_token
+ *        auth_time, carried on by refresh tokens)
+ * @returns {Promise<String>} - Authorization code
+ */
+const createAuthorizationCode = async (data) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  const redis = getRedisClient();
+  await redis.set(
+    `oidc_code:${code}`,
+    JSON.stringify({ ...data, createdAt: Date.now() }),
+    'EX',
+    AUTH_CODE_TTL
+  );
+
+  return code;
+};
+
+/**
+ * Consume an authorization code (single-use)
+ * @param {String} code
+ * @returns {Promise<Object|null>} - Stored code data, or null if unknown/used
+ */
+const consumeAuthorizationCode = async (code) => {
+  if (!code || typeof code !== 'string') return null;
+
+  const redis = getRedisClient();
+  const key = `oidc_code:${code}`;
+  const stored = await redis.get(key);
+
+  if (!stored) return null;
+
+  // Single use - only the request that deletes the key wins
+  if (await redis.del(key) === 0) return null;
+
+  return JSON.parse(stored);
+};
+
+/**
+ * Verify a PKCE code_verifier against the stored challenge (RFC 7636)
+ * @param {String} verifier - code_verifier from /token
+ * @param {String} challenge - code_challenge from /authorize
+ * @param {String} method - 'S256' or 'plain'
+ * @returns {Boolean}
+ */
+const verifyPkce = (verifier, challenge, method = 'plain') => {
+  if (!verifier || !challenge) return false;
+
+  // 43-128 chars of [A-Z a-z 0-9 - . _ ~]
+  if (!/^[A-Za-z0-9\-._~]{43,128}$/.test(verifier)) return false;
+
+  const computed = method === 'S256'
+    ? crypto.createHash('sha256').update(verifier).digest('base64url')
+    : verifier;
+
+  const a = Buffer.from(computed);
+  const b = Buffer.from(challenge);
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TOKENS
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Standard claims released for the granted scopes
+ * @param {Object} user - User document
+ * @param {Array} scopes - Granted scopes
+ * @returns {Object} - { sub, name, picture, email, email_verified }
+ */
+const getUserClaims = (user, scopes) => {
+  const claims = { sub: user._id.toString() };
+
+  if (scopes.includes('profile')) {
+    claims.name = user.name;
+    claims.picture = user.profilePicture || undefined;
+    claims.updated_at = user.updatedAt ? Math.floor(user.updatedAt.getTime() / 1000) : undefined;
+  }
+
+  if (scopes.includes('email')) {
+    claims.email = user.email;
+    claims.email_verified = user.isVerified;
+  }
+
+  return claims;
+};
+
+/**
+ * Access token issued to an OAuth client
+ * ────────────────────────────────────────────────────────────────────────
+ * type 'oauth_access' → rejected by the first-party API (verifyAccessToken),
+ * only accepted by /oauth/userinfo and downstream resource servers
+ *
+ * @param {Object} user - User document
+ * @param {String} clientId
+ * @param {String} scope - Space-delimited granted scope
+ * @returns {String} - JWT
+ */
+const generateClientAccessToken = (user, clientId, scope) => {
+  return signToken(
+    {
+      sub: user._id.toString(),
+      client_id: clientId,
+      scope,
+      type: 'oauth_access'
+    },
+    {
+      issuer: ISSUER,
+      audience: clientId,
+      expiresIn: process.env.OIDC_ACCESS_TOKEN_EXPIRY || '15m',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+/**
+ * Lifetime of a token we signed, for the expires_in response field
+ * ────────────────────────────────────────────────────────────────────────
+ * Read back from the token (exp - iat) so it follows
+ * OIDC_ACCESS_TOKEN_EXPIRY / SERVICE_TOKEN_EXPIRY
+ * @param {String} token - JWT from generate*AccessToken
+ * @returns {Number} - Seconds
+ */
+const getExpiresIn = (token) => {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+};
+
+/**
+ * Verify an access token issued to an OAuth client
+ * @param {String} token
+ * @returns {Promise<Object>} - Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError}
+ */
+const verifyClientAccessToken = async (token) => {
+  const decoded = await verifyToken(token);
+
+  if (decoded.type !== 'oauth_access' || decoded.iss !== ISSUER) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
+/**
+ * Access token for a service client (client credentials grant)
+ * ────────────────────────────────────────────────────────────────────────
+ * No user involved - `sub` is the client itself, `scope` holds
+ * permission strings (e.g. "read:users") checked by requirePermission
+ *
+ * @param {Object} client - OAuthClient document
+ * @param {String} scope - Space-delimited granted permissions
+ * @returns {String} - JWT
+ */
+const generateServiceAccessToken = (client, scope) => {
+  return signToken(
+    {
+      sub: `client:${client.clientId}`,
+      client_id: client.clientId,
+      scope,
+      type: 'service'
+    },
+    {
+      issuer: ISSUER,
+      expiresIn: process.env.SERVICE_TOKEN_EXPIRY || '15m',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+/**
+ * Verify a service client access token
+ * @param {String} token
+ * @returns {Promise<Object>} - Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError}
+ */
+const verifyServiceAccessToken = async (token) => {
+  const decoded = await verifyToken(token);
+
+  if (decoded.type !== 'service' || decoded.iss !== ISSUER) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
+/**
+ * ID token (OpenID Connect Core §2)
+ * @param {Object} user - User document
+ * @param {Object} options - { clientId, scopes, nonce, authTime, accessToken }
+ * @returns {String} - Signed JWT
+ */
+const generateIdToken = (user, { clientId, scopes, nonce, authTime, accessToken }) => {
+  const payload = {
+    ...getUserClaims(user, scopes),
+    auth_time: authTime
+  };
+
+  if (nonce) {
+    payload.nonce = nonce;
+  }
+
+  // at_hash: left half of SHA-256 of the access token (RS256/ES256 both use SHA-256)
+  if (accessToken) {
+    const hash = crypto.createHash('sha256').update(accessToken).digest();
+    payload.at_hash = hash.subarray(0, hash.length / 2).toString('base64url');
+  }
+
+  return signToken(payload, {
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: process.env.OIDC_ID_TOKEN_EXPIRY || '1h'
+  });
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INTROSPECTION / REVOCATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+// Every access token type we sign (first-party, OIDC client, service client)
+const ACCESS_TOKEN_TYPES = ['access', 'oauth_access', 'service'];
+
+/**
+ * Verify any access token we issued
+ * @param {String} token
+ * @returns {Promise<Object|null>} - Decoded payload, or null if invalid/expired
+ */
+const decodeAnyAccessToken = async (token) => {
+  try {
+    const decoded = await verifyToken(token);
+    return ACCESS_TOKEN_TYPES.includes(decoded.type) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Token introspection (RFC 7662)
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {String} token - Access or refresh token
+ * @param {String} tokenTypeHint - 'access_token' | 'refresh_token' (optimization only)
+ * @param {Object} client - Authenticated OAuthClient asking
+ * @returns {Promise<Object>} - { active: false } or { active: true, ...claims }
+ *
+ * Policy:
+ * - Access tokens: any confidential client (resource servers)
+ * - Refresh tokens: only the client they were issued to
+ */
+const introspectToken = async (token, tokenTypeHint, client) => {
+  if (!token || typeof token !== 'string') {
+    return { active: false };
+  }
+
+  const inspectAccess = async () => {
+    const decoded = await decodeAnyAccessToken(token);
+    if (!decoded || await isAccessTokenRevoked(decoded, token)) return null;
+
+    return {
+      active: true,
+      token_type: 'access_token',
+      scope: decoded.scope,
+      client_id: decoded.client_id,
+      sub: decoded.sub || decoded.userId?.toString(),
+      username: decoded.email,
+      aud: decoded.aud,
+      iss: decoded.iss,
+      jti: decoded.jti,
+      exp: decoded.exp,
+      iat: decoded.iat
+    };
+  };
+
+  const inspectRefresh = async () => {
+    const decoded = await inspectRefreshToken(token);
+    if (!decoded || decoded.clientId !== client.clientId) return null;
+
+    return {
+      active: true,
+      token_type: 'refresh_token',
+      scope: decoded.scope,
+      client_id: decoded.clientId,
+      sub: decoded.userId.toString(),
+      exp: decoded.exp,
+      iat: decoded.iat
+    };
+  };
+
+  const order = tokenTypeHint === 'refresh_token'
+    ? [inspectRefresh, inspectAccess]
+    : [inspectAccess, inspectRefresh];
+
+  for (const inspect of order) {
+    const result = await inspect();
+    if (result) return result;
+  }
+
+  return { active: false };
+};
+
+/**
+ * Token revocation (RFC 7009)
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {String} token - Access or refresh token
+ * @param {Object} client - Authenticated OAuthClient revoking
+ * @returns {Promise<void>}
+ * @throws {OAuthError} - unauthorized_client if the token belongs to another client
+ *
+ * - Access token  → denylisted until it expires
+ * - Refresh token → its whole family is revoked
+ * - Invalid/unknown tokens are ignored (§2.2: still a success response)
+ */
+const revokeToken = async (token, client) => {
+  if (!token || typeof token !== 'string') return;
+
+  const access = await decodeAnyAccessToken(token);
+  if (access) {
+    if (access.client_id !== client.clientId) {
+      throw new OAuthError('unauthorized_client', 'Token was not issued to this client');
+    }
+
+    await revokeAccessToken(access, token, 'revoked_by_client');
+    return;
+  }
+
+  const refresh = decodeRefreshToken(token);
+  if (refresh) {
+    if (refresh.clientId !== client.clientId) {
+      throw new OAuthError('unauthorized_client', 'Token was not issued to this client');
+    }
+
+    await revokeTokenFamily(refresh.userId, refresh.familyId || refresh.tokenId, 'revoked_by_client');
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DISCOVERY
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * OpenID Provider Metadata (served at /.well-known/openid-configuration)
+ * @returns {Object}
+ */
+
+const getDiscoveryDocument = () => ({
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/oauth/authorize`,
+  token_endpoint: `${ISSUER}/oauth/token`,
+  userinfo_endpoint: `${ISSUER}/oauth/userinfo`,
+  introspection_endpoint: `${ISSUER}/oauth/introspect`,
+  revocation_endpoint: `${ISSUER}/oauth/revoke`,
+  jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+  scopes_supported: SUPPORTED_SCOPES,
+  response_types_supported: ['code'],
+  response_modes_supported: ['query'],
+  grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+  subject_types_supported: ['public'],
+  id_token_signing_alg_values_supported: [process.env.JWT_SIGNING_ALG || 'RS256'],
+  token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+  introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+  revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+  code_challenge_methods_supported: ['S256', 'plain'],
+  claims_supported: [
+    'sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash',
+    'name', 'picture', 'updated_at', 'email', 'email_verified'
+  ]
+});
+
+module.exports = {
+  ISSUER,
+  SUPPORTED_SCOPES,
+  SCOPE_DESCRIPTIONS,
+  OAuthError,
+  parseScope,
+  findClient,
+  authenticateClient,
+  createAuthorizationCode,
+  consumeAuthorizationCode,
+  verifyPkce,
+  getUserClaims,
+  generateClientAccessToken,
+  getExpiresIn,
+  verifyClientAccessToken,
+  generateServiceAccessToken,
+  verifyServiceAccessToken,
+  generateIdToken,
+  introspectToken,
+  revokeToken,
+  getDiscoveryDocument
+};
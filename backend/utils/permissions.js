@@ -0,0 +1,150 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PERMISSION MATCHING
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * One evaluator for every permission check: requirePermission (REST),
+ * the User methods (hasPermission, hasAnyPermission, ...), service
+ * principals and the GraphQL guards.
+ *
+ * Permissions are ':'-separated segments, matched position by position:
+ * - delete:users               action:resource (config/roles.js PERMISSIONS)
+ *                              - action FIRST, resource second
+ * - org:123:billing:read       resource path, general → specific
+ *
+ * Granted permissions (roles, User.permissions) may be patterns:
+ * - *:posts                    '*' matches exactly one segment
+ *                              (read:posts, delete:posts, ...)
+ * - read:*                     '*' as LAST segment matches the rest of the
+ * - org:123:*                  path, one or more segments
+ *                              (read:posts, read:users, ... /
+ *                              org:123:billing, org:123:billing:read, ...)
+ * - *                          everything
+ *
+ * "Everything on posts" is '*:posts' - 'posts:*' would put the resource
+ * in the action position and match none of the action:resource permissions
+ *
+ * Deny rules start with '!' and always win over grants:
+ * - ['org:123:*', '!org:123:billing:*'] → everything in org 123 but billing
+ *
+ * @file backend/utils/permissions.js
+ * @phase Phase 3.3 - RBAC
+ *
+ * Usage:
+ * const { isPermissionGranted } = require('../utils/permissions');
+ * isPermissionGranted(user.getPermissions(), 'delete:any-post');
+ */
+
+const WILDCARD = '*';
+const DENY_PREFIX = '!';
+const SEGMENT_PATTERN = /^(\*|[a-z0-9][a-z0-9_.-]*)$/i;
+
+/**
+ * Is this a syntactically valid permission / pattern / deny rule?
+ * @param {String} permission - e.g. 'read:posts', '*:posts', '!org:1:*'
+ * @returns {Boolean}
+ */
+const isValidPermission = (permission) => {
+  if (typeof permission !== 'string' || permission.length === 0 || permission.length > 200) {
+    return false;
+  }
+
+  const body = permission.startsWith(DENY_PREFIX) ? permission.slice(1) : permission;
+  return body.split(':').every(segment => SEGMENT_PATTERN.test(segment));
+};
+
+/**
+ * @param {String} permission - Granted entry
+ * @returns {Boolean} - True for '!...' deny rules
+ */
+const isDenyRule = (permission) => permission.startsWith(DENY_PREFIX);
+
+/**
+ * Does a granted pattern cover a required permission?
+ * ────────────────────────────────────────────────────────────────────────
+ * Segments are compared by position (no reordering): for action:resource
+ * permissions the pattern's first segment is the action
+ * @param {String} pattern - Granted entry without '!' (may contain '*')
+ * @param {String} permission - Required permission (taken literally)
+ * @returns {Boolean}
+ *
+ * Example:
+ * matchesPermission('*:posts', 'delete:posts')            → true
+ * matchesPermission('posts:*', 'delete:posts')            → false (action first)
+ * matchesPermission('org:123:*', 'org:123:billing:read')  → true
+ * matchesPermission('org:*:read', 'org:123:billing:read') → false
+ */
+const matchesPermission = (pattern, permission) => {
+  if (pattern === permission || pattern === WILDCARD) return true;
+
+  const patternSegments = pattern.split(':');
+  const segments = permission.split(':');
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    const expected = patternSegments[i];
+    const isLast = i === patternSegments.length - 1;
+
+    // Trailing '*' → rest of the path (at least one segment)
+    if (expected === WILDCARD && isLast) {
+      return segments.length > i;
+    }
+
+    if (i >= segments.length) return false;
+    if (expected !== WILDCARD && expected !== segments[i]) return false;
+  }
+
+  return patternSegments.length === segments.length;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EVALUATE
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Is a permission granted by a set of entries? (deny rules win)
+ * @param {Array} granted - Grants and '!' deny rules (getPermissions())
+ * @param {String} permission - Required permission
+ * @returns {Boolean}
+ */
+const isPermissionGranted = (granted, permission) => {
+  const denied = granted.some(entry =>
+    isDenyRule(entry) && matchesPermission(entry.slice(1), permission)
+  );
+
+  if (denied) return false;
+
+  return granted.some(entry => !isDenyRule(entry) && matchesPermission(entry, permission));
+};
+
+/**
+ * @param {Array} granted - Grants and deny rules
+ * @param {Array|String} required - Permissions, any one is enough
+ * @returns {Boolean}
+ */
+const hasAnyGrantedPermission = (granted, required) => {
+  if (!Array.isArray(required)) required = [required];
+  return required.some(permission => isPermissionGranted(granted, permission));
+};
+
+/**
+ * @param {Array} granted - Grants and deny rules
+ * @param {Array|String} required - Permissions, all needed
+ * @returns {Boolean}
+ */
+const hasAllGrantedPermissions = (granted, required) => {
+  if (!Array.isArray(required)) required = [required];
+  return required.every(permission => isPermissionGranted(granted, permission));
+};
+
+module.exports = {
+  WILDCARD,
+  DENY_PREFIX,
+  isValidPermission,
+  isDenyRule,
+  matchesPermission,
+  isPermissionGranted,
+  hasAnyGrantedPermission,
+  hasAllGrantedPermissions
+};
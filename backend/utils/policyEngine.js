@@ -0,0 +1,356 @@
+const { POLICIES } = require('../config/policies');
+const { isPermissionGranted, matchesPermission } = require('./permissions');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POLICY ENGINE (ABAC)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Evaluates the declarative policies of config/policies.js against
+ * subject / resource / action / environment attributes.
+ *
+ * Used by:
+ * - authorize(action, resource) middleware (middleware/rbac.js)
+ * - authorize(context, action, resource) guard (graphql/resolvers.js)
+ * - POST /api/admin/policies/explain (dry run, full trace)
+ *
+ * Decision (deny-overrides):
+ * 1. A deny policy applies → DENY
+ * 2. An allow policy applies → ALLOW
+ * 3. Nothing applies → DENY
+ *
+ * A policy applies when its actions + resources match and its
+ * condition is true. Missing attributes make a comparison false
+ * (never an error) - a policy can't grant by accident.
+ *
+ * @file backend/utils/policyEngine.js
+ * @phase Phase 3.3 - RBAC
+ *
+ * Environment:
+ * - POLICY_TIMEZONE   Timezone of environment.hour/dayOfWeek (default UTC)
+ */
+
+const POLICY_TIMEZONE = process.env.POLICY_TIMEZONE || 'UTC';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * OPERATORS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * (actual, expected) → Boolean
+ * actual = attribute value, expected = literal or other attribute
+ */
+
+const toArray = (value) => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+const OPERATORS = {
+  equals: (actual, expected) => actual !== undefined && actual === expected,
+  notEquals: (actual, expected) => actual !== undefined && actual !== expected,
+  in: (actual, expected) => toArray(expected).includes(actual),
+  notIn: (actual, expected) => actual !== undefined && !toArray(expected).includes(actual),
+  contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+  containsAny: (actual, expected) => toArray(actual).some(value => toArray(expected).includes(value)),
+  gt: (actual, expected) => isNumber(actual) && actual > expected,
+  gte: (actual, expected) => isNumber(actual) && actual >= expected,
+  lt: (actual, expected) => isNumber(actual) && actual < expected,
+  lte: (actual, expected) => isNumber(actual) && actual <= expected,
+  between: (actual, expected) => isNumber(actual) && Array.isArray(expected) &&
+    actual >= expected[0] && actual < expected[1],
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === (expected !== false),
+  grants: (actual, expected) => Array.isArray(actual) && isPermissionGranted(actual, expected)
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VALIDATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Validate a condition tree
+ * @param {Object} condition - { all } / { any } / { not } / { attribute, operator, value }
+ * @returns {String|null} - Error message, or null if valid
+ */
+const validateCondition = (condition) => {
+  if (!condition || typeof condition !== 'object') {
+    return 'condition must be an object';
+  }
+
+  if (condition.all || condition.any) {
+    const children = condition.all || condition.any;
+    if (!Array.isArray(children) || children.length === 0) {
+      return 'all/any must be a non-empty array';
+    }
+    return children.map(validateCondition).find(Boolean) || null;
+  }
+
+  if (condition.not) {
+    return validateCondition(condition.not);
+  }
+
+  if (typeof condition.attribute !== 'string' || !/^(subject|resource|action|environment)(\.|$)/.test(condition.attribute)) {
+    return `Invalid attribute: ${condition.attribute} (use subject.*, resource.*, action, environment.*)`;
+  }
+
+  if (!OPERATORS[condition.operator]) {
+    return `Unknown operator: ${condition.operator} (use ${Object.keys(OPERATORS).join(', ')})`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate a policy
+ * @param {Object} policy - See config/policies.js
+ * @returns {String|null} - Error message, or null if valid
+ */
+const validatePolicy = (policy) => {
+  if (!policy || typeof policy.id !== 'string' || !policy.id) {
+    return 'Policy id is required';
+  }
+
+  if (!['allow', 'deny'].includes(policy.effect)) {
+    return `Policy ${policy.id}: effect must be "allow" or "deny"`;
+  }
+
+  if (!Array.isArray(policy.actions) || policy.actions.length === 0) {
+    return `Policy ${policy.id}: actions must be a non-empty array`;
+  }
+
+  if (!Array.isArray(policy.resources) || policy.resources.length === 0) {
+    return `Policy ${policy.id}: resources must be a non-empty array`;
+  }
+
+  if (policy.condition !== undefined) {
+    const error = validateCondition(policy.condition);
+    if (error) return `Policy ${policy.id}: ${error}`;
+  }
+
+  return null;
+};
+
+// Broken policies fail at startup, not on the first request
+POLICIES.forEach((policy, index) => {
+  const error = validatePolicy(policy);
+  if (error) {
+    throw new Error(`Invalid policy #${index} in config/policies.js - ${error}`);
+  }
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ATTRIBUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Plain JSON copy (ObjectIds → strings, Dates → ISO strings)
+ */
+const normalize = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Subject attributes of the authenticated principal
+ * @param {Object} user - User document or service principal (req.user)
+ * @returns {Object} - { id, email, roles, permissions, isVerified,
+ *                       isServicePrincipal, ...User.attributes }
+ *
+ * Built-in attributes can't be overridden by User.attributes
+ */
+const buildSubject = (user) => {
+  if (user.isServicePrincipal) {
+    return {
+      id: user.clientId,
+      roles: [],
+      permissions: user.getPermissions(),
+      isVerified: true,
+      isServicePrincipal: true
+    };
+  }
+
+  return {
+    ...normalize(user.attributes || {}),
+    id: user._id.toString(),
+    email: user.email,
+    roles: [...user.roles],
+    permissions: user.getPermissions(),
+    isVerified: Boolean(user.isVerified),
+    isServicePrincipal: false
+  };
+};
+
+/**
+ * Resource attributes
+ * @param {String} type - Resource type ('post', 'document', 'user', ...)
+ * @param {Object} data - Mongoose document or plain object
+ * @returns {Object} - Plain attributes + type, id, ownerId
+ *
+ * ObjectIds become strings, so they compare with subject.id;
+ * ownerId defaults to userId / user (same fields as checkOwnership)
+ */
+const buildResource = (type, data = {}) => {
+  const attributes = normalize(typeof data.toObject === 'function' ? data.toObject() : data);
+
+  return {
+    ...attributes,
+    type,
+    id: attributes.id || attributes._id,
+    ownerId: attributes.ownerId || attributes.userId || attributes.user
+  };
+};
+
+/**
+ * Environment attributes of the request
+ * @param {Object} req - Express request (optional)
+ * @param {Date} now - Evaluation time
+ * @returns {Object} - { time, hour, minute, dayOfWeek, timezone, ip }
+ */
+const buildEnvironment = (req, now = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: POLICY_TIMEZONE,
+      hourCycle: 'h23',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+
+  return {
+    time: now.toISOString(),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    timezone: POLICY_TIMEZONE,
+    ip: req?.ip
+  };
+};
+
+/**
+ * Read 'subject.region' / 'resource.owner.id' / 'action'
+ * @param {Object} context - { subject, resource, action, environment }
+ * @param {String} path - Dotted attribute path
+ * @returns {*} - undefined if missing
+ */
+const getAttribute = (context, path) =>
+  path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EVALUATE
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Evaluate a condition tree
+ * @param {Object} condition - See config/policies.js
+ * @param {Object} context - { subject, resource, action, environment }
+ * @returns {Object} - { result, ...trace } (trace used by explain)
+ */
+const evaluateCondition = (condition, context) => {
+  if (condition.all) {
+    const children = condition.all.map(child => evaluateCondition(child, context));
+    return { all: children, result: children.every(child => child.result) };
+  }
+
+  if (condition.any) {
+    const children = condition.any.map(child => evaluateCondition(child, context));
+    return { any: children, result: children.some(child => child.result) };
+  }
+
+  if (condition.not) {
+    const child = evaluateCondition(condition.not, context);
+    return { not: child, result: !child.result };
+  }
+
+  const actual = getAttribute(context, condition.attribute);
+  const expected = condition.value && typeof condition.value === 'object' && typeof condition.value.attribute === 'string'
+    ? getAttribute(context, condition.value.attribute)
+    : condition.value;
+
+  return {
+    attribute: condition.attribute,
+    operator: condition.operator,
+    expected,
+    actual,
+    result: OPERATORS[condition.operator](actual, expected)
+  };
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DECIDE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} context - { subject, resource, action, environment }
+ * @param {Array} policies - Defaults to config/policies.js
+ * @returns {Object} - {
+ *   allowed,             Boolean
+ *   decision,            'allow' | 'deny'
+ *   reason,              Human-readable
+ *   policy,              Id of the deciding policy (null = default deny)
+ *   evaluations          Per policy: { id, effect, matches, applies, condition }
+ * }
+ */
+
+const evaluate = (context, policies = POLICIES) => {
+  const evaluations = policies.map((policy) => {
+    const matches = policy.actions.some(action => matchesPermission(action, context.action)) &&
+      policy.resources.some(type => matchesPermission(type, context.resource.type));
+
+    const condition = matches && policy.condition
+      ? evaluateCondition(policy.condition, context)
+      : null;
+
+    return {
+      id: policy.id,
+      description: policy.description,
+      effect: policy.effect,
+      matches,
+      applies: matches && (condition ? condition.result : true),
+      condition
+    };
+  });
+
+  const deny = evaluations.find(evaluation => evaluation.applies && evaluation.effect === 'deny');
+  const allow = evaluations.find(evaluation => evaluation.applies && evaluation.effect === 'allow');
+  const deciding = deny || allow || null;
+
+  return {
+    allowed: !deny && Boolean(allow),
+    decision: !deny && allow ? 'allow' : 'deny',
+    reason: deciding
+      ? `${deciding.effect === 'deny' ? 'Denied' : 'Allowed'} by policy ${deciding.id}: ${deciding.description || ''}`.trim()
+      : `No policy allows ${context.action} on ${context.resource.type}`,
+    policy: deciding ? deciding.id : null,
+    evaluations
+  };
+};
+
+/**
+ * Authorization check for a principal
+ * @param {Object} user - req.user (User document or service principal)
+ * @param {String} action - e.g. 'update'
+ * @param {Object} resource - From buildResource()
+ * @param {Object} req - Express request (environment.ip)
+ * @returns {Object} - evaluate() result
+ */
+const authorizeUser = (user, action, resource, req) => evaluate({
+  subject: buildSubject(user),
+  resource,
+  action,
+  environment: buildEnvironment(req)
+});
+
+module.exports = {
+  OPERATORS,
+  POLICY_TIMEZONE,
+  validatePolicy,
+  buildSubject,
+  buildResource,
+  buildEnvironment,
+  evaluate,
+  authorizeUser
+};
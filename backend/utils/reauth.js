@@ -0,0 +1,293 @@
+const { ApolloError } = require('apollo-server-express');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const { useTotpCode } = require('./twoFactor');
+const { sendEmailOtp, verifyEmailOtp } = require('./emailOtp');
+const { createAuthenticationOptions, verifyAuthentication } = require('./webauthn');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * STEP-UP AUTHENTICATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * A valid access token only proves the session is alive - it may come
+ * from a login days ago (refresh keeps it going). Sensitive operations
+ * (password change, account deletion, admin deletes) also check WHEN
+ * and HOW the user last proved who they are.
+ *
+ * Access + refresh tokens carry:
+ * - auth_time: Unix seconds of the last interactive authentication
+ *              (login or /api/auth/reauthenticate - NOT refresh)
+ * - amr:       Methods used at that time (RFC 8176 style)
+ *
+ * AMR values:
+ * - pwd    password
+ * - otp    authenticator app (TOTP)
+ * - email  magic link or emailed code
+ * - hwk    passkey
+ * - rc     recovery code
+ * - fed    social login / enterprise SSO
+ * - mfa    added when two different methods were used
+ *
+ * Tokens issued before this existed have no auth_time → always stale
+ *
+ * Reauthentication factors (POST /api/auth/reauthenticate):
+ * - password, authenticator code or passkey - whatever the account has
+ * - emailed code ONLY for accounts without a password and authenticator
+ *   (magic link, social, SSO) - otherwise access to the mailbox alone
+ *   would stand in for the account's real credentials
+ *
+ * @file backend/utils/reauth.js
+ * @phase Phase 4B - Step-Up Authentication
+ */
+
+const AMR = {
+  PASSWORD: 'pwd',
+  TOTP: 'otp',
+  EMAIL: 'email',
+  PASSKEY: 'hwk',
+  RECOVERY_CODE: 'rc',
+  FEDERATED: 'fed',
+  MFA: 'mfa'
+};
+
+// verifyMfaChallenge method → AMR value
+const MFA_METHOD_AMR = {
+  totp: AMR.TOTP,
+  email_otp: AMR.EMAIL,
+  recovery_code: AMR.RECOVERY_CODE,
+  webauthn: AMR.PASSKEY
+};
+
+// Default window for requireRecentAuth (seconds)
+const DEFAULT_REAUTH_MAX_AGE = parseInt(process.env.REAUTH_MAX_AGE, 10) || 5 * 60;
+
+/**
+ * Error with HTTP status (+ machine-readable code)
+ */
+const reauthError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AUTH CONTEXT
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Auth context for an authentication that just happened
+ * @param {...String} methods - AMR values (falsy ignored)
+ * @returns {Object} - { authTime, amr } for generateAccessToken/generateRefreshToken
+ */
+const createAuthContext = (...methods) => {
+  const amr = [...new Set(methods.filter(Boolean))];
+
+  if (amr.length > 1) {
+    amr.push(AMR.MFA);
+  }
+
+  return { authTime: Math.floor(Date.now() / 1000), amr };
+};
+
+/**
+ * Auth context for a completed 2FA login
+ * @param {String} firstFactor - AMR value of the first step ('pwd' or 'email')
+ * @param {String} method - verifyMfaChallenge method
+ * @returns {Object} - { authTime, amr }
+ */
+const createMfaAuthContext = (firstFactor, method) =>
+  createAuthContext(firstFactor, MFA_METHOD_AMR[method]);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CHECK RECENT AUTH
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} claims - Verified access token payload
+ * @param {Number} maxAge - Seconds since auth_time still accepted
+ * @param {Array} factors - AMR values, at least one must be present
+ *                          (empty → any method)
+ * @returns {Object|null} - null if recent enough, else error details
+ *                          { message, maxAge, factors }
+ *
+ * Used by:
+ * - requireRecentAuth middleware (REST)
+ * - requireRecentAuth guard (GraphQL)
+ */
+
+const checkRecentAuth = (claims, maxAge = DEFAULT_REAUTH_MAX_AGE, factors = []) => {
+  const authTime = claims?.auth_time;
+  const amr = Array.isArray(claims?.amr) ? claims.amr : [];
+
+  const isRecent = Number.isInteger(authTime) &&
+    Math.floor(Date.now() / 1000) - authTime <= maxAge;
+  const hasFactor = factors.length === 0 || factors.some(factor => amr.includes(factor));
+
+  if (isRecent && hasFactor) {
+    return null;
+  }
+
+  return {
+    message: hasFactor
+      ? 'Please confirm your identity to continue'
+      : 'Please confirm your identity with a stronger method to continue',
+    maxAge,
+    factors
+  };
+};
+
+/**
+ * GraphQL error for a stale session
+ * @param {Object} details - From checkRecentAuth
+ * @returns {ApolloError} - extensions.code REAUTHENTICATION_REQUIRED
+ */
+const createReauthGraphQLError = (details) => new ApolloError(
+  details.message,
+  'REAUTHENTICATION_REQUIRED',
+  { maxAge: details.maxAge, factors: details.factors }
+);
+
+/**
+ * Can this account reauthenticate with an emailed code?
+ * ────────────────────────────────────────────────────────────────────────
+ * Only when it has no password and no authenticator app to prove
+ * @param {Object} user - User document (+password +twoFactorSecret)
+ * @returns {Boolean}
+ */
+const canUseReauthEmailOtp = (user) => !user.password && !user.twoFactorSecret;
+
+/**
+ * Challenge key of a pending passkey reauthentication
+ */
+const passkeyChallengeKey = (user) => `reauth:${user._id}`;
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REAUTHENTICATE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Verify the factors submitted to POST /api/auth/reauthenticate
+ *
+ * @param {Object} user - User document (+password +twoFactorSecret)
+ * @param {Object} credentials - { password, code, webauthnResponse }
+ *        code: TOTP code, or code from sendReauthEmailOtp (accounts
+ *              without password and authenticator only)
+ *        webauthnResponse: assertion for createReauthPasskeyOptions
+ * @returns {Promise<Object>} - Fresh auth context { authTime, amr }
+ * @throws {Error} - status 400 nothing usable, 401 REAUTHENTICATION_FAILED
+ *                   wrong factor, 423 account locked, 429 email codes locked
+ *
+ * Wrong answers count towards the login lockout - a stolen session
+ * can't be used to brute-force the password
+ */
+
+const reauthenticate = async (user, { password, code, webauthnResponse } = {}) => {
+  if (!password && !code && !webauthnResponse) {
+    throw reauthError('Please provide your password, a verification code or a passkey', 400);
+  }
+
+  if (user.isLocked) {
+    throw reauthError('Account locked due to too many failed login attempts. Try again later.', 423);
+  }
+
+  const methods = [];
+
+  // ─────────────────────────────────────────────────────────
+  // Password (accounts that have one)
+  // ─────────────────────────────────────────────────────────
+  if (password) {
+    if (!user.password || !await user.comparePassword(password)) {
+      await user.incLoginAttempts();
+      throw reauthError('Current password is incorrect', 401, 'REAUTHENTICATION_FAILED');
+    }
+
+    methods.push(AMR.PASSWORD);
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Code: authenticator app, or emailed code (passwordless accounts)
+  // ─────────────────────────────────────────────────────────
+  if (code) {
+    if (await useTotpCode(user, user.twoFactorSecret, code)) {
+      methods.push(AMR.TOTP);
+    } else if (canUseReauthEmailOtp(user) && await verifyEmailOtp(user, 'reauth', code)) {
+      methods.push(AMR.EMAIL);
+    } else {
+      await user.incLoginAttempts();
+      throw reauthError('Invalid verification code', 401, 'REAUTHENTICATION_FAILED');
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // Passkey (one of this user's own, user verification required)
+  // ─────────────────────────────────────────────────────────
+  if (webauthnResponse) {
+    try {
+      await verifyAuthentication(passkeyChallengeKey(user), webauthnResponse, user);
+    } catch (error) {
+      console.warn(`⚠️  Passkey reauthentication failed for user ${user._id}: ${error.message}`);
+      await user.incLoginAttempts();
+      throw reauthError('Passkey could not be verified', 401, 'REAUTHENTICATION_FAILED');
+    }
+
+    methods.push(AMR.PASSKEY);
+  }
+
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  console.log(`🔐 Reauthenticated user ${user._id} (${methods.join('+')})`);
+
+  return createAuthContext(...methods);
+};
+
+/**
+ * Email a code for reauthentication
+ * ────────────────────────────────────────────────────────────────────────
+ * Works without email 2FA enabled - accounts without a password
+ * (magic link, social, SSO) may have no other way to reauthenticate.
+ * Accounts with a password or authenticator must use those.
+ * @param {Object} user - User document (+password +twoFactorSecret)
+ * @returns {Promise<Object>} - { expiresIn, resendIn }
+ * @throws {Error} - status 400 when the account has a stronger factor
+ */
+const sendReauthEmailOtp = async (user) => {
+  if (!canUseReauthEmailOtp(user)) {
+    throw reauthError('Please confirm your identity with your password, authenticator app or passkey', 400);
+  }
+
+  return sendEmailOtp(user, 'reauth');
+};
+
+/**
+ * Passkey options for reauthentication
+ * ────────────────────────────────────────────────────────────────────────
+ * Limited to the user's own passkeys; the assertion goes to
+ * reauthenticate() as webauthnResponse
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - PublicKeyCredentialRequestOptions (JSON)
+ * @throws {Error} - status 400 when the account has no passkey
+ */
+const createReauthPasskeyOptions = async (user) => {
+  if (!await WebAuthnCredential.exists({ user: user._id })) {
+    throw reauthError('No passkey registered for this account', 400);
+  }
+
+  return createAuthenticationOptions(passkeyChallengeKey(user), user);
+};
+
+module.exports = {
+  AMR,
+  DEFAULT_REAUTH_MAX_AGE,
+  createAuthContext,
+  createMfaAuthContext,
+  checkRecentAuth,
+  createReauthGraphQLError,
+  reauthenticate,
+  sendReauthEmailOtp,
+  createReauthPasskeyOptions
+};
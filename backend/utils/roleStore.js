@@ -0,0 +1,250 @@
+const Role = require('../models/Role');
+const { DEFAULT_ROLES } = require('../config/roles');
+const { getRedisClient } = require('../config/redis');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ROLE STORE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * In-memory cache of the roles collection (models/Role.js)
+ *
+ * Permission checks are synchronous (user.getPermissions(), requirePermission)
+ * and run on every request, so roles are loaded from MongoDB at startup and
+ * kept in memory with inheritance already resolved.
+ *
+ * Invalidation:
+ * - invalidateRoles() after every change → this process reloads at once
+ * - It also bumps the Redis key `roles:version`; other server processes
+ *   compare it every VERSION_CHECK_INTERVAL_MS and reload when it changed
+ *
+ * @file backend/utils/roleStore.js
+ * @phase Phase 3.3 - RBAC
+ */
+
+const VERSION_KEY = 'roles:version';
+const VERSION_CHECK_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Cache
+ * ────────────────────────────────────────────────────────────────────────
+ * name → { name, description, level, isSystem, inherits, permissions,
+ *          resolvedPermissions }
+ *
+ * Starts with DEFAULT_ROLES so permission checks work before
+ * initRoleStore() (scripts, early requests)
+ */
+let roles = new Map();
+let loadedVersion = null;
+let versionTimer = null;
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * RESOLVE INHERITANCE
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Build the cache from plain role definitions
+ * @param {Array} definitions - [{ name, permissions, inherits, level, ... }]
+ * @returns {Map} - name → role with resolvedPermissions
+ *
+ * Unknown parents are ignored; a cycle (prevented on write) would
+ * simply stop at the role already being resolved
+ */
+const buildCache = (definitions) => {
+  const byName = new Map(definitions.map(role => [role.name, role]));
+  const resolved = new Map();
+
+  const resolve = (name, visiting = new Set()) => {
+    if (resolved.has(name)) return resolved.get(name);
+
+    const role = byName.get(name);
+    if (!role || visiting.has(name)) return [];
+
+    visiting.add(name);
+
+    const permissions = new Set(role.permissions || []);
+    (role.inherits || []).forEach(parent => {
+      resolve(parent, visiting).forEach(permission => permissions.add(permission));
+    });
+
+    visiting.delete(name);
+
+    const result = Array.from(permissions);
+    resolved.set(name, result);
+    return result;
+  };
+
+  const cache = new Map();
+
+  byName.forEach((role, name) => {
+    cache.set(name, {
+      name,
+      description: role.description || '',
+      level: role.level || 0,
+      isSystem: Boolean(role.isSystem),
+      inherits: [...(role.inherits || [])],
+      permissions: [...(role.permissions || [])],
+      resolvedPermissions: resolve(name)
+    });
+  });
+
+  return cache;
+};
+
+roles = buildCache(DEFAULT_ROLES.map(role => ({ ...role, isSystem: true })));
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LOAD / SEED
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Insert missing built-in roles
+ * ────────────────────────────────────────────────────────────────────────
+ * $setOnInsert → roles edited by admins are left alone
+ */
+const seedDefaultRoles = async () => {
+  for (const role of DEFAULT_ROLES) {
+    const result = await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      console.log(`🎭 Seeded role: ${role.name}`);
+    }
+  }
+};
+
+/**
+ * Reload the cache from MongoDB
+ * @returns {Promise<Number>} - Number of roles loaded
+ */
+const loadRoles = async () => {
+  const definitions = await Role.find().lean();
+  roles = buildCache(definitions);
+  return roles.size;
+};
+
+/**
+ * Reload if another process changed roles since our last load
+ */
+const checkVersion = async () => {
+  const version = await getRedisClient().get(VERSION_KEY);
+
+  if (version && version !== loadedVersion) {
+    await loadRoles();
+    loadedVersion = version;
+    console.log(`🎭 Roles reloaded (version ${version})`);
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INITIALIZE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Call once at startup (after MongoDB + Redis are connected):
+ * 1. Seed missing built-in roles
+ * 2. Load all roles into memory
+ * 3. Poll `roles:version` for changes made by other processes
+ */
+
+const initRoleStore = async () => {
+  await seedDefaultRoles();
+  await loadRoles();
+  loadedVersion = await getRedisClient().get(VERSION_KEY);
+
+  if (!versionTimer) {
+    versionTimer = setInterval(() => {
+      checkVersion().catch((error) => {
+        console.error('❌ Role refresh failed:', error.message);
+      });
+    }, VERSION_CHECK_INTERVAL_MS);
+
+    // Don't keep the process alive just for this
+    versionTimer.unref();
+  }
+
+  console.log(`🎭 Role store ready (${roles.size} role(s): ${getRoleNames().join(', ')})`);
+};
+
+/**
+ * Reload after a change and tell the other processes
+ * ────────────────────────────────────────────────────────────────────────
+ * Call after every create/update/delete of a Role
+ */
+const invalidateRoles = async () => {
+  loadedVersion = Date.now().toString();
+  await getRedisClient().set(VERSION_KEY, loadedVersion);
+  await loadRoles();
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LOOKUPS (synchronous)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * @param {String} name - Role name
+ * @returns {Object|null} - Cached role
+ */
+const getRole = (name) => roles.get(name) || null;
+
+/**
+ * @returns {Array} - All role names, lowest level first
+ */
+const getRoleNames = () => Array.from(roles.values())
+  .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name))
+  .map(role => role.name);
+
+/**
+ * @param {String} name - Role name
+ * @returns {Boolean}
+ */
+const isKnownRole = (name) => roles.has(name);
+
+/**
+ * Permissions of a role including inherited ones
+ * @param {String} name - Role name
+ * @returns {Array} - Permission strings ([] for unknown roles)
+ */
+const resolvePermissions = (name) => roles.get(name)?.resolvedPermissions || [];
+
+/**
+ * Would `name` inheriting `inherits` create a cycle?
+ * @param {String} name - Role being created/updated
+ * @param {Array} inherits - Its new parent roles
+ * @returns {Boolean}
+ */
+const wouldCreateCycle = (name, inherits) => {
+  const stack = [...inherits];
+  const seen = new Set();
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === name) return true;
+    if (seen.has(current)) continue;
+
+    seen.add(current);
+    stack.push(...(roles.get(current)?.inherits || []));
+  }
+
+  return false;
+};
+
+module.exports = {
+  initRoleStore,
+  loadRoles,
+  invalidateRoles,
+  getRole,
+  getRoleNames,
+  isKnownRole,
+  resolvePermissions,
+  wouldCreateCycle
+};
@@ -0,0 +1,116 @@
+const { PERMISSIONS, getRoleLevel } = require('../config/roles');
+const { isKnownRole, resolvePermissions, wouldCreateCycle } = require('./roleStore');
+const { isValidPermission, isDenyRule, isPermissionGranted, WILDCARD } = require('./permissions');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ROLE INPUT VALIDATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Checks for the role management endpoints (routes/admin.js)
+ *
+ * Escalation rules (the caller can't hand out more than they have):
+ * - level must not exceed the caller's highest role level
+ * - resolved permissions (own + inherited) must all be held by the caller
+ *
+ * @file backend/utils/roleValidation.js
+ * @phase Phase 3.3 - RBAC
+ */
+
+/**
+ * Highest hierarchy level among a user's roles
+ * @param {Object} user - User document
+ * @returns {Number} - 0 if no known role
+ */
+const getMaxRoleLevel = (user) => Math.max(0, ...user.roles.map(role => getRoleLevel(role)));
+
+/**
+ * Can this entry go into a role's permissions?
+ * ────────────────────────────────────────────────────────────────────────
+ * Known permissions, plus (syntax-checked) wildcards, deny rules and
+ * resource paths ('org:123:billing:read'). Plain action:resource pairs
+ * must be known, so typos are caught.
+ * @param {String} permission - Entry from request body
+ * @returns {Boolean}
+ */
+const isAllowedRolePermission = (permission) => {
+  if (!isValidPermission(permission)) return false;
+  if (Object.values(PERMISSIONS).includes(permission)) return true;
+
+  return isDenyRule(permission) ||
+    permission.includes(WILDCARD) ||
+    permission.split(':').length > 2;
+};
+
+/**
+ * Validate role fields from request body
+ * @param {Object} body - { description, permissions, inherits, level }
+ * @param {String} name - Role being created/updated
+ * @param {Object} actor - req.user
+ * @returns {String|null} - Error message, or null if valid
+ */
+const validateRoleInput = ({ description, permissions, inherits, level }, name, actor) => {
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      return 'permissions must be an array';
+    }
+
+    const invalid = permissions.find(permission => !isAllowedRolePermission(permission));
+    if (invalid) {
+      return `Unknown or malformed permission: ${invalid}`;
+    }
+  }
+
+  if (inherits !== undefined) {
+    if (!Array.isArray(inherits)) {
+      return 'inherits must be an array of role names';
+    }
+
+    const unknown = inherits.find(parent => !isKnownRole(parent));
+    if (unknown) {
+      return `Unknown role in inherits: ${unknown}`;
+    }
+
+    if (inherits.includes(name) || wouldCreateCycle(name, inherits)) {
+      return `Role ${name} cannot inherit from itself (directly or through another role)`;
+    }
+  }
+
+  if (level !== undefined) {
+    if (!Number.isInteger(level) || level < 1 || level > 100) {
+      return 'level must be an integer between 1 and 100';
+    }
+
+    if (level > getMaxRoleLevel(actor)) {
+      return 'You cannot set a level higher than your own role';
+    }
+  }
+
+  // No granting permissions the caller doesn't hold: every built-in
+  // permission the new grants cover ('*:posts' → read:posts, ...) must
+  // be held by the caller. Deny rules only restrict; app-specific
+  // resource paths are up to manage:roles holders.
+  const granted = [
+    ...(permissions || []),
+    ...(inherits || []).flatMap(parent => resolvePermissions(parent))
+  ].filter(permission => !isDenyRule(permission));
+  const actorPermissions = actor.getPermissions();
+  const notHeld = Object.values(PERMISSIONS).find(permission =>
+    isPermissionGranted(granted, permission) && !isPermissionGranted(actorPermissions, permission)
+  );
+  if (notHeld) {
+    return `You cannot grant a permission you don't have: ${notHeld}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  getMaxRoleLevel,
+  isAllowedRolePermission,
+  validateRoleInput
+};
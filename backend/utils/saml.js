@@ -0,0 +1,300 @@
+const { SAML } = require('@node-saml/node-saml');
+const { DOMParser } = require('@xmldom/xmldom');
+const { getRedisClient } = require('../config/redis');
+const { mapClaims } = require('./sso');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ENTERPRISE SSO (SAML 2.0 service provider)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * SAML connections are SsoConnection documents with protocol 'saml'
+ * (same email-domain routing, claim mappings and identity linking as OIDC)
+ *
+ * SP-initiated flow:
+ * 1. /api/auth/sso/:slug?state=...  → AuthnRequest (HTTP-Redirect),
+ *    RelayState = the frontend's state
+ * 2. IdP POSTs the signed response to /api/auth/sso/:slug/acs
+ * 3. validateSamlResponse: signature (assertion must be signed),
+ *    issuer, audience, conditions, InResponseTo (single use)
+ * 4. Mapped profile parked in Redis under the state, browser redirected
+ *    to /api/auth/sso/:slug/complete?state=... - a top-level GET, so the
+ *    SameSite=Lax state cookie is present again and can be checked
+ *
+ * IdP-initiated (connection.saml.allowIdpInitiated):
+ * An unsolicited response can't be tied to this browser (an attacker
+ * could post their own valid assertion → login CSRF). After validation
+ * it only restarts an SP-initiated login, which the IdP session
+ * completes without another prompt.
+ *
+ * @file backend/utils/saml.js
+ * @phase Phase 4 - Enterprise SSO
+ *
+ * Redis Keys:
+ * saml_request:<requestId>  = issue time             (TTL: 10 min)
+ * saml_result:<state>       = { connectionId, profile }  (TTL: 60s)
+ *
+ * Environment:
+ * - SAML_SP_BASE_URL  Public base URL of this server (default: http://localhost:5000)
+ */
+
+const SAML_REQUEST_TTL = 10 * 60;   // 10 minutes (same as state cookie)
+const SAML_RESULT_TTL = 60;         // 60 seconds (one redirect hop)
+
+const MD_NS = 'urn:oasis:names:tc:SAML:2.0:metadata';
+const DS_NS = 'http://www.w3.org/2000/09/xmldsig#';
+const REDIRECT_BINDING = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect';
+
+const getBaseUrl = () => process.env.SAML_SP_BASE_URL || 'http://localhost:5000';
+
+/**
+ * Our SP URLs for a connection
+ * ────────────────────────────────────────────────────────────────────────
+ * Entity ID = metadata URL, so admins can hand the IdP a single link
+ */
+const getSpUrls = (connection) => {
+  const base = `${getBaseUrl()}/api/auth/sso/${connection.slug}`;
+
+  return {
+    entityId: `${base}/metadata`,
+    acsUrl: `${base}/acs`
+  };
+};
+
+/**
+ * AuthnRequest IDs for InResponseTo validation
+ * ────────────────────────────────────────────────────────────────────────
+ * node-saml's cacheProvider interface, backed by Redis so any
+ * server instance can receive the IdP's POST
+ */
+const requestCache = {
+  saveAsync: async (key, value) => {
+    const redis = getRedisClient();
+    await redis.set(`saml_request:${key}`, value, 'EX', SAML_REQUEST_TTL);
+    return { value, createdAt: Date.now() };
+  },
+
+  getAsync: async (key) => {
+    const redis = getRedisClient();
+    return redis.get(`saml_request:${key}`);
+  },
+
+  removeAsync: async (key) => {
+    const redis = getRedisClient();
+    const value = await redis.get(`saml_request:${key}`);
+    await redis.del(`saml_request:${key}`);
+    return value;
+  }
+};
+
+/**
+ * Build a node-saml client for a connection
+ * @param {Object} connection - SsoConnection (protocol 'saml')
+ * @returns {SAML}
+ * @throws {Error} - If IdP metadata hasn't been uploaded
+ */
+const getSamlClient = (connection) => {
+  const { entityId, ssoUrl, certificates } = connection.saml || {};
+
+  if (!entityId || !ssoUrl || !certificates?.length) {
+    throw new Error('SAML connection is missing IdP metadata');
+  }
+
+  const sp = getSpUrls(connection);
+
+  return new SAML({
+    issuer: sp.entityId,
+    audience: sp.entityId,
+    callbackUrl: sp.acsUrl,
+    entryPoint: ssoUrl,
+    idpIssuer: entityId,
+    idpCert: certificates,
+    wantAssertionsSigned: true,   // Unsigned assertions are rejected
+    wantAuthnResponseSigned: false, // Many IdPs sign the assertion only
+    validateInResponseTo: 'ifPresent',
+    requestIdExpirationPeriodMs: SAML_REQUEST_TTL * 1000,
+    cacheProvider: requestCache,
+    acceptedClockSkewMs: 60 * 1000,
+    identifierFormat: null,       // Let the IdP pick (email, persistent, ...)
+    disableRequestedAuthnContext: true // Don't force password auth (allow MFA/Kerberos)
+  });
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * IDP METADATA
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Read the settings we need from IdP metadata XML
+ * @param {String} xml - EntityDescriptor exported from the IdP
+ * @returns {Object} - { entityId, ssoUrl, certificates }
+ * @throws {Error} - If the document isn't usable IdP metadata
+ */
+const parseIdpMetadata = (xml) => {
+  if (!xml || typeof xml !== 'string') {
+    throw new Error('Metadata XML is required');
+  }
+
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  const entity = doc.getElementsByTagNameNS(MD_NS, 'EntityDescriptor')[0];
+  const idp = entity && entity.getElementsByTagNameNS(MD_NS, 'IDPSSODescriptor')[0];
+
+  if (!idp) {
+    throw new Error('Not SAML IdP metadata (no IDPSSODescriptor)');
+  }
+
+  const ssoService = Array.from(idp.getElementsByTagNameNS(MD_NS, 'SingleSignOnService'))
+    .find(el => el.getAttribute('Binding') === REDIRECT_BINDING);
+
+  if (!ssoService) {
+    throw new Error('IdP does not offer the HTTP-Redirect binding');
+  }
+
+  // Signing keys: KeyDescriptors without use="encryption"
+  const certificates = Array.from(idp.getElementsByTagNameNS(MD_NS, 'KeyDescriptor'))
+    .filter(el => el.getAttribute('use') !== 'encryption')
+    .map(el => el.getElementsByTagNameNS(DS_NS, 'X509Certificate')[0])
+    .filter(Boolean)
+    .map(el => el.textContent.replace(/\s+/g, ''));
+
+  if (certificates.length === 0) {
+    throw new Error('IdP metadata contains no signing certificate');
+  }
+
+  return {
+    entityId: entity.getAttribute('entityID'),
+    ssoUrl: ssoService.getAttribute('Location'),
+    certificates: [...new Set(certificates)]
+  };
+};
+
+/**
+ * Our SP metadata for the IdP admin
+ * @param {Object} connection - SsoConnection
+ * @returns {String} - EntityDescriptor XML
+ */
+const generateSpMetadata = (connection) => {
+  const { entityId, acsUrl } = getSpUrls(connection);
+
+  /**
+   * Built by hand rather than through node-saml
+   * ────────────────────────────────────────────────────────
+   * The IdP admin needs this before metadata has been
+   * uploaded, when getSamlClient() can't be created yet
+   */
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<md:EntityDescriptor xmlns:md="${MD_NS}" entityID="${entityId}">`,
+    `  <md:SPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol" AuthnRequestsSigned="false" WantAssertionsSigned="true">`,
+    '    <md:NameIDFormat>urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress</md:NameIDFormat>',
+    '    <md:NameIDFormat>urn:oasis:names:tc:SAML:2.0:nameid-format:persistent</md:NameIDFormat>',
+    `    <md:AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="${acsUrl}" index="0" isDefault="true"/>`,
+    '  </md:SPSSODescriptor>',
+    '</md:EntityDescriptor>'
+  ].join('\n');
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LOGIN FLOW
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Build the IdP redirect (AuthnRequest)
+ * @param {Object} connection - SsoConnection (protocol 'saml')
+ * @param {String} state - Verified frontend state, sent as RelayState
+ * @returns {Promise<String>} - URL to redirect to
+ */
+const startSamlLogin = async (connection, state) => {
+  const saml = getSamlClient(connection);
+  return saml.getAuthorizeUrlAsync(state, undefined, {});
+};
+
+/**
+ * Validate a SAMLResponse posted to the ACS
+ * @param {Object} connection - SsoConnection (protocol 'saml')
+ * @param {Object} body - { SAMLResponse, RelayState }
+ * @returns {Promise<Object>} - { profile (from mapClaims), idpInitiated }
+ * @throws {Error} - Invalid signature, issuer, audience, conditions, ...
+ */
+const validateSamlResponse = async (connection, { SAMLResponse, RelayState }) => {
+  if (!SAMLResponse) {
+    throw new Error('Missing SAMLResponse');
+  }
+
+  const saml = getSamlClient(connection);
+  const { profile } = await saml.validatePostResponseAsync({ SAMLResponse, RelayState });
+
+  if (!profile) {
+    throw new Error('SAML response contains no assertion');
+  }
+
+  // No InResponseTo → we never asked for this response
+  const idpInitiated = !profile.inResponseTo;
+
+  if (idpInitiated && !connection.saml.allowIdpInitiated) {
+    throw new Error('IdP-initiated login is disabled for this connection');
+  }
+
+  // NameID is the subject; attributes are matched by their Name
+  const claims = {
+    ...(profile.attributes || {}),
+    sub: profile.nameID
+  };
+
+  // Email NameID covers IdPs that send no email attribute
+  const emailAttribute = connection.claimMappings.email;
+  if (claims[emailAttribute] === undefined && /@/.test(profile.nameID || '')) {
+    claims[emailAttribute] = profile.nameID;
+  }
+
+  return {
+    profile: mapClaims(connection, claims),
+    idpInitiated
+  };
+};
+
+/**
+ * Park a validated profile until the browser comes back with its state
+ * @param {String} state - RelayState of an SP-initiated login
+ * @param {Object} connection - SsoConnection
+ * @param {Object} profile - From validateSamlResponse
+ */
+const storeSamlResult = async (state, connection, profile) => {
+  const redis = getRedisClient();
+  await redis.set(
+    `saml_result:${state}`,
+    JSON.stringify({ connectionId: connection._id.toString(), profile }),
+    'EX',
+    SAML_RESULT_TTL
+  );
+};
+
+/**
+ * Take a parked profile (single use)
+ * @param {String} state - Verified state (cookie matched)
+ * @returns {Promise<Object|null>} - { connectionId, profile }
+ */
+const consumeSamlResult = async (state) => {
+  const redis = getRedisClient();
+  const key = `saml_result:${state}`;
+  const stored = await redis.get(key);
+
+  if (!stored) return null;
+
+  await redis.del(key);
+  return JSON.parse(stored);
+};
+
+module.exports = {
+  getSpUrls,
+  parseIdpMetadata,
+  generateSpMetadata,
+  startSamlLogin,
+  validateSamlResponse,
+  storeSamlResult,
+  consumeSamlResult
+};
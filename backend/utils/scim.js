@@ -0,0 +1,502 @@
+const mongoose = require('mongoose');
+const ScimGroup = require('../models/ScimGroup');
+const { applyConnectionRoles } = require('./identities');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SCIM 2.0 HELPERS (RFC 7643 / RFC 7644)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Resource mapping, filters, PATCH and group → access sync
+ * for routes/scim.js
+ *
+ * Tenancy: every SCIM token belongs to one SsoConnection; users and
+ * groups are only visible to the tenant that provisioned them
+ * (User.scim.connection, ScimGroup.connection)
+ *
+ * @file backend/utils/scim.js
+ * @phase Phase 4 - SCIM Provisioning
+ */
+
+const SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Error carrying the SCIM status + scimType
+ * @param {Number} status - HTTP status
+ * @param {String} detail - Human-readable message
+ * @param {String} scimType - e.g. 'invalidFilter', 'uniqueness', 'invalidValue'
+ * @returns {Error}
+ */
+const scimError = (status, detail, scimType) => {
+  const error = new Error(detail);
+  error.status = status;
+  error.scimType = scimType;
+  return error;
+};
+
+/**
+ * Send an error in the SCIM error schema
+ * @param {Object} res - Express response
+ * @param {Error} error - From scimError (anything else → 500)
+ */
+const sendScimError = (res, error) => {
+  const status = error.status || 500;
+
+  if (status === 500) {
+    console.error('SCIM error:', error);
+  }
+
+  res.status(status).type('application/scim+json').json({
+    schemas: [SCHEMAS.ERROR],
+    status: String(status),
+    scimType: error.scimType,
+    detail: status === 500 ? 'Internal server error' : error.message
+  });
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FILTERS + PAGINATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Supported: eq, ne, co, sw, ew, pr joined by `and`
+ * (what Okta / Azure AD / OneLogin send)
+ * e.g. userName eq "jane@acme.com" and active eq true
+ */
+
+// SCIM attribute → { field, lowercase (case-insensitive), type }
+const USER_FILTER_ATTRIBUTES = {
+  id: { field: '_id', type: 'id' },
+  username: { field: 'scim.userName', lowercase: true },
+  externalid: { field: 'scim.externalId' },
+  'emails.value': { field: 'email', lowercase: true },
+  emails: { field: 'email', lowercase: true },
+  displayname: { field: 'name' },
+  active: { field: 'isActive', type: 'boolean' }
+};
+
+const GROUP_FILTER_ATTRIBUTES = {
+  id: { field: '_id', type: 'id' },
+  displayname: { field: 'displayName', lowercase: true },
+  externalid: { field: 'externalId' },
+  'members.value': { field: 'members', type: 'id' },
+  members: { field: 'members', type: 'id' }
+};
+
+const FILTER_CLAUSE = /\s*([\w.:]+)\s+(eq|ne|co|sw|ew|pr)(?:\s+("(?:[^"\\]|\\.)*"|true|false|null))?\s*(and\s+|$)/iy;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turn one comparison into a MongoDB condition
+ */
+const buildCondition = (attribute, operator, rawValue) => {
+  if (operator === 'pr') {
+    return { $exists: true, $nin: [null, ''] };
+  }
+
+  let value = rawValue === 'null' ? null : JSON.parse(rawValue);
+
+  if (attribute.type === 'boolean') {
+    return operator === 'ne' ? { $ne: value } : value;
+  }
+
+  if (attribute.type === 'id') {
+    value = mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : null;
+    if (operator !== 'eq' && operator !== 'ne') {
+      throw scimError(400, `Operator ${operator} not supported for ids`, 'invalidFilter');
+    }
+    return operator === 'ne' ? { $ne: value } : value;
+  }
+
+  if (typeof value !== 'string') {
+    return operator === 'ne' ? { $ne: value } : value;
+  }
+
+  /**
+   * Case-insensitive attributes (userName, emails, displayName)
+   * ────────────────────────────────────────────────────────
+   * RFC 7643 marks them caseExact: false → compare with /i
+   */
+  const escaped = escapeRegex(value);
+  const flags = attribute.lowercase ? 'i' : '';
+
+  switch (operator) {
+    case 'eq': return attribute.lowercase ? new RegExp(`^${escaped}$`, 'i') : value;
+    case 'ne': return attribute.lowercase ? { $not: new RegExp(`^${escaped}$`, 'i') } : { $ne: value };
+    case 'co': return new RegExp(escaped, flags);
+    case 'sw': return new RegExp(`^${escaped}`, flags);
+    case 'ew': return new RegExp(`${escaped}$`, flags);
+    default: throw scimError(400, `Unsupported operator: ${operator}`, 'invalidFilter');
+  }
+};
+
+/**
+ * Parse a SCIM filter into a MongoDB query
+ * @param {String} filter - ?filter= value
+ * @param {Object} attributes - USER_FILTER_ATTRIBUTES or GROUP_FILTER_ATTRIBUTES
+ * @returns {Object} - Query conditions (AND)
+ * @throws {Error} - scimError 400 invalidFilter
+ */
+const parseFilter = (filter, attributes) => {
+  if (!filter) return {};
+
+  const conditions = [];
+  FILTER_CLAUSE.lastIndex = 0;
+
+  while (FILTER_CLAUSE.lastIndex < filter.length) {
+    const match = FILTER_CLAUSE.exec(filter);
+
+    if (!match) {
+      throw scimError(400, `Unsupported filter: ${filter}`, 'invalidFilter');
+    }
+
+    const [, name, op, rawValue, joiner] = match;
+    const operator = op.toLowerCase();
+    const attribute = attributes[name.toLowerCase().replace(/^urn:[^ ]+:/, '')];
+
+    if (!attribute) {
+      throw scimError(400, `Filtering on ${name} is not supported`, 'invalidFilter');
+    }
+
+    if (operator !== 'pr' && rawValue === undefined) {
+      throw scimError(400, `Missing value for ${name} ${op}`, 'invalidFilter');
+    }
+
+    conditions.push({ [attribute.field]: buildCondition(attribute, operator, rawValue) });
+
+    if (!joiner) break;
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Read startIndex / count (1-based, RFC 7644 §3.4.2.4)
+ * @param {Object} query - req.query
+ * @returns {Object} - { startIndex, count }
+ */
+const parsePagination = (query) => {
+  const startIndex = Math.max(parseInt(query.startIndex, 10) || 1, 1);
+  const requested = parseInt(query.count, 10);
+  const count = Number.isNaN(requested)
+    ? DEFAULT_PAGE_SIZE
+    : Math.min(Math.max(requested, 0), MAX_PAGE_SIZE);
+
+  return { startIndex, count };
+};
+
+/**
+ * ListResponse envelope
+ */
+const listResponse = (resources, totalResults, startIndex) => ({
+  schemas: [SCHEMAS.LIST],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * RESOURCE MAPPING
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * User document → SCIM User
+ * @param {Object} user
+ * @param {String} baseUrl - e.g. https://api.example.com/scim/v2
+ * @param {Array} groups - ScimGroups the user belongs to
+ */
+const toScimUser = (user, baseUrl, groups = []) => ({
+  schemas: [SCHEMAS.USER],
+  id: user._id.toString(),
+  externalId: user.scim?.externalId,
+  userName: user.scim?.userName || user.email,
+  name: { formatted: user.name },
+  displayName: user.name,
+  emails: [{ value: user.email, type: 'work', primary: true }],
+  active: user.isActive,
+  groups: groups.map(group => ({
+    value: group._id.toString(),
+    display: group.displayName,
+    $ref: `${baseUrl}/Groups/${group._id}`
+  })),
+  meta: {
+    resourceType: 'User',
+    created: user.createdAt,
+    lastModified: user.updatedAt,
+    location: `${baseUrl}/Users/${user._id}`
+  }
+});
+
+/**
+ * ScimGroup document → SCIM Group
+ * @param {Object} group - With members populated (name, email)
+ * @param {String} baseUrl
+ */
+const toScimGroup = (group, baseUrl) => ({
+  schemas: [SCHEMAS.GROUP],
+  id: group._id.toString(),
+  externalId: group.externalId,
+  displayName: group.displayName,
+  members: group.members.map(member => ({
+    value: (member._id || member).toString(),
+    display: member.email,
+    $ref: `${baseUrl}/Users/${member._id || member}`
+  })),
+  meta: {
+    resourceType: 'Group',
+    created: group.createdAt,
+    lastModified: group.updatedAt,
+    location: `${baseUrl}/Groups/${group._id}`
+  }
+});
+
+// Azure AD sends booleans as "True"/"False" strings in PATCH
+const toBoolean = (value) => (typeof value === 'string' ? value.toLowerCase() === 'true' : !!value);
+
+/**
+ * SCIM User body → flat attributes we store
+ * @param {Object} resource - POST/PUT body (or PATCH result)
+ * @returns {Object} - { userName, externalId, email, name, active }
+ */
+const readUserResource = (resource) => {
+  const primaryEmail = (resource.emails || []).find(email => email.primary) || (resource.emails || [])[0];
+  const name = resource.name || {};
+  const fullName = name.formatted ||
+    [name.givenName, name.familyName].filter(Boolean).join(' ') ||
+    resource.displayName;
+
+  return {
+    userName: resource.userName,
+    externalId: resource.externalId,
+    email: primaryEmail?.value || resource.userName,
+    name: fullName,
+    active: resource.active === undefined ? undefined : toBoolean(resource.active)
+  };
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PATCH (RFC 7644 §3.5.2)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Validate the PatchOp envelope
+ * @returns {Array} - Operations with lowercased `op`
+ */
+const readPatchOperations = (body) => {
+  if (!body || !Array.isArray(body.Operations) || body.Operations.length === 0) {
+    throw scimError(400, 'PATCH body must contain Operations', 'invalidSyntax');
+  }
+
+  return body.Operations.map((operation) => {
+    const op = String(operation.op || '').toLowerCase();
+
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw scimError(400, `Unsupported PATCH op: ${operation.op}`, 'invalidSyntax');
+    }
+
+    return { ...operation, op };
+  });
+};
+
+/**
+ * Apply PATCH operations to a SCIM User representation
+ * @param {Object} resource - Current SCIM User (toScimUser)
+ * @param {Array} operations - From readPatchOperations
+ * @returns {Object} - Patched resource (feed to readUserResource)
+ */
+const patchUserResource = (resource, operations) => {
+  const patched = { ...resource, name: { ...resource.name }, emails: [...resource.emails] };
+
+  const setPath = (path, value) => {
+    const key = path.toLowerCase();
+
+    if (key === 'active') patched.active = value;
+    else if (key === 'username') patched.userName = value;
+    else if (key === 'externalid') patched.externalId = value;
+    else if (key === 'displayname') patched.displayName = value;
+    else if (key === 'name.formatted') patched.name.formatted = value;
+    else if (key === 'name.givenname' || key === 'name.familyname') {
+      // Stored as one name - rebuild from the parts we know
+      patched.name[key === 'name.givenname' ? 'givenName' : 'familyName'] = value;
+      delete patched.name.formatted;
+    } else if (key === 'emails' || key.startsWith('emails[')) {
+      const email = Array.isArray(value) ? value[0]?.value : (value?.value || value);
+      patched.emails = [{ value: email, primary: true }];
+    } else if (key === 'name') {
+      patched.name = { ...value };
+    } else {
+      throw scimError(400, `Unsupported PATCH path: ${path}`, 'invalidPath');
+    }
+  };
+
+  operations.forEach(({ op, path, value }) => {
+    if (op === 'remove') {
+      // Nothing removable that we could honour without a value
+      if (path && path.toLowerCase() === 'externalid') {
+        patched.externalId = undefined;
+        return;
+      }
+      throw scimError(400, `Cannot remove ${path || 'attributes'} from a user`, 'mutability');
+    }
+
+    if (path) {
+      setPath(path, value);
+    } else {
+      Object.entries(value || {}).forEach(([key, attributeValue]) => setPath(key, attributeValue));
+    }
+  });
+
+  // givenName/familyName patched individually → formatted from parts
+  if (!patched.name.formatted && (patched.name.givenName || patched.name.familyName)) {
+    const [given, ...family] = String(resource.name.formatted || '').split(' ');
+    patched.name.formatted = [
+      patched.name.givenName ?? given,
+      patched.name.familyName ?? family.join(' ')
+    ].filter(Boolean).join(' ');
+  }
+
+  return patched;
+};
+
+/**
+ * Member ids referenced by a PATCH value or filter path
+ * e.g. path 'members[value eq "abc"]' or value [{ value: 'abc' }]
+ */
+const readMemberIds = (path, value) => {
+  const fromPath = /members\[value eq "([^"]+)"\]/i.exec(path || '');
+  if (fromPath) return [fromPath[1]];
+
+  return [].concat(value || []).map(member => String(member.value || member));
+};
+
+/**
+ * Read PATCH operations for a group
+ * @param {Array} operations - From readPatchOperations
+ * @returns {Object} - { displayName?, externalId?, add: [ids], remove: [ids], replace: [ids]|null }
+ */
+const readGroupPatch = (operations) => {
+  const changes = { add: [], remove: [], replace: null };
+
+  operations.forEach(({ op, path, value }) => {
+    const key = (path || '').toLowerCase();
+
+    if (key.startsWith('members')) {
+      const ids = readMemberIds(path, value);
+
+      if (op === 'add') changes.add.push(...ids);
+      else if (op === 'remove') {
+        // remove without filter/value → remove everyone
+        if (ids.length === 0) changes.replace = [];
+        else changes.remove.push(...ids);
+      } else changes.replace = ids;
+      return;
+    }
+
+    if (key === 'displayname') {
+      changes.displayName = value;
+    } else if (key === 'externalid') {
+      changes.externalId = op === 'remove' ? undefined : value;
+    } else if (!path && op !== 'remove') {
+      // No path: value is a partial Group
+      if (value.displayName !== undefined) changes.displayName = value.displayName;
+      if (value.externalId !== undefined) changes.externalId = value.externalId;
+      if (value.members !== undefined) {
+        const ids = readMemberIds(null, value.members);
+        if (op === 'add') changes.add.push(...ids);
+        else changes.replace = ids;
+      }
+    } else {
+      throw scimError(400, `Unsupported PATCH path: ${path}`, 'invalidPath');
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GROUP → ROLES / PERMISSIONS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Recomputed from all of the user's groups in the tenant:
+ * - roles: connection.roleMappings[displayName] (+ 'user');
+ *   only when the tenant has role mappings at all
+ * - permissions: connection.permissionMappings[displayName];
+ *   only group-granted ones (User.scim.permissions) are ever removed
+ */
+
+/**
+ * Re-sync roles + permissions of users after group changes
+ * @param {Array} users - User documents (tenant members)
+ * @param {Object} connection - SsoConnection (tenant)
+ */
+const syncGroupAccess = async (users, connection) => {
+  for (const user of users) {
+    const groups = await ScimGroup.find({ connection: connection._id, members: user._id })
+      .select('displayName');
+    const names = groups.map(group => group.displayName);
+
+    // ─────────────────────────────────────────────────────────
+    // Permissions
+    // ─────────────────────────────────────────────────────────
+    const granted = [...new Set(names.flatMap(name => connection.permissionMappings.get(name) || []))];
+    const previous = user.scim.permissions || [];
+
+    const permissions = [
+      ...new Set([
+        ...user.permissions.filter(permission => !previous.includes(permission)),
+        ...granted
+      ])
+    ];
+
+    if (permissions.length !== user.permissions.length ||
+        !permissions.every(permission => user.permissions.includes(permission))) {
+      console.log(`🏢 SCIM permissions synced for ${user.email}: ${permissions.join(', ') || '(none)'}`);
+    }
+
+    user.permissions = permissions;
+    user.scim.permissions = granted;
+    await user.save();
+
+    // ─────────────────────────────────────────────────────────
+    // Roles
+    // ─────────────────────────────────────────────────────────
+    if (connection.roleMappings.size > 0) {
+      const roles = names.map(name => connection.roleMappings.get(name)).filter(Boolean);
+      await applyConnectionRoles(user, roles);
+    }
+  }
+};
+
+module.exports = {
+  SCHEMAS,
+  USER_FILTER_ATTRIBUTES,
+  GROUP_FILTER_ATTRIBUTES,
+  scimError,
+  sendScimError,
+  parseFilter,
+  parsePagination,
+  listResponse,
+  toScimUser,
+  toScimGroup,
+  readUserResource,
+  readPatchOperations,
+  patchUserResource,
+  readGroupPatch,
+  syncGroupAccess
+};
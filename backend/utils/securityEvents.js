@@ -0,0 +1,61 @@
+const EventEmitter = require('events');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SECURITY EVENTS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Central emitter for security-relevant events
+ *
+ * Every event is logged; other modules can subscribe to forward events
+ * to alerting, audit storage or email notifications.
+ *
+ * @file backend/utils/securityEvents.js
+ *
+ * Usage:
+ * const { emitSecurityEvent, securityEvents, SECURITY_EVENTS } = require('../utils/securityEvents');
+ *
+ * // Emit
+ * emitSecurityEvent(SECURITY_EVENTS.REFRESH_TOKEN_REUSE, { userId, familyId });
+ *
+ * // Subscribe
+ * securityEvents.on(SECURITY_EVENTS.REFRESH_TOKEN_REUSE, (event) => { ... });
+ * securityEvents.on('*', (event) => { ... }); // All events
+ */
+
+const SECURITY_EVENTS = {
+  REFRESH_TOKEN_REUSE: 'refresh_token.reuse_detected',
+  TOKEN_FAMILY_REVOKED: 'refresh_token.family_revoked',
+  ACCESS_TOKENS_REVOKED: 'access_token.revoked_all',
+  TRUSTED_DEVICES_REVOKED: 'trusted_device.revoked_all'
+};
+
+const securityEvents = new EventEmitter();
+
+/**
+ * Emit a security event
+ *
+ * @param {String} type - One of SECURITY_EVENTS
+ * @param {Object} data - Event details (userId, ip, ...)
+ * @returns {Object} - The emitted event { type, timestamp, ...data }
+ */
+const emitSecurityEvent = (type, data = {}) => {
+  const event = {
+    type,
+    timestamp: new Date().toISOString(),
+    ...data
+  };
+
+  console.warn(`🚨 Security event: ${type}`, JSON.stringify(data));
+
+  securityEvents.emit(type, event);
+  securityEvents.emit('*', event);
+
+  return event;
+};
+
+module.exports = {
+  SECURITY_EVENTS,
+  securityEvents,
+  emitSecurityEvent
+};
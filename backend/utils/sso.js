@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getRedisClient } = require('../config/redis');
+const SsoConnection = require('../models/SsoConnection');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ENTERPRISE SSO (OpenID Connect relying party)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Log users in through customer IdPs (Okta, Azure AD, Keycloak, ...)
+ * configured at runtime as SsoConnection documents
+ *
+ * Flow (authorization code + PKCE):
+ * 1. startSsoLogin: discovery → authorize URL with state, nonce, code_challenge
+ * 2. IdP redirects to /api/auth/sso/callback?code=...&state=...
+ * 3. completeSsoLogin: code → tokens at token_endpoint,
+ *    ID token verified against the IdP's JWKS (iss, aud, exp, nonce),
+ *    claims mapped, email domain checked
+ *
+ * @file backend/utils/sso.js
+ * @phase Phase 4 - Enterprise SSO
+ *
+ * Redis Keys:
+ * sso_flow:<state> = { connectionId, nonce, codeVerifier }  (TTL: 10 min)
+ *
+ * Environment:
+ * - SSO_CALLBACK_URL  (default: http://localhost:5000/api/auth/sso/callback)
+ */
+
+const SSO_FLOW_TTL = 10 * 60;                 // 10 minutes (same as state cookie)
+const METADATA_CACHE_TTL = 60 * 60 * 1000;    // 1 hour for discovery + JWKS
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const getCallbackUrl = () =>
+  process.env.SSO_CALLBACK_URL || 'http://localhost:5000/api/auth/sso/callback';
+
+// In-memory cache: URL → { value, expiresAt }
+const metadataCache = new Map();
+
+/**
+ * Fetch JSON (with cache)
+ * @param {String} url
+ * @param {Boolean} force - Skip cache (e.g. JWKS after unknown kid)
+ * @returns {Promise<Object>}
+ */
+const fetchJson = async (url, force = false) => {
+  const cached = metadataCache.get(url);
+
+  if (!force && cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url} (${response.status})`);
+  }
+
+  const value = await response.json();
+  metadataCache.set(url, { value, expiresAt: Date.now() + METADATA_CACHE_TTL });
+
+  return value;
+};
+
+const trimSlash = (url) => String(url).replace(/\/+$/, '');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DISCOVERY
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Get the IdP's OpenID Provider Metadata
+ * @param {String} issuer - Connection issuer URL
+ * @returns {Promise<Object>} - Discovery document
+ * @throws {Error} - If unreachable or `issuer` doesn't match
+ */
+const discover = async (issuer) => {
+  const metadata = await fetchJson(`${trimSlash(issuer)}/.well-known/openid-configuration`);
+
+  // OIDC Discovery §4.3: issuer in the document MUST match
+  if (trimSlash(metadata.issuer) !== trimSlash(issuer)) {
+    throw new Error(`Issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+  }
+
+  const required = ['authorization_endpoint', 'token_endpoint', 'jwks_uri'];
+  const missing = required.find(field => !metadata[field]);
+  if (missing) {
+    throw new Error(`Discovery document missing ${missing}`);
+  }
+
+  return metadata;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ID TOKEN VERIFICATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Find the verification key for an ID token
+ * Refetches the JWKS once if the kid is unknown (IdP rotated keys)
+ * @param {String} jwksUri
+ * @param {Object} header - Decoded JWT header
+ * @returns {Promise<KeyObject>}
+ */
+const getSigningKey = async (jwksUri, header) => {
+  const findKey = (jwks) => (jwks.keys || []).find(key =>
+    (!header.kid || key.kid === header.kid) && (!key.use || key.use === 'sig')
+  );
+
+  let jwk = findKey(await fetchJson(jwksUri));
+
+  if (!jwk) {
+    jwk = findKey(await fetchJson(jwksUri, true));
+  }
+
+  if (!jwk) {
+    throw new Error('No matching signing key in IdP JWKS');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token from the IdP
+ * @param {String} idToken
+ * @param {Object} options - { metadata, issuer, clientId, nonce }
+ * @returns {Promise<Object>} - Verified claims
+ */
+const verifyIdToken = async (idToken, { metadata, issuer, clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer || issuer,
+    audience: clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LOGIN FLOW
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Build the IdP authorization URL and remember the flow
+ * @param {Object} connection - SsoConnection
+ * @param {String} state - Verified frontend state (bound to browser)
+ * @param {String} loginHint - Optional email to prefill at the IdP
+ * @returns {Promise<String>} - URL to redirect to
+ */
+const startSsoLogin = async (connection, state, loginHint) => {
+  const metadata = await discover(connection.issuer);
+
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const redis = getRedisClient();
+  await redis.set(
+    `sso_flow:${state}`,
+    JSON.stringify({ connectionId: connection._id.toString(), nonce, codeVerifier }),
+    'EX',
+    SSO_FLOW_TTL
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: connection.clientId,
+    redirect_uri: getCallbackUrl(),
+    scope: connection.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  if (loginHint) {
+    params.set('login_hint', loginHint);
+  }
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+/**
+ * Exchange the authorization code at the IdP token endpoint
+ * @param {Object} connection - SsoConnection (clientSecret selected)
+ * @param {Object} metadata - Discovery document
+ * @param {String} code
+ * @param {String} codeVerifier
+ * @returns {Promise<Object>} - Token response
+ */
+const exchangeCode = async (connection, metadata, code, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getCallbackUrl(),
+    code_verifier: codeVerifier,
+    client_id: connection.clientId
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  /**
+   * Client authentication
+   * ────────────────────────────────────────────────────────
+   * client_secret_basic is the spec default; use _post only
+   * when the IdP doesn't list basic
+   */
+  if (connection.clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(connection.clientId)}:${encodeURIComponent(connection.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', connection.clientSecret);
+    }
+  }
+
+  const response = await fetch(metadata.token_endpoint, { method: 'POST', headers, body });
+  const tokens = await response.json().catch(() => ({}));
+
+  if (!response.ok || !tokens.id_token) {
+    throw new Error(`Token exchange failed: ${tokens.error_description || tokens.error || response.status}`);
+  }
+
+  return tokens;
+};
+
+/**
+ * Read a (possibly nested, dot-separated) claim
+ * @param {Object} claims
+ * @param {String} path - e.g. 'email' or 'attributes.mail'
+ */
+const readClaim = (claims, path) => {
+  if (!path) return undefined;
+
+  // SAML attribute names are URIs full of dots - try the exact key first
+  if (claims[path] !== undefined) return claims[path];
+
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+// Multi-valued SAML attributes arrive as arrays
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Apply a connection's claim mappings + domain check
+ * ────────────────────────────────────────────────────────────────────────
+ * Shared by OIDC (ID token / userinfo claims) and SAML (NameID as `sub`
+ * plus assertion attributes)
+ *
+ * @param {Object} connection - SsoConnection
+ * @param {Object} claims - Verified claims from the IdP
+ * @returns {Object} - { providerId, email, name, picture, roles }
+ *                     roles: our role names, null when not synced
+ * @throws {Error} - Missing subject/email or email outside allowedDomains
+ */
+const mapClaims = (connection, claims) => {
+  const mappings = connection.claimMappings;
+  const subject = firstValue(readClaim(claims, mappings.subject));
+  const email = firstValue(readClaim(claims, mappings.email));
+
+  if (!subject || !email) {
+    throw new Error('IdP did not return a subject and email');
+  }
+
+  /**
+   * The connection is only trusted for its configured domains
+   * ────────────────────────────────────────────────────────
+   * Stops one customer's IdP from asserting emails
+   * of another company (or of our local users)
+   */
+  if (!connection.allowsEmail(email)) {
+    throw new Error('Email domain not allowed for this SSO connection');
+  }
+
+  let roles = null;
+
+  if (mappings.roles) {
+    const values = [].concat(readClaim(claims, mappings.roles) || []);
+    roles = values
+      .map(value => connection.roleMappings.get(String(value)))
+      .filter(Boolean);
+  }
+
+  return {
+    providerId: `${connection._id}:${subject}`,
+    email,
+    name: firstValue(readClaim(claims, mappings.name)) || email.split('@')[0],
+    picture: firstValue(readClaim(claims, mappings.picture)),
+    roles
+  };
+};
+
+/**
+ * Finish an SSO login
+ * @param {String} state - Verified state from the callback
+ * @param {String} code - Authorization code from the IdP
+ * @returns {Promise<Object>} - { connection, profile } (profile from mapClaims)
+ * @throws {Error} - Any verification failure
+ */
+const completeSsoLogin = async (state, code) => {
+  // ─────────────────────────────────────────────────────────
+  // 1. Load Flow (single use)
+  // ─────────────────────────────────────────────────────────
+  const redis = getRedisClient();
+  const key = `sso_flow:${state}`;
+  const stored = await redis.get(key);
+
+  if (!stored) {
+    throw new Error('SSO login expired. Please try again.');
+  }
+
+  await redis.del(key);
+
+  const { connectionId, nonce, codeVerifier } = JSON.parse(stored);
+  const connection = await SsoConnection.findById(connectionId).select('+clientSecret');
+
+  if (!connection || !connection.isActive) {
+    throw new Error('SSO connection not available');
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // 2. Code → Tokens, Verify ID Token
+  // ─────────────────────────────────────────────────────────
+  const metadata = await discover(connection.issuer);
+  const tokens = await exchangeCode(connection, metadata, code, codeVerifier);
+
+  let claims = await verifyIdToken(tokens.id_token, {
+    metadata,
+    issuer: connection.issuer,
+    clientId: connection.clientId,
+    nonce
+  });
+
+  /**
+   * Some IdPs keep profile claims out of the ID token
+   * ────────────────────────────────────────────────────────
+   * Fall back to userinfo; `sub` must match (OIDC Core §5.3.2)
+   */
+  const mappings = connection.claimMappings;
+
+  if (!readClaim(claims, mappings.email) && metadata.userinfo_endpoint && tokens.access_token) {
+    const response = await fetch(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+
+    if (response.ok) {
+      const userinfo = await response.json();
+      if (userinfo.sub === claims.sub) {
+        claims = { ...userinfo, ...claims };
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────
+  // 3. Map Claims + Check Domain
+  // ─────────────────────────────────────────────────────────
+  return {
+    connection,
+    profile: mapClaims(connection, claims)
+  };
+};
+
+module.exports = {
+  discover,
+  mapClaims,
+  startSsoLogin,
+  completeSsoLogin
+};
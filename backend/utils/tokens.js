@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { getRedisClient } = require('../config/redis');
+const { emitSecurityEvent, SECURITY_EVENTS } = require('./securityEvents');
+const { signToken, verifyToken } = require('./keyManager');
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -15,10 +17,77 @@ const { getRedisClient } = require('../config/redis');
  * - Token verification
  * - Token invalidation (logout)
  * - Theft detection
+ * - Token families: reuse of a rotated token revokes the whole family
  * 
  * @file backend/utils/tokens.js
  * @phase Phase 3.4 - Token Refresh Rotation
+ * 
+ * Redis keys:
+ * - refresh_token:userId:tokenId          → active refresh token
+ * - refresh_token_rotated:userId:tokenId  → already rotated (reuse detection)
+ * - refresh_family_revoked:familyId       → revoked family marker
+ * - access_token_revoked:jti              → revoked access token (denylist)
+ * - access_tokens_revoked_before:userId   → tokens issued before this time are revoked
+ */
+
+/**
+ * Lifetime in seconds of an expiresIn setting
+ * ────────────────────────────────────────────────────────────────────────
+ * Measured on a throwaway token, so it parses '15m', '2 days', 900 ...
+ * exactly like the tokens that are really issued
+ * @param {String|Number} expiresIn - jsonwebtoken expiresIn
+ * @returns {Number}
  */
+const getLifetime = (expiresIn) => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn }));
+  return exp - iat;
+};
+
+/**
+ * How long the per-user revocation cutoff must be kept
+ * ────────────────────────────────────────────────────────────────────────
+ * Until every token issued before it has expired: the longest lifetime
+ * of first-party (JWT_ACCESS_EXPIRY) and OIDC client access tokens
+ * (OIDC_ACCESS_TOKEN_EXPIRY) - both are checked against the cutoff
+ * @returns {Number} - Seconds
+ */
+const getRevokedBeforeTtl = () => Math.max(
+  getLifetime(process.env.JWT_ACCESS_EXPIRY || '15m'),
+  getLifetime(process.env.OIDC_ACCESS_TOKEN_EXPIRY || '15m')
+);
+
+/**
+ * Refuse to issue tokens for deactivated accounts
+ * ────────────────────────────────────────────────────────────────────────
+ * Every login path (password, MFA, OAuth/SSO, passkey, refresh)
+ * ends here, so this is the one check that can't be forgotten
+ * @param {Object} user - User document
+ * @throws {Error} - If the account is deactivated (e.g. via SCIM)
+ */
+const assertActive = (user) => {
+  if (user.isActive === false) {
+    throw new Error('Account is deactivated. Contact your administrator.');
+  }
+};
+
+/**
+ * Step-up claims for an auth context (see utils/reauth.js)
+ * ────────────────────────────────────────────────────────────────────────
+ * @param {Object} auth - { authTime, amr } or null
+ * @returns {Object} - { auth_time, amr } or {} when unknown
+ */
+const getAuthClaims = (auth) => (
+  auth?.authTime ? { auth_time: auth.authTime, amr: auth.amr || [] } : {}
+);
+
+/**
+ * Auth context carried by a verified token
+ * @param {Object} decoded - Access or refresh token payload
+ * @returns {Object|null} - { authTime, amr }
+ */
+const getAuthContext = (decoded) => (
+  decoded?.auth_time ? { authTime: decoded.auth_time, amr: decoded.amr || [] } : null
+);
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -28,6 +97,8 @@ const { getRedisClient } = require('../config/redis');
  * Creates short-lived access token for API requests
  * 
  * @param {Object} user - User document from database
+ * @param {Object} auth - Optional { authTime, amr } of the login/reauthentication
+ *        (createAuthContext) → auth_time + amr claims for requireRecentAuth
  * @returns {String} - JWT access token
  * 
  * Usage:
@@ -38,19 +109,146 @@ const { getRedisClient } = require('../config/redis');
  * - Short expiry (15 min) - limits damage if stolen
  * - Contains user info for authorization
  * - Type field prevents use as refresh token
+ * - Unique jti - lets a single token be revoked (denylist)
+ * - Signed with asymmetric key (RS256/ES256, kid header) by keyManager
+ *   → downstream services verify via /.well-known/jwks.json
  */
 
-const generateAccessToken = (user) => {
-  return jwt.sign(
+const generateAccessToken = (user, auth = null) => {
+  assertActive(user);
+
+  return signToken(
     {
       userId: user._id,
       email: user.email,
       roles: user.roles,
+      ...getAuthClaims(auth),
       type: 'access' // Prevent misuse as refresh token
     },
-    process.env.JWT_ACCESS_SECRET,
-    { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
+    {
+      expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VERIFY ACCESS TOKEN
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Verifies access token signature (by kid), expiry and type
+ * 
+ * @param {String} token - JWT access token
+ * @returns {Promise<Object>} - Decoded payload { userId, email, roles, auth_time, amr, type, jti, iat, exp }
+ * @throws {JsonWebTokenError|TokenExpiredError} - Same errors as jwt.verify
+ * 
+ * Used by:
+ * - authenticate middleware (REST)
+ * - Apollo context (GraphQL)
+ */
+
+const verifyAccessToken = async (token) => {
+  const decoded = await verifyToken(token);
+  
+  if (decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  
+  return decoded;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ACCESS TOKEN DENYLIST
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Access tokens are stateless - a revoked one still has a valid signature
+ * until it expires. The denylist remembers revoked tokens for exactly
+ * their remaining lifetime.
+ * 
+ * Two mechanisms:
+ * - Single token (jti):    logout, /oauth/revoke
+ * - Per user (issued-before timestamp): logout-all, password reset,
+ *   role change, account deletion - every token issued so far
+ * 
+ * Checked by:
+ * - authenticate middleware (REST)
+ * - Apollo context (GraphQL)
+ * - /oauth/userinfo and /oauth/introspect
+ */
+
+/**
+ * Denylist key for a token: its jti, or a hash of the token if it has none
+ */
+const getAccessTokenKey = (decoded, token) => {
+  const tokenId = decoded.jti || crypto.createHash('sha256').update(token).digest('hex');
+  return `access_token_revoked:${tokenId}`;
+};
+
+/**
+ * Revoke an access token before it expires
+ * @param {Object} decoded - Verified token payload (needs exp)
+ * @param {String} token - Raw JWT
+ * @param {String} reason - Stored as the denylist value
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = async (decoded, token, reason = 'revoked') => {
+  const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+  
+  // Already expired - nothing to deny
+  if (ttl <= 0) return;
+  
+  const redis = getRedisClient();
+  await redis.set(getAccessTokenKey(decoded, token), reason, 'EX', ttl);
+  
+  console.log(`🚫 Access token revoked (${reason})`);
+};
+
+/**
+ * Revoke every access token issued to a user so far
+ * @param {String} userId - User ID
+ * @param {String} reason - Why (logged in event)
+ * @returns {Promise<void>}
+ * 
+ * Tokens issued afterwards (e.g. by refresh with the new roles) stay valid
+ */
+const revokeAllAccessTokens = async (userId, reason = 'revoked') => {
+  const redis = getRedisClient();
+  await redis.set(
+    `access_tokens_revoked_before:${userId}`,
+    Math.floor(Date.now() / 1000).toString(),
+    'EX',
+    getRevokedBeforeTtl()
   );
+  
+  emitSecurityEvent(SECURITY_EVENTS.ACCESS_TOKENS_REVOKED, {
+    userId: userId.toString(),
+    reason
+  });
+};
+
+/**
+ * Check the denylist (single token + per-user cutoff)
+ * @param {Object} decoded - Verified token payload
+ * @param {String} token - Raw JWT
+ * @returns {Promise<Boolean>}
+ */
+const isAccessTokenRevoked = async (decoded, token) => {
+  const redis = getRedisClient();
+  
+  if (await redis.get(getAccessTokenKey(decoded, token))) {
+    return true;
+  }
+  
+  // First-party tokens carry userId, OIDC client tokens carry sub
+  const userId = decoded.userId || decoded.sub;
+  if (!userId) return false;
+  
+  const revokedBefore = await redis.get(`access_tokens_revoked_before:${userId}`);
+  
+  // Same-second tokens are kept so a token refreshed right after the cutoff works
+  return Boolean(revokedBefore) && decoded.iat < parseInt(revokedBefore, 10);
 };
 
 /**
@@ -62,11 +260,14 @@ const generateAccessToken = (user) => {
  * 
  * @param {Object} user - User document from database
  * @param {Object} deviceInfo - Optional device/session info
+ * @param {String} familyId - Optional family to join (rotation); new login → new family
+ * @param {Object} grant - Optional OAuth grant { clientId, scope } (OIDC clients)
+ * @param {Object} auth - Optional { authTime, amr } - refreshed access tokens keep it
  * @returns {Promise<String>} - JWT refresh token
  * 
  * Flow:
- * 1. Generate unique tokenId
- * 2. Create JWT with tokenId
+ * 1. Generate unique tokenId (and familyId for new logins)
+ * 2. Create JWT with tokenId + familyId
  * 3. Store token in Redis with metadata
  * 4. Return token to client
  * 
@@ -77,7 +278,9 @@ const generateAccessToken = (user) => {
  * - TTL matches JWT expiry (auto-cleanup)
  */
 
-const generateRefreshToken = async (user, deviceInfo = {}) => {
+const generateRefreshToken = async (user, deviceInfo = {}, familyId = null, grant = null, auth = null) => {
+  assertActive(user);
+
   /**
    * Generate unique tokenId
    * ────────────────────────────────────────────────────────────────────────
@@ -89,18 +292,32 @@ const generateRefreshToken = async (user, deviceInfo = {}) => {
    */
   const tokenId = crypto.randomBytes(32).toString('hex');
   
+  /**
+   * Token family
+   * ────────────────────────────────────────────────────────────────────────
+   * All tokens rotated from one login share a familyId
+   * If a rotated token is replayed, the whole family is revoked
+   */
+  const family = familyId || crypto.randomBytes(16).toString('hex');
+  
   /**
    * Create JWT refresh token
    * ────────────────────────────────────────────────────────────────────────
    * Payload contains:
    * - userId: To identify user
    * - tokenId: To track this specific token
+   * - familyId: Login session this token was rotated from
+   * - clientId/scope: OAuth client the token was issued to (OIDC only)
+   * - auth_time/amr: Last interactive authentication (step-up checks)
    * - type: To prevent misuse as access token
    */
   const refreshToken = jwt.sign(
     {
       userId: user._id,
       tokenId,
+      familyId: family,
+      ...(grant && { clientId: grant.clientId, scope: grant.scope }),
+      ...getAuthClaims(auth),
       type: 'refresh'
     },
     process.env.JWT_REFRESH_SECRET,
@@ -127,6 +344,8 @@ const generateRefreshToken = async (user, deviceInfo = {}) => {
     key,
     JSON.stringify({
       token: refreshToken,
+      familyId: family,
+      ...(grant && { clientId: grant.clientId, scope: grant.scope }),
       deviceInfo: {
         userAgent: deviceInfo.userAgent || 'Unknown',
         ip: deviceInfo.ip || 'Unknown'
@@ -143,6 +362,27 @@ const generateRefreshToken = async (user, deviceInfo = {}) => {
   return refreshToken;
 };
 
+/**
+ * Reuse of an already-rotated token
+ * ────────────────────────────────────────────────────────────────────────
+ * Either the attacker or the legitimate user holds a stale copy
+ * We can't tell which → revoke every token in the family
+ * @param {Object} decoded - Refresh token payload
+ * @param {String} familyId - Family of the reused token
+ * @throws {Error} - Always
+ */
+const handleRefreshTokenReuse = async (decoded, familyId) => {
+  console.warn(`⚠️  Refresh token reuse detected for user ${decoded.userId}`);
+  emitSecurityEvent(SECURITY_EVENTS.REFRESH_TOKEN_REUSE, {
+    userId: decoded.userId.toString(),
+    familyId,
+    tokenId: decoded.tokenId.substring(0, 8)
+  });
+  await revokeTokenFamily(decoded.userId, familyId, 'reuse_detected');
+  
+  throw new Error('Refresh token reuse detected. Please login again.');
+};
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * VERIFY REFRESH TOKEN
@@ -161,6 +401,8 @@ const generateRefreshToken = async (user, deviceInfo = {}) => {
  * 4. Check exists in Redis (not invalidated)
  * 5. Verify token matches stored token
  * 
+ * Doesn't consume the token - rotateRefreshToken does, atomically
+ * 
  * Detects:
  * - Token reuse (possible theft)
  * - Expired tokens
@@ -195,7 +437,14 @@ const verifyRefreshToken = async (token) => {
        * 
        * Action: Log security event
        */
-      console.warn(`⚠️  Refresh token reuse detected for user ${decoded.userId}`);
+      const rotatedFamily = await redis.get(
+        `refresh_token_rotated:${decoded.userId}:${decoded.tokenId}`
+      );
+      
+      if (rotatedFamily) {
+        await handleRefreshTokenReuse(decoded, rotatedFamily);
+      }
+      
       throw new Error('Refresh token invalid or expired. Please login again.');
     }
     
@@ -207,14 +456,14 @@ const verifyRefreshToken = async (token) => {
       throw new Error('Token mismatch');
     }
     
-    // Step 6: Update last used timestamp
-    storedData.lastUsed = Date.now();
-    await redis.set(
-      key,
-      JSON.stringify(storedData),
-      'EX',
-      7 * 24 * 60 * 60
-    );
+    // Step 5b: Family not revoked (token minted during a concurrent revoke)
+    if (storedData.familyId && await redis.get(`refresh_family_revoked:${storedData.familyId}`)) {
+      await redis.del(key);
+      throw new Error('Refresh token revoked. Please login again.');
+    }
+    
+    // No write-back (e.g. lastUsed): a SET here could recreate a key that a
+    // concurrent rotation just consumed. Rotation stamps the new token.
     
     console.log(`✅ Refresh token verified for user ${decoded.userId}`);
     
@@ -231,6 +480,155 @@ const verifyRefreshToken = async (token) => {
   }
 };
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INSPECT REFRESH TOKEN
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Read-only checks for introspection / revocation
+ * Unlike verifyRefreshToken: no lastUsed update, no reuse handling
+ */
+
+/**
+ * Verify signature, expiry and type only (ignores Redis state)
+ * @param {String} token - Refresh token
+ * @returns {Object|null} - Decoded payload, or null if invalid
+ */
+const decodeRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+    return decoded.type === 'refresh' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Is the refresh token currently usable?
+ * @param {String} token - Refresh token
+ * @returns {Promise<Object|null>} - Decoded payload if active, else null
+ */
+const inspectRefreshToken = async (token) => {
+  const decoded = decodeRefreshToken(token);
+  if (!decoded) return null;
+  
+  const redis = getRedisClient();
+  const stored = await redis.get(`refresh_token:${decoded.userId}:${decoded.tokenId}`);
+  if (!stored) return null;
+  
+  const storedData = JSON.parse(stored);
+  if (storedData.token !== token) return null;
+  
+  if (storedData.familyId && await redis.get(`refresh_family_revoked:${storedData.familyId}`)) {
+    return null;
+  }
+  
+  return decoded;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ROTATE REFRESH TOKEN
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Issues the next token in the family and retires the presented one
+ * 
+ * @param {Object} decoded - Payload returned by verifyRefreshToken
+ * @param {Object} user - User document from database
+ * @param {Object} deviceInfo - Optional device/session info
+ * @param {Object} auth - Optional new { authTime, amr } (reauthentication);
+ *        defaults to the one carried by the old token
+ * @returns {Promise<String>} - New JWT refresh token (same family)
+ * @throws {Error} - If the old token was already consumed (reuse → family revoked)
+ * 
+ * Flow:
+ * 1. Delete old token from Redis - only the request whose DEL removes
+ *    the key may continue, so two concurrent refreshes with the same
+ *    token can't both succeed
+ * 2. Remember old tokenId as rotated (for reuse detection)
+ * 3. Generate new token with the same familyId
+ */
+
+const rotateRefreshToken = async (decoded, user, deviceInfo = {}, auth = null) => {
+  // Tokens issued before families existed start a family on first rotation
+  const familyId = decoded.familyId || decoded.tokenId;
+  
+  // OIDC client tokens stay bound to the same client and scope
+  const grant = decoded.clientId
+    ? { clientId: decoded.clientId, scope: decoded.scope }
+    : null;
+  
+  // Lost the race (or replayed) - someone else already rotated it
+  if (!await invalidateRefreshToken(decoded.userId, decoded.tokenId)) {
+    await handleRefreshTokenReuse(decoded, familyId);
+  }
+  
+  const redis = getRedisClient();
+  await redis.set(
+    `refresh_token_rotated:${decoded.userId}:${decoded.tokenId}`,
+    familyId,
+    'EX',
+    7 * 24 * 60 * 60 // 7 days (old token can't outlive its JWT expiry)
+  );
+  
+  return generateRefreshToken(
+    user,
+    deviceInfo,
+    familyId,
+    grant,
+    auth || getAuthContext(decoded)
+  );
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REVOKE TOKEN FAMILY
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Invalidates every refresh token descended from one login
+ * 
+ * @param {String} userId - User ID
+ * @param {String} familyId - Token family ID
+ * @param {String} reason - Why the family is revoked (logged in event)
+ * @returns {Promise<Number>} - Number of tokens revoked
+ * 
+ * Usage:
+ * - Refresh token reuse detected (theft)
+ * - Client revokes its refresh token (/oauth/revoke)
+ */
+
+const revokeTokenFamily = async (userId, familyId, reason = 'revoked') => {
+  const redis = getRedisClient();
+  const keys = await redis.keys(`refresh_token:${userId}:*`);
+  
+  let revoked = 0;
+  
+  for (const key of keys) {
+    const data = await redis.get(key);
+    if (data && JSON.parse(data).familyId === familyId) {
+      await redis.del(key);
+      revoked++;
+    }
+  }
+  
+  // Block tokens of this family minted concurrently with the revoke
+  await redis.set(
+    `refresh_family_revoked:${familyId}`,
+    reason,
+    'EX',
+    7 * 24 * 60 * 60
+  );
+  
+  emitSecurityEvent(SECURITY_EVENTS.TOKEN_FAMILY_REVOKED, {
+    userId: userId.toString(),
+    familyId,
+    reason,
+    revokedCount: revoked
+  });
+  
+  return revoked;
+};
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * INVALIDATE REFRESH TOKEN
@@ -240,19 +638,22 @@ const verifyRefreshToken = async (token) => {
  * 
  * @param {String} userId - User ID
  * @param {String} tokenId - Token ID
- * @returns {Promise<void>}
+ * @returns {Promise<Boolean>} - False if the token was already gone
  * 
  * Usage:
  * - Logout from specific device
- * - After token rotation (invalidate old token)
+ * - Token rotation (consume old token - DEL is atomic)
  */
 
 const invalidateRefreshToken = async (userId, tokenId) => {
   const redis = getRedisClient();
   const key = `refresh_token:${userId}:${tokenId}`;
-  await redis.del(key);
+  const deleted = await redis.del(key);
+  
+  if (deleted === 0) return false;
   
   console.log(`🗑️  Invalidated refresh token for user ${userId} (tokenId: ${tokenId.substring(0, 8)}...)`);
+  return true;
 };
 
 /**
@@ -326,6 +727,8 @@ const getActiveSessions = async (userId) => {
       
       sessions.push({
         tokenId,
+        familyId: parsed.familyId,
+        clientId: parsed.clientId,
         deviceInfo: parsed.deviceInfo,
         createdAt: parsed.createdAt,
         lastUsed: parsed.lastUsed,
@@ -341,9 +744,19 @@ const getActiveSessions = async (userId) => {
 };
 
 module.exports = {
+  assertActive,
+  getAuthContext,
   generateAccessToken,
+  verifyAccessToken,
+  revokeAccessToken,
+  revokeAllAccessTokens,
+  isAccessTokenRevoked,
   generateRefreshToken,
   verifyRefreshToken,
+  decodeRefreshToken,
+  inspectRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
   invalidateRefreshToken,
   invalidateAllRefreshTokens,
   getActiveSessions
@@ -0,0 +1,311 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { emitSecurityEvent, SECURITY_EVENTS } = require('./securityEvents');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TRUSTED DEVICES ("REMEMBER THIS DEVICE")
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * After a successful 2FA login the user can trust the browser: later
+ * logins there (password or magic link) skip the second factor for
+ * TRUSTED_DEVICE_DAYS.
+ *
+ * Flow:
+ * 1. POST /api/auth/login/mfa { ..., rememberDevice: true }
+ *    → HttpOnly kta_trusted_device cookie (signed JWT) + Redis record
+ * 2. POST /api/auth/login → cookie valid, record exists, same browser
+ *    → tokens directly, no MFA challenge
+ *
+ * Security:
+ * - Cookie alone is not enough: the Redis record must still exist
+ *   (revocable) and the browser must still report the same User-Agent
+ * - The User-Agent check (version numbers stripped, so browser updates
+ *   don't drop trust) only catches a cookie ending up in another browser
+ *   by accident - it is NOT a defence against a stolen cookie, whose
+ *   User-Agent is just as easy to copy. Theft is bounded by HttpOnly,
+ *   expiry, revocation and the first factor still being required
+ * - Only skips the SECOND factor - the password/link is still required
+ * - Revoked on password reset and when 2FA is disabled
+ *
+ * Redis Keys:
+ * trusted_device:<userId>:<deviceId> = { fingerprint, deviceInfo, createdAt,
+ *                                        lastUsed, expiresAt }   (TTL: period)
+ *
+ * @file backend/utils/trustedDevices.js
+ * @phase Phase 4B - Two-Factor Authentication
+ *
+ * Environment:
+ * - TRUSTED_DEVICE_DAYS          How long a device stays trusted (default 30)
+ * - JWT_TRUSTED_DEVICE_SECRET    Signs the cookie (required, used for nothing else)
+ */
+
+const TRUSTED_DEVICE_COOKIE = 'kta_trusted_device';
+const TRUSTED_DEVICE_DAYS = parseInt(process.env.TRUSTED_DEVICE_DAYS, 10) || 30;
+const TRUSTED_DEVICE_TTL = TRUSTED_DEVICE_DAYS * 24 * 60 * 60; // seconds
+
+/**
+ * Cookie signing secret - dedicated, so no other token type
+ * (access, MFA challenge, ...) can pass as a trusted device cookie
+ * @throws {Error} - JWT_TRUSTED_DEVICE_SECRET not set
+ */
+const getSecret = () => {
+  if (!process.env.JWT_TRUSTED_DEVICE_SECRET) {
+    throw new Error('JWT_TRUSTED_DEVICE_SECRET is not set');
+  }
+  return process.env.JWT_TRUSTED_DEVICE_SECRET;
+};
+
+/**
+ * Cookie options
+ * ────────────────────────────────────────────────────────────────────────
+ * Path '/' so both /api/auth/login and /graphql see it
+ */
+const trustedDeviceCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/',
+  maxAge: TRUSTED_DEVICE_TTL * 1000
+});
+
+/**
+ * Browser fingerprint: User-Agent with version numbers stripped
+ * (consistency check only - see Security above)
+ * @param {Object} req - Express request
+ * @returns {String} - SHA256 hash
+ */
+const getFingerprint = (req) => {
+  const userAgent = (req.headers['user-agent'] || 'Unknown').replace(/[\d._]+/g, '');
+  return crypto.createHash('sha256').update(userAgent).digest('hex');
+};
+
+/**
+ * Verify the cookie's signature and read its deviceId
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { userId, deviceId } or null
+ */
+const readTrustedDeviceCookie = (req) => {
+  const cookie = req.cookies?.[TRUSTED_DEVICE_COOKIE];
+  if (!cookie) return null;
+
+  const secret = getSecret(); // Misconfiguration must not look like a bad cookie
+
+  try {
+    const decoded = jwt.verify(cookie, secret);
+    return decoded.type === 'trusted_device' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TRUST DEVICE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} user - User document (2FA just verified)
+ * @param {Object} req - Express request (fingerprint, device info)
+ * @param {Object} res - Express response (cookie)
+ * @returns {Promise<String>} - deviceId
+ *
+ * Replaces the cookie of any other account trusted in this browser
+ */
+
+const trustDevice = async (user, req, res) => {
+  const deviceId = crypto.randomBytes(16).toString('hex');
+  const now = Date.now();
+
+  const redis = getRedisClient();
+  await redis.set(
+    `trusted_device:${user._id}:${deviceId}`,
+    JSON.stringify({
+      fingerprint: getFingerprint(req),
+      deviceInfo: {
+        userAgent: req.headers['user-agent'] || 'Unknown',
+        ip: req.ip || 'Unknown'
+      },
+      createdAt: now,
+      lastUsed: now,
+      expiresAt: now + TRUSTED_DEVICE_TTL * 1000
+    }),
+    'EX',
+    TRUSTED_DEVICE_TTL
+  );
+
+  const cookie = jwt.sign(
+    {
+      userId: user._id,
+      deviceId,
+      type: 'trusted_device'
+    },
+    getSecret(),
+    { expiresIn: TRUSTED_DEVICE_TTL }
+  );
+
+  res.cookie(TRUSTED_DEVICE_COOKIE, cookie, trustedDeviceCookieOptions());
+
+  console.log(`📱 Trusted device added for user ${user._id} (deviceId: ${deviceId.substring(0, 8)}...)`);
+
+  return deviceId;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * IS TRUSTED DEVICE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} user - User who just passed the first factor
+ * @param {Object} req - Express request (cookie, fingerprint)
+ * @returns {Promise<Boolean>} - True → skip the MFA challenge
+ *
+ * Checks:
+ * 1. Cookie signature + expiry, issued for this user
+ * 2. Redis record still exists (not revoked)
+ * 3. Same browser fingerprint
+ */
+
+const isTrustedDevice = async (user, req) => {
+  const decoded = readTrustedDeviceCookie(req);
+
+  if (!decoded || decoded.userId !== user._id.toString()) {
+    return false;
+  }
+
+  const redis = getRedisClient();
+  const key = `trusted_device:${user._id}:${decoded.deviceId}`;
+  const stored = await redis.get(key);
+
+  if (!stored) {
+    return false;
+  }
+
+  const device = JSON.parse(stored);
+
+  if (device.fingerprint !== getFingerprint(req)) {
+    console.warn(`⚠️  Trusted device cookie used from a different browser (user ${user._id})`);
+    return false;
+  }
+
+  // Keep the original expiry - using a device doesn't extend its trust
+  const secondsLeft = Math.ceil((device.expiresAt - Date.now()) / 1000);
+
+  if (secondsLeft <= 0) {
+    await redis.del(key);
+    return false;
+  }
+
+  device.lastUsed = Date.now();
+  device.deviceInfo.ip = req.ip || device.deviceInfo.ip;
+  await redis.set(key, JSON.stringify(device), 'EX', secondsLeft);
+
+  console.log(`📱 Trusted device login for user ${user._id} - skipping 2FA`);
+
+  return true;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LIST / REVOKE
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Trusted devices of a user (most recently used first)
+ * @param {String} userId - User ID
+ * @param {Object} req - Express request (marks the current device)
+ * @returns {Promise<Array>}
+ */
+const listTrustedDevices = async (userId, req) => {
+  const redis = getRedisClient();
+  const keys = await redis.keys(`trusted_device:${userId}:*`);
+  const current = req ? readTrustedDeviceCookie(req) : null;
+
+  const devices = [];
+
+  for (const key of keys) {
+    const data = await redis.get(key);
+    if (data) {
+      const { deviceInfo, createdAt, lastUsed, expiresAt } = JSON.parse(data);
+      const deviceId = key.split(':')[2];
+
+      devices.push({
+        deviceId,
+        deviceInfo,
+        createdAt,
+        lastUsed,
+        expiresAt,
+        isCurrentDevice: current?.deviceId === deviceId
+      });
+    }
+  }
+
+  devices.sort((a, b) => b.lastUsed - a.lastUsed);
+
+  return devices;
+};
+
+/**
+ * Stop trusting one device
+ * @param {String} userId - User ID
+ * @param {String} deviceId - From listTrustedDevices
+ * @returns {Promise<Boolean>} - False if it didn't exist
+ */
+const revokeTrustedDevice = async (userId, deviceId) => {
+  const redis = getRedisClient();
+  const deleted = await redis.del(`trusted_device:${userId}:${deviceId}`);
+
+  if (deleted) {
+    console.log(`🗑️  Trusted device revoked for user ${userId} (deviceId: ${deviceId.substring(0, 8)}...)`);
+  }
+
+  return deleted > 0;
+};
+
+/**
+ * Stop trusting every device of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Why (logged in event)
+ * @returns {Promise<Number>} - Number of devices revoked
+ *
+ * Usage:
+ * - Password reset
+ * - 2FA disabled
+ * - User clicks "forget all devices"
+ */
+const revokeAllTrustedDevices = async (userId, reason = 'revoked') => {
+  const redis = getRedisClient();
+  const keys = await redis.keys(`trusted_device:${userId}:*`);
+
+  if (keys.length > 0) {
+    await redis.del(...keys);
+
+    emitSecurityEvent(SECURITY_EVENTS.TRUSTED_DEVICES_REVOKED, {
+      userId: userId.toString(),
+      reason,
+      revokedCount: keys.length
+    });
+  }
+
+  return keys.length;
+};
+
+/**
+ * Remove the cookie from this browser
+ * @param {Object} res - Express response
+ */
+const clearTrustedDeviceCookie = (res) => {
+  res.clearCookie(TRUSTED_DEVICE_COOKIE, { ...trustedDeviceCookieOptions(), maxAge: undefined });
+};
+
+module.exports = {
+  TRUSTED_DEVICE_COOKIE,
+  TRUSTED_DEVICE_DAYS,
+  trustDevice,
+  isTrustedDevice,
+  listTrustedDevices,
+  revokeTrustedDevice,
+  revokeAllTrustedDevices,
+  clearTrustedDeviceCookie
+};
@@ -0,0 +1,468 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const { getRedisClient } = require('../config/redis');
+const { createAuthenticationOptions, verifyAuthentication } = require('./webauthn');
+const { sendEmailOtp, verifyEmailOtp } = require('./emailOtp');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TWO-FACTOR AUTHENTICATION UTILITY
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Handles TOTP secrets, recovery codes and the login MFA challenge
+ *
+ * Features:
+ * - TOTP secret generation (otpauth URI + QR code)
+ * - TOTP code verification (each code accepted once)
+ * - Hashed single-use recovery codes
+ * - Short-lived MFA challenge token (issued by /login instead of tokens)
+ * - Challenge verification with attempt limiting
+ * - Passkeys (WebAuthn) accepted as second factor
+ * - Email one-time passcodes accepted as second factor
+ *
+ * @file backend/utils/twoFactor.js
+ * @phase Phase 4B - Two-Factor Authentication
+ * @requires speakeasy, qrcode
+ */
+
+const MFA_CHALLENGE_TTL = 5 * 60; // 5 minutes in seconds
+const MFA_MAX_ATTEMPTS = 5;
+const TOTP_STEP = 30; // seconds per code
+const TOTP_WINDOW = 1; // steps of clock drift tolerated either side
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Signing secret for MFA challenge tokens
+ * ────────────────────────────────────────────────────────────────────────
+ * Required, no fallback to JWT_ACCESS_SECRET: a challenge token carries
+ * userId and must never verify where an access token is expected
+ * @throws {Error} - JWT_MFA_SECRET not set
+ */
+const getMfaSecret = () => {
+  if (!process.env.JWT_MFA_SECRET) {
+    throw new Error('JWT_MFA_SECRET is not set');
+  }
+  return process.env.JWT_MFA_SECRET;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GENERATE TOTP SECRET
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Creates a new TOTP secret for an authenticator app
+ *
+ * @param {Object} user - User document from database
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode }
+ *
+ * Returned values:
+ * - secret: Base32 secret (for manual entry in the app)
+ * - otpauthUrl: otpauth:// URI understood by authenticator apps
+ * - qrCode: Data URL of the QR code image for the URI
+ */
+
+const generateTotpSecret = async (user) => {
+  const issuer = process.env.APP_NAME || 'KTA';
+
+  const secret = speakeasy.generateSecret({
+    length: 20,
+    name: `${issuer} (${user.email})`,
+    issuer
+  });
+
+  const qrCode = await QRCode.toDataURL(secret.otpauth_url);
+
+  return {
+    secret: secret.base32,
+    otpauthUrl: secret.otpauth_url,
+    qrCode
+  };
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VERIFY TOTP CODE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {String} secret - Base32 TOTP secret
+ * @param {String} code - 6-digit code from authenticator app
+ * @returns {Boolean} - True if code is valid
+ *
+ * Window of 1 step (30s) either side tolerates clock drift.
+ * Doesn't consume the code - sign-in and account changes use useTotpCode()
+ */
+
+const verifyTotpCode = (secret, code) => getTotpStep(secret, code) !== null;
+
+/**
+ * Time step a code belongs to
+ * @param {String} secret - Base32 TOTP secret
+ * @param {String} code - 6-digit code
+ * @returns {Number|null} - Step counter, or null if the code is invalid
+ */
+const getTotpStep = (secret, code) => {
+  if (!secret || !code) return null;
+
+  const time = Math.floor(Date.now() / 1000);
+  const match = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: String(code).replace(/\s/g, ''),
+    window: TOTP_WINDOW,
+    step: TOTP_STEP,
+    time
+  });
+
+  return match ? Math.floor(time / TOTP_STEP) + match.delta : null;
+};
+
+/**
+ * Verify a TOTP code and mark it as used
+ * ────────────────────────────────────────────────────────────────────────
+ * A code stays valid for its whole window (up to 90s), so the last
+ * accepted time step is kept per user: the same code - or an older
+ * one - is rejected until the window has passed
+ *
+ * Redis Key: totp_last_step:<userId> = step counter (TTL: window)
+ *
+ * @param {Object} user - User document
+ * @param {String} secret - user.twoFactorSecret (twoFactorTempSecret during setup)
+ * @param {String} code - 6-digit code from authenticator app
+ * @returns {Promise<Boolean>} - True if valid and not used before
+ */
+const useTotpCode = async (user, secret, code) => {
+  const step = getTotpStep(secret, code);
+  if (step === null) return false;
+
+  const redis = getRedisClient();
+  const key = `totp_last_step:${user._id}`;
+  const lastStep = Number(await redis.get(key) || 0);
+
+  if (step <= lastStep) {
+    console.warn(`⚠️  Replayed TOTP code rejected for user ${user._id}`);
+    return false;
+  }
+
+  await redis.set(key, String(step), 'EX', (2 * TOTP_WINDOW + 1) * TOTP_STEP);
+  return true;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * RECOVERY CODES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Backup codes for when the authenticator app is unavailable
+ *
+ * Security:
+ * - Shown to the user ONCE (plain text)
+ * - Stored as SHA256 hashes (like password reset tokens)
+ * - Each code can be used only once
+ */
+
+/**
+ * Hash a recovery code (normalized: lowercase, no spaces/dashes)
+ * @param {String} code - Plain recovery code
+ * @returns {String} - SHA256 hash
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+
+  return crypto
+    .createHash('sha256')
+    .update(normalized)
+    .digest('hex');
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes: plain codes, hashedCodes: hashes to store }
+ *
+ * Format: xxxxx-xxxxx (hex)
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+  }
+
+  return {
+    codes,
+    hashedCodes: codes.map(hashRecoveryCode)
+  };
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GENERATE MFA CHALLENGE TOKEN
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Issued by login instead of access/refresh tokens when 2FA is enabled
+ *
+ * @param {Object} user - User document (password already verified)
+ * @param {String} firstFactor - AMR value of the first step: 'pwd' (password)
+ *        or 'email' (magic link) - recorded in the session's amr claim
+ * @returns {Promise<String>} - Short-lived JWT challenge token
+ *
+ * Security:
+ * - 5 minute expiry
+ * - Type 'mfa_challenge' (cannot be used as access token)
+ * - Tracked in Redis (single-use, attempt counter)
+ */
+
+const generateMfaChallengeToken = async (user, firstFactor = 'pwd') => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+
+  const mfaToken = jwt.sign(
+    {
+      userId: user._id,
+      challengeId,
+      type: 'mfa_challenge'
+    },
+    getMfaSecret(),
+    { expiresIn: MFA_CHALLENGE_TTL }
+  );
+
+  /**
+   * Store challenge in Redis
+   * ────────────────────────────────────────────────────────────────────────
+   * Key format: mfa_challenge:challengeId
+   * Value: JSON with failed attempt counter, first factor, expiry
+   * TTL: Matches JWT expiry (set once - failed attempts don't extend it)
+   */
+  const redis = getRedisClient();
+  await redis.set(
+    `mfa_challenge:${challengeId}`,
+    JSON.stringify({
+      userId: user._id.toString(),
+      attempts: 0,
+      firstFactor,
+      expiresAt: Date.now() + MFA_CHALLENGE_TTL * 1000
+    }),
+    'EX',
+    MFA_CHALLENGE_TTL
+  );
+
+  return mfaToken;
+};
+
+/**
+ * Get second factors available to a user
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} - e.g. ['totp', 'email_otp', 'recovery_code', 'webauthn']
+ */
+const getMfaMethods = async (user) => {
+  const methods = [];
+
+  // twoFactorSecret is select: false - check without loading it
+  if (await User.exists({ _id: user._id, twoFactorSecret: { $exists: true } })) {
+    methods.push('totp');
+  }
+
+  if (user.twoFactorEmailEnabled) {
+    methods.push('email_otp');
+  }
+
+  methods.push('recovery_code');
+
+  if (await WebAuthnCredential.exists({ user: user._id })) {
+    methods.push('webauthn');
+  }
+
+  return methods;
+};
+
+/**
+ * Verify challenge JWT (signature, expiry, type)
+ * @param {String} mfaToken - Challenge token
+ * @returns {Object} - Decoded payload { userId, challengeId }
+ */
+const decodeMfaToken = (mfaToken) => {
+  try {
+    const decoded = jwt.verify(mfaToken, getMfaSecret());
+
+    if (decoded.type !== 'mfa_challenge') {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Verification session expired. Please login again.');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid verification session');
+    }
+    throw error;
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MFA WEBAUTHN OPTIONS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Assertion options for completing an MFA challenge with a passkey
+ *
+ * @param {String} mfaToken - Challenge token from login response
+ * @returns {Promise<Object>} - PublicKeyCredentialRequestOptions (JSON)
+ */
+
+const createMfaWebAuthnOptions = async (mfaToken) => {
+  const decoded = decodeMfaToken(mfaToken);
+
+  const redis = getRedisClient();
+  const stored = await redis.get(`mfa_challenge:${decoded.challengeId}`);
+
+  if (!stored) {
+    throw new Error('Verification session expired. Please login again.');
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return createAuthenticationOptions(`mfa:${decoded.challengeId}`, user);
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MFA EMAIL CODE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Email a one-time passcode for a pending MFA challenge
+ *
+ * @param {String} mfaToken - Challenge token from login response
+ * @returns {Promise<Object>} - { expiresIn, resendIn } (seconds)
+ * @throws {Error} - If challenge invalid/expired, email factor not
+ *                   enabled, or throttled (status 429)
+ */
+
+const sendMfaEmailOtp = async (mfaToken) => {
+  const decoded = decodeMfaToken(mfaToken);
+
+  const redis = getRedisClient();
+  const stored = await redis.get(`mfa_challenge:${decoded.challengeId}`);
+
+  if (!stored) {
+    throw new Error('Verification session expired. Please login again.');
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.twoFactorEmailEnabled) {
+    throw new Error('Email codes are not enabled for this account');
+  }
+
+  return sendEmailOtp(user, `mfa:${decoded.challengeId}`);
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VERIFY MFA CHALLENGE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Completes login: verifies challenge token + TOTP, email or recovery code
+ *
+ * @param {String} mfaToken - Challenge token from login response
+ * @param {String} code - TOTP code, emailed code or recovery code
+ * @param {Object} webauthnResponse - Passkey assertion (instead of code)
+ * @returns {Promise<Object>} - { user, method: 'totp' | 'email_otp' | 'recovery_code' | 'webauthn',
+ *                               firstFactor: 'pwd' | 'email' }
+ * @throws {Error} - If token invalid/expired/used or factor wrong
+ *
+ * Used by:
+ * - POST /api/auth/login/mfa (REST)
+ * - verifyMfaLogin mutation (GraphQL)
+ */
+
+const verifyMfaChallenge = async (mfaToken, code, webauthnResponse = null) => {
+  // Step 1: Verify JWT signature and expiration
+  const decoded = decodeMfaToken(mfaToken);
+
+  // Step 2: Check challenge still pending in Redis
+  const redis = getRedisClient();
+  const key = `mfa_challenge:${decoded.challengeId}`;
+  const stored = await redis.get(key);
+
+  if (!stored) {
+    throw new Error('Verification session expired. Please login again.');
+  }
+
+  const challenge = JSON.parse(stored);
+
+  if (challenge.attempts >= MFA_MAX_ATTEMPTS) {
+    await redis.del(key);
+    throw new Error('Too many invalid codes. Please login again.');
+  }
+
+  // Step 3: Get user with 2FA secrets
+  const user = await User.findById(decoded.userId)
+    .select('+twoFactorSecret +twoFactorRecoveryCodes');
+
+  if (!user || !user.twoFactorEnabled) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  // Step 4: Check passkey, TOTP code, emailed code, then recovery code
+  let method = null;
+
+  if (webauthnResponse) {
+    try {
+      await verifyAuthentication(`mfa:${decoded.challengeId}`, webauthnResponse, user);
+      method = 'webauthn';
+    } catch (error) {
+      console.warn(`⚠️  MFA passkey verification failed for user ${user._id}: ${error.message}`);
+    }
+  } else if (await useTotpCode(user, user.twoFactorSecret, code)) {
+    method = 'totp';
+  } else if (user.twoFactorEmailEnabled &&
+      await verifyEmailOtp(user, `mfa:${decoded.challengeId}`, code)) {
+    method = 'email_otp';
+  } else if (await user.useRecoveryCode(code)) {
+    method = 'recovery_code';
+  }
+
+  if (!method) {
+    challenge.attempts += 1;
+
+    // Keep the original expiry - wrong codes don't extend the challenge
+    const secondsLeft = Math.ceil((challenge.expiresAt - Date.now()) / 1000);
+
+    if (secondsLeft > 0) {
+      await redis.set(key, JSON.stringify(challenge), 'EX', secondsLeft);
+    } else {
+      await redis.del(key);
+    }
+
+    throw new Error('Invalid verification code');
+  }
+
+  // Step 5: Single-use - remove challenge
+  await redis.del(key);
+
+  console.log(`🔐 MFA verified for user ${user._id} (${method})`);
+
+  return { user, method, firstFactor: challenge.firstFactor || 'pwd' };
+};
+
+module.exports = {
+  generateTotpSecret,
+  verifyTotpCode,
+  useTotpCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  generateMfaChallengeToken,
+  getMfaMethods,
+  createMfaWebAuthnOptions,
+  sendMfaEmailOtp,
+  verifyMfaChallenge
+};
@@ -0,0 +1,275 @@
+const { PERMISSIONS, getRoleLevel, isHigherRole } = require('../config/roles');
+const { isKnownRole } = require('./roleStore');
+const { isDenyRule, isPermissionGranted } = require('./permissions');
+const { revokeAllAccessTokens } = require('./tokens');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditLog');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * USER ACCESS MANAGEMENT
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Roles, custom permissions (User.permissions) and ABAC attributes
+ * (User.attributes) changed by admins - shared by the REST admin routes
+ * and the GraphQL mutations
+ *
+ * Rules:
+ * - Nobody changes their own access (ask another admin)
+ * - Target's highest role must not be above the actor's (isHigherRole)
+ * - Assigned roles must not be above the actor's highest role
+ * - Granted permissions must be in PERMISSIONS and held by the actor;
+ *   deny rules ('!delete:users') may be added freely, removing one
+ *   counts as granting
+ * - Every change is written to the audit log
+ *
+ * Errors carry `status` (400 / 403 / 404 / 409)
+ *
+ * @file backend/utils/userAccess.js
+ * @phase Phase 3.3 - RBAC
+ */
+
+/**
+ * Error with HTTP status
+ */
+const accessError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Highest-level role of a list (undefined if empty)
+ * @param {Array} roles - Role names
+ * @returns {String|undefined}
+ */
+const getHighestRole = (roles) => roles.reduce(
+  (highest, role) => (getRoleLevel(role) > getRoleLevel(highest) ? role : highest),
+  roles[0]
+);
+
+/**
+ * Can the actor change this user's access at all?
+ * @throws {Error} - 403 self / higher-ranked target
+ */
+const assertCanManage = (actor, target) => {
+  if (actor._id.toString() === target._id.toString()) {
+    throw accessError('You cannot change your own access. Ask another admin.', 403);
+  }
+
+  if (!isHigherRole(getHighestRole(actor.roles), getHighestRole(target.roles))) {
+    throw accessError('You cannot change the access of a user with a higher role than yours', 403);
+  }
+};
+
+/**
+ * Permission must be one of PERMISSIONS (optionally as '!' deny rule)
+ * @throws {Error} - 400 unknown permission
+ */
+const assertKnownPermission = (permission) => {
+  const base = typeof permission === 'string' && isDenyRule(permission) ? permission.slice(1) : permission;
+
+  if (!Object.values(PERMISSIONS).includes(base)) {
+    throw accessError(`Unknown permission: ${permission}`, 400);
+  }
+};
+
+/**
+ * Actor must hold what the change effectively grants
+ * @throws {Error} - 403
+ */
+const assertActorHolds = (actor, permission) => {
+  if (!isPermissionGranted(actor.getPermissions(), permission)) {
+    throw accessError(`You cannot grant ${permission} - you don't have it`, 403);
+  }
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ROLES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Replace all roles of a user
+ *
+ * @param {Object} actor - Admin (User document)
+ * @param {Object} target - User document
+ * @param {Array} roles - New role names
+ * @param {Object} options - { req, source: 'rest' | 'graphql' }
+ * @returns {Promise<Object>} - Updated target
+ */
+
+const setUserRoles = async (actor, target, roles, { req, source } = {}) => {
+  if (!Array.isArray(roles) || roles.length === 0 || !roles.every(role => typeof role === 'string')) {
+    throw accessError('roles must be a non-empty array of role names', 400);
+  }
+
+  const unknown = roles.find(role => !isKnownRole(role));
+  if (unknown) {
+    throw accessError(`Unknown role: ${unknown}`, 400);
+  }
+
+  assertCanManage(actor, target);
+
+  const actorRole = getHighestRole(actor.roles);
+  const tooHigh = roles.find(role => !isHigherRole(actorRole, role));
+  if (tooHigh) {
+    throw accessError(`You cannot assign ${tooHigh} - it is above your own role`, 403);
+  }
+
+  const before = [...target.roles];
+  const after = [...new Set(roles)];
+
+  if (after.length === before.length && after.every(role => before.includes(role))) {
+    return target;
+  }
+
+  target.roles = after;
+  await target.save();
+
+  // Live access tokens still carry the old roles claim
+  await revokeAllAccessTokens(target._id, 'role_changed');
+
+  await recordAudit({
+    action: AUDIT_ACTIONS.ROLES_UPDATED,
+    actor,
+    target,
+    details: { before, after },
+    req,
+    source
+  });
+
+  console.log(`🎭 Roles of ${target.email}: ${before.join(', ')} → ${after.join(', ')} by ${actor.email}`);
+
+  return target;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CUSTOM PERMISSIONS
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Add one entry to User.permissions
+ * @param {Object} actor - Admin (User document)
+ * @param {Object} target - User document
+ * @param {String} permission - e.g. 'view:analytics' or '!delete:users'
+ * @param {Object} options - { req, source }
+ * @returns {Promise<Object>} - Updated target
+ * @throws {Error} - 409 already present
+ */
+const grantUserPermission = async (actor, target, permission, { req, source } = {}) => {
+  assertKnownPermission(permission);
+  assertCanManage(actor, target);
+
+  if (!isDenyRule(permission)) {
+    assertActorHolds(actor, permission);
+  }
+
+  if (target.permissions.includes(permission)) {
+    throw accessError(`User already has ${permission}`, 409);
+  }
+
+  target.permissions.push(permission);
+  await target.save();
+
+  await recordAudit({
+    action: AUDIT_ACTIONS.PERMISSION_GRANTED,
+    actor,
+    target,
+    details: { permission },
+    req,
+    source
+  });
+
+  console.log(`🔑 Permission ${permission} granted to ${target.email} by ${actor.email}`);
+
+  return target;
+};
+
+/**
+ * Remove one entry from User.permissions
+ * ────────────────────────────────────────────────────────────────────────
+ * Role permissions are untouched - to take away a role permission
+ * from one user, grant a '!' deny rule instead
+ * @param {Object} actor - Admin (User document)
+ * @param {Object} target - User document
+ * @param {String} permission - Entry to remove
+ * @param {Object} options - { req, source }
+ * @returns {Promise<Object>} - Updated target
+ * @throws {Error} - 404 not a custom permission of the user
+ */
+const revokeUserPermission = async (actor, target, permission, { req, source } = {}) => {
+  assertCanManage(actor, target);
+
+  if (!target.permissions.includes(permission)) {
+    throw accessError(`${permission} is not a custom permission of this user`, 404);
+  }
+
+  // Lifting a deny rule gives the permission back
+  if (isDenyRule(permission)) {
+    assertActorHolds(actor, permission.slice(1));
+  }
+
+  target.permissions = target.permissions.filter(entry => entry !== permission);
+  await target.save();
+
+  await recordAudit({
+    action: AUDIT_ACTIONS.PERMISSION_REVOKED,
+    actor,
+    target,
+    details: { permission },
+    req,
+    source
+  });
+
+  console.log(`🔑 Permission ${permission} revoked from ${target.email} by ${actor.email}`);
+
+  return target;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ATTRIBUTES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Replace a user's ABAC attributes (subject.* in config/policies.js)
+ * ────────────────────────────────────────────────────────────────────────
+ * Attributes like region/teams grant policy access, so they follow
+ * the same rules as roles: not your own, not a higher-ranked user
+ *
+ * @param {Object} actor - Admin (User document)
+ * @param {Object} target - User document
+ * @param {Object} attributes - Already validated, e.g. { region: 'eu' }
+ * @param {Object} options - { req, source }
+ * @returns {Promise<Object>} - Updated target
+ */
+
+const setUserAttributes = async (actor, target, attributes, { req, source } = {}) => {
+  assertCanManage(actor, target);
+
+  const before = target.attributes || {};
+
+  target.attributes = attributes;
+  target.markModified('attributes');
+  await target.save();
+
+  await recordAudit({
+    action: AUDIT_ACTIONS.ATTRIBUTES_UPDATED,
+    actor,
+    target,
+    details: { before, after: attributes },
+    req,
+    source
+  });
+
+  console.log(`🏷️  Attributes updated for ${target.email} by ${actor.email}`);
+
+  return target;
+};
+
+module.exports = {
+  setUserRoles,
+  grantUserPermission,
+  revokeUserPermission,
+  setUserAttributes
+};
@@ -0,0 +1,270 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const { getRedisClient } = require('../config/redis');
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * WEBAUTHN UTILITY
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Registration and assertion ceremonies for passkeys / security keys
+ *
+ * Features:
+ * - Registration options + verification (attestation "none")
+ * - Authentication options + verification
+ * - Challenges stored in Redis (single-use, 5 min TTL)
+ * - Signature counter tracking (clone detection)
+ * - User verification (PIN / biometric) required: a passkey login
+ *   skips the 2FA challenge, so it must be two factors on its own
+ *
+ * @file backend/utils/webauthn.js
+ * @phase Phase 4B - WebAuthn / Passkeys
+ * @requires @simplewebauthn/server
+ *
+ * Environment:
+ * - WEBAUTHN_RP_ID: Relying party ID (domain, e.g. "yourapp.com")
+ * - WEBAUTHN_RP_NAME: Name shown by the authenticator
+ * - WEBAUTHN_ORIGIN: Expected origin (defaults to FRONTEND_URL)
+ */
+
+const CHALLENGE_TTL = 5 * 60; // 5 minutes in seconds
+
+const getRelyingParty = () => ({
+  rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  rpName: process.env.WEBAUTHN_RP_NAME || process.env.APP_NAME || 'KTA',
+  origin: process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000'
+});
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CHALLENGE STORAGE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Key format: webauthn_challenge:<purpose>:<id>
+ * - register:<userId>      → registration ceremony
+ * - login:<challengeId>    → passwordless login
+ * - mfa:<challengeId>      → second factor during login
+ */
+
+const storeChallenge = async (key, challenge) => {
+  const redis = getRedisClient();
+  await redis.set(`webauthn_challenge:${key}`, challenge, 'EX', CHALLENGE_TTL);
+};
+
+/**
+ * Get and delete challenge (single-use)
+ * @param {String} key - Challenge key (without prefix)
+ * @returns {Promise<String|null>} - Expected challenge
+ */
+const consumeChallenge = async (key) => {
+  const redis = getRedisClient();
+  const fullKey = `webauthn_challenge:${key}`;
+  const challenge = await redis.get(fullKey);
+
+  if (challenge) {
+    await redis.del(fullKey);
+  }
+
+  return challenge;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REGISTRATION OPTIONS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - PublicKeyCredentialCreationOptions (JSON)
+ *
+ * - Excludes already registered authenticators
+ * - Prefers discoverable credentials (passkeys) for passwordless login
+ * - Requires user verification (security keys without PIN are refused)
+ */
+
+const createRegistrationOptions = async (user) => {
+  const { rpID, rpName } = getRelyingParty();
+
+  const existing = await WebAuthnCredential.find({ user: user._id });
+
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userID: Buffer.from(user._id.toString()),
+    userName: user.email,
+    userDisplayName: user.name,
+    attestationType: 'none',
+    excludeCredentials: existing.map(cred => ({
+      id: cred.credentialId,
+      transports: cred.transports
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'required'
+    }
+  });
+
+  await storeChallenge(`register:${user._id}`, options.challenge);
+
+  return options;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VERIFY REGISTRATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {Object} user - User document
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @param {String} name - Optional label for the credential
+ * @returns {Promise<Object>} - Saved WebAuthnCredential
+ * @throws {Error} - If challenge missing/expired or attestation invalid
+ */
+
+const verifyRegistration = async (user, response, name) => {
+  const { rpID, origin } = getRelyingParty();
+
+  const expectedChallenge = await consumeChallenge(`register:${user._id}`);
+
+  if (!expectedChallenge) {
+    throw new Error('Registration session expired. Please try again.');
+  }
+
+  const verification = await verifyRegistrationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: origin,
+    expectedRPID: rpID,
+    requireUserVerification: true
+  });
+
+  if (!verification.verified || !verification.registrationInfo) {
+    throw new Error('Passkey registration could not be verified');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  const saved = await WebAuthnCredential.create({
+    user: user._id,
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: name || 'Passkey'
+  });
+
+  console.log(`🔑 WebAuthn credential registered for user ${user._id}`);
+
+  return saved;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AUTHENTICATION OPTIONS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {String} key - Challenge key ("login:<id>" or "mfa:<id>")
+ * @param {Object|null} user - Restrict to this user's credentials
+ *                             (null → discoverable passkey, browser picks)
+ * @returns {Promise<Object>} - PublicKeyCredentialRequestOptions (JSON)
+ */
+
+const createAuthenticationOptions = async (key, user = null) => {
+  const { rpID } = getRelyingParty();
+
+  let allowCredentials;
+  if (user) {
+    const credentials = await WebAuthnCredential.find({ user: user._id });
+    allowCredentials = credentials.map(cred => ({
+      id: cred.credentialId,
+      transports: cred.transports
+    }));
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID,
+    allowCredentials,
+    userVerification: 'required'
+  });
+
+  await storeChallenge(key, options.challenge);
+
+  return options;
+};
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VERIFY AUTHENTICATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * @param {String} key - Challenge key used for the options
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @param {Object|null} user - If set, credential must belong to this user
+ * @returns {Promise<Object>} - Verified WebAuthnCredential (with user id)
+ * @throws {Error} - If challenge missing, credential unknown, signature invalid
+ *                   or the authenticator didn't verify the user (PIN / biometric)
+ */
+
+const verifyAuthentication = async (key, response, user = null) => {
+  const { rpID, origin } = getRelyingParty();
+
+  const expectedChallenge = await consumeChallenge(key);
+
+  if (!expectedChallenge) {
+    throw new Error('Passkey session expired. Please try again.');
+  }
+
+  const credential = await WebAuthnCredential.findOne({ credentialId: response?.id })
+    .select('+publicKey');
+
+  if (!credential) {
+    throw new Error('Unknown passkey');
+  }
+
+  if (user && credential.user.toString() !== user._id.toString()) {
+    throw new Error('Passkey does not belong to this account');
+  }
+
+  const verification = await verifyAuthenticationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: origin,
+    expectedRPID: rpID,
+    credential: {
+      id: credential.credentialId,
+      publicKey: new Uint8Array(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports
+    },
+    requireUserVerification: true
+  });
+
+  if (!verification.verified) {
+    throw new Error('Passkey could not be verified');
+  }
+
+  // Possession alone isn't enough - callers treat a passkey as MFA
+  if (!verification.authenticationInfo.userVerified) {
+    throw new Error('Passkey did not verify the user (PIN or biometric required)');
+  }
+
+  // Update counter (clone detection) and usage
+  credential.counter = verification.authenticationInfo.newCounter;
+  credential.lastUsedAt = Date.now();
+  await credential.save();
+
+  return credential;
+};
+
+module.exports = {
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+};
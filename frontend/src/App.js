@@ -6,6 +6,11 @@ import { AuthProvider } from './context/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Auth from './component/Auth';
 import Dashboard from './components/Dashboard';
+import OAuthConsent from './pages/OAuthConsent';
+import OAuthCallback from './pages/OAuthCallback';
+import LinkAccount from './pages/LinkAccount';
+import LinkAccountConfirm from './pages/LinkAccountConfirm';
+import MagicLink from './pages/MagicLink';
 import './App.css';
 
 function App() {
@@ -18,6 +23,10 @@ function App() {
               {/* Public Routes */}
               <Route path="/login" element={<Auth />} />
               <Route path="/signup" element={<Auth />} />
+              <Route path="/auth/callback" element={<OAuthCallback />} />
+              <Route path="/link-account/confirm" element={<LinkAccountConfirm />} />
+              <Route path="/magic-link" element={<MagicLink />} />
+              <Route path="/magic-link/verify" element={<MagicLink verify />} />
 
               {/* Protected Routes */}
               <Route
@@ -28,6 +37,23 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/oauth/consent"
+                element={
+                  <ProtectedRoute>
+                    <OAuthConsent />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/link-account"
+                element={
+                  <ProtectedRoute>
+                    <LinkAccount />
+                  </ProtectedRoute>
+                }
+              />
 
               {/* Default Route */}
               <Route path="/" element={<Navigate to="/login" replace />} />
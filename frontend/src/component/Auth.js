@@ -1,13 +1,21 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useCallback, useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import api from '../utils/axiosInterceptor';
+import { createOAuthState } from '../components/SocialLogin';
 import './Auth.css';
 
 const Auth = () => {
     const navigate = useNavigate();
-    const { signup, login, isAuthenticated } = useAuth();
+    const location = useLocation();
+    const { signup, login, verifyMfa, isAuthenticated } = useAuth();
     const [isLogin, setIsLogin] = useState(true);
     const [loading, setLoading] = useState(false);
+    const [mfaToken, setMfaToken] = useState(null);
+    const [mfaCode, setMfaCode] = useState('');
+    const [mfaMethods, setMfaMethods] = useState([]);
+    const [rememberDevice, setRememberDevice] = useState(false);
+    const [ssoMode, setSsoMode] = useState(false);
     const [formData, setFormData] = useState({
         name: '',
         email: '',
@@ -15,12 +23,35 @@ const Auth = () => {
         confirmPassword: ''
     });
 
+    // Hand off to the SSO connection's IdP (OIDC or SAML)
+    const startSso = useCallback((slug, email) => {
+        const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+        const loginHint = email ? `&login_hint=${encodeURIComponent(email)}` : '';
+
+        window.location.href = `${API_URL}/api/auth/sso/${encodeURIComponent(slug)}` +
+            `?state=${createOAuthState()}${loginHint}`;
+    }, []);
+
+    // Page that sent us to login (e.g. OAuth consent), otherwise dashboard
+    const from = location.state?.from;
+    const redirectTo = from ? `${from.pathname}${from.search || ''}` : '/dashboard';
+
     // Redirect if already logged in
     React.useEffect(() => {
         if (isAuthenticated) {
-            navigate('/dashboard');
+            navigate(redirectTo, { replace: true });
+        }
+    }, [isAuthenticated, navigate, redirectTo]);
+
+    // Login started from the company's IdP dashboard (SAML IdP-initiated):
+    // the backend sends us back here to start a login bound to this browser
+    const ssoSlug = new URLSearchParams(location.search).get('sso');
+
+    React.useEffect(() => {
+        if (ssoSlug && !isAuthenticated) {
+            startSso(ssoSlug);
         }
-    }, [isAuthenticated, navigate]);
+    }, [ssoSlug, isAuthenticated, startSso]);
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -53,16 +84,48 @@ const Auth = () => {
     const handleLogin = async () => {
         const { email, password } = formData;
         const result = await login(email, password);
+
+        // 2FA enabled - switch form to code entry
+        if (result.mfaRequired) {
+            setMfaToken(result.mfaToken);
+            setMfaMethods(result.mfaMethods || []);
+            return;
+        }
         
         if (result.success) {
             alert(`✅ ${result.message}`);
             resetForm();
-            navigate('/dashboard');
+            navigate(redirectTo, { replace: true });
         } else {
             alert(`❌ ${result.message}`);
         }
     };
 
+    // Handle 2FA code (TOTP or recovery code)
+    const handleMfa = async () => {
+        const result = await verifyMfa(mfaToken, mfaCode, rememberDevice);
+
+        if (result.success) {
+            alert(`✅ ${result.message}`);
+            setMfaToken(null);
+            setMfaCode('');
+            resetForm();
+            navigate(redirectTo, { replace: true });
+        } else {
+            alert(`❌ ${result.message}`);
+        }
+    };
+
+    // Email a one-time code instead of using the authenticator app
+    const sendEmailCode = async () => {
+        try {
+            const { data } = await api.post('/api/auth/login/mfa/email', { mfaToken });
+            alert(`📧 ${data.message}`);
+        } catch (error) {
+            alert(`❌ ${error.response?.data?.message || 'Failed to send code'}`);
+        }
+    };
+
     // Handle Signup
     const handleSignup = async () => {
         if (!validatePasswordMatch()) return;
@@ -73,18 +136,34 @@ const Auth = () => {
         if (result.success) {
             alert(`✅ ${result.message}`);
             resetForm();
-            navigate('/dashboard');
+            navigate(redirectTo, { replace: true });
         } else {
             alert(`❌ ${result.message}`);
         }
     };
 
+    // Handle enterprise SSO: find the company's IdP by email domain
+    const handleSso = async () => {
+        const { email } = formData;
+
+        try {
+            const { data } = await api.post('/api/auth/sso/discover', { email });
+            startSso(data.connection.slug, email);
+        } catch (error) {
+            alert(`❌ ${error.response?.data?.message || 'SSO is not available for this email'}`);
+        }
+    };
+
     // Main submit handler
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
         try {
-            if (isLogin) {
+            if (mfaToken) {
+                await handleMfa();
+            } else if (ssoMode) {
+                await handleSso();
+            } else if (isLogin) {
                 await handleLogin();
             } else {
                 await handleSignup();
@@ -99,15 +178,88 @@ const Auth = () => {
 
     const switchMode = () => {
         setIsLogin(!isLogin);
+        setSsoMode(false);
+        setMfaToken(null);
+        setMfaCode('');
         resetForm();
     };
 
+    if (mfaToken) {
+        return (
+            <div className="auth-container">
+                <div className="auth-card">
+                    <div className="auth-header">
+                        <h1>Two-Factor Authentication</h1>
+                        <p>
+                            {mfaMethods.includes('totp')
+                                ? 'Enter the code from your authenticator app or a recovery code'
+                                : 'Enter the code we email you or a recovery code'}
+                        </p>
+                    </div>
+
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        <div className="form-group">
+                            <label htmlFor="mfaCode">Verification Code</label>
+                            <input
+                                type="text"
+                                id="mfaCode"
+                                name="mfaCode"
+                                value={mfaCode}
+                                onChange={(e) => setMfaCode(e.target.value)}
+                                placeholder="123456"
+                                autoComplete="one-time-code"
+                                required
+                            />
+                        </div>
+
+                        <div className="form-group remember-device">
+                            <label htmlFor="rememberDevice">
+                                <input
+                                    type="checkbox"
+                                    id="rememberDevice"
+                                    name="rememberDevice"
+                                    checked={rememberDevice}
+                                    onChange={(e) => setRememberDevice(e.target.checked)}
+                                />
+                                Remember this device
+                            </label>
+                        </div>
+
+                        <button type="submit" className="submit-btn" disabled={loading}>
+                            {loading ? 'Please wait...' : 'Verify'}
+                        </button>
+                    </form>
+
+                    {mfaMethods.includes('email_otp') && (
+                        <div className="sso-toggle">
+                            <span className="switch-link" onClick={sendEmailCode}>
+                                Email me a code
+                            </span>
+                        </div>
+                    )}
+
+                    <div className="auth-footer">
+                        <p>
+                            <span className="switch-link" onClick={() => setMfaToken(null)}>
+                                Back to login
+                            </span>
+                        </p>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="auth-container">
             <div className="auth-card">
                 <div className="auth-header">
                     <h1>{isLogin ? 'Welcome Back' : 'Create Account'}</h1>
-                    <p>{isLogin ? 'Login to continue' : 'Sign up to get started'}</p>
+                    <p>
+                        {ssoMode
+                            ? 'Enter your work email to sign in with your company'
+                            : (isLogin ? 'Login to continue' : 'Sign up to get started')}
+                    </p>
                 </div>
 
                 <form onSubmit={handleSubmit} className="auth-form">
@@ -139,18 +291,20 @@ const Auth = () => {
                         />
                     </div>
 
-                    <div className="form-group">
-                        <label htmlFor="password">Password</label>
-                        <input
-                            type="password"
-                            id="password"
-                            name="password"
-                            value={formData.password}
-                            onChange={handleInputChange}
-                            placeholder="Enter your password"
-                            required
-                        />
-                    </div>
+                    {!ssoMode && (
+                        <div className="form-group">
+                            <label htmlFor="password">Password</label>
+                            <input
+                                type="password"
+                                id="password"
+                                name="password"
+                                value={formData.password}
+                                onChange={handleInputChange}
+                                placeholder="Enter your password"
+                                required
+                            />
+                        </div>
+                    )}
 
                     {!isLogin && (
                         <div className="form-group">
@@ -168,10 +322,26 @@ const Auth = () => {
                     )}
 
                     <button type="submit" className="submit-btn" disabled={loading}>
-                        {loading ? 'Please wait...' : (isLogin ? 'Login' : 'Sign Up')}
+                        {loading ? 'Please wait...' : (ssoMode ? 'Continue with SSO' : (isLogin ? 'Login' : 'Sign Up'))}
                     </button>
                 </form>
 
+                {isLogin && (
+                    <div className="sso-toggle">
+                        <span className="switch-link" onClick={() => setSsoMode(!ssoMode)}>
+                            {ssoMode ? 'Login with password instead' : 'Sign in with SSO'}
+                        </span>
+                    </div>
+                )}
+
+                {isLogin && !ssoMode && (
+                    <div className="sso-toggle">
+                        <span className="switch-link" onClick={() => navigate('/magic-link')}>
+                            Email me a login link
+                        </span>
+                    </div>
+                )}
+
                 <div className="auth-footer">
                     <p>
                         {isLogin ? "Don't have an account? " : "Already have an account? "}
@@ -1,6 +1,7 @@
 import React from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import LinkedAccounts from './LinkedAccounts';
 import './Dashboard.css';
 
 /**
@@ -55,6 +56,8 @@ const Dashboard = () => {
           </div>
         </div>
 
+        <LinkedAccounts />
+
         <div className="dashboard-actions">
           <h3>Quick Actions</h3>
           <button className="action-button">Edit Profile</button>
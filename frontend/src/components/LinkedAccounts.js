@@ -0,0 +1,125 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import api from '../utils/axiosInterceptor';
+import { createOAuthState, OAUTH_STATE_KEY } from './SocialLogin';
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LINKED ACCOUNTS COMPONENT
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Link / unlink social providers on the logged-in account
+ * (only those enabled on the backend)
+ * 
+ * @phase Phase 4 - Linked Identities
+ * 
+ * Link flow:
+ * 1. Generate state, register it with POST /api/auth/identities/:provider/link
+ * 2. Navigate to the provider (same as social login)
+ * 3. Backend links instead of logging in,
+ *    redirects to /dashboard?linked=<provider> or ?link_error=...
+ */
+
+const PROVIDERS = [
+  { id: 'google', label: 'Google' },
+  { id: 'github', label: 'GitHub' },
+  { id: 'microsoft', label: 'Microsoft' },
+  { id: 'facebook', label: 'Facebook' }
+];
+
+const LinkedAccounts = () => {
+  const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [data, setData] = useState(null);
+  const [enabled, setEnabled] = useState(['google', 'github']);
+  const [message, setMessage] = useState('');
+
+  const loadIdentities = useCallback(async () => {
+    try {
+      const [identities, providers] = await Promise.all([
+        api.get('/api/auth/identities'),
+        api.get('/api/auth/providers')
+      ]);
+      setData(identities.data);
+      setEnabled(providers.data.providers);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to load linked accounts');
+    }
+  }, []);
+
+  useEffect(() => {
+    // Result of a link redirect
+    const linked = searchParams.get('linked');
+    const linkError = searchParams.get('link_error');
+
+    if (linked || linkError) {
+      sessionStorage.removeItem(OAUTH_STATE_KEY);
+      setMessage(linkError || `${linked} account linked`);
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  useEffect(() => {
+    loadIdentities();
+  }, [loadIdentities]);
+
+  const handleLink = async (provider) => {
+    try {
+      const state = createOAuthState();
+      const response = await api.post(`/api/auth/identities/${provider}/link`, { state });
+      window.location.href = `${API_URL}${response.data.redirectTo}`;
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to start linking');
+    }
+  };
+
+  const handleUnlink = async (provider) => {
+    try {
+      const response = await api.delete(`/api/auth/identities/${provider}`);
+      setData(response.data);
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to unlink account');
+    }
+  };
+
+  if (!data) {
+    return null;
+  }
+
+  return (
+    <div className="user-info">
+      <h2>Linked Accounts</h2>
+      {message && <p>{message}</p>}
+
+      <div className="info-grid">
+        {PROVIDERS.filter(({ id }) => enabled.includes(id)).map(({ id, label }) => {
+          const identity = data.identities.find(item => item.provider === id);
+
+          return (
+            <div className="info-item" key={id}>
+              <label>{label}:</label>
+              <span>{identity ? identity.email || 'Linked' : 'Not linked'}</span>
+              {identity ? (
+                <button
+                  className="action-button danger"
+                  onClick={() => handleUnlink(id)}
+                  disabled={!data.canUnlink}
+                  title={data.canUnlink ? '' : 'This is your only way to log in'}
+                >
+                  Unlink
+                </button>
+              ) : (
+                <button className="action-button" onClick={() => handleLink(id)}>
+                  Link {label}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default LinkedAccounts;
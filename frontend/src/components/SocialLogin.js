@@ -1,4 +1,5 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import api from '../utils/axiosInterceptor';
 import './SocialLogin.css';
 
 /**
@@ -6,7 +7,8 @@ import './SocialLogin.css';
  * SOCIAL LOGIN COMPONENT
  * ═══════════════════════════════════════════════════════════════════════════
  * 
- * Social authentication buttons (Google & GitHub)
+ * Social authentication buttons (Google, GitHub, Microsoft, Facebook)
+ * Only providers enabled on the backend (GET /api/auth/providers) are shown
  * 
  * @phase Phase 3.5 - OAuth/SSO
  * 
@@ -15,24 +17,48 @@ import './SocialLogin.css';
  * 
  * How it works:
  * 1. User clicks "Continue with Google/GitHub"
- * 2. Redirect to backend OAuth endpoint
+ * 2. Random `state` saved in sessionStorage, redirect to backend OAuth endpoint
  * 3. Backend redirects to provider (Google/GitHub)
  * 4. User approves on provider's page
  * 5. Provider redirects back to backend callback
- * 6. Backend creates/finds user, generates tokens
- * 7. Backend redirects to frontend /auth/callback with tokens
- * 8. Frontend stores tokens and redirects to dashboard
+ * 6. Backend creates/finds user, issues a one-time code
+ * 7. Backend redirects to frontend /auth/callback?code=...
+ * 8. OAuthCallback exchanges code + state for tokens, redirects to dashboard
  */
 
+export const OAUTH_STATE_KEY = 'oauth_state';
+
+/**
+ * Generate and remember a state value for this login attempt
+ * ────────────────────────────────────────────────────────────────────────
+ * Protects against login CSRF: a code started in another browser
+ * can't be exchanged here without the matching state
+ */
+export const createOAuthState = () => {
+  const bytes = new Uint8Array(32);
+  window.crypto.getRandomValues(bytes);
+  const state = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+  sessionStorage.setItem(OAUTH_STATE_KEY, state);
+  return state;
+};
+
 const SocialLogin = () => {
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+  const [providers, setProviders] = useState(['google', 'github']);
+
+  useEffect(() => {
+    api.get('/api/auth/providers')
+      .then(response => setProviders(response.data.providers))
+      .catch(() => {}); // Keep defaults if the backend is unreachable
+  }, []);
 
   /**
    * Handle Google OAuth
    * ────────────────────────────────────────────────────────────────────
    */
   const handleGoogleLogin = () => {
-    window.location.href = `${API_URL}/api/auth/google`;
+    window.location.href = `${API_URL}/api/auth/google?state=${createOAuthState()}`;
   };
 
   /**
@@ -40,7 +66,23 @@ const SocialLogin = () => {
    * ────────────────────────────────────────────────────────────────────
    */
   const handleGitHubLogin = () => {
-    window.location.href = `${API_URL}/api/auth/github`;
+    window.location.href = `${API_URL}/api/auth/github?state=${createOAuthState()}`;
+  };
+
+  /**
+   * Handle Microsoft OAuth
+   * ────────────────────────────────────────────────────────────────────
+   */
+  const handleMicrosoftLogin = () => {
+    window.location.href = `${API_URL}/api/auth/microsoft?state=${createOAuthState()}`;
+  };
+
+  /**
+   * Handle Facebook OAuth
+   * ────────────────────────────────────────────────────────────────────
+   */
+  const handleFacebookLogin = () => {
+    window.location.href = `${API_URL}/api/auth/facebook?state=${createOAuthState()}`;
   };
 
   return (
@@ -51,46 +93,84 @@ const SocialLogin = () => {
 
       <div className="social-buttons">
         {/* ────────────── GOOGLE BUTTON ────────────── */}
-        <button 
-          onClick={handleGoogleLogin}
-          className="social-btn google-btn"
-          type="button"
-        >
-          <svg className="social-icon" viewBox="0 0 24 24">
-            <path
-              fill="#4285F4"
-              d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
-            />
-            <path
-              fill="#34A853"
-              d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
-            />
-            <path
-              fill="#FBBC05"
-              d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
-            />
-            <path
-              fill="#EA4335"
-              d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
-            />
-          </svg>
-          Continue with Google
-        </button>
+        {providers.includes('google') && (
+          <button 
+            onClick={handleGoogleLogin}
+            className="social-btn google-btn"
+            type="button"
+          >
+            <svg className="social-icon" viewBox="0 0 24 24">
+              <path
+                fill="#4285F4"
+                d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
+              />
+              <path
+                fill="#34A853"
+                d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
+              />
+              <path
+                fill="#FBBC05"
+                d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
+              />
+              <path
+                fill="#EA4335"
+                d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
+              />
+            </svg>
+            Continue with Google
+          </button>
+        )}
 
         {/* ────────────── GITHUB BUTTON ────────────── */}
-        <button 
-          onClick={handleGitHubLogin}
-          className="social-btn github-btn"
-          type="button"
-        >
-          <svg className="social-icon" viewBox="0 0 24 24">
-            <path
-              fill="currentColor"
-              d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"
-            />
-          </svg>
-          Continue with GitHub
-        </button>
+        {providers.includes('github') && (
+          <button 
+            onClick={handleGitHubLogin}
+            className="social-btn github-btn"
+            type="button"
+          >
+            <svg className="social-icon" viewBox="0 0 24 24">
+              <path
+                fill="currentColor"
+                d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"
+              />
+            </svg>
+            Continue with GitHub
+          </button>
+        )}
+
+        {/* ────────────── MICROSOFT BUTTON ────────────── */}
+        {providers.includes('microsoft') && (
+          <button 
+            onClick={handleMicrosoftLogin}
+            className="social-btn microsoft-btn"
+            type="button"
+          >
+            <svg className="social-icon" viewBox="0 0 24 24">
+              <path fill="#F25022" d="M1 1h10.5v10.5H1z" />
+              <path fill="#7FBA00" d="M12.5 1H23v10.5H12.5z" />
+              <path fill="#00A4EF" d="M1 12.5h10.5V23H1z" />
+              <path fill="#FFB900" d="M12.5 12.5H23V23H12.5z" />
+            </svg>
+            Continue with Microsoft
+          </button>
+        )}
+
+        {/* ────────────── FACEBOOK BUTTON ────────────── */}
+        {providers.includes('facebook') && (
+          <button 
+            onClick={handleFacebookLogin}
+            className="social-btn facebook-btn"
+            type="button"
+          >
+            <svg className="social-icon" viewBox="0 0 24 24">
+              <path
+                fill="currentColor"
+                d="M24 12.073C24 5.405 18.627 0 12 0S0 5.405 0 12.073C0 18.1 4.388 23.094 10.125 24v-8.437H7.078v-3.49h3.047V9.413c0-3.026 1.792-4.697 4.533-4.697 1.312 0 2.686.236 2.686.236v2.971H15.83c-1.491 0-1.956.93-1.956 1.886v2.264h3.328l-.532 3.49h-2.796V24C19.612 23.094 24 18.1 24 12.073z"
+              />
+            </svg>
+            Continue with Facebook
+          </button>
+        )}
       </div>
     </div>
   );
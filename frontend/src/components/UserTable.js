@@ -140,7 +140,11 @@ const UserTable = ({ users, currentUser, onRoleUpdate, onDeleteUser }) => {
 
                   {/* ────────────── VERIFICATION STATUS ────────────── */}
                   <td className="user-status">
-                    {user.isVerified ? (
+                    {user.isActive === false ? (
+                      <span className="status-badge deactivated">
+                        ⛔ Deactivated
+                      </span>
+                    ) : user.isVerified ? (
                       <span className="status-badge verified">
                         ✓ Verified
                       </span>
@@ -156,7 +160,10 @@ const UserTable = ({ users, currentUser, onRoleUpdate, onDeleteUser }) => {
                     <span className="provider-badge">
                       {user.provider === 'local' ? '📧' : 
                        user.provider === 'google' ? '🔵' : 
-                       user.provider === 'github' ? '⚫' : '?'}
+                       user.provider === 'github' ? '⚫' :
+                       user.provider === 'microsoft' ? '🟦' :
+                       user.provider === 'facebook' ? '🔷' :
+                       user.provider === 'sso' ? '🏢' : '?'}
                       {' '}
                       {user.provider}
                     </span>
@@ -224,10 +231,12 @@ const UserTable = ({ users, currentUser, onRoleUpdate, onDeleteUser }) => {
                             </div>
                           )}
 
-                          {user.provider !== 'local' && user.providerId && (
+                          {user.identities?.length > 0 && (
                             <div className="detail-item">
-                              <span className="detail-label">Provider ID:</span>
-                              <span className="detail-value">{user.providerId}</span>
+                              <span className="detail-label">Linked Accounts:</span>
+                              <span className="detail-value">
+                                {user.identities.map(identity => identity.provider).join(', ')}
+                              </span>
                             </div>
                           )}
                         </div>
@@ -1,5 +1,6 @@
 import { ApolloClient, InMemoryCache, createHttpLink } from '@apollo/client';
 import { setContext } from '@apollo/client/link/context';
+import { COOKIE_MODE, getCsrfHeaders } from '../utils/authMode';
 
 /**
  * Apollo Client Configuration
@@ -15,7 +16,17 @@ const httpLink = createHttpLink({
 });
 
 // Authentication link - adds JWT token to every request
+// Cookie mode: the HttpOnly cookie carries the token, we only add the CSRF header
 const authLink = setContext((_, { headers }) => {
+  if (COOKIE_MODE) {
+    return {
+      headers: {
+        ...headers,
+        ...getCsrfHeaders(),
+      }
+    };
+  }
+
   // Get token from localStorage
   const token = localStorage.getItem('accessToken');
 
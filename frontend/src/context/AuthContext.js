@@ -1,11 +1,17 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
 import { useMutation, useQuery, gql } from '@apollo/client';
+import api from '../utils/axiosInterceptor';
+import { COOKIE_MODE, getCsrfHeaders } from '../utils/authMode';
 
 /**
  * Authentication Context
  *
  * Provides global auth state to all components
  * Handles login, signup, logout
+ *
+ * Cookie mode (REACT_APP_AUTH_MODE=cookie):
+ * - Login/signup/logout go through the REST API, which sets HttpOnly cookies
+ * - Nothing is written to localStorage
  */
 
 // GraphQL Mutations
@@ -29,6 +35,26 @@ const SIGNUP_MUTATION = gql`
 const LOGIN_MUTATION = gql`
   mutation Login($email: String!, $password: String!) {
     login(email: $email, password: $password) {
+      success
+      message
+      accessToken
+      refreshToken
+      mfaRequired
+      mfaToken
+      mfaMethods
+      user {
+        id
+        name
+        email
+        roles
+      }
+    }
+  }
+`;
+
+const VERIFY_MFA_LOGIN_MUTATION = gql`
+  mutation VerifyMfaLogin($mfaToken: String!, $code: String!, $rememberDevice: Boolean) {
+    verifyMfaLogin(mfaToken: $mfaToken, code: $code, rememberDevice: $rememberDevice) {
       success
       message
       accessToken
@@ -44,8 +70,8 @@ const LOGIN_MUTATION = gql`
 `;
 
 const LOGOUT_MUTATION = gql`
-  mutation Logout {
-    logout {
+  mutation Logout($refreshToken: String) {
+    logout(refreshToken: $refreshToken) {
       success
       message
     }
@@ -77,12 +103,14 @@ export const AuthProvider = ({ children }) => {
   // GraphQL Mutations
   const [signupMutation] = useMutation(SIGNUP_MUTATION);
   const [loginMutation] = useMutation(LOGIN_MUTATION);
+  const [verifyMfaLoginMutation] = useMutation(VERIFY_MFA_LOGIN_MUTATION);
   const [logoutMutation] = useMutation(LOGOUT_MUTATION);
 
   // Check if user is logged in on mount
   useEffect(() => {
     const token = localStorage.getItem('accessToken');
-    if (token) {
+    // Cookie mode: session cookie is invisible to JS, so always ask the server
+    if (COOKIE_MODE || token) {
       // Token exists, fetch user data
       fetchUser();
     } else {
@@ -90,20 +118,21 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
-  // Fetch current user
-  const fetchUser = async () => {
+  // Fetch current user (stable identity - also exposed as refreshUser)
+  const fetchUser = useCallback(async () => {
     try {
       const token = localStorage.getItem('accessToken');
-      if (!token) {
+      if (!COOKIE_MODE && !token) {
         setLoading(false);
         return;
       }
 
       const response = await fetch('http://localhost:5000/graphql', {
         method: 'POST',
+        credentials: COOKIE_MODE ? 'include' : 'same-origin',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          ...(COOKIE_MODE ? getCsrfHeaders() : { 'Authorization': `Bearer ${token}` })
         },
         body: JSON.stringify({
           query: `
@@ -137,11 +166,17 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
   // Signup function
   const signup = async (name, email, password) => {
     try {
+      if (COOKIE_MODE) {
+        const { data } = await api.post('/api/auth/signup', { name, email, password });
+        setUser(data.user);
+        return { success: true, message: data.message };
+      }
+
       const { data } = await signupMutation({
         variables: { name, email, password }
       });
@@ -164,7 +199,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Signup error:', error);
       return {
         success: false,
-        message: error.message || 'Signup failed. Please try again.'
+        message: error.response?.data?.message || error.message || 'Signup failed. Please try again.'
       };
     }
   };
@@ -172,10 +207,38 @@ export const AuthProvider = ({ children }) => {
   // Login function
   const login = async (email, password) => {
     try {
+      if (COOKIE_MODE) {
+        const { data } = await api.post('/api/auth/login', { email, password });
+
+        if (data.mfaRequired) {
+          return {
+            success: false,
+            mfaRequired: true,
+            mfaToken: data.mfaToken,
+            mfaMethods: data.methods,
+            message: data.message
+          };
+        }
+
+        setUser(data.user);
+        return { success: true, message: data.message };
+      }
+
       const { data } = await loginMutation({
         variables: { email, password }
       });
 
+      // 2FA enabled - caller must collect a code and call verifyMfa
+      if (data.login.mfaRequired) {
+        return {
+          success: false,
+          mfaRequired: true,
+          mfaToken: data.login.mfaToken,
+          mfaMethods: data.login.mfaMethods,
+          message: data.login.message
+        };
+      }
+
       if (data.login.success) {
         // Store tokens
         localStorage.setItem('accessToken', data.login.accessToken);
@@ -194,7 +257,40 @@ export const AuthProvider = ({ children }) => {
       console.error('Login error:', error);
       return {
         success: false,
-        message: error.message || 'Login failed. Please try again.'
+        message: error.response?.data?.message || error.message || 'Login failed. Please try again.'
+      };
+    }
+  };
+
+  // Complete login with 2FA code (TOTP or recovery code)
+  // rememberDevice: backend sets a cookie so this browser skips 2FA next time
+  const verifyMfa = async (mfaToken, code, rememberDevice = false) => {
+    try {
+      if (COOKIE_MODE) {
+        const { data } = await api.post('/api/auth/login/mfa', { mfaToken, code, rememberDevice });
+        setUser(data.user);
+        return { success: true, message: data.message };
+      }
+
+      const { data } = await verifyMfaLoginMutation({
+        variables: { mfaToken, code, rememberDevice }
+      });
+
+      // Store tokens
+      localStorage.setItem('accessToken', data.verifyMfaLogin.accessToken);
+      if (data.verifyMfaLogin.refreshToken) {
+        localStorage.setItem('refreshToken', data.verifyMfaLogin.refreshToken);
+      }
+
+      // Set user
+      setUser(data.verifyMfaLogin.user);
+
+      return { success: true, message: data.verifyMfaLogin.message };
+    } catch (error) {
+      console.error('MFA verification error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Verification failed. Please try again.'
       };
     }
   };
@@ -202,7 +298,14 @@ export const AuthProvider = ({ children }) => {
   // Logout function
   const logout = async () => {
     try {
-      await logoutMutation();
+      if (COOKIE_MODE) {
+        // Backend revokes the tokens and clears the cookies
+        await api.post('/api/auth/logout');
+      } else {
+        await logoutMutation({
+          variables: { refreshToken: localStorage.getItem('refreshToken') }
+        });
+      }
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
@@ -218,7 +321,9 @@ export const AuthProvider = ({ children }) => {
     loading,
     signup,
     login,
+    verifyMfa,
     logout,
+    refreshUser: fetchUser,
     isAuthenticated: !!user,
   };
 
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/axiosInterceptor';
+import { withReauth } from '../utils/reauth';
 import UserTable from '../components/UserTable';
 import StatsCard from '../components/StatsCard';
 import './AdminPanel.css';
@@ -150,7 +151,7 @@ const AdminPanel = () => {
    */
   const handleRoleUpdate = async (userId, newRole) => {
     try {
-      await api.put(`/api/admin/users/${userId}/role`, { role: newRole });
+      await withReauth(() => api.put(`/api/admin/users/${userId}/role`, { role: newRole }));
 
       // Update local state
       setUsers(users.map(u => 
@@ -179,6 +180,7 @@ const AdminPanel = () => {
    * - Requires confirmation
    * - Cannot delete yourself
    * - Cannot delete higher role
+   * - Old login → asks to confirm identity first (withReauth)
    */
   const handleDeleteUser = async (userId) => {
     // Find user
@@ -193,7 +195,7 @@ const AdminPanel = () => {
     if (!confirmed) return;
 
     try {
-      await api.delete(`/api/admin/users/${userId}`);
+      await withReauth(() => api.delete(`/api/admin/users/${userId}`));
 
       // Remove from local state
       setUsers(users.filter(u => u._id !== userId));
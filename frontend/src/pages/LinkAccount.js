@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../utils/axiosInterceptor';
+import { OAUTH_STATE_KEY } from '../components/SocialLogin';
+import './OAuthCallback.css';
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LINK ACCOUNT PAGE
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Confirm linking a social login to an existing account
+ * 
+ * @phase Phase 4 - Safe Account Linking
+ * 
+ * Flow:
+ * 1. Social login email matched an existing account → backend redirects
+ *    here: /link-account?token=...&provider=google
+ * 2. ProtectedRoute sends the user to /login first (existing credentials,
+ *    incl. 2FA) and back here afterwards
+ * 3. Show what will be linked, user confirms
+ * 4. POST /api/auth/identities/pending/confirm with token + stored state
+ * 
+ * Alternative: the confirmation link emailed to the account owner
+ * (see LinkAccountConfirm)
+ */
+
+const LinkAccount = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+  const [pending, setPending] = useState(null);
+  const [status, setStatus] = useState('loading'); // loading | ready | success | error
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const loadPending = async () => {
+      try {
+        const response = await api.get('/api/auth/identities/pending', { params: { token } });
+        setPending(response.data);
+        setStatus('ready');
+      } catch (error) {
+        setStatus('error');
+        setMessage(
+          error.response?.data?.message ||
+          'This link request belongs to a different account or has expired.'
+        );
+      }
+    };
+
+    loadPending();
+  }, [token]);
+
+  const handleConfirm = async () => {
+    try {
+      const state = sessionStorage.getItem(OAUTH_STATE_KEY);
+      const response = await api.post('/api/auth/identities/pending/confirm', { token, state });
+
+      sessionStorage.removeItem(OAUTH_STATE_KEY);
+      setStatus('success');
+      setMessage(response.data.message);
+      setTimeout(() => navigate('/dashboard'), 1500);
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.response?.data?.message || 'Failed to link account');
+    }
+  };
+
+  return (
+    <div className="oauth-callback-container">
+      <div className="oauth-callback-card">
+        {status === 'loading' && <div className="spinner"></div>}
+
+        {status === 'ready' && (
+          <>
+            <h2>Link {pending.provider} account?</h2>
+            <p>
+              The {pending.provider} account <strong>{pending.email}</strong> will be
+              able to sign in to your account.
+            </p>
+            <button className="btn-primary" onClick={handleConfirm}>
+              Link Account
+            </button>
+            <button className="btn-secondary" onClick={() => navigate('/dashboard')}>
+              Cancel
+            </button>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <div className="success-icon">✓</div>
+            <h2>Account Linked</h2>
+            <p className="message">{message}</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <div className="error-icon">✗</div>
+            <h2>Link Failed</h2>
+            <p className="message error">{message}</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LinkAccount;
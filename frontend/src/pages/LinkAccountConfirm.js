@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../utils/axiosInterceptor';
+import './OAuthCallback.css';
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LINK ACCOUNT EMAIL CONFIRMATION PAGE
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 
+ * Opened from the "Link your account?" email
+ * 
+ * @phase Phase 4 - Safe Account Linking
+ * 
+ * Flow:
+ * 1. User clicks link in email: /link-account/confirm?token=...
+ * 2. POST /api/auth/identities/pending/confirm-email
+ * 3. Show result, user signs in with the provider
+ */
+
+const LinkAccountConfirm = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('loading'); // loading | success | error
+  const [message, setMessage] = useState('');
+  const confirmed = useRef(false); // Token is single-use - don't redeem twice
+
+  useEffect(() => {
+    if (confirmed.current) return;
+    confirmed.current = true;
+
+    const confirmLink = async () => {
+      try {
+        const response = await api.post('/api/auth/identities/pending/confirm-email', {
+          token: searchParams.get('token')
+        });
+        setStatus('success');
+        setMessage(response.data.message);
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Link confirmation invalid or expired');
+      }
+    };
+
+    confirmLink();
+  }, [searchParams]);
+
+  return (
+    <div className="oauth-callback-container">
+      <div className="oauth-callback-card">
+        {status === 'loading' && <div className="spinner"></div>}
+
+        {status === 'success' && (
+          <>
+            <div className="success-icon">✓</div>
+            <h2>Account Linked</h2>
+            <p className="message">{message}</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <div className="error-icon">✗</div>
+            <h2>Link Failed</h2>
+            <p className="message error">{message}</p>
+          </>
+        )}
+
+        {status !== 'loading' && <Link to="/login">Go to login</Link>}
+      </div>
+    </div>
+  );
+};
+
+export default LinkAccountConfirm;
@@ -0,0 +1,306 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/axiosInterceptor';
+import { COOKIE_MODE } from '../utils/authMode';
+import './ForgotPassword.css';
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MAGIC LINK PAGE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Passwordless login by email
+ *
+ * @phase Phase 4 - Passwordless Login
+ *
+ * /magic-link:
+ * 1. User enters email → POST /api/auth/magic-link
+ * 2. Backend emails a single-use link + sets a browser-binding cookie
+ *
+ * /magic-link/verify?token=...:
+ * 1. POST /api/auth/magic-link/verify { token }
+ * 2. Opened in another browser → user confirms their email address
+ * 3. 2FA enabled → user enters their code
+ * 4. Tokens stored (cookie mode: backend sets cookies) → dashboard
+ *
+ * withCredentials on both requests: the binding cookie must be stored
+ * and sent back even when auth itself runs in token mode
+ */
+
+const MagicLink = ({ verify = false }) => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { refreshUser, verifyMfa } = useAuth();
+  const [email, setEmail] = useState('');
+  const [mfaToken, setMfaToken] = useState(null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState(verify ? 'processing' : null);
+  // null | processing | sent | confirmEmail | mfa | success | error
+  const [message, setMessage] = useState('');
+  const redeemed = useRef(false); // Link is single-use - don't redeem twice
+
+  /**
+   * Logged in → load user and go to the dashboard
+   * ────────────────────────────────────────────────────────────────────
+   */
+  const finishLogin = useCallback(async (data) => {
+    if (data && !COOKIE_MODE) {
+      localStorage.setItem('accessToken', data.accessToken);
+      localStorage.setItem('refreshToken', data.refreshToken);
+    }
+
+    await refreshUser();
+
+    setStatus('success');
+    setMessage('Login successful! Redirecting to dashboard...');
+    setTimeout(() => navigate('/dashboard'), 1000);
+  }, [refreshUser, navigate]);
+
+  /**
+   * Redeem the link (optionally with the confirmation email)
+   * ────────────────────────────────────────────────────────────────────
+   */
+  const redeem = useCallback(async (confirmEmail) => {
+    setLoading(true);
+
+    try {
+      const { data } = await api.post(
+        '/api/auth/magic-link/verify',
+        { token: searchParams.get('token'), email: confirmEmail },
+        { withCredentials: true }
+      );
+
+      if (data.mfaRequired) {
+        setMfaToken(data.mfaToken);
+        setStatus('mfa');
+        setMessage('');
+        return;
+      }
+
+      await finishLogin(data);
+
+    } catch (error) {
+      const { code, message: errorMessage } = error.response?.data || {};
+
+      if (code === 'MAGIC_LINK_CONFIRM_EMAIL') {
+        setStatus('confirmEmail');
+        setMessage(errorMessage);
+        return;
+      }
+
+      setStatus('error');
+      setMessage(errorMessage || 'This login link is invalid or has expired.');
+    } finally {
+      setLoading(false);
+    }
+  }, [searchParams, finishLogin]);
+
+  useEffect(() => {
+    if (!verify || redeemed.current) return;
+    redeemed.current = true;
+
+    redeem();
+  }, [verify, redeem]);
+
+  /**
+   * Request a link
+   * ────────────────────────────────────────────────────────────────────
+   */
+  const handleRequest = async (e) => {
+    e.preventDefault();
+
+    setLoading(true);
+    setStatus(null);
+
+    try {
+      const { data } = await api.post('/api/auth/magic-link', { email }, { withCredentials: true });
+
+      setStatus('sent');
+      setMessage(data.message);
+
+    } catch (error) {
+      setStatus('error');
+      setMessage(
+        error.response?.data?.message ||
+        'Failed to send login link. Please try again.'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Complete 2FA
+   * ────────────────────────────────────────────────────────────────────
+   */
+  const handleMfa = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const result = await verifyMfa(mfaToken, mfaCode.trim());
+
+    if (result.success) {
+      await finishLogin(null);
+    } else {
+      setMessage(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  /**
+   * ═══════════════════════════════════════════════════════════════════════
+   * RENDER
+   * ═══════════════════════════════════════════════════════════════════════
+   */
+  return (
+    <div className="forgot-password-container">
+      <div className="forgot-password-card">
+        {/* ────────────── HEADER ────────────── */}
+        <div className="card-header">
+          <h2>✨ Email Login Link</h2>
+          <p className="subtitle">
+            {verify
+              ? 'Signing you in with your login link.'
+              : "Enter your email address and we'll send you a link to sign in - no password needed."}
+          </p>
+        </div>
+
+        {/* ────────────── PROCESSING ────────────── */}
+        {status === 'processing' && (
+          <div className="success-container">
+            <span className="spinner-small"></span>
+            <p>Checking your link...</p>
+          </div>
+        )}
+
+        {/* ────────────── REQUEST / CONFIRM EMAIL FORM ────────────── */}
+        {((!verify && status !== 'sent' && status !== 'success') || status === 'confirmEmail') && (
+          <form
+            onSubmit={status === 'confirmEmail' ? (e) => { e.preventDefault(); redeem(email); } : handleRequest}
+            className="forgot-password-form"
+          >
+            {status === 'confirmEmail' && (
+              <div className="alert alert-error">
+                <span className="alert-icon">⚠</span>
+                {message}
+              </div>
+            )}
+
+            <div className="input-group">
+              <label htmlFor="email">Email Address</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            {status === 'error' && (
+              <div className="alert alert-error">
+                <span className="alert-icon">⚠</span>
+                {message}
+              </div>
+            )}
+
+            <button type="submit" className="submit-btn" disabled={loading}>
+              {loading ? (
+                <>
+                  <span className="spinner-small"></span>
+                  Please wait...
+                </>
+              ) : (
+                status === 'confirmEmail' ? 'Continue' : 'Send Login Link'
+              )}
+            </button>
+          </form>
+        )}
+
+        {/* ────────────── 2FA ────────────── */}
+        {status === 'mfa' && (
+          <form onSubmit={handleMfa} className="forgot-password-form">
+            <div className="input-group">
+              <label htmlFor="mfaCode">Authentication Code</label>
+              <input
+                type="text"
+                id="mfaCode"
+                name="mfaCode"
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                placeholder="6-digit code or recovery code"
+                autoComplete="one-time-code"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            {message && (
+              <div className="alert alert-error">
+                <span className="alert-icon">⚠</span>
+                {message}
+              </div>
+            )}
+
+            <button type="submit" className="submit-btn" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+        )}
+
+        {/* ────────────── LINK SENT ────────────── */}
+        {status === 'sent' && (
+          <div className="success-container">
+            <div className="success-icon">✓</div>
+            <h3>Check Your Email</h3>
+            <p className="success-message">{message}</p>
+            <div className="info-box">
+              <p className="info-title">📧 Next Steps:</p>
+              <ul>
+                <li>Open the link in this browser</li>
+                <li>Link expires in 15 minutes and works once</li>
+                <li>Requesting a new link cancels the previous one</li>
+              </ul>
+            </div>
+          </div>
+        )}
+
+        {/* ────────────── SUCCESS ────────────── */}
+        {status === 'success' && (
+          <div className="success-container">
+            <div className="success-icon">✓</div>
+            <p className="success-message">{message}</p>
+          </div>
+        )}
+
+        {/* ────────────── INVALID LINK ────────────── */}
+        {verify && status === 'error' && (
+          <div className="alert alert-error">
+            <span className="alert-icon">⚠</span>
+            {message}
+          </div>
+        )}
+
+        {/* ────────────── FOOTER ────────────── */}
+        <div className="card-footer">
+          {verify && status === 'error' && (
+            <Link to="/magic-link" className="back-link">
+              Request a new link
+            </Link>
+          )}
+          <Link to="/login" className="back-link">
+            ← Back to Login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MagicLink;
@@ -1,6 +1,9 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { OAUTH_STATE_KEY } from '../components/SocialLogin';
+import api from '../utils/axiosInterceptor';
+import { COOKIE_MODE } from '../utils/authMode';
 import './OAuthCallback.css';
 
 /**
@@ -13,29 +16,37 @@ import './OAuthCallback.css';
  * @phase Phase 3.5 - OAuth/SSO
  * 
  * Flow:
- * 1. Backend redirects here with tokens: /auth/callback?accessToken=...&refreshToken=...
- * 2. Extract tokens from URL
- * 3. Store tokens in localStorage
+ * 1. Backend redirects here with a one-time code: /auth/callback?code=...
+ * 2. Exchange code + stored state for tokens (POST /api/auth/oauth/exchange)
+ * 3. Store tokens in localStorage (cookie mode: backend sets cookies instead)
  * 4. Update auth context
  * 5. Redirect to dashboard
+ *
+ * The state check fails if this login wasn't started in this browser tab
+ * (login CSRF), so the code is rejected.
  */
 
 const OAuthCallback = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const { setUser, setIsAuthenticated } = useAuth();
+  const { refreshUser } = useAuth();
   const [status, setStatus] = useState('processing'); // processing | success | error
   const [message, setMessage] = useState('');
+  const exchanged = useRef(false); // Code is single-use - don't redeem twice
 
   useEffect(() => {
     const handleOAuthCallback = async () => {
+      if (exchanged.current) return;
+      exchanged.current = true;
+
       try {
         // ─────────────────────────────────────────────────────────
-        // 1. Extract Tokens from URL
+        // 1. Extract Code from URL
         // ─────────────────────────────────────────────────────────
-        const accessToken = searchParams.get('accessToken');
-        const refreshToken = searchParams.get('refreshToken');
+        const code = searchParams.get('code');
         const error = searchParams.get('error');
+        const state = sessionStorage.getItem(OAUTH_STATE_KEY);
+        sessionStorage.removeItem(OAUTH_STATE_KEY);
 
         // Check for error
         if (error) {
@@ -51,42 +62,35 @@ const OAuthCallback = () => {
           return;
         }
 
-        // Check for tokens
-        if (!accessToken || !refreshToken) {
+        // Check for code + state
+        if (!code || !state) {
           setStatus('error');
-          setMessage('Authentication tokens not received. Please try logging in again.');
+          setMessage('Login was not started from this browser. Please try logging in again.');
           setTimeout(() => navigate('/login'), 3000);
           return;
         }
 
         // ─────────────────────────────────────────────────────────
-        // 2. Store Tokens
+        // 2. Exchange Code for Tokens
         // ─────────────────────────────────────────────────────────
-        localStorage.setItem('accessToken', accessToken);
-        localStorage.setItem('refreshToken', refreshToken);
+        const { data } = await api.post('/api/auth/oauth/exchange', { code, state });
 
         // ─────────────────────────────────────────────────────────
-        // 3. Decode Token to Get User Info
+        // 3. Store Tokens
         // ─────────────────────────────────────────────────────────
-        /**
-         * JWT format: header.payload.signature
-         * We can decode the payload (base64) to get user info
-         */
-        const payload = JSON.parse(atob(accessToken.split('.')[1]));
-        
+        if (!COOKIE_MODE) {
+          localStorage.setItem('accessToken', data.accessToken);
+          localStorage.setItem('refreshToken', data.refreshToken);
+        }
+
         // ─────────────────────────────────────────────────────────
-        // 4. Update Auth Context
+        // 4. Load User into Auth Context
         // ─────────────────────────────────────────────────────────
         /**
          * Update global auth state
          * This makes user data available across the app
          */
-        setUser({
-          id: payload.userId,
-          email: payload.email,
-          roles: payload.roles
-        });
-        setIsAuthenticated(true);
+        await refreshUser();
 
         // ─────────────────────────────────────────────────────────
         // 5. Show Success and Redirect
@@ -102,13 +106,16 @@ const OAuthCallback = () => {
       } catch (error) {
         console.error('OAuth callback error:', error);
         setStatus('error');
-        setMessage('An error occurred during authentication. Please try again.');
+        setMessage(
+          error.response?.data?.message ||
+          'An error occurred during authentication. Please try again.'
+        );
         setTimeout(() => navigate('/login'), 3000);
       }
     };
 
     handleOAuthCallback();
-  }, [searchParams, navigate, setUser, setIsAuthenticated]);
+  }, [searchParams, navigate, refreshUser]);
 
   /**
    * ═══════════════════════════════════════════════════════════════════════
@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import api from '../utils/axiosInterceptor';
+import './OAuthConsent.css';
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * OAUTH CONSENT PAGE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * "Sign in with KTA" - user approves a client app
+ *
+ * @phase Phase 4 - OpenID Connect Provider
+ *
+ * Flow:
+ * 1. Backend /oauth/authorize redirects here with the original query
+ * 2. Load client + scopes: GET /oauth/authorize/details
+ * 3. Already consented / first-party client → approve automatically
+ * 4. Otherwise show consent screen
+ * 5. POST /oauth/authorize/decision → redirect browser to client app
+ */
+
+const OAuthConsent = () => {
+  const location = useLocation();
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Send decision, then leave our app for the client's redirect_uri
+   * ────────────────────────────────────────────────────────────────────
+   */
+  const decide = useCallback(async (approve) => {
+    setSubmitting(true);
+
+    try {
+      const params = Object.fromEntries(new URLSearchParams(location.search));
+      const response = await api.post('/oauth/authorize/decision', { ...params, approve });
+
+      window.location.assign(response.data.redirectTo);
+
+    } catch (err) {
+      setError(err.response?.data?.message || 'Authorization failed. Please try again.');
+      setSubmitting(false);
+    }
+  }, [location.search]);
+
+  /**
+   * Load authorization request details
+   * ────────────────────────────────────────────────────────────────────
+   */
+  useEffect(() => {
+    const loadDetails = async () => {
+      try {
+        const response = await api.get(`/oauth/authorize/details${location.search}`);
+
+        if (!response.data.consentRequired) {
+          await decide(true);
+          return;
+        }
+
+        setDetails(response.data);
+
+      } catch (err) {
+        setError(err.response?.data?.message || 'Invalid authorization request');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDetails();
+  }, [location.search, decide]);
+
+  /**
+   * ═══════════════════════════════════════════════════════════════════════
+   * RENDER
+   * ═══════════════════════════════════════════════════════════════════════
+   */
+  return (
+    <div className="oauth-consent-container">
+      <div className="oauth-consent-card">
+        {loading && <p className="subtitle">Loading...</p>}
+
+        {!loading && error && (
+          <div className="alert alert-error">
+            <span className="alert-icon">⚠</span>
+            {error}
+          </div>
+        )}
+
+        {!loading && !error && details && (
+          <>
+            {/* ────────────── HEADER ────────────── */}
+            <div className="card-header">
+              {details.client.logoUrl && (
+                <img
+                  className="client-logo"
+                  src={details.client.logoUrl}
+                  alt={details.client.name}
+                />
+              )}
+              <h2>{details.client.name}</h2>
+              <p className="subtitle">wants to access your account</p>
+            </div>
+
+            {/* ────────────── SCOPES ────────────── */}
+            <ul className="scope-list">
+              {details.scopes.map(({ scope, description }) => (
+                <li key={scope}>
+                  <span className="scope-check">✓</span>
+                  {description || scope}
+                </li>
+              ))}
+            </ul>
+
+            {/* ────────────── ACTIONS ────────────── */}
+            <button
+              className="submit-btn"
+              onClick={() => decide(true)}
+              disabled={submitting}
+            >
+              {submitting ? 'Redirecting...' : 'Allow'}
+            </button>
+            <button
+              className="btn-secondary"
+              onClick={() => decide(false)}
+              disabled={submitting}
+            >
+              Deny
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthConsent;
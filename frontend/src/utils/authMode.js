@@ -0,0 +1,44 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AUTH TRANSPORT MODE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Must match the backend's AUTH_TRANSPORT setting
+ *
+ * - bearer (default): Tokens kept in localStorage, sent as Authorization header
+ * - cookie:           Tokens live in HttpOnly cookies set by the backend;
+ *                     JavaScript never sees them. State-changing requests
+ *                     echo the CSRF cookie in the X-CSRF-Token header.
+ *
+ * @file frontend/src/utils/authMode.js
+ * @phase Phase 4 - Cookie Session Mode
+ *
+ * Environment:
+ * REACT_APP_AUTH_MODE=cookie
+ */
+
+export const COOKIE_MODE = process.env.REACT_APP_AUTH_MODE === 'cookie';
+
+export const CSRF_COOKIE = 'kta_csrf';
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * Read the CSRF token from its (non-HttpOnly) cookie
+ * @returns {String|null}
+ */
+export const getCsrfToken = () => {
+  const match = document.cookie
+    .split('; ')
+    .find((row) => row.startsWith(`${CSRF_COOKIE}=`));
+
+  return match ? decodeURIComponent(match.split('=')[1]) : null;
+};
+
+/**
+ * Headers to attach to every request in cookie mode
+ * @returns {Object}
+ */
+export const getCsrfHeaders = () => {
+  const csrfToken = COOKIE_MODE ? getCsrfToken() : null;
+  return csrfToken ? { [CSRF_HEADER]: csrfToken } : {};
+};
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { COOKIE_MODE, getCsrfHeaders } from './authMode';
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════
@@ -10,6 +11,8 @@ import axios from 'axios';
  * - Auto-refresh on token expiry (401)
  * - Request queuing during refresh
  * - Logout on refresh failure
+ * - Cookie mode (REACT_APP_AUTH_MODE=cookie): HttpOnly cookies + CSRF header
+ *   instead of localStorage tokens
  * 
  * @file frontend/src/utils/axiosInterceptor.js
  * @phase Phase 3.4 - Token Refresh
@@ -25,7 +28,8 @@ import axios from 'axios';
  * Base URL points to backend API
  */
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000'
+  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000',
+  withCredentials: COOKIE_MODE // Send auth cookies cross-origin
 });
 
 /**
@@ -46,6 +50,12 @@ const api = axios.create({
 
 api.interceptors.request.use(
   (config) => {
+    // Cookie mode: browser sends the token cookie, we add the CSRF header
+    if (COOKIE_MODE) {
+      Object.assign(config.headers, getCsrfHeaders());
+      return config;
+    }
+
     const accessToken = localStorage.getItem('accessToken');
     
     if (accessToken) {
@@ -119,8 +129,12 @@ api.interceptors.response.use(
      * ────────────────────────────────────────────────────────────────────
      * 401 = Unauthorized (token expired or invalid)
      * _retry flag prevents infinite loop
+     * Step-up errors are not fixed by refreshing (see utils/reauth.js)
      */
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    const stepUpCode = ['REAUTHENTICATION_REQUIRED', 'REAUTHENTICATION_FAILED']
+      .includes(error.response?.data?.code);
+
+    if (error.response?.status === 401 && !originalRequest._retry && !stepUpCode) {
       /**
        * Handle concurrent 401 errors
        * ────────────────────────────────────────────────────────────────
@@ -134,7 +148,9 @@ api.interceptors.response.use(
           failedQueue.push({ resolve, reject });
         })
           .then(token => {
-            originalRequest.headers.Authorization = `Bearer ${token}`;
+            if (token) {
+              originalRequest.headers.Authorization = `Bearer ${token}`;
+            }
             return api(originalRequest);
           })
           .catch(err => {
@@ -145,6 +161,31 @@ api.interceptors.response.use(
       originalRequest._retry = true;
       isRefreshing = true;
       
+      /**
+       * Cookie mode: refresh token is an HttpOnly cookie
+       * ────────────────────────────────────────────────────────────────
+       * Backend rotates both cookies, nothing to store here
+       */
+      if (COOKIE_MODE) {
+        try {
+          await axios.post(
+            `${process.env.REACT_APP_API_URL || 'http://localhost:5000'}/api/auth/refresh`,
+            {},
+            { withCredentials: true, headers: getCsrfHeaders() }
+          );
+          
+          processQueue(null, null);
+          return api(originalRequest);
+          
+        } catch (refreshError) {
+          processQueue(refreshError, null);
+          window.location.href = '/login';
+          return Promise.reject(refreshError);
+        } finally {
+          isRefreshing = false;
+        }
+      }
+      
       const refreshToken = localStorage.getItem('refreshToken');
       
       if (!refreshToken) {
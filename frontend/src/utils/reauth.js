@@ -0,0 +1,78 @@
+import api from './axiosInterceptor';
+import { COOKIE_MODE } from './authMode';
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * STEP-UP AUTHENTICATION
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Sensitive backend operations (deleting users, role changes...) answer
+ * 401 REAUTHENTICATION_REQUIRED when the login is too old. withReauth
+ * asks the user to confirm their identity, upgrades the session via
+ * POST /api/auth/reauthenticate and retries the request once.
+ *
+ * @file frontend/src/utils/reauth.js
+ * @phase Phase 4B - Step-Up Authentication
+ *
+ * Usage:
+ * await withReauth(() => api.delete(`/api/admin/users/${userId}`));
+ */
+
+export const REAUTH_REQUIRED = 'REAUTHENTICATION_REQUIRED';
+
+/**
+ * Did the request fail because the session needs reauthentication?
+ * @param {Error} error - Axios error
+ * @returns {Boolean}
+ */
+export const isReauthRequired = (error) =>
+  error.response?.status === 401 && error.response?.data?.code === REAUTH_REQUIRED;
+
+/**
+ * Confirm identity and store the upgraded tokens
+ * @param {String} secret - Password, or 6-digit authenticator/emailed code
+ * @returns {Promise<Object>} - Response data
+ */
+export const reauthenticate = async (secret) => {
+  const isCode = /^\d{6}$/.test(secret.trim());
+  const refreshToken = COOKIE_MODE ? undefined : localStorage.getItem('refreshToken');
+
+  const { data } = await api.post('/api/auth/reauthenticate', {
+    ...(isCode ? { code: secret.trim() } : { password: secret }),
+    refreshToken
+  });
+
+  // Cookie mode: backend already replaced the cookies
+  if (!COOKIE_MODE) {
+    localStorage.setItem('accessToken', data.accessToken);
+    if (data.refreshToken) {
+      localStorage.setItem('refreshToken', data.refreshToken);
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Run a request, reauthenticating once if the backend asks for it
+ * @param {Function} request - Returns an axios promise
+ * @returns {Promise<Object>} - Axios response
+ * @throws {Error} - Original error if cancelled, reauthentication error otherwise
+ */
+export const withReauth = async (request) => {
+  try {
+    return await request();
+  } catch (error) {
+    if (!isReauthRequired(error)) throw error;
+
+    const secret = window.prompt(
+      'For your security, please confirm your identity.\n\n' +
+      'Enter your password or a code from your authenticator app:'
+    );
+
+    if (!secret) throw error;
+
+    await reauthenticate(secret);
+    return request();
+  }
+};